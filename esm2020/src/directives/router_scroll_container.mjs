@@ -0,0 +1,68 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Directive, ElementRef, inject, Input } from '@angular/core';
+import { ROUTER_SCROLLER } from '../router_scroller';
+import * as i0 from "@angular/core";
+/**
+ * @description
+ *
+ * Marks an element as a scroll container whose scroll position is managed by the router in the
+ * same way as the window scroll position.
+ *
+ * When `scrollPositionRestoration` is enabled (see `withInMemoryScrolling` and
+ * `ExtraOptions`), the position of every registered container is saved when a navigation starts
+ * and restored on back/forward navigations. With `'top'`, or on forward navigations, the
+ * containers are scrolled to the top along with the window.
+ *
+ * Containers are identified by name, so an element that is destroyed and recreated by a
+ * navigation is restored to the position of the element with the same name.
+ *
+ * @usageNotes
+ *
+ * ```
+ * <mat-sidenav-content routerScrollContainer="content">
+ *   <router-outlet></router-outlet>
+ * </mat-sidenav-content>
+ * ```
+ *
+ * @publicApi
+ */
+export class RouterScrollContainer {
+    constructor() {
+        this.element = inject(ElementRef).nativeElement;
+        this.scroller = inject(ROUTER_SCROLLER, { optional: true });
+        this.registeredName = null;
+    }
+    /** @nodoc */
+    ngOnChanges() {
+        this.unregister();
+        this.registeredName = this.routerScrollContainer;
+        this.scroller?.registerScrollContainer(this.registeredName, this.element);
+    }
+    /** @nodoc */
+    ngOnDestroy() {
+        this.unregister();
+    }
+    unregister() {
+        if (this.registeredName !== null) {
+            this.scroller?.unregisterScrollContainer(this.registeredName, this.element);
+            this.registeredName = null;
+        }
+    }
+}
+RouterScrollContainer.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouterScrollContainer, deps: [], target: i0.ɵɵFactoryTarget.Directive });
+RouterScrollContainer.ɵdir = i0.ɵɵngDeclareDirective({ minVersion: "14.0.0", version: "15.1.0-next.0+sha-332461b", type: RouterScrollContainer, isStandalone: true, selector: "[routerScrollContainer]", inputs: { routerScrollContainer: "routerScrollContainer" }, usesOnChanges: true, ngImport: i0 });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouterScrollContainer, decorators: [{
+            type: Directive,
+            args: [{
+                    selector: '[routerScrollContainer]',
+                    standalone: true,
+                }]
+        }], propDecorators: { routerScrollContainer: [{
+                type: Input
+            }] } });
@@ -0,0 +1,33 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { fromEvent, Observable } from 'rxjs';
+import { filter } from 'rxjs/operators';
+import { navigationCancelingError } from '../navigation_canceling_error';
+/**
+ * Errors with a `NavigationCancelingError` when the navigation is aborted, either through the
+ * `AbortSignal` passed in its extras or when `aborts` emits its id. Erroring unsubscribes from the
+ * steps of the navigation that are still running, such as guards and resolvers.
+ */
+export function abortNavigation(transition, aborts) {
+    return source => new Observable(subscriber => {
+        const abort = () => {
+            subscriber.error(navigationCancelingError(ngDevMode && `Navigation ID ${transition.id} was aborted`, 4 /* NavigationCancellationCode.Aborted */));
+        };
+        const subscription = source.subscribe(subscriber);
+        const signal = transition.extras.signal;
+        if (signal?.aborted) {
+            abort();
+            return subscription;
+        }
+        subscription.add(aborts.pipe(filter(id => id === transition.id)).subscribe(abort));
+        if (signal) {
+            subscription.add(fromEvent(signal, 'abort').subscribe(abort));
+        }
+        return subscription;
+    });
+}
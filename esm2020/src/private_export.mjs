@@ -6,8 +6,7 @@
  * found in the LICENSE file at https://angular.io/license
  */
 export { ɵEmptyOutletComponent } from './components/empty_outlet';
-export { withPreloading as ɵwithPreloading } from './provide_router';
+export { afterNextNavigation as ɵafterNextNavigation, withPreloading as ɵwithPreloading } from './provide_router';
 export { assignExtraOptionsToRouter as ɵassignExtraOptionsToRouter } from './router';
 export { ROUTER_PROVIDERS as ɵROUTER_PROVIDERS } from './router_module';
 export { flatten as ɵflatten } from './utils/collection';
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicHJpdmF0ZV9leHBvcnQuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi9wYWNrYWdlcy9yb3V0ZXIvc3JjL3ByaXZhdGVfZXhwb3J0LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBOzs7Ozs7R0FNRztBQUdILE9BQU8sRUFBQyxxQkFBcUIsRUFBQyxNQUFNLDJCQUEyQixDQUFDO0FBR2hFLE9BQU8sRUFBQyxjQUFjLElBQUksZUFBZSxFQUFDLE1BQU0sa0JBQWtCLENBQUM7QUFDbkUsT0FBTyxFQUFDLDBCQUEwQixJQUFJLDJCQUEyQixFQUFDLE1BQU0sVUFBVSxDQUFDO0FBQ25GLE9BQU8sRUFBQyxnQkFBZ0IsSUFBSSxpQkFBaUIsRUFBQyxNQUFNLGlCQUFpQixDQUFDO0FBQ3RFLE9BQU8sRUFBQyxPQUFPLElBQUksUUFBUSxFQUFDLE1BQU0sb0JBQW9CLENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIExMQyBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cblxuXG5leHBvcnQge8m1RW1wdHlPdXRsZXRDb21wb25lbnR9IGZyb20gJy4vY29tcG9uZW50cy9lbXB0eV9vdXRsZXQnO1xuZXhwb3J0IHtEZXByZWNhdGVkTG9hZENoaWxkcmVuIGFzIMm1RGVwcmVjYXRlZExvYWRDaGlsZHJlbn0gZnJvbSAnLi9kZXByZWNhdGVkX2xvYWRfY2hpbGRyZW4nO1xuZXhwb3J0IHtSZXN0b3JlZFN0YXRlIGFzIMm1UmVzdG9yZWRTdGF0ZX0gZnJvbSAnLi9uYXZpZ2F0aW9uX3RyYW5zaXRpb24nO1xuZXhwb3J0IHt3aXRoUHJlbG9hZGluZyBhcyDJtXdpdGhQcmVsb2FkaW5nfSBmcm9tICcuL3Byb3ZpZGVfcm91dGVyJztcbmV4cG9ydCB7YXNzaWduRXh0cmFPcHRpb25zVG9Sb3V0ZXIgYXMgybVhc3NpZ25FeHRyYU9wdGlvbnNUb1JvdXRlcn0gZnJvbSAnLi9yb3V0ZXInO1xuZXhwb3J0IHtST1VURVJfUFJPVklERVJTIGFzIMm1Uk9VVEVSX1BST1ZJREVSU30gZnJvbSAnLi9yb3V0ZXJfbW9kdWxlJztcbmV4cG9ydCB7ZmxhdHRlbiBhcyDJtWZsYXR0ZW59IGZyb20gJy4vdXRpbHMvY29sbGVjdGlvbic7XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,149 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const BUILT_IN_QUERY_PARAM_CODECS = {
+    string: {
+        decode: value => value,
+        encode: value => value,
+    },
+    number: {
+        decode: value => {
+            const number = Number(value);
+            return value.trim() === '' || isNaN(number) ? undefined : number;
+        },
+        encode: value => String(value),
+    },
+    boolean: {
+        decode: value => value === 'true' ? true : value === 'false' ? false : undefined,
+        encode: value => String(value),
+    },
+    date: {
+        decode: value => {
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? undefined : date;
+        },
+        encode: value => value.toISOString(),
+    },
+};
+const INVALID_QUERY_PARAM = {};
+export function getQueryParamCodec(definition) {
+    const type = definition.type ?? 'string';
+    return typeof type === 'string' ? BUILT_IN_QUERY_PARAM_CODECS[type] : type;
+}
+export function isQueryParamType(type) {
+    return type === undefined || BUILT_IN_QUERY_PARAM_CODECS.hasOwnProperty(type) ||
+        (typeof type?.decode === 'function' && typeof type?.encode === 'function');
+}
+/**
+ * Returns the `queryParamsSchema` of the route of `snapshot` merged with the ones of its ancestors.
+ * The definitions of child routes take precedence.
+ */
+export function getQueryParamsSchema(snapshot) {
+    const schema = {};
+    for (const s of snapshot.pathFromRoot) {
+        Object.assign(schema, s.routeConfig?.queryParamsSchema);
+    }
+    return schema;
+}
+/**
+ * Decodes the `queryParams` that are defined in `schema`. Returns the decoded values and the name
+ * of the first invalid query parameter whose definition cancels the navigation, if any.
+ */
+export function decodeQueryParams(queryParams, schema) {
+    const params = {};
+    let canceledBy = null;
+    for (const name of Object.keys(schema)) {
+        const definition = schema[name];
+        const value = queryParams[name] === undefined ? undefined :
+            decodeQueryParam(queryParams[name], definition);
+        if (value === undefined) {
+            if (definition.default !== undefined) {
+                params[name] = definition.default;
+            }
+        }
+        else if (value !== INVALID_QUERY_PARAM) {
+            params[name] = value;
+        }
+        else if (definition.onInvalid === 'cancel') {
+            canceledBy = canceledBy ?? name;
+        }
+        else if (definition.onInvalid === 'default' && definition.default !== undefined) {
+            params[name] = definition.default;
+        }
+    }
+    return { params, canceledBy };
+}
+function decodeQueryParam(rawValue, definition) {
+    if (definition.array) {
+        const values = (Array.isArray(rawValue) ? rawValue : [rawValue])
+            .map(value => decodeQueryParamValue(value, definition));
+        return values.includes(INVALID_QUERY_PARAM) ? INVALID_QUERY_PARAM : values;
+    }
+    return decodeQueryParamValue(Array.isArray(rawValue) ? rawValue[0] : rawValue, definition);
+}
+function decodeQueryParamValue(rawValue, definition) {
+    let value;
+    try {
+        value = getQueryParamCodec(definition).decode(rawValue);
+    }
+    catch {
+        return INVALID_QUERY_PARAM;
+    }
+    if (value === undefined || (definition.values && !definition.values.includes(value)) ||
+        (definition.validate && !definition.validate(value))) {
+        return INVALID_QUERY_PARAM;
+    }
+    return value;
+}
+/**
+ * Decodes the query parameters of `snapshot` and its descendants, and returns the name of the first
+ * invalid query parameter whose definition cancels the navigation, or `null`.
+ */
+export function findCancelingQueryParam(snapshot) {
+    const { params, canceledBy } = decodeQueryParams(snapshot.queryParams, getQueryParamsSchema(snapshot));
+    snapshot._decodedQueryParams = params;
+    if (canceledBy !== null) {
+        return canceledBy;
+    }
+    for (const child of snapshot.children) {
+        const childCanceledBy = findCancelingQueryParam(child);
+        if (childCanceledBy !== null) {
+            return childCanceledBy;
+        }
+    }
+    return null;
+}
+/**
+ * Encodes the values of `queryParams` to strings, with the codec of their definition in `schema`
+ * or, without a definition, according to their type. The values of objects, such as the ones of
+ * `filter[status]` query params, are encoded the same way.
+ */
+export function encodeQueryParams(queryParams, schema) {
+    const encoded = {};
+    for (const name of Object.keys(queryParams)) {
+        const value = queryParams[name];
+        encoded[name] = Array.isArray(value) ?
+            value.map(v => encodeQueryParamValue(v, schema[name])) :
+            encodeQueryParamValue(value, schema[name]);
+    }
+    return encoded;
+}
+function encodeQueryParamValue(value, definition) {
+    if (typeof value === 'string') {
+        return value;
+    }
+    if (definition !== undefined && value !== null && value !== undefined) {
+        return getQueryParamCodec(definition).encode(value);
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+        return encodeQueryParams(value, {});
+    }
+    return `${value}`;
+}
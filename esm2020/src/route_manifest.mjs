@@ -0,0 +1,173 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { EMPTY, from, of } from 'rxjs';
+import { concatMap, map, toArray } from 'rxjs/operators';
+import { createRouteCommands } from './router';
+import { parseParamPart, PRIMARY_OUTLET } from './shared';
+import { wrapIntoObservable } from './utils/collection';
+import { getOrCreateRouteInjectorIfNeeded, getOutlet } from './utils/config';
+/**
+ * Lists the routes of the configuration of `router` that a URL can lead to, with the URLs that
+ * lead to them, for example to prerender the pages of an application or to generate a sitemap at
+ * build time.
+ *
+ * Every route that is not a redirect and has no children gets an entry with the path from the
+ * root of the configuration, the names of its parameters, and its `name`, `title`, `data` and
+ * outlet. Redirects, wildcard routes and routes with a custom `matcher` have no entry, and
+ * neither do their children.
+ *
+ * Routes with `loadChildren` are listed once their children are loaded. With `loadLazyRoutes`,
+ * the children are loaded through the router, the same way a navigation loads them, and so are
+ * the components of routes with `loadComponent`. Guards are not run.
+ *
+ * The `urls` of a route without parameters contain its path. The `urls` of a route with
+ * parameters are created from the parameter values that `getParamValues` returns for it. Without
+ * `getParamValues`, a route whose parameters are all optional gets the URL without them.
+ *
+ * The manifest is created without navigating or rendering anything, so it can be created on the
+ * server or in a build script, with the `Router` of the application.
+ *
+ * @usageNotes
+ *
+ * ```
+ * const manifest = await getRouteManifest(router, {
+ *   loadLazyRoutes: true,
+ *   getParamValues: entry => entry.name === 'product' ?
+ *       inject(ProductService).getIds().pipe(map(ids => ids.map(id => ({id})))) :
+ *       [],
+ * });
+ * const sitemapUrls = manifest.flatMap(entry => entry.urls);
+ * ```
+ *
+ * @param router The router whose configuration is listed.
+ * @param options Options that control the lazy loading and the URLs of the routes.
+ * @returns A Promise that resolves to the entries of the routes, in the order of the configuration.
+ *
+ * @see `RouteManifestEntry`
+ * @see `RouteManifestOptions`
+ *
+ * @publicApi
+ */
+export function getRouteManifest(router, options = {}) {
+    const manifest$ = collectRouteManifestEntries(router, router.config, router.ngModule.injector, [], options)
+        .pipe(toArray());
+    return new Promise((resolve, reject) => {
+        manifest$.subscribe({ next: resolve, error: reject });
+    });
+}
+function collectRouteManifestEntries(router, routes, injector, parents, options) {
+    return from(routes).pipe(concatMap(route => {
+        if (route.redirectTo !== undefined || route.matcher || route.path === '**') {
+            return EMPTY;
+        }
+        const path = [...parents, route];
+        return getChildRoutes(router, route, injector, options).pipe(concatMap(children => {
+            if (children === null) {
+                return EMPTY;
+            }
+            return children.routes.length > 0 ?
+                collectRouteManifestEntries(router, children.routes, children.injector, path, options) :
+                createRouteManifestEntry(router, path, injector, options);
+        }));
+    }));
+}
+/**
+ * Returns the child routes of `route` with the injector they use, loading them when requested, or
+ * `null` when they are lazily loaded and not loaded yet.
+ */
+function getChildRoutes(router, route, injector, options) {
+    const routeInjector = getOrCreateRouteInjectorIfNeeded(route, injector);
+    const children = route.children ?? route._loadedRoutes;
+    if (children) {
+        return of({ routes: children, injector: route._loadedInjector ?? routeInjector });
+    }
+    if (!route.loadChildren) {
+        return of({ routes: [], injector: routeInjector });
+    }
+    if (!options.loadLazyRoutes) {
+        return of(null);
+    }
+    return router.configLoader.loadChildren(routeInjector, route)
+        .pipe(map(config => ({ routes: config.routes, injector: config.injector ?? routeInjector })));
+}
+function createRouteManifestEntry(router, path, injector, options) {
+    const route = path[path.length - 1];
+    const entry = {
+        path: joinRoutePaths(path, 0),
+        params: getRouteParamNames(path),
+        name: route.name,
+        title: typeof route.title === 'string' ? route.title : undefined,
+        data: route.data ?? {},
+        outlet: getOutlet(route),
+        component: route.component ?? route._loadedComponent,
+        route,
+    };
+    const component$ = options.loadLazyRoutes && route.loadComponent ?
+        router.configLoader.loadComponent(route) :
+        of(entry.component);
+    // `getParamValues` can inject the providers of the route
+    const routeInjector = getOrCreateRouteInjectorIfNeeded(route, injector);
+    return component$.pipe(concatMap(component => {
+        const getParamValues = options.getParamValues;
+        let paramValues$;
+        if (entry.params.length === 0) {
+            paramValues$ = of([{}]);
+        }
+        else if (getParamValues) {
+            paramValues$ = wrapIntoObservable(routeInjector.runInContext(() => getParamValues(entry)));
+        }
+        else {
+            paramValues$ = of(hasRequiredParams(path) ? [] : [{}]);
+        }
+        return paramValues$.pipe(map(paramValues => {
+            const urls = paramValues.map(params => {
+                const commands = ['/', ...createRouteCommands(path, params, `the route '${entry.path}'`)];
+                return router.serializeUrl(router.createUrlTree(commands, { relativeTo: null }));
+            });
+            return { ...entry, component, urls };
+        }));
+    }));
+}
+/**
+ * Joins the paths of the routes in `path`, from the one at `start`, into the path of the last
+ * route. The routes rendered in a named outlet continue in parentheses, the way they appear in a
+ * URL.
+ */
+function joinRoutePaths(path, start) {
+    const parts = [];
+    for (let i = start; i < path.length; i++) {
+        const route = path[i];
+        if (i > start && getOutlet(route) !== PRIMARY_OUTLET) {
+            parts.push(`(${getOutlet(route)}:${joinRoutePaths(path, i)})`);
+            break;
+        }
+        parts.push(...route.path.split('/').filter(part => part !== ''));
+    }
+    const joined = parts.join('/');
+    return start === 0 && getOutlet(path[0]) !== PRIMARY_OUTLET ?
+        `(${getOutlet(path[0])}:${joined})` :
+        joined;
+}
+function hasRequiredParams(path) {
+    return path.some(route => route.path.split('/').some(part => {
+        const param = parseParamPart(part);
+        return param !== null && !param.optional;
+    }));
+}
+function getRouteParamNames(path) {
+    const names = [];
+    for (const route of path) {
+        for (const part of route.path.split('/')) {
+            const param = parseParamPart(part);
+            if (param !== null && !names.includes(param.name)) {
+                names.push(param.name);
+            }
+        }
+    }
+    return names;
+}
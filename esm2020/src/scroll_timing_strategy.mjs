@@ -0,0 +1,139 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { DOCUMENT } from '@angular/common';
+import { ApplicationRef, inject, Injectable } from '@angular/core';
+import { Observable } from 'rxjs';
+import { first, switchMap } from 'rxjs/operators';
+import * as i0 from "@angular/core";
+/**
+ * Provides a strategy for deciding when the `Scroll` event is emitted after a navigation ends, that
+ * is, when the scroll position is restored or the page is scrolled to the anchor.
+ *
+ * The built-in `DefaultScrollTimingStrategy` waits for a single macrotask so that the change
+ * detection that renders the activated components has run. Routes that render content
+ * asynchronously may need to wait longer, for example with the `StableScrollTimingStrategy`.
+ *
+ * This class can be used as a base class for custom strategies, which are provided in place of
+ * the `ScrollTimingStrategy`.
+ *
+ * @usageNotes
+ *
+ * The following strategy waits until the routed component reports that its content is rendered:
+ *
+ * ```
+ * @Injectable({providedIn: 'root'})
+ * export class ContentReadyScrollTimingStrategy extends ScrollTimingStrategy {
+ *   readonly contentReady = new Subject<void>();
+ *
+ *   waitForScroll() {
+ *     return this.contentReady.pipe(take(1));
+ *   }
+ * }
+ *
+ * providers: [
+ *   {provide: ScrollTimingStrategy, useExisting: ContentReadyScrollTimingStrategy},
+ * ]
+ * ```
+ *
+ * @publicApi
+ */
+export class ScrollTimingStrategy {
+}
+ScrollTimingStrategy.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: ScrollTimingStrategy, deps: [], target: i0.ɵɵFactoryTarget.Injectable });
+ScrollTimingStrategy.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: ScrollTimingStrategy, providedIn: 'root', useFactory: () => inject(DefaultScrollTimingStrategy) });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: ScrollTimingStrategy, decorators: [{
+            type: Injectable,
+            args: [{ providedIn: 'root', useFactory: () => inject(DefaultScrollTimingStrategy) }]
+        }] });
+/**
+ * The default `ScrollTimingStrategy`, which emits the `Scroll` event in the next macrotask.
+ *
+ * @publicApi
+ */
+export class DefaultScrollTimingStrategy extends ScrollTimingStrategy {
+    waitForScroll() {
+        // The scroll event needs to be delayed until after change detection. Otherwise, we may
+        // attempt to restore the scroll position before the router outlet has fully rendered the
+        // component by executing its update block of the template function.
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+}
+DefaultScrollTimingStrategy.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultScrollTimingStrategy, deps: null, target: i0.ɵɵFactoryTarget.Injectable });
+DefaultScrollTimingStrategy.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultScrollTimingStrategy, providedIn: 'root' });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultScrollTimingStrategy, decorators: [{
+            type: Injectable,
+            args: [{ providedIn: 'root' }]
+        }] });
+/**
+ * A `ScrollTimingStrategy` that waits for the application to become stable, which includes
+ * pending timers and HTTP requests such as the ones made by resolvers or deferred content.
+ *
+ * When a scroll position is restored, the strategy additionally waits, one animation frame at a
+ * time, until the document is large enough to be scrolled to that position. It gives up after
+ * `maxFrames` frames and restores the position anyway.
+ *
+ * Note: An application that never becomes stable, for example because it polls with
+ * `setInterval`, never emits the `Scroll` event with this strategy.
+ *
+ * @usageNotes
+ *
+ * ```
+ * providers: [
+ *   {provide: ScrollTimingStrategy, useExisting: StableScrollTimingStrategy},
+ * ]
+ * ```
+ *
+ * @publicApi
+ */
+export class StableScrollTimingStrategy extends ScrollTimingStrategy {
+    constructor() {
+        super(...arguments);
+        /**
+         * The maximum number of animation frames to wait for the document to grow to the restored
+         * scroll position.
+         */
+        this.maxFrames = 60;
+        this.applicationRef = inject(ApplicationRef);
+        this.document = inject(DOCUMENT);
+    }
+    waitForScroll(routerEvent, position) {
+        return this.applicationRef.isStable.pipe(first(isStable => isStable), switchMap(() => this.waitForDocumentSize(position)));
+    }
+    waitForDocumentSize(position) {
+        return new Observable(subscriber => {
+            const window = this.document.defaultView;
+            let frames = 0;
+            let frameId;
+            const check = () => {
+                if (!position || !window?.requestAnimationFrame || frames++ >= this.maxFrames ||
+                    this.canScrollTo(position)) {
+                    subscriber.next();
+                    subscriber.complete();
+                    return;
+                }
+                frameId = window.requestAnimationFrame(check);
+            };
+            check();
+            return () => {
+                if (frameId !== undefined) {
+                    window?.cancelAnimationFrame(frameId);
+                }
+            };
+        });
+    }
+    canScrollTo([x, y]) {
+        const { scrollWidth, scrollHeight, clientWidth, clientHeight } = this.document.documentElement;
+        return scrollWidth - clientWidth >= x && scrollHeight - clientHeight >= y;
+    }
+}
+StableScrollTimingStrategy.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: StableScrollTimingStrategy, deps: null, target: i0.ɵɵFactoryTarget.Injectable });
+StableScrollTimingStrategy.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: StableScrollTimingStrategy, providedIn: 'root' });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: StableScrollTimingStrategy, decorators: [{
+            type: Injectable,
+            args: [{ providedIn: 'root' }]
+        }] });
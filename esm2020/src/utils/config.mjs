@@ -5,9 +5,11 @@
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
-import { createEnvironmentInjector, ɵisStandalone as isStandalone, ɵRuntimeError as RuntimeError } from '@angular/core';
+import { createEnvironmentInjector, ɵformatRuntimeError as formatRuntimeError, ɵisStandalone as isStandalone, ɵNG_COMP_DEF as NG_COMP_DEF, ɵRuntimeError as RuntimeError } from '@angular/core';
 import { EmptyOutletComponent } from '../components/empty_outlet';
-import { PRIMARY_OUTLET } from '../shared';
+import { isQueryParamType } from '../query_params_schema';
+import { defaultUrlMatcher, matchesEmptyPath, matchesParamConstraint, parseParamPart, PRIMARY_OUTLET } from '../shared';
+import { UrlSegment, UrlSegmentGroup } from '../url_tree';
 /**
  * Creates an `EnvironmentInjector` if the `Route` has providers and one does not already exist
  * and returns the injector. Otherwise, if the `Route` does not have `providers`, returns the
@@ -23,6 +25,39 @@ export function getOrCreateRouteInjectorIfNeeded(route, currentInjector) {
     }
     return route._injector ?? currentInjector;
 }
+/**
+ * Collects the injectors that the router created for `routes` and their descendants, parents before
+ * children.
+ */
+export function collectRouteInjectors(routes, injectors = new Set()) {
+    for (const route of routes) {
+        if (route._injector) {
+            injectors.add(route._injector);
+        }
+        if (route._loadedInjector) {
+            injectors.add(route._loadedInjector);
+        }
+        collectRouteInjectors(route.children ?? route._loadedRoutes ?? [], injectors);
+    }
+    return injectors;
+}
+/**
+ * Collects the injectors of the routes that are activated in the state of `snapshot` and its
+ * descendants.
+ */
+export function collectActivatedRouteInjectors(snapshot, injectors = new Set()) {
+    const route = snapshot.routeConfig;
+    if (route?._injector) {
+        injectors.add(route._injector);
+    }
+    if (route?._loadedInjector) {
+        injectors.add(route._loadedInjector);
+    }
+    for (const child of snapshot.children) {
+        collectActivatedRouteInjectors(child, injectors);
+    }
+    return injectors;
+}
 export function getLoadedRoutes(route) {
     return route._loadedRoutes;
 }
@@ -35,20 +70,34 @@ export function getLoadedComponent(route) {
 export function getProvidersInjector(route) {
     return route._injector;
 }
-export function validateConfig(config, parentPath = '', requireStandaloneComponents = false) {
+export function validateConfig(config, parentPath = '', requireStandaloneComponents = false, routeNames = new Map()) {
     // forEach doesn't iterate undefined values
     for (let i = 0; i < config.length; i++) {
         const route = config[i];
         const fullPath = getFullPath(parentPath, route);
-        validateNode(route, fullPath, requireStandaloneComponents);
+        validateNode(route, fullPath, requireStandaloneComponents, routeNames);
     }
 }
+/**
+ * Collects the names of the routes in `config`, including the children that have already been
+ * loaded, keyed to the full path of the route that declares them.
+ */
+export function collectRouteNames(config, parentPath = '', routeNames = new Map()) {
+    for (const route of config) {
+        const fullPath = getFullPath(parentPath, route);
+        if (route.name !== void 0 && !routeNames.has(route.name)) {
+            routeNames.set(route.name, fullPath);
+        }
+        collectRouteNames(route.children ?? route._loadedRoutes ?? [], fullPath, routeNames);
+    }
+    return routeNames;
+}
 export function assertStandalone(fullPath, component) {
     if (component && !isStandalone(component)) {
         throw new RuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}'. The component must be standalone.`);
     }
 }
-function validateNode(route, fullPath, requireStandaloneComponents) {
+function validateNode(route, fullPath, requireStandaloneComponents, routeNames) {
     if (typeof ngDevMode === 'undefined' || ngDevMode) {
         if (!route) {
             throw new RuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `
@@ -66,6 +115,10 @@ function validateNode(route, fullPath, requireStandaloneComponents) {
         if (Array.isArray(route)) {
             throw new RuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': Array cannot be specified`);
         }
+        if (route.redirectTo !== void 0 && typeof route.redirectTo !== 'string' &&
+            typeof route.redirectTo !== 'function') {
+            throw new RuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': redirectTo must be a string or a function`);
+        }
         if (!route.redirectTo && !route.component && !route.loadComponent && !route.children &&
             !route.loadChildren && (route.outlet && route.outlet !== PRIMARY_OUTLET)) {
             throw new RuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': a componentless route without children or loadChildren cannot have a named outlet set`);
@@ -102,16 +155,60 @@ function validateNode(route, fullPath, requireStandaloneComponents) {
         if (typeof route.path === 'string' && route.path.charAt(0) === '/') {
             throw new RuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': path cannot start with a slash`);
         }
+        if (typeof route.path === 'string') {
+            for (const part of route.path.split('/')) {
+                validateParamPart(part, fullPath);
+            }
+        }
+        for (const name of Object.keys(route.queryParamsSchema ?? {})) {
+            const { type, onInvalid } = route.queryParamsSchema[name];
+            if (!isQueryParamType(type)) {
+                throw new RuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': the type of the query parameter '${name}' must be 'string', 'number', 'boolean', 'date' or a codec with decode and encode functions`);
+            }
+            if (onInvalid !== undefined && !['drop', 'default', 'cancel'].includes(onInvalid)) {
+                throw new RuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': onInvalid of the query parameter '${name}' must be 'drop', 'default' or 'cancel'`);
+            }
+        }
         if (route.path === '' && route.redirectTo !== void 0 && route.pathMatch === void 0) {
             const exp = `The default value of 'pathMatch' is 'prefix', but often the intent is to use 'full'.`;
             throw new RuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '{path: "${fullPath}", redirectTo: "${route.redirectTo}"}': please provide 'pathMatch'. ${exp}`);
         }
+        if (route.childrenMatchingStrategy !== void 0 &&
+            !['firstMatch', 'mostSpecific'].includes(route.childrenMatchingStrategy)) {
+            throw new RuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': childrenMatchingStrategy must be 'firstMatch' or 'mostSpecific'`);
+        }
+        if (route.name !== void 0) {
+            if (typeof route.name !== 'string' || route.name === '') {
+                throw new RuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': name must be a non-empty string`);
+            }
+            if (routeNames.has(route.name)) {
+                throw new RuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': the name '${route.name}' is already used by the route '${routeNames.get(route.name)}'`);
+            }
+            routeNames.set(route.name, fullPath);
+        }
         if (requireStandaloneComponents) {
             assertStandalone(fullPath, route.component);
         }
     }
     if (route.children) {
-        validateConfig(route.children, fullPath, requireStandaloneComponents);
+        validateConfig(route.children, fullPath, requireStandaloneComponents, routeNames);
+    }
+}
+function validateParamPart(part, fullPath) {
+    const param = parseParamPart(part);
+    if (param === null) {
+        return;
+    }
+    if (param.name === '' || /[()?]/.test(param.name)) {
+        throw new RuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': the parameter '${part}' must be a name, optionally followed by a constraint in parentheses and a '?'`);
+    }
+    if (param.pattern !== null) {
+        try {
+            matchesParamConstraint(param.pattern, '');
+        }
+        catch {
+            throw new RuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': the constraint of the parameter '${param.name}' is not a valid regular expression`);
+        }
     }
 }
 function getFullPath(parentPath, currentRoute) {
@@ -131,6 +228,244 @@ function getFullPath(parentPath, currentRoute) {
         return `${parentPath}/${currentRoute.path}`;
     }
 }
+/**
+ * Reports likely mistakes in the root route config as dev-mode warnings. See `lintConfig`.
+ */
+export function lintRootConfig(config, routeMatchingStrategy = 'firstMatch') {
+    lintConfig(config, '', undefined, routeMatchingStrategy, routeMatchingStrategy, true);
+}
+/**
+ * Reports likely mistakes in the `routes` lazily loaded for `parentRoute` as dev-mode warnings. The
+ * absolute redirects of the loaded routes are not checked because the rest of the config is not
+ * known.
+ */
+export function lintLoadedConfig(routes, parentRoute, routeMatchingStrategy = 'firstMatch') {
+    const parentComponent = parentRoute.component ?? parentRoute._loadedComponent;
+    lintConfig(routes, parentRoute.path ?? '', parentComponent, parentRoute.childrenMatchingStrategy ?? routeMatchingStrategy, routeMatchingStrategy, false);
+}
+/**
+ * Warns about:
+ * - routes that can never be matched because an earlier sibling, a wildcard or a parameter route
+ * without `canMatch` guards, matches all their URLs,
+ * - sibling routes with the same path,
+ * - redirects that end up in a cycle,
+ * - `redirectTo` targets that match no route,
+ * - routes of named outlets whose parent component does not use `RouterOutlet`.
+ *
+ * `parentComponent` is the component that renders the outlets of `config`, or `undefined` when it
+ * is not known yet.
+ */
+function lintConfig(config, parentPath, parentComponent, matchingStrategy, defaultMatchingStrategy, checkAbsoluteRedirects) {
+    const redirects = [];
+    lintRoutes(config, parentPath, [], parentComponent, matchingStrategy, defaultMatchingStrategy, redirects);
+    const reportedCycles = new Set();
+    for (const redirect of redirects) {
+        if (redirect.target === null || (redirect.absolute && !checkAbsoluteRedirects)) {
+            continue;
+        }
+        let result = matchUrl(config, redirect.target, [], matchingStrategy, defaultMatchingStrategy);
+        if (result === null) {
+            warnRouteConfig(`The redirectTo '${redirect.route.redirectTo}' of the route '${redirect.fullPath}' does not match any route.`);
+            continue;
+        }
+        // Follow the redirects to find cycles. Redirects that keep growing the URL stop at the limit.
+        const urls = [redirect.target.join('/')];
+        while (result !== null && result !== MATCHED_URL && urls.length < MAX_LINTED_REDIRECTS) {
+            const url = result.join('/');
+            const cycleStart = urls.indexOf(url);
+            if (cycleStart !== -1) {
+                const cycle = urls.slice(cycleStart);
+                const cycleKey = [...cycle].sort().join(' ');
+                if (!reportedCycles.has(cycleKey)) {
+                    reportedCycles.add(cycleKey);
+                    warnRouteConfig(`The redirect of the route '${redirect.fullPath}' leads to a redirect cycle: ${[...cycle, url].map(u => `'/${u}'`).join(' -> ')}.`);
+                }
+                break;
+            }
+            urls.push(url);
+            result = matchUrl(config, result, [], matchingStrategy, defaultMatchingStrategy);
+        }
+    }
+}
+const MAX_LINTED_REDIRECTS = 32;
+function lintRoutes(routes, parentPath, parentSegments, parentComponent, matchingStrategy, defaultMatchingStrategy, redirects) {
+    const siblings = [];
+    // Invalid routes are reported by `validateConfig`
+    const validRoutes = routes.filter(route => route && !Array.isArray(route));
+    for (const route of sortByMatchingStrategy(validRoutes, matchingStrategy)) {
+        const fullPath = getFullPath(parentPath, route);
+        const outlet = getOutlet(route);
+        const shadowingSibling = siblings.find(sibling => getOutlet(sibling) === outlet && isShadowedBy(route, sibling));
+        if (shadowingSibling?.path === route.path) {
+            warnRouteConfig(`The route '${fullPath}' has the same path as a sibling route that comes before it.`);
+        }
+        else if (shadowingSibling) {
+            warnRouteConfig(`The route '${fullPath}' can never be matched because the route '${getFullPath(parentPath, shadowingSibling)}' comes before it and matches the same URLs.`);
+        }
+        siblings.push(route);
+        if (outlet !== PRIMARY_OUTLET && parentComponent && !usesRouterOutlet(parentComponent)) {
+            warnRouteConfig(`The route '${fullPath}' is rendered in the outlet '${outlet}', but the component ${parentComponent.name} of its parent does not use a <router-outlet>.`);
+        }
+        if (typeof route.redirectTo === 'string' && typeof route.path === 'string') {
+            redirects.push({
+                route,
+                fullPath,
+                absolute: route.redirectTo.startsWith('/'),
+                target: getRedirectTarget(route.redirectTo, parentSegments),
+            });
+        }
+        const children = route.children ?? route._loadedRoutes;
+        if (children && typeof route.path === 'string') {
+            const component = route.component ?? route._loadedComponent ??
+                (route.loadComponent ? undefined : parentComponent);
+            lintRoutes(children, fullPath, [...parentSegments, ...route.path.split('/').filter(p => p !== '')], component, route.childrenMatchingStrategy ?? defaultMatchingStrategy, defaultMatchingStrategy, redirects);
+        }
+    }
+}
+/**
+ * Whether `route` has the same path as the `sibling` that comes before it, or can never be matched
+ * because the sibling matches all of its URLs.
+ */
+function isShadowedBy(route, sibling) {
+    if (sibling.canMatch?.length || typeof sibling.path !== 'string' ||
+        typeof route.path !== 'string') {
+        return false;
+    }
+    if (sibling.path === route.path) {
+        // Empty path routes with children are often used to group routes, so they are only duplicates
+        // when both of them cannot match any further segment.
+        const hasChildren = (r) => !!(r.children || r.loadChildren);
+        return route.path !== '' || (!hasChildren(sibling) && !hasChildren(route));
+    }
+    if (sibling.path === '**') {
+        return true;
+    }
+    // A route with children can match URLs that are longer than its path, which the sibling does
+    // not match when it has no children. When the sibling has children, it may not match a URL and
+    // let the route match it.
+    if (sibling.children || sibling.loadChildren || sibling.redirectTo !== undefined ||
+        route.children || route.loadChildren) {
+        return false;
+    }
+    const siblingParts = sibling.path.split('/').filter(p => p !== '');
+    const parts = route.path.split('/').filter(p => p !== '');
+    const matchesAllUrls = route.path !== '**' && siblingParts.length === parts.length &&
+        siblingParts.every((part, i) => {
+            const param = parseParamPart(part);
+            const routeParam = parseParamPart(parts[i]);
+            if (param?.optional || routeParam?.optional) {
+                return false;
+            }
+            return part === parts[i] || (param !== null && param.pattern === null);
+        });
+    return matchesAllUrls;
+}
+/**
+ * Whether the template of `component`, or of a component that it renders, may contain a
+ * `<router-outlet>`. Returns `true` whenever this cannot be known statically.
+ */
+function usesRouterOutlet(component, visited = new Set()) {
+    if (visited.has(component)) {
+        return false;
+    }
+    visited.add(component);
+    const def = component[NG_COMP_DEF];
+    const directiveDefs = typeof def?.directiveDefs === 'function' ? def.directiveDefs() : def?.directiveDefs;
+    if (!directiveDefs) {
+        // The directives are not known, for example before the scope of the NgModule is set
+        return true;
+    }
+    return directiveDefs.some(directive => directive.selectors.some(selector => selector.includes('router-outlet') ||
+        // Components created dynamically are not known
+        selector.includes('ngComponentOutlet')) ||
+        (directive.type[NG_COMP_DEF] !== undefined && usesRouterOutlet(directive.type, visited)));
+}
+/**
+ * Returns the segments of the URL that `redirectTo` leads to from the segments of the parent
+ * routes, or `null` when it cannot be known statically, such as with parameters or outlets.
+ */
+function getRedirectTarget(redirectTo, parentSegments) {
+    const path = redirectTo.split(/[?#]/)[0];
+    if (/[:;()]/.test(path)) {
+        return null;
+    }
+    const segments = path.split('/').filter(s => s !== '');
+    if (path.startsWith('/')) {
+        return segments;
+    }
+    return parentSegments.some(s => s.startsWith(':')) ? null : [...parentSegments, ...segments];
+}
+/** The result of `matchUrl` when the URL is matched by a route that is not a redirect. */
+const MATCHED_URL = [];
+/**
+ * Matches the URL `segments` against `routes` in the order of the matching strategy of each level,
+ * like the router does without guards. Returns `MATCHED_URL` when a route matches, the segments that
+ * a matching redirect leads to, or `null` when no route matches. URLs that cannot be checked
+ * statically, such as with custom matchers or routes that are not loaded yet, are considered
+ * matched.
+ */
+function matchUrl(routes, segments, parentSegments, matchingStrategy, defaultMatchingStrategy) {
+    const validRoutes = routes.filter(route => route && !Array.isArray(route));
+    for (const route of sortByMatchingStrategy(validRoutes, matchingStrategy)) {
+        if (route.matcher) {
+            return MATCHED_URL;
+        }
+        const consumed = getConsumedSegmentCount(route, segments);
+        if (consumed === null) {
+            continue;
+        }
+        const remaining = segments.slice(consumed);
+        if (route.redirectTo !== undefined) {
+            const target = typeof route.redirectTo === 'string' ?
+                getRedirectTarget(route.redirectTo, parentSegments) :
+                null;
+            return target === null ? MATCHED_URL : [...target, ...remaining];
+        }
+        if (remaining.length === 0 || (route.loadChildren && !route._loadedRoutes)) {
+            return MATCHED_URL;
+        }
+        const children = route.children ?? route._loadedRoutes;
+        if (children) {
+            const result = matchUrl(children, remaining, [...parentSegments, ...segments.slice(0, consumed)], route.childrenMatchingStrategy ?? defaultMatchingStrategy, defaultMatchingStrategy);
+            if (result !== null) {
+                return result;
+            }
+        }
+    }
+    return null;
+}
+function getConsumedSegmentCount(route, segments) {
+    if (route.path === '**') {
+        return segments.length;
+    }
+    if (route.path === '') {
+        return route.pathMatch === 'full' && segments.length > 0 ? null : 0;
+    }
+    if (typeof route.path !== 'string') {
+        return null;
+    }
+    const urlSegments = segments.map(s => new UrlSegment(s, {}));
+    const result = defaultUrlMatcher(urlSegments, new UrlSegmentGroup(urlSegments, {}), route);
+    return result ? result.consumed.length : null;
+}
+function warnRouteConfig(message) {
+    console.warn(formatRuntimeError(4018 /* RuntimeErrorCode.SUSPICIOUS_ROUTE_CONFIG */, message));
+}
+/**
+ * Finds the routes with the given `name` in `routes` and their descendants, including the children
+ * that were lazily loaded. Each match is returned as the list of routes from the root to the named
+ * route.
+ */
+export function findNamedRoutes(routes, name, parents = [], matches = []) {
+    for (const route of routes) {
+        const path = [...parents, route];
+        if (route.name === name) {
+            matches.push(path);
+        }
+        findNamedRoutes(route.children ?? route._loadedRoutes ?? [], name, path, matches);
+    }
+    return matches;
+}
 /**
  * Makes a copy of the config and adds any default required properties.
  */
@@ -156,6 +491,118 @@ export function sortByMatchingOutlets(routes, outletName) {
     sortedConfig.push(...routes.filter(r => getOutlet(r) !== outletName));
     return sortedConfig;
 }
+/**
+ * Returns the routes in the order in which they are tried with the given `RouteMatchingStrategy`.
+ *
+ * With `'mostSpecific'`, the paths are compared segment by segment: static segments come before
+ * parameters with a constraint, then other parameters, then optional parameters. A route whose
+ * path is a prefix of another route comes after it, so empty paths come after the paths that
+ * consume segments, and wildcard routes come last. A route with children ranks by its path
+ * followed by the path of its most specific child. A route that only matches its full path ranks as
+ * if its path ended with a segment more specific than any other, so it comes before the routes
+ * that match the same URLs by a prefix. Routes of the same rank keep their order.
+ *
+ * A route with children that are not loaded yet cannot be ranked when it can match an empty path,
+ * so it stays in place and only the routes between such routes are sorted.
+ */
+export function sortByMatchingStrategy(routes, strategy) {
+    if (strategy !== 'mostSpecific') {
+        return routes;
+    }
+    let sortedConfig = mostSpecificRoutes.get(routes);
+    if (sortedConfig === undefined) {
+        sortedConfig = sortBySpecificity(routes);
+        mostSpecificRoutes.set(routes, sortedConfig);
+    }
+    return sortedConfig;
+}
+/**
+ * The routes of each `routes` array in the order of the `'mostSpecific'` strategy, which every
+ * navigation needs at every level. The order depends on the children loaded below the routes.
+ */
+let mostSpecificRoutes = new WeakMap();
+/**
+ * Forgets the orders of the `'mostSpecific'` strategy, which must be called whenever the loaded
+ * children of a route change.
+ */
+export function clearMatchingStrategyCache() {
+    mostSpecificRoutes = new WeakMap();
+}
+function sortBySpecificity(routes) {
+    const sortedConfig = [];
+    let rankedRoutes = [];
+    const flushRankedRoutes = () => {
+        rankedRoutes.sort((a, b) => compareSpecificityRanks(a.rank, b.rank) || a.index - b.index);
+        sortedConfig.push(...rankedRoutes.map(({ route }) => route));
+        rankedRoutes = [];
+    };
+    routes.forEach((route, index) => {
+        const rank = getSpecificityRank(route);
+        if (rank === undefined) {
+            flushRankedRoutes();
+            sortedConfig.push(route);
+        }
+        else {
+            rankedRoutes.push({ route, index, rank });
+        }
+    });
+    flushRankedRoutes();
+    return sortedConfig;
+}
+const FULL_PATH_MATCH_RANK = 5;
+const STATIC_SEGMENT_RANK = 4;
+const CONSTRAINED_PARAM_RANK = 3;
+const PARAM_RANK = 2;
+const OPTIONAL_PARAM_RANK = 1;
+/**
+ * Returns the rank of each segment of the path of the route, or `null` for a wildcard route. A
+ * custom matcher ranks like a single parameter. The segments of the most specific child of a route
+ * that matches a prefix are appended to its own, and `undefined` is returned for a route that can
+ * match an empty path and whose children are not loaded yet.
+ */
+function getSpecificityRank(route) {
+    if (route.path === '**') {
+        return null;
+    }
+    if (route.matcher) {
+        return [PARAM_RANK];
+    }
+    const rank = getPathSpecificityRank(route.path ?? '');
+    if (route.pathMatch === 'full') {
+        return [...rank, FULL_PATH_MATCH_RANK];
+    }
+    const children = route.children ?? route._loadedRoutes;
+    if (children === undefined) {
+        return matchesEmptyPath(route.path ?? '') && route.loadChildren ? undefined : rank;
+    }
+    const childRanks = children.map(getSpecificityRank)
+        .filter((childRank) => !!childRank)
+        .sort(compareSpecificityRanks);
+    return childRanks.length > 0 ? [...rank, ...childRanks[0]] : rank;
+}
+function getPathSpecificityRank(path) {
+    return path.split('/').filter(part => part !== '').map(part => {
+        const param = parseParamPart(part);
+        if (param === null) {
+            return STATIC_SEGMENT_RANK;
+        }
+        if (param.optional) {
+            return OPTIONAL_PARAM_RANK;
+        }
+        return param.pattern !== null ? CONSTRAINED_PARAM_RANK : PARAM_RANK;
+    });
+}
+function compareSpecificityRanks(a, b) {
+    if (a === null || b === null) {
+        return (a === null ? 1 : 0) - (b === null ? 1 : 0);
+    }
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] !== b[i]) {
+            return b[i] - a[i];
+        }
+    }
+    return b.length - a.length;
+}
 /**
  * Gets the first injector in the snapshot's parent tree.
  *
@@ -190,4 +637,3 @@ export function getClosestRouteInjector(snapshot) {
     }
     return null;
 }
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY29uZmlnLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vLi4vLi4vLi4vLi4vLi4vLi4vcGFja2FnZXMvcm91dGVyL3NyYy91dGlscy9jb25maWcudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUE7Ozs7OztHQU1HO0FBRUgsT0FBTyxFQUFDLHlCQUF5QixFQUE2QixhQUFhLElBQUksWUFBWSxFQUFFLGFBQWEsSUFBSSxZQUFZLEVBQUMsTUFBTSxlQUFlLENBQUM7QUFFakosT0FBTyxFQUFDLG9CQUFvQixFQUFDLE1BQU0sNEJBQTRCLENBQUM7QUFJaEUsT0FBTyxFQUFDLGNBQWMsRUFBQyxNQUFNLFdBQVcsQ0FBQztBQUV6Qzs7Ozs7OztHQU9HO0FBQ0gsTUFBTSxVQUFVLGdDQUFnQyxDQUM1QyxLQUFZLEVBQUUsZUFBb0M7SUFDcEQsSUFBSSxLQUFLLENBQUMsU0FBUyxJQUFJLENBQUMsS0FBSyxDQUFDLFNBQVMsRUFBRTtRQUN2QyxLQUFLLENBQUMsU0FBUztZQUNYLHlCQUF5QixDQUFDLEtBQUssQ0FBQyxTQUFTLEVBQUUsZUFBZSxFQUFFLFVBQVUsS0FBSyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUM7S0FDekY7SUFDRCxPQUFPLEtBQUssQ0FBQyxTQUFTLElBQUksZUFBZSxDQUFDO0FBQzVDLENBQUM7QUFFRCxNQUFNLFVBQVUsZUFBZSxDQUFDLEtBQVk7SUFDMUMsT0FBTyxLQUFLLENBQUMsYUFBYSxDQUFDO0FBQzdCLENBQUM7QUFFRCxNQUFNLFVBQVUsaUJBQWlCLENBQUMsS0FBWTtJQUM1QyxPQUFPLEtBQUssQ0FBQyxlQUFlLENBQUM7QUFDL0IsQ0FBQztBQUNELE1BQU0sVUFBVSxrQkFBa0IsQ0FBQyxLQUFZO0lBQzdDLE9BQU8sS0FBSyxDQUFDLGdCQUFnQixDQUFDO0FBQ2hDLENBQUM7QUFFRCxNQUFNLFVBQVUsb0JBQW9CLENBQUMsS0FBWTtJQUMvQyxPQUFPLEtBQUssQ0FBQyxTQUFTLENBQUM7QUFDekIsQ0FBQztBQUVELE1BQU0sVUFBVSxjQUFjLENBQzFCLE1BQWMsRUFBRSxhQUFxQixFQUFFLEVBQUUsMkJBQTJCLEdBQUcsS0FBSztJQUM5RSwyQ0FBMkM7SUFDM0MsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLEVBQUU7UUFDdEMsTUFBTSxLQUFLLEdBQVUsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQy9CLE1BQU0sUUFBUSxHQUFXLFdBQVcsQ0FBQyxVQUFVLEVBQUUsS0FBSyxDQUFDLENBQUM7UUFDeEQsWUFBWSxDQUFDLEtBQUssRUFBRSxRQUFRLEVBQUUsMkJBQTJCLENBQUMsQ0FBQztLQUM1RDtBQUNILENBQUM7QUFFRCxNQUFNLFVBQVUsZ0JBQWdCLENBQUMsUUFBZ0IsRUFBRSxTQUFrQztJQUNuRixJQUFJLFNBQVMsSUFBSSxDQUFDLFlBQVksQ0FBQyxTQUFTLENBQUMsRUFBRTtRQUN6QyxNQUFNLElBQUksWUFBWSxtREFFbEIsbUNBQW1DLFFBQVEsc0NBQXNDLENBQUMsQ0FBQztLQUN4RjtBQUNILENBQUM7QUFFRCxTQUFTLFlBQVksQ0FBQyxLQUFZLEVBQUUsUUFBZ0IsRUFBRSwyQkFBb0M7SUFDeEYsSUFBSSxPQUFPLFNBQVMsS0FBSyxXQUFXLElBQUksU0FBUyxFQUFFO1FBQ2pELElBQUksQ0FBQyxLQUFLLEVBQUU7WUFDVixNQUFNLElBQUksWUFBWSxtREFBd0M7d0NBQzVCLFFBQVE7Ozs7Ozs7OztLQVMzQyxDQUFDLENBQUM7U0FDRjtRQUNELElBQUksS0FBSyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsRUFBRTtZQUN4QixNQUFNLElBQUksWUFBWSxtREFFbEIsbUNBQW1DLFFBQVEsOEJBQThCLENBQUMsQ0FBQztTQUNoRjtRQUNELElBQUksQ0FBQyxLQUFLLENBQUMsVUFBVSxJQUFJLENBQUMsS0FBSyxDQUFDLFNBQVMsSUFBSSxDQUFDLEtBQUssQ0FBQyxhQUFhLElBQUksQ0FBQyxLQUFLLENBQUMsUUFBUTtZQUNoRixDQUFDLEtBQUssQ0FBQyxZQUFZLElBQUksQ0FBQyxLQUFLLENBQUMsTUFBTSxJQUFJLEtBQUssQ0FBQyxNQUFNLEtBQUssY0FBYyxDQUFDLEVBQUU7WUFDNUUsTUFBTSxJQUFJLFlBQVksbURBRWxCLG1DQUNJLFFBQVEsMEZBQTBGLENBQUMsQ0FBQztTQUM3RztRQUNELElBQUksS0FBSyxDQUFDLFVBQVUsSUFBSSxLQUFLLENBQUMsUUFBUSxFQUFFO1lBQ3RDLE1BQU0sSUFBSSxZQUFZLG1EQUVsQixtQ0FDSSxRQUFRLG9EQUFvRCxDQUFDLENBQUM7U0FDdkU7UUFDRCxJQUFJLEtBQUssQ0FBQyxVQUFVLElBQUksS0FBSyxDQUFDLFlBQVksRUFBRTtZQUMxQyxNQUFNLElBQUksWUFBWSxtREFFbEIsbUNBQ0ksUUFBUSx3REFBd0QsQ0FBQyxDQUFDO1NBQzNFO1FBQ0QsSUFBSSxLQUFLLENBQUMsUUFBUSxJQUFJLEtBQUssQ0FBQyxZQUFZLEVBQUU7WUFDeEMsTUFBTSxJQUFJLFlBQVksbURBRWxCLG1DQUNJLFFBQVEsc0RBQXNELENBQUMsQ0FBQztTQUN6RTtRQUNELElBQUksS0FBSyxDQUFDLFVBQVUsSUFBSSxDQUFDLEtBQUssQ0FBQyxTQUFTLElBQUksS0FBSyxDQUFDLGFBQWEsQ0FBQyxFQUFFO1lBQ2hFLE1BQU0sSUFBSSxZQUFZLG1EQUVsQixtQ0FDSSxRQUFRLG1FQUFtRSxDQUFDLENBQUM7U0FDdEY7UUFDRCxJQUFJLEtBQUssQ0FBQyxTQUFTLElBQUksS0FBSyxDQUFDLGFBQWEsRUFBRTtZQUMxQyxNQUFNLElBQUksWUFBWSxtREFFbEIsbUNBQ0ksUUFBUSx3REFBd0QsQ0FBQyxDQUFDO1NBQzNFO1FBQ0QsSUFBSSxLQUFLLENBQUMsVUFBVSxJQUFJLEtBQUssQ0FBQyxXQUFXLEVBQUU7WUFDekMsTUFBTSxJQUFJLFlBQVksbURBRWxCLG1DQUNJLFFBQVEsNEZBQTRGO2dCQUNwRyx3Q0FBd0MsQ0FBQyxDQUFDO1NBQ25EO1FBQ0QsSUFBSSxLQUFLLENBQUMsSUFBSSxJQUFJLEtBQUssQ0FBQyxPQUFPLEVBQUU7WUFDL0IsTUFBTSxJQUFJLFlBQVksbURBRWxCLG1DQUFtQyxRQUFRLDZDQUE2QyxDQUFDLENBQUM7U0FDL0Y7UUFDRCxJQUFJLEtBQUssQ0FBQyxVQUFVLEtBQUssS0FBSyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsU0FBUyxJQUFJLENBQUMsS0FBSyxDQUFDLGFBQWE7WUFDdkUsQ0FBQyxLQUFLLENBQUMsUUFBUSxJQUFJLENBQUMsS0FBSyxDQUFDLFlBQVksRUFBRTtZQUMxQyxNQUFNLElBQUksWUFBWSxtREFFbEIsbUNBQ0ksUUFBUSwwR0FBMEcsQ0FBQyxDQUFDO1NBQzdIO1FBQ0QsSUFBSSxLQUFLLENBQUMsSUFBSSxLQUFLLEtBQUssQ0FBQyxJQUFJLEtBQUssQ0FBQyxPQUFPLEtBQUssS0FBSyxDQUFDLEVBQUU7WUFDckQsTUFBTSxJQUFJLFlBQVksbURBRWxCLG1DQUNJLFFBQVEsMERBQTBELENBQUMsQ0FBQztTQUM3RTtRQUNELElBQUksT0FBTyxLQUFLLENBQUMsSUFBSSxLQUFLLFFBQVEsSUFBSSxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsS0FBSyxHQUFHLEVBQUU7WUFDbEUsTUFBTSxJQUFJLFlBQVksbURBRWxCLG1DQUFtQyxRQUFRLG1DQUFtQyxDQUFDLENBQUM7U0FDckY7UUFDRCxJQUFJLEtBQUssQ0FBQyxJQUFJLEtBQUssRUFBRSxJQUFJLEtBQUssQ0FBQyxVQUFVLEtBQUssS0FBSyxDQUFDLElBQUksS0FBSyxDQUFDLFNBQVMsS0FBSyxLQUFLLENBQUMsRUFBRTtZQUNsRixNQUFNLEdBQUcsR0FDTCxzRkFBc0YsQ0FBQztZQUMzRixNQUFNLElBQUksWUFBWSxtREFFbEIsMkNBQTJDLFFBQVEsbUJBQy9DLEtBQUssQ0FBQyxVQUFVLG9DQUFvQyxHQUFHLEVBQUUsQ0FBQyxDQUFDO1NBQ3BFO1FBQ0QsSUFBSSwyQkFBMkIsRUFBRTtZQUMvQixnQkFBZ0IsQ0FBQyxRQUFRLEVBQUUsS0FBSyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1NBQzdDO0tBQ0Y7SUFDRCxJQUFJLEtBQUssQ0FBQyxRQUFRLEVBQUU7UUFDbEIsY0FBYyxDQUFDLEtBQUssQ0FBQyxRQUFRLEVBQUUsUUFBUSxFQUFFLDJCQUEyQixDQUFDLENBQUM7S0FDdkU7QUFDSCxDQUFDO0FBRUQsU0FBUyxXQUFXLENBQUMsVUFBa0IsRUFBRSxZQUFtQjtJQUMxRCxJQUFJLENBQUMsWUFBWSxFQUFFO1FBQ2pCLE9BQU8sVUFBVSxDQUFDO0tBQ25CO0lBQ0QsSUFBSSxDQUFDLFVBQVUsSUFBSSxDQUFDLFlBQVksQ0FBQyxJQUFJLEVBQUU7UUFDckMsT0FBTyxFQUFFLENBQUM7S0FDWDtTQUFNLElBQUksVUFBVSxJQUFJLENBQUMsWUFBWSxDQUFDLElBQUksRUFBRTtRQUMzQyxPQUFPLEdBQUcsVUFBVSxHQUFHLENBQUM7S0FDekI7U0FBTSxJQUFJLENBQUMsVUFBVSxJQUFJLFlBQVksQ0FBQyxJQUFJLEVBQUU7UUFDM0MsT0FBTyxZQUFZLENBQUMsSUFBSSxDQUFDO0tBQzFCO1NBQU07UUFDTCxPQUFPLEdBQUcsVUFBVSxJQUFJLFlBQVksQ0FBQyxJQUFJLEVBQUUsQ0FBQztLQUM3QztBQUNILENBQUM7QUFFRDs7R0FFRztBQUNILE1BQU0sVUFBVSxpQkFBaUIsQ0FBQyxDQUFRO0lBQ3hDLE1BQU0sUUFBUSxHQUFHLENBQUMsQ0FBQyxRQUFRLElBQUksQ0FBQyxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsaUJBQWlCLENBQUMsQ0FBQztJQUNqRSxNQUFNLENBQUMsR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDLEVBQUMsR0FBRyxDQUFDLEVBQUUsUUFBUSxFQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUMsR0FBRyxDQUFDLEVBQUMsQ0FBQztJQUMvQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxJQUFJLENBQUMsQ0FBQyxDQUFDLGFBQWEsQ0FBQyxJQUFJLENBQUMsUUFBUSxJQUFJLENBQUMsQ0FBQyxZQUFZLENBQUM7UUFDbEUsQ0FBQyxDQUFDLENBQUMsTUFBTSxJQUFJLENBQUMsQ0FBQyxNQUFNLEtBQUssY0FBYyxDQUFDLEVBQUU7UUFDN0MsQ0FBQyxDQUFDLFNBQVMsR0FBRyxvQkFBb0IsQ0FBQztLQUNwQztJQUNELE9BQU8sQ0FBQyxDQUFDO0FBQ1gsQ0FBQztBQUVELG1FQUFtRTtBQUNuRSxNQUFNLFVBQVUsU0FBUyxDQUFDLEtBQVk7SUFDcEMsT0FBTyxLQUFLLENBQUMsTUFBTSxJQUFJLGNBQWMsQ0FBQztBQUN4QyxDQUFDO0FBRUQ7OztHQUdHO0FBQ0gsTUFBTSxVQUFVLHFCQUFxQixDQUFDLE1BQWMsRUFBRSxVQUFrQjtJQUN0RSxNQUFNLFlBQVksR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxLQUFLLFVBQVUsQ0FBQyxDQUFDO0lBQ3JFLFlBQVksQ0FBQyxJQUFJLENBQUMsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxLQUFLLFVBQVUsQ0FBQyxDQUFDLENBQUM7SUFDdEUsT0FBTyxZQUFZLENBQUM7QUFDdEIsQ0FBQztBQUVEOzs7Ozs7Ozs7OztHQVdHO0FBQ0gsTUFBTSxVQUFVLHVCQUF1QixDQUFDLFFBQWdDO0lBRXRFLElBQUksQ0FBQyxRQUFRO1FBQUUsT0FBTyxJQUFJLENBQUM7SUFFM0IsK0ZBQStGO0lBQy9GLDhGQUE4RjtJQUM5RixvREFBb0Q7SUFDcEQsSUFBSSxRQUFRLENBQUMsV0FBVyxFQUFFLFNBQVMsRUFBRTtRQUNuQyxPQUFPLFFBQVEsQ0FBQyxXQUFXLENBQUMsU0FBUyxDQUFDO0tBQ3ZDO0lBRUQsS0FBSyxJQUFJLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBTSxFQUFFLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLE1BQU0sRUFBRTtRQUM3QyxNQUFNLEtBQUssR0FBRyxDQUFDLENBQUMsV0FBVyxDQUFDO1FBQzVCLG9GQUFvRjtRQUNwRiw4RkFBOEY7UUFDOUYsOEZBQThGO1FBQzlGLGtFQUFrRTtRQUNsRSxJQUFJLEtBQUssRUFBRSxlQUFlO1lBQUUsT0FBTyxLQUFLLENBQUMsZUFBZSxDQUFDO1FBQ3pELElBQUksS0FBSyxFQUFFLFNBQVM7WUFBRSxPQUFPLEtBQUssQ0FBQyxTQUFTLENBQUM7S0FDOUM7SUFFRCxPQUFPLElBQUksQ0FBQztBQUNkLENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIExMQyBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cblxuaW1wb3J0IHtjcmVhdGVFbnZpcm9ubWVudEluamVjdG9yLCBFbnZpcm9ubWVudEluamVjdG9yLCBUeXBlLCDJtWlzU3RhbmRhbG9uZSBhcyBpc1N0YW5kYWxvbmUsIMm1UnVudGltZUVycm9yIGFzIFJ1bnRpbWVFcnJvcn0gZnJvbSAnQGFuZ3VsYXIvY29yZSc7XG5cbmltcG9ydCB7RW1wdHlPdXRsZXRDb21wb25lbnR9IGZyb20gJy4uL2NvbXBvbmVudHMvZW1wdHlfb3V0bGV0JztcbmltcG9ydCB7UnVudGltZUVycm9yQ29kZX0gZnJvbSAnLi4vZXJyb3JzJztcbmltcG9ydCB7Um91dGUsIFJvdXRlc30gZnJvbSAnLi4vbW9kZWxzJztcbmltcG9ydCB7QWN0aXZhdGVkUm91dGVTbmFwc2hvdH0gZnJvbSAnLi4vcm91dGVyX3N0YXRlJztcbmltcG9ydCB7UFJJTUFSWV9PVVRMRVR9IGZyb20gJy4uL3NoYXJlZCc7XG5cbi8qKlxuICogQ3JlYXRlcyBhbiBgRW52aXJvbm1lbnRJbmplY3RvcmAgaWYgdGhlIGBSb3V0ZWAgaGFzIHByb3ZpZGVycyBhbmQgb25lIGRvZXMgbm90IGFscmVhZHkgZXhpc3RcbiAqIGFuZCByZXR1cm5zIHRoZSBpbmplY3Rvci4gT3RoZXJ3aXNlLCBpZiB0aGUgYFJvdXRlYCBkb2VzIG5vdCBoYXZlIGBwcm92aWRlcnNgLCByZXR1cm5zIHRoZVxuICogYGN1cnJlbnRJbmplY3RvcmAuXG4gKlxuICogQHBhcmFtIHJvdXRlIFRoZSByb3V0ZSB0aGF0IG1pZ2h0IGhhdmUgcHJvdmlkZXJzXG4gKiBAcGFyYW0gY3VycmVudEluamVjdG9yIFRoZSBwYXJlbnQgaW5qZWN0b3Igb2YgdGhlIGBSb3V0ZWBcbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIGdldE9yQ3JlYXRlUm91dGVJbmplY3RvcklmTmVlZGVkKFxuICAgIHJvdXRlOiBSb3V0ZSwgY3VycmVudEluamVjdG9yOiBFbnZpcm9ubWVudEluamVjdG9yKSB7XG4gIGlmIChyb3V0ZS5wcm92aWRlcnMgJiYgIXJvdXRlLl9pbmplY3Rvcikge1xuICAgIHJvdXRlLl9pbmplY3RvciA9XG4gICAgICAgIGNyZWF0ZUVudmlyb25tZW50SW5qZWN0b3Iocm91dGUucHJvdmlkZXJzLCBjdXJyZW50SW5qZWN0b3IsIGBSb3V0ZTogJHtyb3V0ZS5wYXRofWApO1xuICB9XG4gIHJldHVybiByb3V0ZS5faW5qZWN0b3IgPz8gY3VycmVudEluamVjdG9yO1xufVxuXG5leHBvcnQgZnVuY3Rpb24gZ2V0TG9hZGVkUm91dGVzKHJvdXRlOiBSb3V0ZSk6IFJvdXRlW118dW5kZWZpbmVkIHtcbiAgcmV0dXJuIHJvdXRlLl9sb2FkZWRSb3V0ZXM7XG59XG5cbmV4cG9ydCBmdW5jdGlvbiBnZXRMb2FkZWRJbmplY3Rvcihyb3V0ZTogUm91dGUpOiBFbnZpcm9ubWVudEluamVjdG9yfHVuZGVmaW5lZCB7XG4gIHJldHVybiByb3V0ZS5fbG9hZGVkSW5qZWN0b3I7XG59XG5leHBvcnQgZnVuY3Rpb24gZ2V0TG9hZGVkQ29tcG9uZW50KHJvdXRlOiBSb3V0ZSk6IFR5cGU8dW5rbm93bj58dW5kZWZpbmVkIHtcbiAgcmV0dXJuIHJvdXRlLl9sb2FkZWRDb21wb25lbnQ7XG59XG5cbmV4cG9ydCBmdW5jdGlvbiBnZXRQcm92aWRlcnNJbmplY3Rvcihyb3V0ZTogUm91dGUpOiBFbnZpcm9ubWVudEluamVjdG9yfHVuZGVmaW5lZCB7XG4gIHJldHVybiByb3V0ZS5faW5qZWN0b3I7XG59XG5cbmV4cG9ydCBmdW5jdGlvbiB2YWxpZGF0ZUNvbmZpZyhcbiAgICBjb25maWc6IFJvdXRlcywgcGFyZW50UGF0aDogc3RyaW5nID0gJycsIHJlcXVpcmVTdGFuZGFsb25lQ29tcG9uZW50cyA9IGZhbHNlKTogdm9pZCB7XG4gIC8vIGZvckVhY2ggZG9lc24ndCBpdGVyYXRlIHVuZGVmaW5lZCB2YWx1ZXNcbiAgZm9yIChsZXQgaSA9IDA7IGkgPCBjb25maWcubGVuZ3RoOyBpKyspIHtcbiAgICBjb25zdCByb3V0ZTogUm91dGUgPSBjb25maWdbaV07XG4gICAgY29uc3QgZnVsbFBhdGg6IHN0cmluZyA9IGdldEZ1bGxQYXRoKHBhcmVudFBhdGgsIHJvdXRlKTtcbiAgICB2YWxpZGF0ZU5vZGUocm91dGUsIGZ1bGxQYXRoLCByZXF1aXJlU3RhbmRhbG9uZUNvbXBvbmVudHMpO1xuICB9XG59XG5cbmV4cG9ydCBmdW5jdGlvbiBhc3NlcnRTdGFuZGFsb25lKGZ1bGxQYXRoOiBzdHJpbmcsIGNvbXBvbmVudDogVHlwZTx1bmtub3duPnx1bmRlZmluZWQpIHtcbiAgaWYgKGNvbXBvbmVudCAmJiAhaXNTdGFuZGFsb25lKGNvbXBvbmVudCkpIHtcbiAgICB0aHJvdyBuZXcgUnVudGltZUVycm9yKFxuICAgICAgICBSdW50aW1lRXJyb3JDb2RlLklOVkFMSURfUk9VVEVfQ09ORklHLFxuICAgICAgICBgSW52YWxpZCBjb25maWd1cmF0aW9uIG9mIHJvdXRlICcke2Z1bGxQYXRofScuIFRoZSBjb21wb25lbnQgbXVzdCBiZSBzdGFuZGFsb25lLmApO1xuICB9XG59XG5cbmZ1bmN0aW9uIHZhbGlkYXRlTm9kZShyb3V0ZTogUm91dGUsIGZ1bGxQYXRoOiBzdHJpbmcsIHJlcXVpcmVTdGFuZGFsb25lQ29tcG9uZW50czogYm9vbGVhbik6IHZvaWQge1xuICBpZiAodHlwZW9mIG5nRGV2TW9kZSA9PT0gJ3VuZGVmaW5lZCcgfHwgbmdEZXZNb2RlKSB7XG4gICAgaWYgKCFyb3V0ZSkge1xuICAgICAgdGhyb3cgbmV3IFJ1bnRpbWVFcnJvcihSdW50aW1lRXJyb3JDb2RlLklOVkFMSURfUk9VVEVfQ09ORklHLCBgXG4gICAgICBJbnZhbGlkIGNvbmZpZ3VyYXRpb24gb2Ygcm91dGUgJyR7ZnVsbFBhdGh9JzogRW5jb3VudGVyZWQgdW5kZWZpbmVkIHJvdXRlLlxuICAgICAgVGhlIHJlYXNvbiBtaWdodCBiZSBhbiBleHRyYSBjb21tYS5cblxuICAgICAgRXhhbXBsZTpcbiAgICAgIGNvbnN0IHJvdXRlczogUm91dGVzID0gW1xuICAgICAgICB7IHBhdGg6ICcnLCByZWRpcmVjdFRvOiAnL2Rhc2hib2FyZCcsIHBhdGhNYXRjaDogJ2Z1bGwnIH0sXG4gICAgICAgIHsgcGF0aDogJ2Rhc2hib2FyZCcsICBjb21wb25lbnQ6IERhc2hib2FyZENvbXBvbmVudCB9LCwgPDwgdHdvIGNvbW1hc1xuICAgICAgICB7IHBhdGg6ICdkZXRhaWwvOmlkJywgY29tcG9uZW50OiBIZXJvRGV0YWlsQ29tcG9uZW50IH1cbiAgICAgIF07XG4gICAgYCk7XG4gICAgfVxuICAgIGlmIChBcnJheS5pc0FycmF5KHJvdXRlKSkge1xuICAgICAgdGhyb3cgbmV3IFJ1bnRpbWVFcnJvcihcbiAgICAgICAgICBSdW50aW1lRXJyb3JDb2RlLklOVkFMSURfUk9VVEVfQ09ORklHLFxuICAgICAgICAgIGBJbnZhbGlkIGNvbmZpZ3VyYXRpb24gb2Ygcm91dGUgJyR7ZnVsbFBhdGh9JzogQXJyYXkgY2Fubm90IGJlIHNwZWNpZmllZGApO1xuICAgIH1cbiAgICBpZiAoIXJvdXRlLnJlZGlyZWN0VG8gJiYgIXJvdXRlLmNvbXBvbmVudCAmJiAhcm91dGUubG9hZENvbXBvbmVudCAmJiAhcm91dGUuY2hpbGRyZW4gJiZcbiAgICAgICAgIXJvdXRlLmxvYWRDaGlsZHJlbiAmJiAocm91dGUub3V0bGV0ICYmIHJvdXRlLm91dGxldCAhPT0gUFJJTUFSWV9PVVRMRVQpKSB7XG4gICAgICB0aHJvdyBuZXcgUnVudGltZUVycm9yKFxuICAgICAgICAgIFJ1bnRpbWVFcnJvckNvZGUuSU5WQUxJRF9ST1VURV9DT05GSUcsXG4gICAgICAgICAgYEludmFsaWQgY29uZmlndXJhdGlvbiBvZiByb3V0ZSAnJHtcbiAgICAgICAgICAgICAgZnVsbFBhdGh9JzogYSBjb21wb25lbnRsZXNzIHJvdXRlIHdpdGhvdXQgY2hpbGRyZW4gb3IgbG9hZENoaWxkcmVuIGNhbm5vdCBoYXZlIGEgbmFtZWQgb3V0bGV0IHNldGApO1xuICAgIH1cbiAgICBpZiAocm91dGUucmVkaXJlY3RUbyAmJiByb3V0ZS5jaGlsZHJlbikge1xuICAgICAgdGhyb3cgbmV3IFJ1bnRpbWVFcnJvcihcbiAgICAgICAgICBSdW50aW1lRXJyb3JDb2RlLklOVkFMSURfUk9VVEVfQ09ORklHLFxuICAgICAgICAgIGBJbnZhbGlkIGNvbmZpZ3VyYXRpb24gb2Ygcm91dGUgJyR7XG4gICAgICAgICAgICAgIGZ1bGxQYXRofSc6IHJlZGlyZWN0VG8gYW5kIGNoaWxkcmVuIGNhbm5vdCBiZSB1c2VkIHRvZ2V0aGVyYCk7XG4gICAgfVxuICAgIGlmIChyb3V0ZS5yZWRpcmVjdFRvICYmIHJvdXRlLmxvYWRDaGlsZHJlbikge1xuICAgICAgdGhyb3cgbmV3IFJ1bnRpbWVFcnJvcihcbiAgICAgICAgICBSdW50aW1lRXJyb3JDb2RlLklOVkFMSURfUk9VVEVfQ09ORklHLFxuICAgICAgICAgIGBJbnZhbGlkIGNvbmZpZ3VyYXRpb24gb2Ygcm91dGUgJyR7XG4gICAgICAgICAgICAgIGZ1bGxQYXRofSc6IHJlZGlyZWN0VG8gYW5kIGxvYWRDaGlsZHJlbiBjYW5ub3QgYmUgdXNlZCB0b2dldGhlcmApO1xuICAgIH1cbiAgICBpZiAocm91dGUuY2hpbGRyZW4gJiYgcm91dGUubG9hZENoaWxkcmVuKSB7XG4gICAgICB0aHJvdyBuZXcgUnVudGltZUVycm9yKFxuICAgICAgICAgIFJ1bnRpbWVFcnJvckNvZGUuSU5WQUxJRF9ST1VURV9DT05GSUcsXG4gICAgICAgICAgYEludmFsaWQgY29uZmlndXJhdGlvbiBvZiByb3V0ZSAnJHtcbiAgICAgICAgICAgICAgZnVsbFBhdGh9JzogY2hpbGRyZW4gYW5kIGxvYWRDaGlsZHJlbiBjYW5ub3QgYmUgdXNlZCB0b2dldGhlcmApO1xuICAgIH1cbiAgICBpZiAocm91dGUucmVkaXJlY3RUbyAmJiAocm91dGUuY29tcG9uZW50IHx8IHJvdXRlLmxvYWRDb21wb25lbnQpKSB7XG4gICAgICB0aHJvdyBuZXcgUnVudGltZUVycm9yKFxuICAgICAgICAgIFJ1bnRpbWVFcnJvckNvZGUuSU5WQUxJRF9ST1VURV9DT05GSUcsXG4gICAgICAgICAgYEludmFsaWQgY29uZmlndXJhdGlvbiBvZiByb3V0ZSAnJHtcbiAgICAgICAgICAgICAgZnVsbFBhdGh9JzogcmVkaXJlY3RUbyBhbmQgY29tcG9uZW50L2xvYWRDb21wb25lbnQgY2Fubm90IGJlIHVzZWQgdG9nZXRoZXJgKTtcbiAgICB9XG4gICAgaWYgKHJvdXRlLmNvbXBvbmVudCAmJiByb3V0ZS5sb2FkQ29tcG9uZW50KSB7XG4gICAgICB0aHJvdyBuZXcgUnVudGltZUVycm9yKFxuICAgICAgICAgIFJ1bnRpbWVFcnJvckNvZGUuSU5WQUxJRF9ST1VURV9DT05GSUcsXG4gICAgICAgICAgYEludmFsaWQgY29uZmlndXJhdGlvbiBvZiByb3V0ZSAnJHtcbiAgICAgICAgICAgICAgZnVsbFBhdGh9JzogY29tcG9uZW50IGFuZCBsb2FkQ29tcG9uZW50IGNhbm5vdCBiZSB1c2VkIHRvZ2V0aGVyYCk7XG4gICAgfVxuICAgIGlmIChyb3V0ZS5yZWRpcmVjdFRvICYmIHJvdXRlLmNhbkFjdGl2YXRlKSB7XG4gICAgICB0aHJvdyBuZXcgUnVudGltZUVycm9yKFxuICAgICAgICAgIFJ1bnRpbWVFcnJvckNvZGUuSU5WQUxJRF9ST1VURV9DT05GSUcsXG4gICAgICAgICAgYEludmFsaWQgY29uZmlndXJhdGlvbiBvZiByb3V0ZSAnJHtcbiAgICAgICAgICAgICAgZnVsbFBhdGh9JzogcmVkaXJlY3RUbyBhbmQgY2FuQWN0aXZhdGUgY2Fubm90IGJlIHVzZWQgdG9nZXRoZXIuIFJlZGlyZWN0cyBoYXBwZW4gYmVmb3JlIGFjdGl2YXRpb24gYCArXG4gICAgICAgICAgICAgIGBzbyBjYW5BY3RpdmF0ZSB3aWxsIG5ldmVyIGJlIGV4ZWN1dGVkLmApO1xuICAgIH1cbiAgICBpZiAocm91dGUucGF0aCAmJiByb3V0ZS5tYXRjaGVyKSB7XG4gICAgICB0aHJvdyBuZXcgUnVudGltZUVycm9yKFxuICAgICAgICAgIFJ1bnRpbWVFcnJvckNvZGUuSU5WQUxJRF9ST1VURV9DT05GSUcsXG4gICAgICAgICAgYEludmFsaWQgY29uZmlndXJhdGlvbiBvZiByb3V0ZSAnJHtmdWxsUGF0aH0nOiBwYXRoIGFuZCBtYXRjaGVyIGNhbm5vdCBiZSB1c2VkIHRvZ2V0aGVyYCk7XG4gICAgfVxuICAgIGlmIChyb3V0ZS5yZWRpcmVjdFRvID09PSB2b2lkIDAgJiYgIXJvdXRlLmNvbXBvbmVudCAmJiAhcm91dGUubG9hZENvbXBvbmVudCAmJlxuICAgICAgICAhcm91dGUuY2hpbGRyZW4gJiYgIXJvdXRlLmxvYWRDaGlsZHJlbikge1xuICAgICAgdGhyb3cgbmV3IFJ1bnRpbWVFcnJvcihcbiAgICAgICAgICBSdW50aW1lRXJyb3JDb2RlLklOVkFMSURfUk9VVEVfQ09ORklHLFxuICAgICAgICAgIGBJbnZhbGlkIGNvbmZpZ3VyYXRpb24gb2Ygcm91dGUgJyR7XG4gICAgICAgICAgICAgIGZ1bGxQYXRofScuIE9uZSBvZiB0aGUgZm9sbG93aW5nIG11c3QgYmUgcHJvdmlkZWQ6IGNvbXBvbmVudCwgbG9hZENvbXBvbmVudCwgcmVkaXJlY3RUbywgY2hpbGRyZW4gb3IgbG9hZENoaWxkcmVuYCk7XG4gICAgfVxuICAgIGlmIChyb3V0ZS5wYXRoID09PSB2b2lkIDAgJiYgcm91dGUubWF0Y2hlciA9PT0gdm9pZCAwKSB7XG4gICAgICB0aHJvdyBuZXcgUnVudGltZUVycm9yKFxuICAgICAgICAgIFJ1bnRpbWVFcnJvckNvZGUuSU5WQUxJRF9ST1VURV9DT05GSUcsXG4gICAgICAgICAgYEludmFsaWQgY29uZmlndXJhdGlvbiBvZiByb3V0ZSAnJHtcbiAgICAgICAgICAgICAgZnVsbFBhdGh9Jzogcm91dGVzIG11c3QgaGF2ZSBlaXRoZXIgYSBwYXRoIG9yIGEgbWF0Y2hlciBzcGVjaWZpZWRgKTtcbiAgICB9XG4gICAgaWYgKHR5cGVvZiByb3V0ZS5wYXRoID09PSAnc3RyaW5nJyAmJiByb3V0ZS5wYXRoLmNoYXJBdCgwKSA9PT0gJy8nKSB7XG4gICAgICB0aHJvdyBuZXcgUnVudGltZUVycm9yKFxuICAgICAgICAgIFJ1bnRpbWVFcnJvckNvZGUuSU5WQUxJRF9ST1VURV9DT05GSUcsXG4gICAgICAgICAgYEludmFsaWQgY29uZmlndXJhdGlvbiBvZiByb3V0ZSAnJHtmdWxsUGF0aH0nOiBwYXRoIGNhbm5vdCBzdGFydCB3aXRoIGEgc2xhc2hgKTtcbiAgICB9XG4gICAgaWYgKHJvdXRlLnBhdGggPT09ICcnICYmIHJvdXRlLnJlZGlyZWN0VG8gIT09IHZvaWQgMCAmJiByb3V0ZS5wYXRoTWF0Y2ggPT09IHZvaWQgMCkge1xuICAgICAgY29uc3QgZXhwID1cbiAgICAgICAgICBgVGhlIGRlZmF1bHQgdmFsdWUgb2YgJ3BhdGhNYXRjaCcgaXMgJ3ByZWZpeCcsIGJ1dCBvZnRlbiB0aGUgaW50ZW50IGlzIHRvIHVzZSAnZnVsbCcuYDtcbiAgICAgIHRocm93IG5ldyBSdW50aW1lRXJyb3IoXG4gICAgICAgICAgUnVudGltZUVycm9yQ29kZS5JTlZBTElEX1JPVVRFX0NPTkZJRyxcbiAgICAgICAgICBgSW52YWxpZCBjb25maWd1cmF0aW9uIG9mIHJvdXRlICd7cGF0aDogXCIke2Z1bGxQYXRofVwiLCByZWRpcmVjdFRvOiBcIiR7XG4gICAgICAgICAgICAgIHJvdXRlLnJlZGlyZWN0VG99XCJ9JzogcGxlYXNlIHByb3ZpZGUgJ3BhdGhNYXRjaCcuICR7ZXhwfWApO1xuICAgIH1cbiAgICBpZiAocmVxdWlyZVN0YW5kYWxvbmVDb21wb25lbnRzKSB7XG4gICAgICBhc3NlcnRTdGFuZGFsb25lKGZ1bGxQYXRoLCByb3V0ZS5jb21wb25lbnQpO1xuICAgIH1cbiAgfVxuICBpZiAocm91dGUuY2hpbGRyZW4pIHtcbiAgICB2YWxpZGF0ZUNvbmZpZyhyb3V0ZS5jaGlsZHJlbiwgZnVsbFBhdGgsIHJlcXVpcmVTdGFuZGFsb25lQ29tcG9uZW50cyk7XG4gIH1cbn1cblxuZnVuY3Rpb24gZ2V0RnVsbFBhdGgocGFyZW50UGF0aDogc3RyaW5nLCBjdXJyZW50Um91dGU6IFJvdXRlKTogc3RyaW5nIHtcbiAgaWYgKCFjdXJyZW50Um91dGUpIHtcbiAgICByZXR1cm4gcGFyZW50UGF0aDtcbiAgfVxuICBpZiAoIXBhcmVudFBhdGggJiYgIWN1cnJlbnRSb3V0ZS5wYXRoKSB7XG4gICAgcmV0dXJuICcnO1xuICB9IGVsc2UgaWYgKHBhcmVudFBhdGggJiYgIWN1cnJlbnRSb3V0ZS5wYXRoKSB7XG4gICAgcmV0dXJuIGAke3BhcmVudFBhdGh9L2A7XG4gIH0gZWxzZSBpZiAoIXBhcmVudFBhdGggJiYgY3VycmVudFJvdXRlLnBhdGgpIHtcbiAgICByZXR1cm4gY3VycmVudFJvdXRlLnBhdGg7XG4gIH0gZWxzZSB7XG4gICAgcmV0dXJuIGAke3BhcmVudFBhdGh9LyR7Y3VycmVudFJvdXRlLnBhdGh9YDtcbiAgfVxufVxuXG4vKipcbiAqIE1ha2VzIGEgY29weSBvZiB0aGUgY29uZmlnIGFuZCBhZGRzIGFueSBkZWZhdWx0IHJlcXVpcmVkIHByb3BlcnRpZXMuXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiBzdGFuZGFyZGl6ZUNvbmZpZyhyOiBSb3V0ZSk6IFJvdXRlIHtcbiAgY29uc3QgY2hpbGRyZW4gPSByLmNoaWxkcmVuICYmIHIuY2hpbGRyZW4ubWFwKHN0YW5kYXJkaXplQ29uZmlnKTtcbiAgY29uc3QgYyA9IGNoaWxkcmVuID8gey4uLnIsIGNoaWxkcmVufSA6IHsuLi5yfTtcbiAgaWYgKCghYy5jb21wb25lbnQgJiYgIWMubG9hZENvbXBvbmVudCkgJiYgKGNoaWxkcmVuIHx8IGMubG9hZENoaWxkcmVuKSAmJlxuICAgICAgKGMub3V0bGV0ICYmIGMub3V0bGV0ICE9PSBQUklNQVJZX09VVExFVCkpIHtcbiAgICBjLmNvbXBvbmVudCA9IEVtcHR5T3V0bGV0Q29tcG9uZW50O1xuICB9XG4gIHJldHVybiBjO1xufVxuXG4vKiogUmV0dXJucyB0aGUgYHJvdXRlLm91dGxldGAgb3IgUFJJTUFSWV9PVVRMRVQgaWYgbm9uZSBleGlzdHMuICovXG5leHBvcnQgZnVuY3Rpb24gZ2V0T3V0bGV0KHJvdXRlOiBSb3V0ZSk6IHN0cmluZyB7XG4gIHJldHVybiByb3V0ZS5vdXRsZXQgfHwgUFJJTUFSWV9PVVRMRVQ7XG59XG5cbi8qKlxuICogU29ydHMgdGhlIGByb3V0ZXNgIHN1Y2ggdGhhdCB0aGUgb25lcyB3aXRoIGFuIG91dGxldCBtYXRjaGluZyBgb3V0bGV0TmFtZWAgY29tZSBmaXJzdC5cbiAqIFRoZSBvcmRlciBvZiB0aGUgY29uZmlncyBpcyBvdGhlcndpc2UgcHJlc2VydmVkLlxuICovXG5leHBvcnQgZnVuY3Rpb24gc29ydEJ5TWF0Y2hpbmdPdXRsZXRzKHJvdXRlczogUm91dGVzLCBvdXRsZXROYW1lOiBzdHJpbmcpOiBSb3V0ZXMge1xuICBjb25zdCBzb3J0ZWRDb25maWcgPSByb3V0ZXMuZmlsdGVyKHIgPT4gZ2V0T3V0bGV0KHIpID09PSBvdXRsZXROYW1lKTtcbiAgc29ydGVkQ29uZmlnLnB1c2goLi4ucm91dGVzLmZpbHRlcihyID0+IGdldE91dGxldChyKSAhPT0gb3V0bGV0TmFtZSkpO1xuICByZXR1cm4gc29ydGVkQ29uZmlnO1xufVxuXG4vKipcbiAqIEdldHMgdGhlIGZpcnN0IGluamVjdG9yIGluIHRoZSBzbmFwc2hvdCdzIHBhcmVudCB0cmVlLlxuICpcbiAqIElmIHRoZSBgUm91dGVgIGhhcyBhIHN0YXRpYyBsaXN0IG9mIHByb3ZpZGVycywgdGhlIHJldHVybmVkIGluamVjdG9yIHdpbGwgYmUgdGhlIG9uZSBjcmVhdGVkIGZyb21cbiAqIHRob3NlLiBJZiBpdCBkb2VzIG5vdCBleGlzdCwgdGhlIHJldHVybmVkIGluamVjdG9yIG1heSBjb21lIGZyb20gdGhlIHBhcmVudHMsIHdoaWNoIG1heSBiZSBmcm9tIGFcbiAqIGxvYWRlZCBjb25maWcgb3IgdGhlaXIgc3RhdGljIHByb3ZpZGVycy5cbiAqXG4gKiBSZXR1cm5zIGBudWxsYCBpZiB0aGVyZSBpcyBuZWl0aGVyIHRoaXMgbm9yIGFueSBwYXJlbnRzIGhhdmUgYSBzdG9yZWQgaW5qZWN0b3IuXG4gKlxuICogR2VuZXJhbGx5IHVzZWQgZm9yIHJldHJpZXZpbmcgdGhlIGluamVjdG9yIHRvIHVzZSBmb3IgZ2V0dGluZyB0b2tlbnMgZm9yIGd1YXJkcy9yZXNvbHZlcnMgYW5kXG4gKiBhbHNvIHVzZWQgZm9yIGdldHRpbmcgdGhlIGNvcnJlY3QgaW5qZWN0b3IgdG8gdXNlIGZvciBjcmVhdGluZyBjb21wb25lbnRzLlxuICovXG5leHBvcnQgZnVuY3Rpb24gZ2V0Q2xvc2VzdFJvdXRlSW5qZWN0b3Ioc25hcHNob3Q6IEFjdGl2YXRlZFJvdXRlU25hcHNob3QpOiBFbnZpcm9ubWVudEluamVjdG9yfFxuICAgIG51bGwge1xuICBpZiAoIXNuYXBzaG90KSByZXR1cm4gbnVsbDtcblxuICAvLyBJZiB0aGUgY3VycmVudCByb3V0ZSBoYXMgaXRzIG93biBpbmplY3Rvciwgd2hpY2ggaXMgY3JlYXRlZCBmcm9tIHRoZSBzdGF0aWMgcHJvdmlkZXJzIG9uIHRoZVxuICAvLyByb3V0ZSBpdHNlbGYsIHdlIHNob3VsZCB1c2UgdGhhdC4gT3RoZXJ3aXNlLCB3ZSBzdGFydCBhdCB0aGUgcGFyZW50IHNpbmNlIHdlIGRvIG5vdCB3YW50IHRvXG4gIC8vIGluY2x1ZGUgdGhlIGxhenkgbG9hZGVkIGluamVjdG9yIGZyb20gdGhpcyByb3V0ZS5cbiAgaWYgKHNuYXBzaG90LnJvdXRlQ29uZmlnPy5faW5qZWN0b3IpIHtcbiAgICByZXR1cm4gc25hcHNob3Qucm91dGVDb25maWcuX2luamVjdG9yO1xuICB9XG5cbiAgZm9yIChsZXQgcyA9IHNuYXBzaG90LnBhcmVudDsgczsgcyA9IHMucGFyZW50KSB7XG4gICAgY29uc3Qgcm91dGUgPSBzLnJvdXRlQ29uZmlnO1xuICAgIC8vIE5vdGUgdGhhdCB0aGUgb3JkZXIgaGVyZSBpcyBpbXBvcnRhbnQuIGBfbG9hZGVkSW5qZWN0b3JgIHN0b3JlZCBvbiB0aGUgcm91dGUgd2l0aFxuICAgIC8vIGBsb2FkQ2hpbGRyZW46ICgpID0+IE5nTW9kdWxlYCBzbyBpdCBhcHBsaWVzIHRvIGNoaWxkIHJvdXRlcyB3aXRoIHByaW9yaXR5LiBUaGUgYF9pbmplY3RvcmBcbiAgICAvLyBpcyBjcmVhdGVkIGZyb20gdGhlIHN0YXRpYyBwcm92aWRlcnMgb24gdGhhdCBwYXJlbnQgcm91dGUsIHNvIGl0IGFwcGxpZXMgdG8gdGhlIGNoaWxkcmVuIGFzXG4gICAgLy8gd2VsbCwgYnV0IG9ubHkgaWYgdGhlcmUgaXMgbm8gbGF6eSBsb2FkZWQgTmdNb2R1bGVSZWYgaW5qZWN0b3IuXG4gICAgaWYgKHJvdXRlPy5fbG9hZGVkSW5qZWN0b3IpIHJldHVybiByb3V0ZS5fbG9hZGVkSW5qZWN0b3I7XG4gICAgaWYgKHJvdXRlPy5faW5qZWN0b3IpIHJldHVybiByb3V0ZS5faW5qZWN0b3I7XG4gIH1cblxuICByZXR1cm4gbnVsbDtcbn1cbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,63 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { DOCUMENT } from '@angular/common';
+import { InjectionToken, NgZone } from '@angular/core';
+import { take } from 'rxjs/operators';
+const NG_DEV_MODE = typeof ngDevMode === 'undefined' || !!ngDevMode;
+export const CREATE_VIEW_TRANSITION = new InjectionToken(NG_DEV_MODE ? 'view transition helper' : '');
+export const VIEW_TRANSITION_OPTIONS = new InjectionToken(NG_DEV_MODE ? 'view transition options' : '');
+/**
+ * A helper function for using browser view transitions. This function skips the call to
+ * `startViewTransition` if the browser does not support it.
+ *
+ * @returns A Promise that resolves when the view transition callback begins.
+ */
+export function createViewTransition(injector, from, to) {
+    const transitionOptions = injector.get(VIEW_TRANSITION_OPTIONS);
+    const document = injector.get(DOCUMENT);
+    // Create promises outside the Angular zone to avoid causing extra change detections
+    return injector.get(NgZone).runOutsideAngular(() => {
+        if (!document.startViewTransition || transitionOptions.skipNextTransition) {
+            transitionOptions.skipNextTransition = false;
+            return Promise.resolve();
+        }
+        let resolveViewTransitionStarted;
+        const viewTransitionStarted = new Promise((resolve) => {
+            resolveViewTransitionStarted = resolve;
+        });
+        const transition = document.startViewTransition(() => {
+            resolveViewTransitionStarted();
+            // We don't actually update the DOM within the transition callback. The resolving of the
+            // above promise unblocks the Router navigation, which synchronously activates and
+            // deactivates routes (the DOM update). This view transition waits for the next change
+            // detection to complete (below), which includes the update phase of the routed components.
+            return createRenderPromise(injector);
+        });
+        const { onViewTransitionCreated } = transitionOptions;
+        if (onViewTransitionCreated) {
+            injector.runInContext(() => onViewTransitionCreated({ transition, from, to }));
+        }
+        return viewTransitionStarted;
+    });
+}
+/**
+ * Resolves once the Angular zone becomes stable again, which happens after the change detection
+ * that follows route activation.
+ */
+function createRenderPromise(injector) {
+    const zone = injector.get(NgZone);
+    return new Promise(resolve => {
+        if (!(zone instanceof NgZone)) {
+            // Without zone.js there is no signal for the end of change detection, so fall back to the
+            // next macrotask.
+            setTimeout(resolve);
+            return;
+        }
+        zone.onStable.pipe(take(1)).subscribe(() => resolve());
+    });
+}
@@ -5,11 +5,11 @@
  */
 
 import * as i0 from '@angular/core';
-import { ɵisObservable, ɵisPromise, ɵRuntimeError, Injectable, EventEmitter, inject, ViewContainerRef, ChangeDetectorRef, EnvironmentInjector, Directive, Input, Output, Component, createEnvironmentInjector, ɵisStandalone, ComponentFactoryResolver, ɵisInjectable, InjectionToken, InjectFlags, NgModuleFactory, Injector, Compiler, NgModuleRef, ɵConsole, NgZone, ɵcoerceToBoolean, ɵɵsanitizeUrlOrResourceUrl, Attribute, HostBinding, HostListener, Optional, ContentChildren, makeEnvironmentProviders, APP_BOOTSTRAP_LISTENER, ENVIRONMENT_INITIALIZER, ApplicationRef, APP_INITIALIZER, NgProbeToken, SkipSelf, NgModule, Inject, Version } from '@angular/core';
-import { from, of, BehaviorSubject, EmptyError, combineLatest, concat, defer, pipe, throwError, Observable, EMPTY, ConnectableObservable, Subject } from 'rxjs';
+import { ɵisObservable, ɵisPromise, ɵRuntimeError, Injectable, EventEmitter, inject, ViewContainerRef, ChangeDetectorRef, EnvironmentInjector, Directive, Input, Output, InjectionToken, reflectComponentType, Component, createEnvironmentInjector, ɵisStandalone, ɵNG_COMP_DEF, ɵformatRuntimeError, ɵisInjectable, ComponentFactoryResolver, NgZone, InjectFlags, NgModuleFactory, Injector, Compiler, NgModuleRef, ɵConsole, ɵcoerceToBoolean, ɵɵsanitizeUrlOrResourceUrl, Attribute, HostBinding, HostListener, Optional, ContentChildren, ApplicationRef, ElementRef, makeEnvironmentProviders, APP_BOOTSTRAP_LISTENER, ENVIRONMENT_INITIALIZER, APP_INITIALIZER, NgProbeToken, SkipSelf, NgModule, Inject, Version } from '@angular/core';
+import { from, of, BehaviorSubject, combineLatest, EmptyError, concat, defer, pipe, throwError, Observable, fromEvent, EMPTY, Subject, ConnectableObservable, timer } from 'rxjs';
 import * as i3 from '@angular/common';
-import { Location, ViewportScroller, LOCATION_INITIALIZED, LocationStrategy, HashLocationStrategy, PathLocationStrategy } from '@angular/common';
-import { map, switchMap, take, startWith, filter, mergeMap, first, concatMap, tap, catchError, scan, last as last$1, takeWhile, defaultIfEmpty, takeLast, mapTo, finalize, refCount, mergeAll } from 'rxjs/operators';
+import { DOCUMENT, Location, ViewportScroller, LOCATION_INITIALIZED, LocationStrategy, HashLocationStrategy, PathLocationStrategy } from '@angular/common';
+import { map, switchMap, take, startWith, filter, mergeMap, first, concatMap, tap, catchError, scan, last as last$1, takeWhile, defaultIfEmpty, takeLast, mapTo, finalize, refCount, timeout, mergeAll, toArray } from 'rxjs/operators';
 import * as i1 from '@angular/platform-browser';
 
 /**
@@ -71,6 +71,11 @@ function convertToParamMap(params) {
  *
  * When no matcher is defined on a `Route`, this is the matcher used by the Router by default.
  *
+ * A parameter in the path can be constrained with a regular expression that the whole segment must
+ * match, such as `:id(\\d+)` or `:kind(movie|series)`, and made optional with a trailing `?`, such
+ * as `:lang?` or `:lang(en|de)?`. A segment that does not satisfy the constraint does not match,
+ * and an optional parameter is skipped when the path cannot match otherwise.
+ *
  * @param segments The remaining unmatched segments in the current navigation
  * @param segmentGroup The current segment group being matched
  * @param route The `Route` to match against.
@@ -83,6 +88,9 @@ function convertToParamMap(params) {
  */
 function defaultUrlMatcher(segments, segmentGroup, route) {
     const parts = route.path.split('/');
+    if (parts.some(part => part.startsWith(':') && (part.endsWith(')') || part.endsWith('?')))) {
+        return matchWithParamConstraints(parts, segments, segmentGroup, route);
+    }
     if (parts.length > segments.length) {
         // The actual URL is shorter than the config, no match
         return null;
@@ -108,6 +116,78 @@ function defaultUrlMatcher(segments, segmentGroup, route) {
     }
     return { consumed: segments.slice(0, parts.length), posParams };
 }
+/**
+ * Parses a part of a route path. Returns `null` for a static part, and the name, the constraint
+ * pattern and whether the parameter is optional for a `:param` part.
+ */
+function parseParamPart(part) {
+    if (!part.startsWith(':')) {
+        return null;
+    }
+    const optional = part.endsWith('?');
+    const param = part.substring(1, optional ? part.length - 1 : part.length);
+    const patternStart = param.indexOf('(');
+    if (patternStart === -1 || !param.endsWith(')')) {
+        return { name: param, pattern: null, optional };
+    }
+    return {
+        name: param.substring(0, patternStart),
+        pattern: param.substring(patternStart + 1, param.length - 1),
+        optional
+    };
+}
+/**
+ * Whether a route `path` can match no URL segments, like the empty path does, which is also the case
+ * of a path that consists of optional parameters only.
+ */
+function matchesEmptyPath(path) {
+    return path === '' ||
+        (typeof path === 'string' && path.split('/').every(part => parseParamPart(part)?.optional));
+}
+const paramConstraints = new Map();
+/** Whether the whole `value` matches the constraint `pattern` of a route parameter. */
+function matchesParamConstraint(pattern, value) {
+    let constraint = paramConstraints.get(pattern);
+    if (constraint === undefined) {
+        constraint = new RegExp(`^(?:${pattern})$`);
+        paramConstraints.set(pattern, constraint);
+    }
+    return constraint.test(value);
+}
+/**
+ * Matches path `parts` with constrained or optional parameters against `segments`. Optional
+ * parameters consume a segment when they can, and are skipped when the remaining parts do not match
+ * otherwise.
+ */
+function matchWithParamConstraints(parts, segments, segmentGroup, route) {
+    const posParams = {};
+    // Returns the number of consumed segments, or -1 when the parts do not match.
+    const match = (partIndex, segmentIndex) => {
+        if (partIndex === parts.length) {
+            const isFullMatch = segmentIndex === segments.length && !segmentGroup.hasChildren();
+            return route.pathMatch !== 'full' || isFullMatch ? segmentIndex : -1;
+        }
+        const part = parts[partIndex];
+        const segment = segments[segmentIndex];
+        const param = parseParamPart(part);
+        if (param === null) {
+            return segment !== undefined && segment.path === part ?
+                match(partIndex + 1, segmentIndex + 1) :
+                -1;
+        }
+        if (segment !== undefined &&
+            (param.pattern === null || matchesParamConstraint(param.pattern, segment.path))) {
+            const consumed = match(partIndex + 1, segmentIndex + 1);
+            if (consumed !== -1) {
+                posParams[param.name] = segment;
+                return consumed;
+            }
+        }
+        return param.optional ? match(partIndex + 1, segmentIndex) : -1;
+    };
+    const consumed = match(0, 0);
+    return consumed === -1 ? null : { consumed: segments.slice(0, consumed), posParams };
+}
 
 /**
  * @license
@@ -143,7 +223,8 @@ function shallowEqual(a, b) {
     return true;
 }
 /**
- * Test equality for arrays of strings or a string.
+ * Test equality for arrays of strings, a string, or objects of nested values, comparing the
+ * values of arrays and objects recursively.
  */
 function equalArraysOrString(a, b) {
     if (Array.isArray(a) && Array.isArray(b)) {
@@ -151,12 +232,26 @@ function equalArraysOrString(a, b) {
             return false;
         const aSorted = [...a].sort();
         const bSorted = [...b].sort();
-        return aSorted.every((val, index) => bSorted[index] === val);
+        return aSorted.every((val, index) => equalArraysOrString(bSorted[index], val));
+    }
+    else if (isNestedParams(a) && isNestedParams(b)) {
+        return shallowEqual(a, b);
     }
     else {
         return a === b;
     }
 }
+/**
+ * Whether the value is an object of nested query params, such as the one parsed from
+ * `filter[status]=x`.
+ */
+function isNestedParams(value) {
+    if (typeof value !== 'object' || value === null) {
+        return false;
+    }
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
 /**
  * Flattens single-level nested arrays.
  */
@@ -202,7 +297,7 @@ function wrapIntoObservable(value) {
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
-const NG_DEV_MODE$a = typeof ngDevMode === 'undefined' || ngDevMode;
+const NG_DEV_MODE$c = typeof ngDevMode === 'undefined' || ngDevMode;
 const pathCompareMap = {
     'exact': equalSegmentGroups,
     'subset': containsSegmentGroup,
@@ -327,7 +422,7 @@ class UrlTree {
         this.root = root;
         this.queryParams = queryParams;
         this.fragment = fragment;
-        if (NG_DEV_MODE$a) {
+        if (NG_DEV_MODE$c) {
             if (root.segments.length > 0) {
                 throw new ɵRuntimeError(4015 /* RuntimeErrorCode.INVALID_ROOT_URL_SEGMENT */, 'The root `UrlSegmentGroup` should not contain `segments`. ' +
                     'Instead, these segments belong in the `children` so they can be associated with a named outlet.');
@@ -483,18 +578,32 @@ i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sh
  * colon syntax to specify the outlet, and the ';parameter=value' syntax (e.g., open=true) to
  * specify route specific parameters.
  *
+ * The format of array and object query parameters can be configured with
+ * `DefaultUrlSerializerOptions`. The same format is used to parse and serialize URLs.
+ *
+ * @usageNotes
+ *
+ * ```
+ * providers: [
+ *   {provide: UrlSerializer, useValue: new DefaultUrlSerializer({arrayFormat: 'brackets'})},
+ * ]
+ * ```
+ *
  * @publicApi
  */
 class DefaultUrlSerializer {
+    constructor(options = {}) {
+        this.options = options;
+    }
     /** Parses a url into a `UrlTree` */
     parse(url) {
-        const p = new UrlParser(url);
+        const p = new UrlParser(url, this.options);
         return new UrlTree(p.parseRootSegment(), p.parseQueryParams(), p.parseFragment());
     }
     /** Converts a `UrlTree` into a url */
     serialize(tree) {
         const segment = `/${serializeSegment(tree.root, true)}`;
-        const query = serializeQueryParams(tree.queryParams);
+        const query = serializeQueryParams(tree.queryParams, this.options);
         const fragment = typeof tree.fragment === `string` ? `#${encodeUriFragment(tree.fragment)}` : '';
         return `${segment}${query}${fragment}`;
     }
@@ -590,17 +699,44 @@ function serializeMatrixParams(params) {
         .map(key => `;${encodeUriSegment(key)}=${encodeUriSegment(params[key])}`)
         .join('');
 }
-function serializeQueryParams(params) {
+function serializeQueryParams(params, options) {
     const strParams = Object.keys(params)
-        .map((name) => {
-        const value = params[name];
-        return Array.isArray(value) ?
-            value.map(v => `${encodeUriQuery(name)}=${encodeUriQuery(v)}`).join('&') :
-            `${encodeUriQuery(name)}=${encodeUriQuery(value)}`;
-    })
+        .map(name => serializeQueryParam(encodeUriQuery(name), params[name], options))
         .filter(s => !!s);
     return strParams.length ? `?${strParams.join('&')}` : '';
 }
+function serializeQueryParam(key, value, options) {
+    if (options.objectFormat === 'brackets' && isPlainObject(value)) {
+        return Object.keys(value)
+            .map(name => serializeQueryParam(`${key}[${encodeUriQuery(name)}]`, value[name], options))
+            .filter(s => !!s)
+            .join('&');
+    }
+    if (!Array.isArray(value)) {
+        // With the comma format, an unescaped comma always separates the values of an array
+        return options.arrayFormat === 'comma' ? `${key}=${encodeCommaSeparatedValue(value)}` :
+                                                 `${key}=${encodeUriQuery(value)}`;
+    }
+    switch (options.arrayFormat) {
+        case 'brackets':
+            return value.map(v => `${key}[]=${encodeUriQuery(v)}`).join('&');
+        case 'comma':
+            // Commas within the values are escaped so that they are not split when the URL is parsed
+            return value.length ? `${key}=${value.map(encodeCommaSeparatedValue).join(',')}` : '';
+        default:
+            return value.map(v => `${key}=${encodeUriQuery(v)}`).join('&');
+    }
+}
+function encodeCommaSeparatedValue(value) {
+    return encodeUriQuery(value).replace(/,/g, '%2C');
+}
+function isPlainObject(value) {
+    if (typeof value !== 'object' || value === null) {
+        return false;
+    }
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
 const SEGMENT_RE = /^[^\/()?;=#]+/;
 function matchSegments(str) {
     const match = str.match(SEGMENT_RE);
@@ -613,14 +749,18 @@ function matchQueryParams(str) {
     return match ? match[0] : '';
 }
 const QUERY_PARAM_VALUE_RE = /^[^&#]+/;
+const QUERY_PARAM_KEY_PATH_RE = /^([^\[\]]+)((?:\[[^\[\]]*\])+)$/;
+// Names that would reach `Object.prototype` when walking down the nested query params
+const UNSAFE_QUERY_PARAM_NAMES = ['__proto__', 'constructor', 'prototype'];
 // Return the value of the query param at the start of the string or an empty string
 function matchUrlQueryParamValue(str) {
     const match = str.match(QUERY_PARAM_VALUE_RE);
     return match ? match[0] : '';
 }
 class UrlParser {
-    constructor(url) {
+    constructor(url, options = {}) {
         this.url = url;
+        this.options = options;
         this.remaining = url;
     }
     parseRootSegment() {
@@ -675,7 +815,7 @@ class UrlParser {
     parseSegment() {
         const path = matchSegments(this.remaining);
         if (path === '' && this.peekStartsWith(';')) {
-            throw new ɵRuntimeError(4009 /* RuntimeErrorCode.EMPTY_PATH_WITH_PARAMS */, NG_DEV_MODE$a && `Empty path url segment cannot have parameters: '${this.remaining}'.`);
+            throw new ɵRuntimeError(4009 /* RuntimeErrorCode.EMPTY_PATH_WITH_PARAMS */, NG_DEV_MODE$c && `Empty path url segment cannot have parameters: '${this.remaining}'.`);
         }
         this.capture(path);
         return new UrlSegment(decode(path), this.parseMatrixParams());
@@ -718,21 +858,62 @@ class UrlParser {
                 this.capture(value);
             }
         }
-        const decodedKey = decodeQuery(key);
-        const decodedVal = decodeQuery(value);
-        if (params.hasOwnProperty(decodedKey)) {
+        const { path, isArray } = this.parseQueryParamKey(decodeQuery(key));
+        const decodedVal = this.options.arrayFormat === 'comma' && value.includes(',') ?
+            value.split(',').map(decodeQuery) :
+            decodeQuery(value);
+        // Walk down to the object holding the value of `filter[status]`, creating it if needed
+        let container = params;
+        for (const name of path.slice(0, -1)) {
+            if (!Object.prototype.hasOwnProperty.call(container, name)) {
+                container[name] = {};
+            }
+            else if (!isPlainObject(container[name])) {
+                // A key keeps the kind of value it was first given: `filter[status]` is dropped when
+                // `filter` already has values that are not an object
+                return;
+            }
+            container = container[name];
+        }
+        const name = path[path.length - 1];
+        if (Object.prototype.hasOwnProperty.call(container, name) && isPlainObject(container[name])) {
+            // Likewise, values are not added to an object
+            return;
+        }
+        if (Object.prototype.hasOwnProperty.call(container, name) || isArray) {
             // Append to existing values
-            let currentVal = params[decodedKey];
+            let currentVal = container[name] ?? [];
             if (!Array.isArray(currentVal)) {
                 currentVal = [currentVal];
-                params[decodedKey] = currentVal;
             }
-            currentVal.push(decodedVal);
+            container[name] = currentVal.concat(decodedVal);
         }
         else {
             // Create a new value
-            params[decodedKey] = decodedVal;
+            container[name] = decodedVal;
+        }
+    }
+    // Splits a query param key such as `filter[status]` or `ids[]` into the path of the value and
+    // whether it is an array, according to the configured formats. Other keys are used as is.
+    parseQueryParamKey(key) {
+        const { arrayFormat, objectFormat } = this.options;
+        const match = key.match(QUERY_PARAM_KEY_PATH_RE);
+        if (!match || (arrayFormat !== 'brackets' && objectFormat !== 'brackets')) {
+            return { path: [key], isArray: false };
+        }
+        const names = match[2].slice(1, -1).split('][');
+        const isArray = arrayFormat === 'brackets' && names[names.length - 1] === '';
+        if (isArray) {
+            names.pop();
+        }
+        if (names.length > 0 && (objectFormat !== 'brackets' || names.includes(''))) {
+            return { path: [key], isArray: false };
         }
+        if (names.length > 0 &&
+            [match[1], ...names].some(name => UNSAFE_QUERY_PARAM_NAMES.includes(name))) {
+            return { path: [key], isArray: false };
+        }
+        return { path: [match[1], ...names], isArray };
     }
     // parse `(a/b//outlet_name:c/d)`
     parseParens(allowPrimary) {
@@ -744,7 +925,7 @@ class UrlParser {
             // if is is not one of these characters, then the segment was unescaped
             // or the group was not closed
             if (next !== '/' && next !== ')' && next !== ';') {
-                throw new ɵRuntimeError(4010 /* RuntimeErrorCode.UNPARSABLE_URL */, NG_DEV_MODE$a && `Cannot parse url '${this.url}'`);
+                throw new ɵRuntimeError(4010 /* RuntimeErrorCode.UNPARSABLE_URL */, NG_DEV_MODE$c && `Cannot parse url '${this.url}'`);
             }
             let outletName = undefined;
             if (path.indexOf(':') > -1) {
@@ -775,7 +956,7 @@ class UrlParser {
     }
     capture(str) {
         if (!this.consumeOptional(str)) {
-            throw new ɵRuntimeError(4011 /* RuntimeErrorCode.UNEXPECTED_VALUE_IN_URL */, NG_DEV_MODE$a && `Expected "${str}".`);
+            throw new ɵRuntimeError(4011 /* RuntimeErrorCode.UNEXPECTED_VALUE_IN_URL */, NG_DEV_MODE$c && `Expected "${str}".`);
         }
     }
 }
@@ -828,7 +1009,7 @@ function isUrlTree(v) {
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
-const NG_DEV_MODE$9 = typeof ngDevMode === 'undefined' || ngDevMode;
+const NG_DEV_MODE$b = typeof ngDevMode === 'undefined' || ngDevMode;
 /**
  * Creates a `UrlTree` relative to an `ActivatedRouteSnapshot`.
  *
@@ -920,7 +1101,7 @@ function createUrlTreeFromSegmentGroup(relativeTo, commands, queryParams, fragme
     const position = findStartingPositionForTargetGroup(nav, root, relativeTo);
     const newSegmentGroup = position.processChildren ?
         updateSegmentGroupChildren(position.segmentGroup, position.index, nav.commands) :
-        updateSegmentGroup(position.segmentGroup, position.index, nav.commands);
+        updateSegmentGroup$1(position.segmentGroup, position.index, nav.commands);
     return tree(root, position.segmentGroup, newSegmentGroup, queryParams, fragment);
 }
 function createUrlTree(route, urlTree, commands, queryParams, fragment) {
@@ -935,7 +1116,7 @@ function createUrlTree(route, urlTree, commands, queryParams, fragment) {
         const startingPosition = findStartingPosition(nav, urlTree, route.snapshot?._urlSegment, lastPathIndex);
         const segmentGroup = startingPosition.processChildren ?
             updateSegmentGroupChildren(startingPosition.segmentGroup, startingPosition.index, nav.commands) :
-            updateSegmentGroup(startingPosition.segmentGroup, startingPosition.index, nav.commands);
+            updateSegmentGroup$1(startingPosition.segmentGroup, startingPosition.index, nav.commands);
         return tree(urlTree.root, startingPosition.segmentGroup, segmentGroup, queryParams, fragment);
     }
     // Note: The types should disallow `snapshot` from being `undefined` but due to test mocks, this
@@ -997,11 +1178,11 @@ class Navigation {
         this.numberOfDoubleDots = numberOfDoubleDots;
         this.commands = commands;
         if (isAbsolute && commands.length > 0 && isMatrixParams(commands[0])) {
-            throw new ɵRuntimeError(4003 /* RuntimeErrorCode.ROOT_SEGMENT_MATRIX_PARAMS */, NG_DEV_MODE$9 && 'Root segment cannot have matrix parameters');
+            throw new ɵRuntimeError(4003 /* RuntimeErrorCode.ROOT_SEGMENT_MATRIX_PARAMS */, NG_DEV_MODE$b && 'Root segment cannot have matrix parameters');
         }
         const cmdWithOutlet = commands.find(isCommandWithOutlets);
         if (cmdWithOutlet && cmdWithOutlet !== last(commands)) {
-            throw new ɵRuntimeError(4004 /* RuntimeErrorCode.MISPLACED_OUTLETS_COMMAND */, NG_DEV_MODE$9 && '{outlets:{}} has to be the last command');
+            throw new ɵRuntimeError(4004 /* RuntimeErrorCode.MISPLACED_OUTLETS_COMMAND */, NG_DEV_MODE$b && '{outlets:{}} has to be the last command');
         }
     }
     toRoot() {
@@ -1100,7 +1281,7 @@ function createPositionApplyingDoubleDots(group, index, numberOfDoubleDots) {
         dd -= ci;
         g = g.parent;
         if (!g) {
-            throw new ɵRuntimeError(4005 /* RuntimeErrorCode.INVALID_DOUBLE_DOTS */, NG_DEV_MODE$9 && 'Invalid number of \'../\'');
+            throw new ɵRuntimeError(4005 /* RuntimeErrorCode.INVALID_DOUBLE_DOTS */, NG_DEV_MODE$b && 'Invalid number of \'../\'');
         }
         ci = g.segments.length;
     }
@@ -1112,7 +1293,7 @@ function getOutlets(commands) {
     }
     return { [PRIMARY_OUTLET]: commands };
 }
-function updateSegmentGroup(segmentGroup, startIndex, commands) {
+function updateSegmentGroup$1(segmentGroup, startIndex, commands) {
     if (!segmentGroup) {
         segmentGroup = new UrlSegmentGroup([], {});
     }
@@ -1152,7 +1333,7 @@ function updateSegmentGroupChildren(segmentGroup, startIndex, commands) {
                 commands = [commands];
             }
             if (commands !== null) {
-                children[outlet] = updateSegmentGroup(segmentGroup.children[outlet], startIndex, commands);
+                children[outlet] = updateSegmentGroup$1(segmentGroup.children[outlet], startIndex, commands);
             }
         });
         forEach(segmentGroup.children, (child, childOutlet) => {
@@ -1611,6 +1792,38 @@ class RouteConfigLoadEnd {
         return `RouteConfigLoadEnd(path: ${this.route.path})`;
     }
 }
+/**
+ * An event triggered when lazy loading a route configuration or component fails.
+ *
+ * The load is attempted again when `willRetry` is `true`, as configured with
+ * `withLazyLoadingRetry`. Otherwise, the failure is permanent and the navigation that triggered
+ * the load, if any, fails with a `NavigationError`.
+ *
+ * @see `RouteConfigLoadStart`
+ * @see `withLazyLoadingRetry`
+ *
+ * @publicApi
+ */
+class RouteConfigLoadError {
+    constructor(
+    /** @docsNotRequired */
+    route, 
+    /** @docsNotRequired */
+    error, 
+    /** The number of the failed attempt, starting at 1. */
+    attempt, 
+    /** Whether the load is attempted again. */
+    willRetry) {
+        this.route = route;
+        this.error = error;
+        this.attempt = attempt;
+        this.willRetry = willRetry;
+        this.type = 17 /* EventType.RouteConfigLoadError */;
+    }
+    toString() {
+        return `RouteConfigLoadError(path: ${this.route.path}, attempt: ${this.attempt}, willRetry: ${this.willRetry})`;
+    }
+}
 /**
  * An event triggered at the start of the child-activation
  * part of the Resolve phase of routing.
@@ -1746,6 +1959,8 @@ function stringifyEvent(routerEvent) {
             return `ResolveStart(id: ${routerEvent.id}, url: '${routerEvent.url}', urlAfterRedirects: '${routerEvent.urlAfterRedirects}', state: ${routerEvent.state})`;
         case 10 /* EventType.RouteConfigLoadEnd */:
             return `RouteConfigLoadEnd(path: ${routerEvent.route.path})`;
+        case 17 /* EventType.RouteConfigLoadError */:
+            return `RouteConfigLoadError(path: ${routerEvent.route.path}, attempt: ${routerEvent.attempt}, willRetry: ${routerEvent.willRetry})`;
         case 9 /* EventType.RouteConfigLoadStart */:
             return `RouteConfigLoadStart(path: ${routerEvent.route.path})`;
         case 4 /* EventType.RoutesRecognized */:
@@ -1756,6 +1971,272 @@ function stringifyEvent(routerEvent) {
     }
 }
 
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const NAVIGATION_CANCELING_ERROR = 'ngNavigationCancelingError';
+function redirectingNavigationError(urlSerializer, redirect) {
+    const { redirectTo, navigationBehaviorOptions } = isUrlTree(redirect) ? { redirectTo: redirect, navigationBehaviorOptions: undefined } : redirect;
+    const error = navigationCancelingError(ngDevMode && `Redirecting to "${urlSerializer.serialize(redirectTo)}"`, 0 /* NavigationCancellationCode.Redirect */, redirect);
+    error.url = redirectTo;
+    error.navigationBehaviorOptions = navigationBehaviorOptions;
+    return error;
+}
+function navigationCancelingError(message, code, redirectUrl) {
+    const error = new Error('NavigationCancelingError: ' + (message || ''));
+    error[NAVIGATION_CANCELING_ERROR] = true;
+    error.cancellationCode = code;
+    if (redirectUrl) {
+        error.url = redirectUrl;
+    }
+    return error;
+}
+function isRedirectingNavigationCancelingError$1(error) {
+    return isNavigationCancelingError$1(error) && isUrlTree(error.url);
+}
+function isNavigationCancelingError$1(error) {
+    return error && error[NAVIGATION_CANCELING_ERROR];
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Store contextual information about a `RouterOutlet`
+ *
+ * @publicApi
+ */
+class OutletContext {
+    constructor() {
+        this.outlet = null;
+        this.route = null;
+        /**
+         * @deprecated Passing a resolver to retrieve a component factory is not required and is
+         *     deprecated since v14.
+         */
+        this.resolver = null;
+        this.injector = null;
+        this.children = new ChildrenOutletContexts();
+        this.attachRef = null;
+    }
+}
+/**
+ * Store contextual information about the children (= nested) `RouterOutlet`
+ *
+ * @publicApi
+ */
+class ChildrenOutletContexts {
+    constructor() {
+        // contexts for child outlets, by name.
+        this.contexts = new Map();
+    }
+    /** Called when a `RouterOutlet` directive is instantiated */
+    onChildOutletCreated(childName, outlet) {
+        const context = this.getOrCreateContext(childName);
+        context.outlet = outlet;
+        this.contexts.set(childName, context);
+    }
+    /**
+     * Called when a `RouterOutlet` directive is destroyed.
+     * We need to keep the context as the outlet could be destroyed inside a NgIf and might be
+     * re-created later.
+     */
+    onChildOutletDestroyed(childName) {
+        const context = this.getContext(childName);
+        if (context) {
+            context.outlet = null;
+            context.attachRef = null;
+        }
+    }
+    /**
+     * Called when the corresponding route is deactivated during navigation.
+     * Because the component get destroyed, all children outlet are destroyed.
+     */
+    onOutletDeactivated() {
+        const contexts = this.contexts;
+        this.contexts = new Map();
+        return contexts;
+    }
+    onOutletReAttached(contexts) {
+        this.contexts = contexts;
+    }
+    getOrCreateContext(childName) {
+        let context = this.getContext(childName);
+        if (!context) {
+            context = new OutletContext();
+            this.contexts.set(childName, context);
+        }
+        return context;
+    }
+    getContext(childName) {
+        return this.contexts.get(childName) || null;
+    }
+}
+ChildrenOutletContexts.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: ChildrenOutletContexts, deps: [], target: i0.ɵɵFactoryTarget.Injectable });
+ChildrenOutletContexts.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: ChildrenOutletContexts, providedIn: 'root' });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: ChildrenOutletContexts, decorators: [{
+            type: Injectable,
+            args: [{ providedIn: 'root' }]
+        }] });
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const BUILT_IN_QUERY_PARAM_CODECS = {
+    string: {
+        decode: value => value,
+        encode: value => value,
+    },
+    number: {
+        decode: value => {
+            const number = Number(value);
+            return value.trim() === '' || isNaN(number) ? undefined : number;
+        },
+        encode: value => String(value),
+    },
+    boolean: {
+        decode: value => value === 'true' ? true : value === 'false' ? false : undefined,
+        encode: value => String(value),
+    },
+    date: {
+        decode: value => {
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? undefined : date;
+        },
+        encode: value => value.toISOString(),
+    },
+};
+const INVALID_QUERY_PARAM = {};
+function getQueryParamCodec(definition) {
+    const type = definition.type ?? 'string';
+    return typeof type === 'string' ? BUILT_IN_QUERY_PARAM_CODECS[type] : type;
+}
+function isQueryParamType(type) {
+    return type === undefined || BUILT_IN_QUERY_PARAM_CODECS.hasOwnProperty(type) ||
+        (typeof type?.decode === 'function' && typeof type?.encode === 'function');
+}
+/**
+ * Returns the `queryParamsSchema` of the route of `snapshot` merged with the ones of its ancestors.
+ * The definitions of child routes take precedence.
+ */
+function getQueryParamsSchema(snapshot) {
+    const schema = {};
+    for (const s of snapshot.pathFromRoot) {
+        Object.assign(schema, s.routeConfig?.queryParamsSchema);
+    }
+    return schema;
+}
+/**
+ * Decodes the `queryParams` that are defined in `schema`. Returns the decoded values and the name
+ * of the first invalid query parameter whose definition cancels the navigation, if any.
+ */
+function decodeQueryParams(queryParams, schema) {
+    const params = {};
+    let canceledBy = null;
+    for (const name of Object.keys(schema)) {
+        const definition = schema[name];
+        const value = queryParams[name] === undefined ? undefined :
+            decodeQueryParam(queryParams[name], definition);
+        if (value === undefined) {
+            if (definition.default !== undefined) {
+                params[name] = definition.default;
+            }
+        }
+        else if (value !== INVALID_QUERY_PARAM) {
+            params[name] = value;
+        }
+        else if (definition.onInvalid === 'cancel') {
+            canceledBy = canceledBy ?? name;
+        }
+        else if (definition.onInvalid === 'default' && definition.default !== undefined) {
+            params[name] = definition.default;
+        }
+    }
+    return { params, canceledBy };
+}
+function decodeQueryParam(rawValue, definition) {
+    if (definition.array) {
+        const values = (Array.isArray(rawValue) ? rawValue : [rawValue])
+            .map(value => decodeQueryParamValue(value, definition));
+        return values.includes(INVALID_QUERY_PARAM) ? INVALID_QUERY_PARAM : values;
+    }
+    return decodeQueryParamValue(Array.isArray(rawValue) ? rawValue[0] : rawValue, definition);
+}
+function decodeQueryParamValue(rawValue, definition) {
+    let value;
+    try {
+        value = getQueryParamCodec(definition).decode(rawValue);
+    }
+    catch {
+        return INVALID_QUERY_PARAM;
+    }
+    if (value === undefined || (definition.values && !definition.values.includes(value)) ||
+        (definition.validate && !definition.validate(value))) {
+        return INVALID_QUERY_PARAM;
+    }
+    return value;
+}
+/**
+ * Decodes the query parameters of `snapshot` and its descendants, and returns the name of the first
+ * invalid query parameter whose definition cancels the navigation, or `null`.
+ */
+function findCancelingQueryParam(snapshot) {
+    const { params, canceledBy } = decodeQueryParams(snapshot.queryParams, getQueryParamsSchema(snapshot));
+    snapshot._decodedQueryParams = params;
+    if (canceledBy !== null) {
+        return canceledBy;
+    }
+    for (const child of snapshot.children) {
+        const childCanceledBy = findCancelingQueryParam(child);
+        if (childCanceledBy !== null) {
+            return childCanceledBy;
+        }
+    }
+    return null;
+}
+/**
+ * Encodes the values of `queryParams` to strings, with the codec of their definition in `schema`
+ * or, without a definition, according to their type. The values of objects, such as the ones of
+ * `filter[status]` query params, are encoded the same way.
+ */
+function encodeQueryParams(queryParams, schema) {
+    const encoded = {};
+    for (const name of Object.keys(queryParams)) {
+        const value = queryParams[name];
+        encoded[name] = Array.isArray(value) ?
+            value.map(v => encodeQueryParamValue(v, schema[name])) :
+            encodeQueryParamValue(value, schema[name]);
+    }
+    return encoded;
+}
+function encodeQueryParamValue(value, definition) {
+    if (typeof value === 'string') {
+        return value;
+    }
+    if (definition !== undefined && value !== null && value !== undefined) {
+        return getQueryParamCodec(definition).encode(value);
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+        return encodeQueryParams(value, {});
+    }
+    return `${value}`;
+}
+
 /**
  * @license
  * Copyright Google LLC All Rights Reserved.
@@ -2030,8 +2511,10 @@ function inheritedParamsDataResolve(route, paramsInheritanceStrategy = 'emptyOnl
         while (inheritingStartingFrom >= 1) {
             const current = pathFromRoot[inheritingStartingFrom];
             const parent = pathFromRoot[inheritingStartingFrom - 1];
-            // current route is an empty path => inherits its parent's params and data
-            if (current.routeConfig && current.routeConfig.path === '') {
+            // current route is an empty path or matched no segments with optional parameters only =>
+            // inherits its parent's params and data
+            if (current.routeConfig && current.url.length === 0 &&
+                matchesEmptyPath(current.routeConfig.path)) {
                 inheritingStartingFrom--;
                 // parent is componentless => current route should inherit its params and data
             }
@@ -2162,6 +2645,23 @@ class ActivatedRouteSnapshot {
         }
         return this._queryParamMap;
     }
+    /**
+     * The query parameters decoded with the `queryParamsSchema` of this route and its ancestors.
+     * Query parameters that are not part of a schema are not included.
+     */
+    get decodedQueryParams() {
+        if (!this._decodedQueryParams) {
+            this._decodedQueryParams =
+                decodeQueryParams(this.queryParams, getQueryParamsSchema(this)).params;
+        }
+        return this._decodedQueryParams;
+    }
+    getQueryParam(schemaOrName, name) {
+        if (typeof schemaOrName === 'string') {
+            return this.decodedQueryParams[schemaOrName];
+        }
+        return decodeQueryParams(this.queryParams, { [name]: schemaOrName[name] }).params[name];
+    }
     toString() {
         const url = this.url.map(segment => segment.toString()).join('/');
         const matched = this.routeConfig ? this.routeConfig.path : '';
@@ -2262,172 +2762,7 @@ function equalParamsAndUrlSegments(a, b) {
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
-function createRouterState(routeReuseStrategy, curr, prevState) {
-    const root = createNode(routeReuseStrategy, curr._root, prevState ? prevState._root : undefined);
-    return new RouterState(root, curr);
-}
-function createNode(routeReuseStrategy, curr, prevState) {
-    // reuse an activated route that is currently displayed on the screen
-    if (prevState && routeReuseStrategy.shouldReuseRoute(curr.value, prevState.value.snapshot)) {
-        const value = prevState.value;
-        value._futureSnapshot = curr.value;
-        const children = createOrReuseChildren(routeReuseStrategy, curr, prevState);
-        return new TreeNode(value, children);
-    }
-    else {
-        if (routeReuseStrategy.shouldAttach(curr.value)) {
-            // retrieve an activated route that is used to be displayed, but is not currently displayed
-            const detachedRouteHandle = routeReuseStrategy.retrieve(curr.value);
-            if (detachedRouteHandle !== null) {
-                const tree = detachedRouteHandle.route;
-                tree.value._futureSnapshot = curr.value;
-                tree.children = curr.children.map(c => createNode(routeReuseStrategy, c));
-                return tree;
-            }
-        }
-        const value = createActivatedRoute(curr.value);
-        const children = curr.children.map(c => createNode(routeReuseStrategy, c));
-        return new TreeNode(value, children);
-    }
-}
-function createOrReuseChildren(routeReuseStrategy, curr, prevState) {
-    return curr.children.map(child => {
-        for (const p of prevState.children) {
-            if (routeReuseStrategy.shouldReuseRoute(child.value, p.value.snapshot)) {
-                return createNode(routeReuseStrategy, child, p);
-            }
-        }
-        return createNode(routeReuseStrategy, child);
-    });
-}
-function createActivatedRoute(c) {
-    return new ActivatedRoute(new BehaviorSubject(c.url), new BehaviorSubject(c.params), new BehaviorSubject(c.queryParams), new BehaviorSubject(c.fragment), new BehaviorSubject(c.data), c.outlet, c.component, c);
-}
-
-/**
- * @license
- * Copyright Google LLC All Rights Reserved.
- *
- * Use of this source code is governed by an MIT-style license that can be
- * found in the LICENSE file at https://angular.io/license
- */
-const NAVIGATION_CANCELING_ERROR = 'ngNavigationCancelingError';
-function redirectingNavigationError(urlSerializer, redirect) {
-    const { redirectTo, navigationBehaviorOptions } = isUrlTree(redirect) ? { redirectTo: redirect, navigationBehaviorOptions: undefined } : redirect;
-    const error = navigationCancelingError(ngDevMode && `Redirecting to "${urlSerializer.serialize(redirectTo)}"`, 0 /* NavigationCancellationCode.Redirect */, redirect);
-    error.url = redirectTo;
-    error.navigationBehaviorOptions = navigationBehaviorOptions;
-    return error;
-}
-function navigationCancelingError(message, code, redirectUrl) {
-    const error = new Error('NavigationCancelingError: ' + (message || ''));
-    error[NAVIGATION_CANCELING_ERROR] = true;
-    error.cancellationCode = code;
-    if (redirectUrl) {
-        error.url = redirectUrl;
-    }
-    return error;
-}
-function isRedirectingNavigationCancelingError$1(error) {
-    return isNavigationCancelingError$1(error) && isUrlTree(error.url);
-}
-function isNavigationCancelingError$1(error) {
-    return error && error[NAVIGATION_CANCELING_ERROR];
-}
-
-/**
- * @license
- * Copyright Google LLC All Rights Reserved.
- *
- * Use of this source code is governed by an MIT-style license that can be
- * found in the LICENSE file at https://angular.io/license
- */
-/**
- * Store contextual information about a `RouterOutlet`
- *
- * @publicApi
- */
-class OutletContext {
-    constructor() {
-        this.outlet = null;
-        this.route = null;
-        /**
-         * @deprecated Passing a resolver to retrieve a component factory is not required and is
-         *     deprecated since v14.
-         */
-        this.resolver = null;
-        this.injector = null;
-        this.children = new ChildrenOutletContexts();
-        this.attachRef = null;
-    }
-}
-/**
- * Store contextual information about the children (= nested) `RouterOutlet`
- *
- * @publicApi
- */
-class ChildrenOutletContexts {
-    constructor() {
-        // contexts for child outlets, by name.
-        this.contexts = new Map();
-    }
-    /** Called when a `RouterOutlet` directive is instantiated */
-    onChildOutletCreated(childName, outlet) {
-        const context = this.getOrCreateContext(childName);
-        context.outlet = outlet;
-        this.contexts.set(childName, context);
-    }
-    /**
-     * Called when a `RouterOutlet` directive is destroyed.
-     * We need to keep the context as the outlet could be destroyed inside a NgIf and might be
-     * re-created later.
-     */
-    onChildOutletDestroyed(childName) {
-        const context = this.getContext(childName);
-        if (context) {
-            context.outlet = null;
-            context.attachRef = null;
-        }
-    }
-    /**
-     * Called when the corresponding route is deactivated during navigation.
-     * Because the component get destroyed, all children outlet are destroyed.
-     */
-    onOutletDeactivated() {
-        const contexts = this.contexts;
-        this.contexts = new Map();
-        return contexts;
-    }
-    onOutletReAttached(contexts) {
-        this.contexts = contexts;
-    }
-    getOrCreateContext(childName) {
-        let context = this.getContext(childName);
-        if (!context) {
-            context = new OutletContext();
-            this.contexts.set(childName, context);
-        }
-        return context;
-    }
-    getContext(childName) {
-        return this.contexts.get(childName) || null;
-    }
-}
-ChildrenOutletContexts.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: ChildrenOutletContexts, deps: [], target: i0.ɵɵFactoryTarget.Injectable });
-ChildrenOutletContexts.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: ChildrenOutletContexts, providedIn: 'root' });
-i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: ChildrenOutletContexts, decorators: [{
-            type: Injectable,
-            args: [{ providedIn: 'root' }]
-        }] });
-
-/**
- * @license
- * Copyright Google LLC All Rights Reserved.
- *
- * Use of this source code is governed by an MIT-style license that can be
- * found in the LICENSE file at https://angular.io/license
- */
-const NG_DEV_MODE$8 = typeof ngDevMode === 'undefined' || ngDevMode;
+const NG_DEV_MODE$a = typeof ngDevMode === 'undefined' || ngDevMode;
 /**
  * @description
  *
@@ -2505,6 +2840,7 @@ class RouterOutlet {
         this.location = inject(ViewContainerRef);
         this.changeDetector = inject(ChangeDetectorRef);
         this.environmentInjector = inject(EnvironmentInjector);
+        this.inputBinder = inject(INPUT_BINDER, { optional: true });
     }
     /** @nodoc */
     ngOnChanges(changes) {
@@ -2530,6 +2866,7 @@ class RouterOutlet {
         if (this.isTrackedInParentContexts(this.name)) {
             this.parentContexts.onChildOutletDestroyed(this.name);
         }
+        this.inputBinder?.unsubscribeFromRouteData(this);
     }
     isTrackedInParentContexts(outletName) {
         return this.parentContexts.getContext(outletName)?.outlet === this;
@@ -2566,14 +2903,23 @@ class RouterOutlet {
      */
     get component() {
         if (!this.activated)
-            throw new ɵRuntimeError(4012 /* RuntimeErrorCode.OUTLET_NOT_ACTIVATED */, NG_DEV_MODE$8 && 'Outlet is not activated');
+            throw new ɵRuntimeError(4012 /* RuntimeErrorCode.OUTLET_NOT_ACTIVATED */, NG_DEV_MODE$a && 'Outlet is not activated');
         return this.activated.instance;
     }
     get activatedRoute() {
         if (!this.activated)
-            throw new ɵRuntimeError(4012 /* RuntimeErrorCode.OUTLET_NOT_ACTIVATED */, NG_DEV_MODE$8 && 'Outlet is not activated');
+            throw new ɵRuntimeError(4012 /* RuntimeErrorCode.OUTLET_NOT_ACTIVATED */, NG_DEV_MODE$a && 'Outlet is not activated');
         return this._activatedRoute;
     }
+    /**
+     * The `ComponentRef` of the currently activated component, or `null` if the outlet is not
+     * activated.
+     *
+     * @internal
+     */
+    get activatedComponentRef() {
+        return this.activated;
+    }
     get activatedRouteData() {
         if (this._activatedRoute) {
             return this._activatedRoute.snapshot.data;
@@ -2585,7 +2931,7 @@ class RouterOutlet {
      */
     detach() {
         if (!this.activated)
-            throw new ɵRuntimeError(4012 /* RuntimeErrorCode.OUTLET_NOT_ACTIVATED */, NG_DEV_MODE$8 && 'Outlet is not activated');
+            throw new ɵRuntimeError(4012 /* RuntimeErrorCode.OUTLET_NOT_ACTIVATED */, NG_DEV_MODE$a && 'Outlet is not activated');
         this.location.detach();
         const cmp = this.activated;
         this.activated = null;
@@ -2600,6 +2946,7 @@ class RouterOutlet {
         this.activated = ref;
         this._activatedRoute = activatedRoute;
         this.location.insert(ref.hostView);
+        this.inputBinder?.bindActivatedRouteToOutletComponent(this);
         this.attachEvents.emit(ref.instance);
     }
     deactivate() {
@@ -2613,7 +2960,7 @@ class RouterOutlet {
     }
     activateWith(activatedRoute, resolverOrInjector) {
         if (this.isActivated) {
-            throw new ɵRuntimeError(4013 /* RuntimeErrorCode.OUTLET_ALREADY_ACTIVATED */, NG_DEV_MODE$8 && 'Cannot activate an already activated outlet');
+            throw new ɵRuntimeError(4013 /* RuntimeErrorCode.OUTLET_ALREADY_ACTIVATED */, NG_DEV_MODE$a && 'Cannot activate an already activated outlet');
         }
         this._activatedRoute = activatedRoute;
         const location = this.location;
@@ -2632,6 +2979,7 @@ class RouterOutlet {
         // Calling `markForCheck` to make sure we will run the change detection when the
         // `RouterOutlet` is inside a `ChangeDetectionStrategy.OnPush` component.
         this.changeDetector.markForCheck();
+        this.inputBinder?.bindActivatedRouteToOutletComponent(this);
         this.activateEvents.emit(this.activated.instance);
     }
 }
@@ -2678,6 +3026,73 @@ class OutletInjector {
 function isComponentFactoryResolver(item) {
     return !!item.resolveComponentFactory;
 }
+const INPUT_BINDER = new InjectionToken(NG_DEV_MODE$a ? 'router input binder' : '');
+/**
+ * Injectable used as a tree-shakable provider for opting in to binding router data to component
+ * inputs.
+ *
+ * The `RouterOutlet` calls `bindActivatedRouteToOutletComponent` when a component is activated or
+ * re-attached and `unsubscribeFromRouteData` when the outlet is destroyed. When a new navigation
+ * reuses the activated component, the new values are written to the same component instance.
+ */
+class RoutedComponentInputBinder {
+    constructor() {
+        this.outletDataSubscriptions = new Map;
+    }
+    bindActivatedRouteToOutletComponent(outlet) {
+        this.unsubscribeFromRouteData(outlet);
+        this.subscribeToRouteData(outlet);
+    }
+    unsubscribeFromRouteData(outlet) {
+        this.outletDataSubscriptions.get(outlet)?.unsubscribe();
+        this.outletDataSubscriptions.delete(outlet);
+    }
+    subscribeToRouteData(outlet) {
+        const { activatedRoute } = outlet;
+        const dataSubscription = combineLatest([
+            activatedRoute.queryParams,
+            activatedRoute.params,
+            activatedRoute.data,
+        ])
+            .pipe(switchMap(([queryParams, params, data], index) => {
+            data = { ...queryParams, ...params, ...data };
+            // Get the first result from the data subscription synchronously so it's available to
+            // the component as soon as possible (and doesn't require a second change detection).
+            if (index === 0) {
+                return of(data);
+            }
+            // Promise.resolve is used to avoid synchronously writing the wrong data when
+            // two of the Observables in the `combineLatest` stream emit one after
+            // another.
+            return Promise.resolve(data);
+        }))
+            .subscribe(data => {
+            // Outlet may have been deactivated or changed names to be associated with a different
+            // route
+            if (!outlet.isActivated || !outlet.activatedComponentRef ||
+                outlet.activatedRoute !== activatedRoute || activatedRoute.component === null) {
+                this.unsubscribeFromRouteData(outlet);
+                return;
+            }
+            const mirror = reflectComponentType(activatedRoute.component);
+            if (!mirror) {
+                this.unsubscribeFromRouteData(outlet);
+                return;
+            }
+            // Inputs which are not present in the new data are set to `undefined` so values from a
+            // previous navigation do not linger on a reused component.
+            for (const { templateName } of mirror.inputs) {
+                outlet.activatedComponentRef.setInput(templateName, data[templateName]);
+            }
+        });
+        this.outletDataSubscriptions.set(outlet, dataSubscription);
+    }
+}
+RoutedComponentInputBinder.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RoutedComponentInputBinder, deps: [], target: i0.ɵɵFactoryTarget.Injectable });
+RoutedComponentInputBinder.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RoutedComponentInputBinder });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RoutedComponentInputBinder, decorators: [{
+            type: Injectable
+        }] });
 
 /**
  * @license
@@ -2730,6 +3145,39 @@ function getOrCreateRouteInjectorIfNeeded(route, currentInjector) {
     }
     return route._injector ?? currentInjector;
 }
+/**
+ * Collects the injectors that the router created for `routes` and their descendants, parents before
+ * children.
+ */
+function collectRouteInjectors(routes, injectors = new Set()) {
+    for (const route of routes) {
+        if (route._injector) {
+            injectors.add(route._injector);
+        }
+        if (route._loadedInjector) {
+            injectors.add(route._loadedInjector);
+        }
+        collectRouteInjectors(route.children ?? route._loadedRoutes ?? [], injectors);
+    }
+    return injectors;
+}
+/**
+ * Collects the injectors of the routes that are activated in the state of `snapshot` and its
+ * descendants.
+ */
+function collectActivatedRouteInjectors(snapshot, injectors = new Set()) {
+    const route = snapshot.routeConfig;
+    if (route?._injector) {
+        injectors.add(route._injector);
+    }
+    if (route?._loadedInjector) {
+        injectors.add(route._loadedInjector);
+    }
+    for (const child of snapshot.children) {
+        collectActivatedRouteInjectors(child, injectors);
+    }
+    return injectors;
+}
 function getLoadedRoutes(route) {
     return route._loadedRoutes;
 }
@@ -2742,20 +3190,34 @@ function getLoadedComponent(route) {
 function getProvidersInjector(route) {
     return route._injector;
 }
-function validateConfig(config, parentPath = '', requireStandaloneComponents = false) {
+function validateConfig(config, parentPath = '', requireStandaloneComponents = false, routeNames = new Map()) {
     // forEach doesn't iterate undefined values
     for (let i = 0; i < config.length; i++) {
         const route = config[i];
         const fullPath = getFullPath(parentPath, route);
-        validateNode(route, fullPath, requireStandaloneComponents);
+        validateNode(route, fullPath, requireStandaloneComponents, routeNames);
+    }
+}
+/**
+ * Collects the names of the routes in `config`, including the children that have already been
+ * loaded, keyed to the full path of the route that declares them.
+ */
+function collectRouteNames(config, parentPath = '', routeNames = new Map()) {
+    for (const route of config) {
+        const fullPath = getFullPath(parentPath, route);
+        if (route.name !== void 0 && !routeNames.has(route.name)) {
+            routeNames.set(route.name, fullPath);
+        }
+        collectRouteNames(route.children ?? route._loadedRoutes ?? [], fullPath, routeNames);
     }
+    return routeNames;
 }
 function assertStandalone(fullPath, component) {
     if (component && !ɵisStandalone(component)) {
         throw new ɵRuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}'. The component must be standalone.`);
     }
 }
-function validateNode(route, fullPath, requireStandaloneComponents) {
+function validateNode(route, fullPath, requireStandaloneComponents, routeNames) {
     if (typeof ngDevMode === 'undefined' || ngDevMode) {
         if (!route) {
             throw new ɵRuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `
@@ -2773,6 +3235,10 @@ function validateNode(route, fullPath, requireStandaloneComponents) {
         if (Array.isArray(route)) {
             throw new ɵRuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': Array cannot be specified`);
         }
+        if (route.redirectTo !== void 0 && typeof route.redirectTo !== 'string' &&
+            typeof route.redirectTo !== 'function') {
+            throw new ɵRuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': redirectTo must be a string or a function`);
+        }
         if (!route.redirectTo && !route.component && !route.loadComponent && !route.children &&
             !route.loadChildren && (route.outlet && route.outlet !== PRIMARY_OUTLET)) {
             throw new ɵRuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': a componentless route without children or loadChildren cannot have a named outlet set`);
@@ -2809,16 +3275,60 @@ function validateNode(route, fullPath, requireStandaloneComponents) {
         if (typeof route.path === 'string' && route.path.charAt(0) === '/') {
             throw new ɵRuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': path cannot start with a slash`);
         }
+        if (typeof route.path === 'string') {
+            for (const part of route.path.split('/')) {
+                validateParamPart(part, fullPath);
+            }
+        }
+        for (const name of Object.keys(route.queryParamsSchema ?? {})) {
+            const { type, onInvalid } = route.queryParamsSchema[name];
+            if (!isQueryParamType(type)) {
+                throw new ɵRuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': the type of the query parameter '${name}' must be 'string', 'number', 'boolean', 'date' or a codec with decode and encode functions`);
+            }
+            if (onInvalid !== undefined && !['drop', 'default', 'cancel'].includes(onInvalid)) {
+                throw new ɵRuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': onInvalid of the query parameter '${name}' must be 'drop', 'default' or 'cancel'`);
+            }
+        }
         if (route.path === '' && route.redirectTo !== void 0 && route.pathMatch === void 0) {
             const exp = `The default value of 'pathMatch' is 'prefix', but often the intent is to use 'full'.`;
             throw new ɵRuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '{path: "${fullPath}", redirectTo: "${route.redirectTo}"}': please provide 'pathMatch'. ${exp}`);
         }
+        if (route.childrenMatchingStrategy !== void 0 &&
+            !['firstMatch', 'mostSpecific'].includes(route.childrenMatchingStrategy)) {
+            throw new ɵRuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': childrenMatchingStrategy must be 'firstMatch' or 'mostSpecific'`);
+        }
+        if (route.name !== void 0) {
+            if (typeof route.name !== 'string' || route.name === '') {
+                throw new ɵRuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': name must be a non-empty string`);
+            }
+            if (routeNames.has(route.name)) {
+                throw new ɵRuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': the name '${route.name}' is already used by the route '${routeNames.get(route.name)}'`);
+            }
+            routeNames.set(route.name, fullPath);
+        }
         if (requireStandaloneComponents) {
             assertStandalone(fullPath, route.component);
         }
     }
     if (route.children) {
-        validateConfig(route.children, fullPath, requireStandaloneComponents);
+        validateConfig(route.children, fullPath, requireStandaloneComponents, routeNames);
+    }
+}
+function validateParamPart(part, fullPath) {
+    const param = parseParamPart(part);
+    if (param === null) {
+        return;
+    }
+    if (param.name === '' || /[()?]/.test(param.name)) {
+        throw new ɵRuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': the parameter '${part}' must be a name, optionally followed by a constraint in parentheses and a '?'`);
+    }
+    if (param.pattern !== null) {
+        try {
+            matchesParamConstraint(param.pattern, '');
+        }
+        catch {
+            throw new ɵRuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `Invalid configuration of route '${fullPath}': the constraint of the parameter '${param.name}' is not a valid regular expression`);
+        }
     }
 }
 function getFullPath(parentPath, currentRoute) {
@@ -2839,50 +3349,400 @@ function getFullPath(parentPath, currentRoute) {
     }
 }
 /**
- * Makes a copy of the config and adds any default required properties.
+ * Reports likely mistakes in the root route config as dev-mode warnings. See `lintConfig`.
  */
-function standardizeConfig(r) {
-    const children = r.children && r.children.map(standardizeConfig);
-    const c = children ? { ...r, children } : { ...r };
-    if ((!c.component && !c.loadComponent) && (children || c.loadChildren) &&
-        (c.outlet && c.outlet !== PRIMARY_OUTLET)) {
-        c.component = ɵEmptyOutletComponent;
-    }
-    return c;
-}
-/** Returns the `route.outlet` or PRIMARY_OUTLET if none exists. */
-function getOutlet(route) {
-    return route.outlet || PRIMARY_OUTLET;
+function lintRootConfig(config, routeMatchingStrategy = 'firstMatch') {
+    lintConfig(config, '', undefined, routeMatchingStrategy, routeMatchingStrategy, true);
 }
 /**
- * Sorts the `routes` such that the ones with an outlet matching `outletName` come first.
- * The order of the configs is otherwise preserved.
+ * Reports likely mistakes in the `routes` lazily loaded for `parentRoute` as dev-mode warnings. The
+ * absolute redirects of the loaded routes are not checked because the rest of the config is not
+ * known.
  */
-function sortByMatchingOutlets(routes, outletName) {
-    const sortedConfig = routes.filter(r => getOutlet(r) === outletName);
-    sortedConfig.push(...routes.filter(r => getOutlet(r) !== outletName));
-    return sortedConfig;
+function lintLoadedConfig(routes, parentRoute, routeMatchingStrategy = 'firstMatch') {
+    const parentComponent = parentRoute.component ?? parentRoute._loadedComponent;
+    lintConfig(routes, parentRoute.path ?? '', parentComponent, parentRoute.childrenMatchingStrategy ?? routeMatchingStrategy, routeMatchingStrategy, false);
 }
 /**
- * Gets the first injector in the snapshot's parent tree.
- *
- * If the `Route` has a static list of providers, the returned injector will be the one created from
- * those. If it does not exist, the returned injector may come from the parents, which may be from a
- * loaded config or their static providers.
- *
- * Returns `null` if there is neither this nor any parents have a stored injector.
+ * Warns about:
+ * - routes that can never be matched because an earlier sibling, a wildcard or a parameter route
+ * without `canMatch` guards, matches all their URLs,
+ * - sibling routes with the same path,
+ * - redirects that end up in a cycle,
+ * - `redirectTo` targets that match no route,
+ * - routes of named outlets whose parent component does not use `RouterOutlet`.
  *
- * Generally used for retrieving the injector to use for getting tokens for guards/resolvers and
- * also used for getting the correct injector to use for creating components.
+ * `parentComponent` is the component that renders the outlets of `config`, or `undefined` when it
+ * is not known yet.
  */
-function getClosestRouteInjector(snapshot) {
-    if (!snapshot)
-        return null;
-    // If the current route has its own injector, which is created from the static providers on the
-    // route itself, we should use that. Otherwise, we start at the parent since we do not want to
-    // include the lazy loaded injector from this route.
-    if (snapshot.routeConfig?._injector) {
-        return snapshot.routeConfig._injector;
+function lintConfig(config, parentPath, parentComponent, matchingStrategy, defaultMatchingStrategy, checkAbsoluteRedirects) {
+    const redirects = [];
+    lintRoutes(config, parentPath, [], parentComponent, matchingStrategy, defaultMatchingStrategy, redirects);
+    const reportedCycles = new Set();
+    for (const redirect of redirects) {
+        if (redirect.target === null || (redirect.absolute && !checkAbsoluteRedirects)) {
+            continue;
+        }
+        let result = matchUrl(config, redirect.target, [], matchingStrategy, defaultMatchingStrategy);
+        if (result === null) {
+            warnRouteConfig(`The redirectTo '${redirect.route.redirectTo}' of the route '${redirect.fullPath}' does not match any route.`);
+            continue;
+        }
+        // Follow the redirects to find cycles. Redirects that keep growing the URL stop at the limit.
+        const urls = [redirect.target.join('/')];
+        while (result !== null && result !== MATCHED_URL && urls.length < MAX_LINTED_REDIRECTS) {
+            const url = result.join('/');
+            const cycleStart = urls.indexOf(url);
+            if (cycleStart !== -1) {
+                const cycle = urls.slice(cycleStart);
+                const cycleKey = [...cycle].sort().join(' ');
+                if (!reportedCycles.has(cycleKey)) {
+                    reportedCycles.add(cycleKey);
+                    warnRouteConfig(`The redirect of the route '${redirect.fullPath}' leads to a redirect cycle: ${[...cycle, url].map(u => `'/${u}'`).join(' -> ')}.`);
+                }
+                break;
+            }
+            urls.push(url);
+            result = matchUrl(config, result, [], matchingStrategy, defaultMatchingStrategy);
+        }
+    }
+}
+const MAX_LINTED_REDIRECTS = 32;
+function lintRoutes(routes, parentPath, parentSegments, parentComponent, matchingStrategy, defaultMatchingStrategy, redirects) {
+    const siblings = [];
+    // Invalid routes are reported by `validateConfig`
+    const validRoutes = routes.filter(route => route && !Array.isArray(route));
+    for (const route of sortByMatchingStrategy(validRoutes, matchingStrategy)) {
+        const fullPath = getFullPath(parentPath, route);
+        const outlet = getOutlet(route);
+        const shadowingSibling = siblings.find(sibling => getOutlet(sibling) === outlet && isShadowedBy(route, sibling));
+        if (shadowingSibling?.path === route.path) {
+            warnRouteConfig(`The route '${fullPath}' has the same path as a sibling route that comes before it.`);
+        }
+        else if (shadowingSibling) {
+            warnRouteConfig(`The route '${fullPath}' can never be matched because the route '${getFullPath(parentPath, shadowingSibling)}' comes before it and matches the same URLs.`);
+        }
+        siblings.push(route);
+        if (outlet !== PRIMARY_OUTLET && parentComponent && !usesRouterOutlet(parentComponent)) {
+            warnRouteConfig(`The route '${fullPath}' is rendered in the outlet '${outlet}', but the component ${parentComponent.name} of its parent does not use a <router-outlet>.`);
+        }
+        if (typeof route.redirectTo === 'string' && typeof route.path === 'string') {
+            redirects.push({
+                route,
+                fullPath,
+                absolute: route.redirectTo.startsWith('/'),
+                target: getRedirectTarget(route.redirectTo, parentSegments),
+            });
+        }
+        const children = route.children ?? route._loadedRoutes;
+        if (children && typeof route.path === 'string') {
+            const component = route.component ?? route._loadedComponent ??
+                (route.loadComponent ? undefined : parentComponent);
+            lintRoutes(children, fullPath, [...parentSegments, ...route.path.split('/').filter(p => p !== '')], component, route.childrenMatchingStrategy ?? defaultMatchingStrategy, defaultMatchingStrategy, redirects);
+        }
+    }
+}
+/**
+ * Whether `route` has the same path as the `sibling` that comes before it, or can never be matched
+ * because the sibling matches all of its URLs.
+ */
+function isShadowedBy(route, sibling) {
+    if (sibling.canMatch?.length || typeof sibling.path !== 'string' ||
+        typeof route.path !== 'string') {
+        return false;
+    }
+    if (sibling.path === route.path) {
+        // Empty path routes with children are often used to group routes, so they are only duplicates
+        // when both of them cannot match any further segment.
+        const hasChildren = (r) => !!(r.children || r.loadChildren);
+        return route.path !== '' || (!hasChildren(sibling) && !hasChildren(route));
+    }
+    if (sibling.path === '**') {
+        return true;
+    }
+    // A route with children can match URLs that are longer than its path, which the sibling does
+    // not match when it has no children. When the sibling has children, it may not match a URL and
+    // let the route match it.
+    if (sibling.children || sibling.loadChildren || sibling.redirectTo !== undefined ||
+        route.children || route.loadChildren) {
+        return false;
+    }
+    const siblingParts = sibling.path.split('/').filter(p => p !== '');
+    const parts = route.path.split('/').filter(p => p !== '');
+    const matchesAllUrls = route.path !== '**' && siblingParts.length === parts.length &&
+        siblingParts.every((part, i) => {
+            const param = parseParamPart(part);
+            const routeParam = parseParamPart(parts[i]);
+            if (param?.optional || routeParam?.optional) {
+                return false;
+            }
+            return part === parts[i] || (param !== null && param.pattern === null);
+        });
+    return matchesAllUrls;
+}
+/**
+ * Whether the template of `component`, or of a component that it renders, may contain a
+ * `<router-outlet>`. Returns `true` whenever this cannot be known statically.
+ */
+function usesRouterOutlet(component, visited = new Set()) {
+    if (visited.has(component)) {
+        return false;
+    }
+    visited.add(component);
+    const def = component[ɵNG_COMP_DEF];
+    const directiveDefs = typeof def?.directiveDefs === 'function' ? def.directiveDefs() : def?.directiveDefs;
+    if (!directiveDefs) {
+        // The directives are not known, for example before the scope of the NgModule is set
+        return true;
+    }
+    return directiveDefs.some(directive => directive.selectors.some(selector => selector.includes('router-outlet') ||
+        // Components created dynamically are not known
+        selector.includes('ngComponentOutlet')) ||
+        (directive.type[ɵNG_COMP_DEF] !== undefined && usesRouterOutlet(directive.type, visited)));
+}
+/**
+ * Returns the segments of the URL that `redirectTo` leads to from the segments of the parent
+ * routes, or `null` when it cannot be known statically, such as with parameters or outlets.
+ */
+function getRedirectTarget(redirectTo, parentSegments) {
+    const path = redirectTo.split(/[?#]/)[0];
+    if (/[:;()]/.test(path)) {
+        return null;
+    }
+    const segments = path.split('/').filter(s => s !== '');
+    if (path.startsWith('/')) {
+        return segments;
+    }
+    return parentSegments.some(s => s.startsWith(':')) ? null : [...parentSegments, ...segments];
+}
+/** The result of `matchUrl` when the URL is matched by a route that is not a redirect. */
+const MATCHED_URL = [];
+/**
+ * Matches the URL `segments` against `routes` in the order of the matching strategy of each level,
+ * like the router does without guards. Returns `MATCHED_URL` when a route matches, the segments that
+ * a matching redirect leads to, or `null` when no route matches. URLs that cannot be checked
+ * statically, such as with custom matchers or routes that are not loaded yet, are considered
+ * matched.
+ */
+function matchUrl(routes, segments, parentSegments, matchingStrategy, defaultMatchingStrategy) {
+    const validRoutes = routes.filter(route => route && !Array.isArray(route));
+    for (const route of sortByMatchingStrategy(validRoutes, matchingStrategy)) {
+        if (route.matcher) {
+            return MATCHED_URL;
+        }
+        const consumed = getConsumedSegmentCount(route, segments);
+        if (consumed === null) {
+            continue;
+        }
+        const remaining = segments.slice(consumed);
+        if (route.redirectTo !== undefined) {
+            const target = typeof route.redirectTo === 'string' ?
+                getRedirectTarget(route.redirectTo, parentSegments) :
+                null;
+            return target === null ? MATCHED_URL : [...target, ...remaining];
+        }
+        if (remaining.length === 0 || (route.loadChildren && !route._loadedRoutes)) {
+            return MATCHED_URL;
+        }
+        const children = route.children ?? route._loadedRoutes;
+        if (children) {
+            const result = matchUrl(children, remaining, [...parentSegments, ...segments.slice(0, consumed)], route.childrenMatchingStrategy ?? defaultMatchingStrategy, defaultMatchingStrategy);
+            if (result !== null) {
+                return result;
+            }
+        }
+    }
+    return null;
+}
+function getConsumedSegmentCount(route, segments) {
+    if (route.path === '**') {
+        return segments.length;
+    }
+    if (route.path === '') {
+        return route.pathMatch === 'full' && segments.length > 0 ? null : 0;
+    }
+    if (typeof route.path !== 'string') {
+        return null;
+    }
+    const urlSegments = segments.map(s => new UrlSegment(s, {}));
+    const result = defaultUrlMatcher(urlSegments, new UrlSegmentGroup(urlSegments, {}), route);
+    return result ? result.consumed.length : null;
+}
+function warnRouteConfig(message) {
+    console.warn(ɵformatRuntimeError(4018 /* RuntimeErrorCode.SUSPICIOUS_ROUTE_CONFIG */, message));
+}
+/**
+ * Finds the routes with the given `name` in `routes` and their descendants, including the children
+ * that were lazily loaded. Each match is returned as the list of routes from the root to the named
+ * route.
+ */
+function findNamedRoutes(routes, name, parents = [], matches = []) {
+    for (const route of routes) {
+        const path = [...parents, route];
+        if (route.name === name) {
+            matches.push(path);
+        }
+        findNamedRoutes(route.children ?? route._loadedRoutes ?? [], name, path, matches);
+    }
+    return matches;
+}
+/**
+ * Makes a copy of the config and adds any default required properties.
+ */
+function standardizeConfig(r) {
+    const children = r.children && r.children.map(standardizeConfig);
+    const c = children ? { ...r, children } : { ...r };
+    if ((!c.component && !c.loadComponent) && (children || c.loadChildren) &&
+        (c.outlet && c.outlet !== PRIMARY_OUTLET)) {
+        c.component = ɵEmptyOutletComponent;
+    }
+    return c;
+}
+/** Returns the `route.outlet` or PRIMARY_OUTLET if none exists. */
+function getOutlet(route) {
+    return route.outlet || PRIMARY_OUTLET;
+}
+/**
+ * Sorts the `routes` such that the ones with an outlet matching `outletName` come first.
+ * The order of the configs is otherwise preserved.
+ */
+function sortByMatchingOutlets(routes, outletName) {
+    const sortedConfig = routes.filter(r => getOutlet(r) === outletName);
+    sortedConfig.push(...routes.filter(r => getOutlet(r) !== outletName));
+    return sortedConfig;
+}
+/**
+ * Returns the routes in the order in which they are tried with the given `RouteMatchingStrategy`.
+ *
+ * With `'mostSpecific'`, the paths are compared segment by segment: static segments come before
+ * parameters with a constraint, then other parameters, then optional parameters. A route whose
+ * path is a prefix of another route comes after it, so empty paths come after the paths that
+ * consume segments, and wildcard routes come last. A route with children ranks by its path
+ * followed by the path of its most specific child. A route that only matches its full path ranks as
+ * if its path ended with a segment more specific than any other, so it comes before the routes
+ * that match the same URLs by a prefix. Routes of the same rank keep their order.
+ *
+ * A route with children that are not loaded yet cannot be ranked when it can match an empty path,
+ * so it stays in place and only the routes between such routes are sorted.
+ */
+function sortByMatchingStrategy(routes, strategy) {
+    if (strategy !== 'mostSpecific') {
+        return routes;
+    }
+    let sortedConfig = mostSpecificRoutes.get(routes);
+    if (sortedConfig === undefined) {
+        sortedConfig = sortBySpecificity(routes);
+        mostSpecificRoutes.set(routes, sortedConfig);
+    }
+    return sortedConfig;
+}
+/**
+ * The routes of each `routes` array in the order of the `'mostSpecific'` strategy, which every
+ * navigation needs at every level. The order depends on the children loaded below the routes.
+ */
+let mostSpecificRoutes = new WeakMap();
+/**
+ * Forgets the orders of the `'mostSpecific'` strategy, which must be called whenever the loaded
+ * children of a route change.
+ */
+function clearMatchingStrategyCache() {
+    mostSpecificRoutes = new WeakMap();
+}
+function sortBySpecificity(routes) {
+    const sortedConfig = [];
+    let rankedRoutes = [];
+    const flushRankedRoutes = () => {
+        rankedRoutes.sort((a, b) => compareSpecificityRanks(a.rank, b.rank) || a.index - b.index);
+        sortedConfig.push(...rankedRoutes.map(({ route }) => route));
+        rankedRoutes = [];
+    };
+    routes.forEach((route, index) => {
+        const rank = getSpecificityRank(route);
+        if (rank === undefined) {
+            flushRankedRoutes();
+            sortedConfig.push(route);
+        }
+        else {
+            rankedRoutes.push({ route, index, rank });
+        }
+    });
+    flushRankedRoutes();
+    return sortedConfig;
+}
+const FULL_PATH_MATCH_RANK = 5;
+const STATIC_SEGMENT_RANK = 4;
+const CONSTRAINED_PARAM_RANK = 3;
+const PARAM_RANK = 2;
+const OPTIONAL_PARAM_RANK = 1;
+/**
+ * Returns the rank of each segment of the path of the route, or `null` for a wildcard route. A
+ * custom matcher ranks like a single parameter. The segments of the most specific child of a route
+ * that matches a prefix are appended to its own, and `undefined` is returned for a route that can
+ * match an empty path and whose children are not loaded yet.
+ */
+function getSpecificityRank(route) {
+    if (route.path === '**') {
+        return null;
+    }
+    if (route.matcher) {
+        return [PARAM_RANK];
+    }
+    const rank = getPathSpecificityRank(route.path ?? '');
+    if (route.pathMatch === 'full') {
+        return [...rank, FULL_PATH_MATCH_RANK];
+    }
+    const children = route.children ?? route._loadedRoutes;
+    if (children === undefined) {
+        return matchesEmptyPath(route.path ?? '') && route.loadChildren ? undefined : rank;
+    }
+    const childRanks = children.map(getSpecificityRank)
+        .filter((childRank) => !!childRank)
+        .sort(compareSpecificityRanks);
+    return childRanks.length > 0 ? [...rank, ...childRanks[0]] : rank;
+}
+function getPathSpecificityRank(path) {
+    return path.split('/').filter(part => part !== '').map(part => {
+        const param = parseParamPart(part);
+        if (param === null) {
+            return STATIC_SEGMENT_RANK;
+        }
+        if (param.optional) {
+            return OPTIONAL_PARAM_RANK;
+        }
+        return param.pattern !== null ? CONSTRAINED_PARAM_RANK : PARAM_RANK;
+    });
+}
+function compareSpecificityRanks(a, b) {
+    if (a === null || b === null) {
+        return (a === null ? 1 : 0) - (b === null ? 1 : 0);
+    }
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] !== b[i]) {
+            return b[i] - a[i];
+        }
+    }
+    return b.length - a.length;
+}
+/**
+ * Gets the first injector in the snapshot's parent tree.
+ *
+ * If the `Route` has a static list of providers, the returned injector will be the one created from
+ * those. If it does not exist, the returned injector may come from the parents, which may be from a
+ * loaded config or their static providers.
+ *
+ * Returns `null` if there is neither this nor any parents have a stored injector.
+ *
+ * Generally used for retrieving the injector to use for getting tokens for guards/resolvers and
+ * also used for getting the correct injector to use for creating components.
+ */
+function getClosestRouteInjector(snapshot) {
+    if (!snapshot)
+        return null;
+    // If the current route has its own injector, which is created from the static providers on the
+    // route itself, we should use that. Otherwise, we start at the parent since we do not want to
+    // include the lazy loaded injector from this route.
+    if (snapshot.routeConfig?._injector) {
+        return snapshot.routeConfig._injector;
     }
     for (let s = snapshot.parent; s; s = s.parent) {
         const route = s.routeConfig;
@@ -2905,245 +3765,70 @@ function getClosestRouteInjector(snapshot) {
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
-const activateRoutes = (rootContexts, routeReuseStrategy, forwardEvent) => map(t => {
-    new ActivateRoutes(routeReuseStrategy, t.targetRouterState, t.currentRouterState, forwardEvent)
-        .activate(rootContexts);
-    return t;
-});
-class ActivateRoutes {
-    constructor(routeReuseStrategy, futureState, currState, forwardEvent) {
-        this.routeReuseStrategy = routeReuseStrategy;
-        this.futureState = futureState;
-        this.currState = currState;
-        this.forwardEvent = forwardEvent;
-    }
-    activate(parentContexts) {
-        const futureRoot = this.futureState._root;
-        const currRoot = this.currState ? this.currState._root : null;
-        this.deactivateChildRoutes(futureRoot, currRoot, parentContexts);
-        advanceActivatedRoute(this.futureState.root);
-        this.activateChildRoutes(futureRoot, currRoot, parentContexts);
+class CanActivate {
+    constructor(path) {
+        this.path = path;
+        this.route = this.path[this.path.length - 1];
     }
-    // De-activate the child route that are not re-used for the future state
-    deactivateChildRoutes(futureNode, currNode, contexts) {
-        const children = nodeChildrenAsMap(currNode);
-        // Recurse on the routes active in the future state to de-activate deeper children
-        futureNode.children.forEach(futureChild => {
-            const childOutletName = futureChild.value.outlet;
-            this.deactivateRoutes(futureChild, children[childOutletName], contexts);
-            delete children[childOutletName];
-        });
-        // De-activate the routes that will not be re-used
-        forEach(children, (v, childName) => {
-            this.deactivateRouteAndItsChildren(v, contexts);
-        });
+}
+class CanDeactivate {
+    constructor(component, route) {
+        this.component = component;
+        this.route = route;
     }
-    deactivateRoutes(futureNode, currNode, parentContext) {
-        const future = futureNode.value;
-        const curr = currNode ? currNode.value : null;
-        if (future === curr) {
-            // Reusing the node, check to see if the children need to be de-activated
-            if (future.component) {
-                // If we have a normal route, we need to go through an outlet.
-                const context = parentContext.getContext(future.outlet);
-                if (context) {
-                    this.deactivateChildRoutes(futureNode, currNode, context.children);
-                }
-            }
-            else {
-                // if we have a componentless route, we recurse but keep the same outlet map.
-                this.deactivateChildRoutes(futureNode, currNode, parentContext);
-            }
+}
+function getAllRouteGuards(future, curr, parentContexts) {
+    const futureRoot = future._root;
+    const currRoot = curr ? curr._root : null;
+    return getChildRouteGuards(futureRoot, currRoot, parentContexts, [futureRoot.value]);
+}
+function getCanActivateChild(p) {
+    const canActivateChild = p.routeConfig ? p.routeConfig.canActivateChild : null;
+    if (!canActivateChild || canActivateChild.length === 0)
+        return null;
+    return { node: p, guards: canActivateChild };
+}
+function getTokenOrFunctionIdentity(tokenOrFunction, injector) {
+    const NOT_FOUND = Symbol();
+    const result = injector.get(tokenOrFunction, NOT_FOUND);
+    if (result === NOT_FOUND) {
+        if (typeof tokenOrFunction === 'function' && !ɵisInjectable(tokenOrFunction)) {
+            // We think the token is just a function so return it as-is
+            return tokenOrFunction;
         }
         else {
-            if (curr) {
-                // Deactivate the current route which will not be re-used
-                this.deactivateRouteAndItsChildren(currNode, parentContext);
-            }
+            // This will throw the not found error
+            return injector.get(tokenOrFunction);
         }
     }
-    deactivateRouteAndItsChildren(route, parentContexts) {
-        // If there is no component, the Route is never attached to an outlet (because there is no
-        // component to attach).
-        if (route.value.component && this.routeReuseStrategy.shouldDetach(route.value.snapshot)) {
-            this.detachAndStoreRouteSubtree(route, parentContexts);
-        }
-        else {
-            this.deactivateRouteAndOutlet(route, parentContexts);
-        }
-    }
-    detachAndStoreRouteSubtree(route, parentContexts) {
-        const context = parentContexts.getContext(route.value.outlet);
-        const contexts = context && route.value.component ? context.children : parentContexts;
-        const children = nodeChildrenAsMap(route);
-        for (const childOutlet of Object.keys(children)) {
-            this.deactivateRouteAndItsChildren(children[childOutlet], contexts);
-        }
-        if (context && context.outlet) {
-            const componentRef = context.outlet.detach();
-            const contexts = context.children.onOutletDeactivated();
-            this.routeReuseStrategy.store(route.value.snapshot, { componentRef, route, contexts });
-        }
-    }
-    deactivateRouteAndOutlet(route, parentContexts) {
-        const context = parentContexts.getContext(route.value.outlet);
-        // The context could be `null` if we are on a componentless route but there may still be
-        // children that need deactivating.
-        const contexts = context && route.value.component ? context.children : parentContexts;
-        const children = nodeChildrenAsMap(route);
-        for (const childOutlet of Object.keys(children)) {
-            this.deactivateRouteAndItsChildren(children[childOutlet], contexts);
-        }
-        if (context && context.outlet) {
-            // Destroy the component
-            context.outlet.deactivate();
-            // Destroy the contexts for all the outlets that were in the component
-            context.children.onOutletDeactivated();
-            // Clear the information about the attached component on the context but keep the reference to
-            // the outlet.
-            context.attachRef = null;
-            context.resolver = null;
-            context.route = null;
-        }
-    }
-    activateChildRoutes(futureNode, currNode, contexts) {
-        const children = nodeChildrenAsMap(currNode);
-        futureNode.children.forEach(c => {
-            this.activateRoutes(c, children[c.value.outlet], contexts);
-            this.forwardEvent(new ActivationEnd(c.value.snapshot));
-        });
-        if (futureNode.children.length) {
-            this.forwardEvent(new ChildActivationEnd(futureNode.value.snapshot));
-        }
-    }
-    activateRoutes(futureNode, currNode, parentContexts) {
-        const future = futureNode.value;
-        const curr = currNode ? currNode.value : null;
-        advanceActivatedRoute(future);
-        // reusing the node
-        if (future === curr) {
-            if (future.component) {
-                // If we have a normal route, we need to go through an outlet.
-                const context = parentContexts.getOrCreateContext(future.outlet);
-                this.activateChildRoutes(futureNode, currNode, context.children);
-            }
-            else {
-                // if we have a componentless route, we recurse but keep the same outlet map.
-                this.activateChildRoutes(futureNode, currNode, parentContexts);
-            }
-        }
-        else {
-            if (future.component) {
-                // if we have a normal route, we need to place the component into the outlet and recurse.
-                const context = parentContexts.getOrCreateContext(future.outlet);
-                if (this.routeReuseStrategy.shouldAttach(future.snapshot)) {
-                    const stored = this.routeReuseStrategy.retrieve(future.snapshot);
-                    this.routeReuseStrategy.store(future.snapshot, null);
-                    context.children.onOutletReAttached(stored.contexts);
-                    context.attachRef = stored.componentRef;
-                    context.route = stored.route.value;
-                    if (context.outlet) {
-                        // Attach right away when the outlet has already been instantiated
-                        // Otherwise attach from `RouterOutlet.ngOnInit` when it is instantiated
-                        context.outlet.attach(stored.componentRef, stored.route.value);
-                    }
-                    advanceActivatedRoute(stored.route.value);
-                    this.activateChildRoutes(futureNode, null, context.children);
-                }
-                else {
-                    const injector = getClosestRouteInjector(future.snapshot);
-                    const cmpFactoryResolver = injector?.get(ComponentFactoryResolver) ?? null;
-                    context.attachRef = null;
-                    context.route = future;
-                    context.resolver = cmpFactoryResolver;
-                    context.injector = injector;
-                    if (context.outlet) {
-                        // Activate the outlet when it has already been instantiated
-                        // Otherwise it will get activated from its `ngOnInit` when instantiated
-                        context.outlet.activateWith(future, context.injector);
-                    }
-                    this.activateChildRoutes(futureNode, null, context.children);
-                }
-            }
-            else {
-                // if we have a componentless route, we recurse but keep the same outlet map.
-                this.activateChildRoutes(futureNode, null, parentContexts);
-            }
-        }
-    }
-}
-
-/**
- * @license
- * Copyright Google LLC All Rights Reserved.
- *
- * Use of this source code is governed by an MIT-style license that can be
- * found in the LICENSE file at https://angular.io/license
- */
-class CanActivate {
-    constructor(path) {
-        this.path = path;
-        this.route = this.path[this.path.length - 1];
-    }
-}
-class CanDeactivate {
-    constructor(component, route) {
-        this.component = component;
-        this.route = route;
-    }
-}
-function getAllRouteGuards(future, curr, parentContexts) {
-    const futureRoot = future._root;
-    const currRoot = curr ? curr._root : null;
-    return getChildRouteGuards(futureRoot, currRoot, parentContexts, [futureRoot.value]);
-}
-function getCanActivateChild(p) {
-    const canActivateChild = p.routeConfig ? p.routeConfig.canActivateChild : null;
-    if (!canActivateChild || canActivateChild.length === 0)
-        return null;
-    return { node: p, guards: canActivateChild };
-}
-function getTokenOrFunctionIdentity(tokenOrFunction, injector) {
-    const NOT_FOUND = Symbol();
-    const result = injector.get(tokenOrFunction, NOT_FOUND);
-    if (result === NOT_FOUND) {
-        if (typeof tokenOrFunction === 'function' && !ɵisInjectable(tokenOrFunction)) {
-            // We think the token is just a function so return it as-is
-            return tokenOrFunction;
-        }
-        else {
-            // This will throw the not found error
-            return injector.get(tokenOrFunction);
-        }
-    }
-    return result;
-}
-function getChildRouteGuards(futureNode, currNode, contexts, futurePath, checks = {
-    canDeactivateChecks: [],
-    canActivateChecks: []
-}) {
-    const prevChildren = nodeChildrenAsMap(currNode);
-    // Process the children of the future route
-    futureNode.children.forEach(c => {
-        getRouteGuards(c, prevChildren[c.value.outlet], contexts, futurePath.concat([c.value]), checks);
-        delete prevChildren[c.value.outlet];
-    });
-    // Process any children left from the current route (not active for the future route)
-    forEach(prevChildren, (v, k) => deactivateRouteAndItsChildren(v, contexts.getContext(k), checks));
-    return checks;
-}
-function getRouteGuards(futureNode, currNode, parentContexts, futurePath, checks = {
-    canDeactivateChecks: [],
-    canActivateChecks: []
-}) {
-    const future = futureNode.value;
-    const curr = currNode ? currNode.value : null;
-    const context = parentContexts ? parentContexts.getContext(futureNode.value.outlet) : null;
-    // reusing the node
-    if (curr && future.routeConfig === curr.routeConfig) {
-        const shouldRun = shouldRunGuardsAndResolvers(curr, future, future.routeConfig.runGuardsAndResolvers);
-        if (shouldRun) {
-            checks.canActivateChecks.push(new CanActivate(futurePath));
+    return result;
+}
+function getChildRouteGuards(futureNode, currNode, contexts, futurePath, checks = {
+    canDeactivateChecks: [],
+    canActivateChecks: []
+}) {
+    const prevChildren = nodeChildrenAsMap(currNode);
+    // Process the children of the future route
+    futureNode.children.forEach(c => {
+        getRouteGuards(c, prevChildren[c.value.outlet], contexts, futurePath.concat([c.value]), checks);
+        delete prevChildren[c.value.outlet];
+    });
+    // Process any children left from the current route (not active for the future route)
+    forEach(prevChildren, (v, k) => deactivateRouteAndItsChildren(v, contexts.getContext(k), checks));
+    return checks;
+}
+function getRouteGuards(futureNode, currNode, parentContexts, futurePath, checks = {
+    canDeactivateChecks: [],
+    canActivateChecks: []
+}) {
+    const future = futureNode.value;
+    const curr = currNode ? currNode.value : null;
+    const context = parentContexts ? parentContexts.getContext(futureNode.value.outlet) : null;
+    // reusing the node
+    if (curr && future.routeConfig === curr.routeConfig) {
+        const shouldRun = shouldRunGuardsAndResolvers(curr, future, future.routeConfig.runGuardsAndResolvers);
+        if (shouldRun) {
+            checks.canActivateChecks.push(new CanActivate(futurePath));
         }
         else {
             // we need to set the data
@@ -3553,7 +4238,7 @@ function createChildrenForEmptyPaths(segmentGroup, consumedSegments, routes, pri
     primarySegment._sourceSegment = segmentGroup;
     primarySegment._segmentIndexShift = consumedSegments.length;
     for (const r of routes) {
-        if (r.path === '' && getOutlet(r) !== PRIMARY_OUTLET) {
+        if (matchesEmptyPath(r.path) && getOutlet(r) !== PRIMARY_OUTLET) {
             const s = new UrlSegmentGroup([], {});
             s._sourceSegment = segmentGroup;
             s._segmentIndexShift = consumedSegments.length;
@@ -3572,7 +4257,7 @@ function emptyPathMatch(segmentGroup, slicedSegments, r) {
     if ((segmentGroup.hasChildren() || slicedSegments.length > 0) && r.pathMatch === 'full') {
         return false;
     }
-    return r.path === '';
+    return matchesEmptyPath(r.path);
 }
 /**
  * Determines if `route` is a path match for the `rawSegment`, `segments`, and `outlet` without
@@ -3603,6 +4288,62 @@ function isImmediateMatch(route, rawSegment, segments, outlet) {
 function noLeftoversInUrl(segmentGroup, segments, outlet) {
     return segments.length === 0 && !segmentGroup.children[outlet];
 }
+/**
+ * Returns the routes that `urlTree` leads to in `config`, parents before their children.
+ *
+ * The routes are matched the way the router recognizes a URL, but synchronously: `canMatch` guards
+ * are not run, redirects are not followed and lazy children are not loaded. The first route whose
+ * path matches is used, and the routes below a route whose children are not loaded yet are not
+ * known.
+ */
+function matchRoutesStatically(config, urlTree, routeMatchingStrategy) {
+    const routes = [];
+    const rootSegmentGroup = split(urlTree.root, [], [], config.filter(c => c.redirectTo === undefined)).segmentGroup;
+    matchSegmentGroupStatically(sortByMatchingStrategy(config, routeMatchingStrategy), rootSegmentGroup, PRIMARY_OUTLET, routeMatchingStrategy, routes);
+    return routes;
+}
+function matchSegmentGroupStatically(routes, segmentGroup, outlet, routeMatchingStrategy, matched) {
+    if (segmentGroup.segments.length === 0 && segmentGroup.hasChildren()) {
+        return matchChildrenStatically(routes, segmentGroup, routeMatchingStrategy, matched);
+    }
+    return matchSegmentStatically(routes, segmentGroup, segmentGroup.segments, outlet, routeMatchingStrategy, matched);
+}
+function matchChildrenStatically(routes, segmentGroup, routeMatchingStrategy, matched) {
+    return Object.keys(segmentGroup.children)
+        .every(childOutlet => matchSegmentGroupStatically(sortByMatchingOutlets(routes, childOutlet), segmentGroup.children[childOutlet], childOutlet, routeMatchingStrategy, matched));
+}
+function matchSegmentStatically(routes, segmentGroup, segments, outlet, routeMatchingStrategy, matched) {
+    for (const route of routes) {
+        if (route.redirectTo !== undefined ||
+            !isImmediateMatch(route, segmentGroup, segments, outlet)) {
+            continue;
+        }
+        // The children are only kept when they match the rest of the URL
+        const children = [];
+        if (route.path !== '**' &&
+            !matchRouteChildrenStatically(route, segmentGroup, segments, outlet, routeMatchingStrategy, children)) {
+            continue;
+        }
+        matched.push(route, ...children);
+        return true;
+    }
+    return noLeftoversInUrl(segmentGroup, segments, outlet);
+}
+function matchRouteChildrenStatically(route, segmentGroup, segments, outlet, routeMatchingStrategy, matched) {
+    if (route.loadChildren && !route._loadedRoutes) {
+        return true;
+    }
+    const { consumedSegments, remainingSegments } = match(segmentGroup, route, segments);
+    const childConfig = sortByMatchingStrategy(route.children ?? route._loadedRoutes ?? [], route.childrenMatchingStrategy ?? routeMatchingStrategy);
+    const { segmentGroup: childSegmentGroup, slicedSegments } = split(segmentGroup, consumedSegments, remainingSegments, childConfig.filter(c => c.redirectTo === undefined));
+    if (slicedSegments.length === 0 && childSegmentGroup.hasChildren()) {
+        return matchChildrenStatically(childConfig, childSegmentGroup, routeMatchingStrategy, matched);
+    }
+    if (childConfig.length === 0 && slicedSegments.length === 0) {
+        return true;
+    }
+    return matchSegmentStatically(childConfig, childSegmentGroup, slicedSegments, getOutlet(route) === outlet ? PRIMARY_OUTLET : outlet, routeMatchingStrategy, matched);
+}
 
 /**
  * @license
@@ -3611,7 +4352,7 @@ function noLeftoversInUrl(segmentGroup, segments, outlet) {
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
-const NG_DEV_MODE$7 = typeof ngDevMode === 'undefined' || ngDevMode;
+const NG_DEV_MODE$9 = typeof ngDevMode === 'undefined' || ngDevMode;
 class NoMatch$1 {
     constructor(segmentGroup) {
         this.segmentGroup = segmentGroup || null;
@@ -3629,29 +4370,54 @@ function absoluteRedirect(newTree) {
     return throwError(new AbsoluteRedirect(newTree));
 }
 function namedOutletsRedirect(redirectTo) {
-    return throwError(new ɵRuntimeError(4000 /* RuntimeErrorCode.NAMED_OUTLET_REDIRECT */, NG_DEV_MODE$7 &&
+    return throwError(new ɵRuntimeError(4000 /* RuntimeErrorCode.NAMED_OUTLET_REDIRECT */, NG_DEV_MODE$9 &&
         `Only absolute redirects can have named outlets. redirectTo: '${redirectTo}'`));
 }
 function canLoadFails(route) {
-    return throwError(navigationCancelingError(NG_DEV_MODE$7 &&
+    return throwError(navigationCancelingError(NG_DEV_MODE$9 &&
         `Cannot load children because the guard of the route "path: '${route.path}'" returned false`, 3 /* NavigationCancellationCode.GuardRejected */));
 }
+/**
+ * Creates the error that fails a navigation whose `redirectChain` of visited URLs exceeds
+ * `maxRedirects`.
+ */
+function redirectLoopError(redirectChain, maxRedirects) {
+    const isCycle = new Set(redirectChain).size < redirectChain.length;
+    return new ɵRuntimeError(4019 /* RuntimeErrorCode.REDIRECT_LOOP */, NG_DEV_MODE$9 &&
+        `The navigation was redirected more than ${maxRedirects} times${isCycle ? ' because of a redirect cycle' : ''}: ${redirectChain.map(url => `'${url}'`).join(' -> ')}`);
+}
 /**
  * Returns the `UrlTree` with the redirection applied.
  *
  * Lazy modules are loaded along the way.
  */
-function applyRedirects$1(injector, configLoader, urlSerializer, urlTree, config) {
-    return new ApplyRedirects(injector, configLoader, urlSerializer, urlTree, config).apply();
+function applyRedirects$1(injector, configLoader, urlSerializer, urlTree, config, routeMatchingStrategy = 'firstMatch', maxRedirects = 20, redirectChain = [urlSerializer.serialize(urlTree)]) {
+    return new ApplyRedirects(injector, configLoader, urlSerializer, urlTree, config, routeMatchingStrategy, maxRedirects, redirectChain)
+        .apply();
 }
 class ApplyRedirects {
-    constructor(injector, configLoader, urlSerializer, urlTree, config) {
+    constructor(injector, configLoader, urlSerializer, urlTree, config, routeMatchingStrategy, maxRedirects, redirectChain) {
         this.injector = injector;
         this.configLoader = configLoader;
         this.urlSerializer = urlSerializer;
         this.urlTree = urlTree;
         this.config = config;
+        this.routeMatchingStrategy = routeMatchingStrategy;
+        this.maxRedirects = maxRedirects;
+        /**
+         * The URLs visited by the navigation and the navigations that redirected to it, which the
+         * redirects applied here are appended to.
+         */
+        this.redirectChain = redirectChain;
         this.allowRedirects = true;
+        /** The URL with the redirects applied so far, which relative redirects are applied to. */
+        this.redirectedUrlTree = this.urlTree;
+        /**
+         * The routes that did not match the segments of each segment group, recorded in dev mode to
+         * explain a `NO_MATCH` error. A segment group has an entry for each list of segments it was
+         * expanded with.
+         */
+        this.noMatchAttempts = new Map();
     }
     apply() {
         const splitGroup = split(this.urlTree.root, [], [], this.config).segmentGroup;
@@ -3662,7 +4428,8 @@ class ApplyRedirects {
         // them. We should be able to remove this logic as a "breaking change" but should do some more
         // investigation into the failures first.
         const rootSegmentGroup = new UrlSegmentGroup(splitGroup.segments, splitGroup.children);
-        const expanded$ = this.expandSegmentGroup(this.injector, this.config, rootSegmentGroup, PRIMARY_OUTLET);
+        const config = sortByMatchingStrategy(this.config, this.routeMatchingStrategy);
+        const expanded$ = this.expandSegmentGroup(this.injector, config, rootSegmentGroup, PRIMARY_OUTLET);
         const urlTrees$ = expanded$.pipe(map((rootSegmentGroup) => {
             return this.createUrlTree(squashSegmentGroup(rootSegmentGroup), this.urlTree.queryParams, this.urlTree.fragment);
         }));
@@ -3681,7 +4448,8 @@ class ApplyRedirects {
         }));
     }
     match(tree) {
-        const expanded$ = this.expandSegmentGroup(this.injector, this.config, tree.root, PRIMARY_OUTLET);
+        const config = sortByMatchingStrategy(this.config, this.routeMatchingStrategy);
+        const expanded$ = this.expandSegmentGroup(this.injector, config, tree.root, PRIMARY_OUTLET);
         const mapped$ = expanded$.pipe(map((rootSegmentGroup) => {
             return this.createUrlTree(squashSegmentGroup(rootSegmentGroup), tree.queryParams, tree.fragment);
         }));
@@ -3693,7 +4461,9 @@ class ApplyRedirects {
         }));
     }
     noMatchError(e) {
-        return new ɵRuntimeError(4002 /* RuntimeErrorCode.NO_MATCH */, NG_DEV_MODE$7 && `Cannot match any routes. URL Segment: '${e.segmentGroup}'`);
+        return new ɵRuntimeError(4002 /* RuntimeErrorCode.NO_MATCH */, NG_DEV_MODE$9 &&
+            `Cannot match any routes. URL Segment: '${e.segmentGroup}'` +
+                describeNoMatch(this.noMatchAttempts, e.segmentGroup, ''));
     }
     createUrlTree(rootCandidate, queryParams, fragment) {
         const root = createRoot(rootCandidate);
@@ -3735,9 +4505,17 @@ class ApplyRedirects {
     }
     expandSegment(injector, segmentGroup, routes, segments, outlet, allowRedirects) {
         return from(routes).pipe(concatMap(r => {
+            // The redirects applied below a route that does not match are not visited
+            const redirectChainLength = this.redirectChain.length;
+            const redirectedUrlTree = this.redirectedUrlTree;
             const expanded$ = this.expandSegmentAgainstRoute(injector, segmentGroup, routes, r, segments, outlet, allowRedirects);
             return expanded$.pipe(catchError((e) => {
                 if (e instanceof NoMatch$1) {
+                    this.redirectChain.length = redirectChainLength;
+                    this.redirectedUrlTree = redirectedUrlTree;
+                    if (NG_DEV_MODE$9) {
+                        this.recordNoMatch(segmentGroup, segments, outlet, allowRedirects, r, e.segmentGroup);
+                    }
                     return of(null);
                 }
                 throw e;
@@ -3766,45 +4544,86 @@ class ApplyRedirects {
     }
     expandSegmentAgainstRouteUsingRedirect(injector, segmentGroup, routes, route, segments, outlet) {
         if (route.path === '**') {
-            return this.expandWildCardWithParamsAgainstRouteUsingRedirect(injector, routes, route, outlet);
+            return this.expandWildCardWithParamsAgainstRouteUsingRedirect(injector, segmentGroup, routes, route, segments, outlet);
         }
         return this.expandRegularSegmentAgainstRouteUsingRedirect(injector, segmentGroup, routes, route, segments, outlet);
     }
-    expandWildCardWithParamsAgainstRouteUsingRedirect(injector, routes, route, outlet) {
-        const newTree = this.applyRedirectCommands([], route.redirectTo, {});
-        if (route.redirectTo.startsWith('/')) {
-            return absoluteRedirect(newTree);
+    expandWildCardWithParamsAgainstRouteUsingRedirect(injector, segmentGroup, routes, route, segments, outlet) {
+        const redirectTo = this.getRedirectTo(injector, route, {});
+        if (redirectTo instanceof UrlTree) {
+            return this.recordRedirect(redirectTo) ?? absoluteRedirect(redirectTo);
         }
-        return this.lineralizeSegments(route, newTree).pipe(mergeMap((newSegments) => {
+        const newTree = this.applyRedirectCommands([], redirectTo, {});
+        if (redirectTo.startsWith('/')) {
+            return this.recordRedirect(newTree) ?? absoluteRedirect(newTree);
+        }
+        return this.lineralizeSegments(redirectTo, newTree).pipe(mergeMap((newSegments) => {
             const group = new UrlSegmentGroup(newSegments, {});
-            return this.expandSegment(injector, group, routes, newSegments, outlet, false);
+            const redirectedUrlTree = createRedirectedUrlTree(this.redirectedUrlTree, segmentGroup, segments, outlet, newSegments, {});
+            return this.recordRedirect(redirectedUrlTree) ??
+                this.expandSegment(injector, group, routes, newSegments, outlet, false);
         }));
     }
     expandRegularSegmentAgainstRouteUsingRedirect(injector, segmentGroup, routes, route, segments, outlet) {
-        const { matched, consumedSegments, remainingSegments, positionalParamSegments } = match(segmentGroup, route, segments);
+        const { matched, consumedSegments, remainingSegments, parameters, positionalParamSegments } = match(segmentGroup, route, segments);
         if (!matched)
             return noMatch(segmentGroup);
-        const newTree = this.applyRedirectCommands(consumedSegments, route.redirectTo, positionalParamSegments);
-        if (route.redirectTo.startsWith('/')) {
-            return absoluteRedirect(newTree);
-        }
-        return this.lineralizeSegments(route, newTree).pipe(mergeMap((newSegments) => {
-            return this.expandSegment(injector, segmentGroup, routes, newSegments.concat(remainingSegments), outlet, false);
+        const redirectTo = this.getRedirectTo(injector, route, parameters);
+        if (redirectTo instanceof UrlTree) {
+            return this.recordRedirect(redirectTo) ?? absoluteRedirect(redirectTo);
+        }
+        const newTree = this.applyRedirectCommands(consumedSegments, redirectTo, positionalParamSegments);
+        if (redirectTo.startsWith('/')) {
+            return this.recordRedirect(newTree) ?? absoluteRedirect(newTree);
+        }
+        return this.lineralizeSegments(redirectTo, newTree).pipe(mergeMap((newSegments) => {
+            const redirectedSegments = newSegments.concat(remainingSegments);
+            const redirectedUrlTree = createRedirectedUrlTree(this.redirectedUrlTree, segmentGroup, segments, outlet, redirectedSegments);
+            return this.recordRedirect(redirectedUrlTree) ??
+                this.expandSegment(injector, segmentGroup, routes, redirectedSegments, outlet, false);
         }));
     }
+    /**
+     * Records a redirect to `urlTree` in the redirect chain. Returns an error once the chain exceeds
+     * `maxRedirects`, which stops relative redirects that keep matching each other, or `null`.
+     */
+    recordRedirect(urlTree) {
+        this.redirectedUrlTree = urlTree;
+        this.redirectChain.push(this.urlSerializer.serialize(urlTree));
+        if (this.redirectChain.length - 1 <= this.maxRedirects) {
+            return null;
+        }
+        return throwError(redirectLoopError([...this.redirectChain], this.maxRedirects));
+    }
+    /**
+     * Records that `route` did not match the `segments` of `segmentGroup`, because of the failure to
+     * match `failedGroup`. The reason is worked out when the `NO_MATCH` error is created.
+     */
+    recordNoMatch(segmentGroup, segments, outlet, allowRedirects, route, failedGroup) {
+        let attemptsOfGroup = this.noMatchAttempts.get(segmentGroup);
+        if (attemptsOfGroup === undefined) {
+            attemptsOfGroup = [];
+            this.noMatchAttempts.set(segmentGroup, attemptsOfGroup);
+        }
+        let attempts = attemptsOfGroup.find(a => a.segments === segments);
+        if (attempts === undefined) {
+            attempts = {
+                segments,
+                outlet,
+                allowRedirects: allowRedirects && this.allowRedirects,
+                failures: new Map()
+            };
+            attemptsOfGroup.push(attempts);
+        }
+        attempts.failures.set(route, failedGroup);
+    }
     matchSegmentAgainstRoute(injector, rawSegmentGroup, route, segments, outlet) {
         if (route.path === '**') {
             // Only create the Route's `EnvironmentInjector` if it matches the attempted navigation
             injector = getOrCreateRouteInjectorIfNeeded(route, injector);
             if (route.loadChildren) {
-                const loaded$ = route._loadedRoutes ?
-                    of({ routes: route._loadedRoutes, injector: route._loadedInjector }) :
-                    this.configLoader.loadChildren(injector, route);
-                return loaded$.pipe(map((cfg) => {
-                    route._loadedRoutes = cfg.routes;
-                    route._loadedInjector = cfg.injector;
-                    return new UrlSegmentGroup(segments, {});
-                }));
+                return this.configLoader.loadChildren(injector, route)
+                    .pipe(map(() => new UrlSegmentGroup(segments, {})));
             }
             return of(new UrlSegmentGroup(segments, {}));
         }
@@ -3817,7 +4636,7 @@ class ApplyRedirects {
             const childConfig$ = this.getChildConfig(injector, route, segments);
             return childConfig$.pipe(mergeMap((routerConfig) => {
                 const childInjector = routerConfig.injector ?? injector;
-                const childConfig = routerConfig.routes;
+                const childConfig = sortByMatchingStrategy(routerConfig.routes, route.childrenMatchingStrategy ?? this.routeMatchingStrategy);
                 const { segmentGroup: splitSegmentGroup, slicedSegments } = split(rawSegmentGroup, consumedSegments, remainingSegments, childConfig);
                 // See comment on the other call to `split` about why this is necessary.
                 const segmentGroup = new UrlSegmentGroup(splitSegmentGroup.segments, splitSegmentGroup.children);
@@ -3847,18 +4666,28 @@ class ApplyRedirects {
             return runCanLoadGuards(injector, route, segments, this.urlSerializer)
                 .pipe(mergeMap((shouldLoadResult) => {
                 if (shouldLoadResult) {
-                    return this.configLoader.loadChildren(injector, route)
-                        .pipe(tap((cfg) => {
-                        route._loadedRoutes = cfg.routes;
-                        route._loadedInjector = cfg.injector;
-                    }));
+                    return this.configLoader.loadChildren(injector, route);
                 }
                 return canLoadFails(route);
             }));
         }
         return of({ routes: [], injector });
     }
-    lineralizeSegments(route, urlTree) {
+    /**
+     * Returns the redirect target of the route. When `redirectTo` is a function, it is called in the
+     * injection context of the route with the matched params and the current query params,
+     * fragment and static data.
+     */
+    getRedirectTo(injector, route, params) {
+        const redirectTo = route.redirectTo;
+        if (typeof redirectTo === 'string') {
+            return redirectTo;
+        }
+        const routeInjector = getOrCreateRouteInjectorIfNeeded(route, injector);
+        const { queryParams, fragment } = this.urlTree;
+        return routeInjector.runInContext(() => redirectTo({ params, queryParams, fragment, data: route.data ?? {} }));
+    }
+    lineralizeSegments(redirectTo, urlTree) {
         let res = [];
         let c = urlTree.root;
         while (true) {
@@ -3867,7 +4696,7 @@ class ApplyRedirects {
                 return of(res);
             }
             if (c.numberOfChildren > 1 || !c.children[PRIMARY_OUTLET]) {
-                return namedOutletsRedirect(route.redirectTo);
+                return namedOutletsRedirect(redirectTo);
             }
             c = c.children[PRIMARY_OUTLET];
         }
@@ -3908,7 +4737,7 @@ class ApplyRedirects {
     findPosParam(redirectTo, redirectToUrlSegment, posParams) {
         const pos = posParams[redirectToUrlSegment.path.substring(1)];
         if (!pos)
-            throw new ɵRuntimeError(4001 /* RuntimeErrorCode.MISSING_REDIRECT */, NG_DEV_MODE$7 &&
+            throw new ɵRuntimeError(4001 /* RuntimeErrorCode.MISSING_REDIRECT */, NG_DEV_MODE$9 &&
                 `Cannot redirect to '${redirectTo}'. Cannot find '${redirectToUrlSegment.path}'.`);
         return pos;
     }
@@ -3924,304 +4753,180 @@ class ApplyRedirects {
         return redirectToUrlSegment;
     }
 }
-
 /**
- * @license
- * Copyright Google LLC All Rights Reserved.
- *
- * Use of this source code is governed by an MIT-style license that can be
- * found in the LICENSE file at https://angular.io/license
+ * Describes why the routes tried for the segments of `segmentGroup` did not match them, one line
+ * per route, followed by the static paths that are closest to the segments in case of a typo.
  */
-function applyRedirects(environmentInjector, configLoader, urlSerializer, config) {
-    return switchMap(t => applyRedirects$1(environmentInjector, configLoader, urlSerializer, t.extractedUrl, config)
-        .pipe(map(urlAfterRedirects => ({ ...t, urlAfterRedirects }))));
-}
-
 /**
- * @license
- * Copyright Google LLC All Rights Reserved.
- *
- * Use of this source code is governed by an MIT-style license that can be
- * found in the LICENSE file at https://angular.io/license
+ * Returns `urlTree` with the `segments` that a relative redirect matched in `segmentGroup` replaced
+ * by the `redirectedSegments` it leads to. The segments are found in `urlTree` by identity, since
+ * the segment groups being expanded are copies. The children of the redirected segment group are
+ * kept, unless other `children` are given.
  */
-const NG_DEV_MODE$6 = typeof ngDevMode === 'undefined' || !!ngDevMode;
-class NoMatch {
-}
-function newObservableError(e) {
-    // TODO(atscott): This pattern is used throughout the router code and can be `throwError` instead.
-    return new Observable((obs) => obs.error(e));
-}
-function recognize$1(injector, rootComponentType, config, urlTree, url, urlSerializer, paramsInheritanceStrategy = 'emptyOnly') {
-    return new Recognizer(injector, rootComponentType, config, urlTree, url, paramsInheritanceStrategy, urlSerializer)
-        .recognize()
-        .pipe(switchMap(result => {
-        if (result === null) {
-            return newObservableError(new NoMatch());
+function createRedirectedUrlTree(urlTree, segmentGroup, segments, outlet, redirectedSegments, children) {
+    let root = null;
+    if (segments.length > 0) {
+        root = updateSegmentGroup(urlTree.root, segments[0], (group, index) => new UrlSegmentGroup(group.segments.slice(0, index).concat(redirectedSegments), children ?? group.children));
+    }
+    else if (outlet === PRIMARY_OUTLET && segmentGroup.segments.length > 0) {
+        // The redirect matched an empty path after the last segment of the group
+        const lastSegment = segmentGroup.segments[segmentGroup.segments.length - 1];
+        root = updateSegmentGroup(urlTree.root, lastSegment, (group, index) => new UrlSegmentGroup(group.segments.slice(0, index + 1).concat(redirectedSegments), children ?? group.children));
+    }
+    else {
+        // The redirect matched an empty path in an outlet of the group the segment group was split from
+        const redirectedGroup = new UrlSegmentGroup(redirectedSegments, children ?? {});
+        const parentSegments = segmentGroup._sourceSegment?.segments ?? [];
+        if (parentSegments.length === 0) {
+            root = new UrlSegmentGroup(urlTree.root.segments, { ...urlTree.root.children, [outlet]: redirectedGroup });
         }
         else {
-            return of(result);
+            root = updateSegmentGroup(urlTree.root, parentSegments[parentSegments.length - 1], (group, index) => {
+                const remainingSegments = group.segments.slice(index + 1);
+                const groupChildren = remainingSegments.length > 0 ?
+                    { [PRIMARY_OUTLET]: new UrlSegmentGroup(remainingSegments, group.children) } :
+                    group.children;
+                return new UrlSegmentGroup(group.segments.slice(0, index + 1), { ...groupChildren, [outlet]: redirectedGroup });
+            });
         }
-    }));
+    }
+    return new UrlTree(root ?? urlTree.root, urlTree.queryParams, urlTree.fragment);
 }
-class Recognizer {
-    constructor(injector, rootComponentType, config, urlTree, url, paramsInheritanceStrategy, urlSerializer) {
-        this.injector = injector;
-        this.rootComponentType = rootComponentType;
-        this.config = config;
-        this.urlTree = urlTree;
-        this.url = url;
-        this.paramsInheritanceStrategy = paramsInheritanceStrategy;
-        this.urlSerializer = urlSerializer;
-    }
-    recognize() {
-        const rootSegmentGroup = split(this.urlTree.root, [], [], this.config.filter(c => c.redirectTo === undefined))
-            .segmentGroup;
-        return this.processSegmentGroup(this.injector, this.config, rootSegmentGroup, PRIMARY_OUTLET)
-            .pipe(map(children => {
-            if (children === null) {
-                return null;
-            }
-            // Use Object.freeze to prevent readers of the Router state from modifying it outside of a
-            // navigation, resulting in the router being out of sync with the browser.
-            const root = new ActivatedRouteSnapshot([], Object.freeze({}), Object.freeze({ ...this.urlTree.queryParams }), this.urlTree.fragment, {}, PRIMARY_OUTLET, this.rootComponentType, null, this.urlTree.root, -1, {});
-            const rootNode = new TreeNode(root, children);
-            const routeState = new RouterStateSnapshot(this.url, rootNode);
-            this.inheritParamsAndData(routeState._root);
-            return routeState;
-        }));
-    }
-    inheritParamsAndData(routeNode) {
-        const route = routeNode.value;
-        const i = inheritedParamsDataResolve(route, this.paramsInheritanceStrategy);
-        route.params = Object.freeze(i.params);
-        route.data = Object.freeze(i.data);
-        routeNode.children.forEach(n => this.inheritParamsAndData(n));
+/**
+ * Returns a copy of the tree of `segmentGroup` in which the group that contains `segment` is
+ * replaced by the result of `update`, or `null` when no group contains it.
+ */
+function updateSegmentGroup(segmentGroup, segment, update) {
+    const index = segmentGroup.segments.indexOf(segment);
+    if (index !== -1) {
+        return update(segmentGroup, index);
     }
-    processSegmentGroup(injector, config, segmentGroup, outlet) {
-        if (segmentGroup.segments.length === 0 && segmentGroup.hasChildren()) {
-            return this.processChildren(injector, config, segmentGroup);
+    for (const [outlet, child] of Object.entries(segmentGroup.children)) {
+        const updatedChild = updateSegmentGroup(child, segment, update);
+        if (updatedChild !== null) {
+            return new UrlSegmentGroup(segmentGroup.segments, { ...segmentGroup.children, [outlet]: updatedChild });
         }
-        return this.processSegment(injector, config, segmentGroup, segmentGroup.segments, outlet);
     }
-    /**
-     * Matches every child outlet in the `segmentGroup` to a `Route` in the config. Returns `null` if
-     * we cannot find a match for _any_ of the children.
-     *
-     * @param config - The `Routes` to match against
-     * @param segmentGroup - The `UrlSegmentGroup` whose children need to be matched against the
-     *     config.
-     */
-    processChildren(injector, config, segmentGroup) {
-        return from(Object.keys(segmentGroup.children))
-            .pipe(concatMap(childOutlet => {
-            const child = segmentGroup.children[childOutlet];
-            // Sort the config so that routes with outlets that match the one being activated
-            // appear first, followed by routes for other outlets, which might match if they have
-            // an empty path.
-            const sortedConfig = sortByMatchingOutlets(config, childOutlet);
-            return this.processSegmentGroup(injector, sortedConfig, child, childOutlet);
-        }), scan((children, outletChildren) => {
-            if (!children || !outletChildren)
-                return null;
-            children.push(...outletChildren);
-            return children;
-        }), takeWhile(children => children !== null), defaultIfEmpty(null), last$1(), map(children => {
-            if (children === null)
-                return null;
-            // Because we may have matched two outlets to the same empty path segment, we can have
-            // multiple activated results for the same outlet. We should merge the children of
-            // these results so the final return value is only one `TreeNode` per outlet.
-            const mergedChildren = mergeEmptyPathMatches(children);
-            if (NG_DEV_MODE$6) {
-                // This should really never happen - we are only taking the first match for each
-                // outlet and merge the empty path matches.
-                checkOutletNameUniqueness(mergedChildren);
-            }
-            sortActivatedRouteSnapshots(mergedChildren);
-            return mergedChildren;
-        }));
+    return null;
+}
+function describeNoMatch(attemptsBySegmentGroup, segmentGroup, indent) {
+    // Redirects expand the same segment group again, the first attempt is the one that failed.
+    const attemptsOfGroup = attemptsBySegmentGroup.get(segmentGroup);
+    const attempts = attemptsOfGroup?.[0];
+    if (attempts === undefined || attempts.failures.size === 0) {
+        return '';
     }
-    processSegment(injector, routes, segmentGroup, segments, outlet) {
-        return from(routes).pipe(concatMap(r => {
-            return this.processSegmentAgainstRoute(r._injector ?? injector, r, segmentGroup, segments, outlet);
-        }), first((x) => !!x), catchError(e => {
-            if (isEmptyError(e)) {
-                if (noLeftoversInUrl(segmentGroup, segments, outlet)) {
-                    return of([]);
-                }
-                return of(null);
+    const { segments, outlet, allowRedirects } = attempts;
+    const path = segments.join('/');
+    // The segments of the URL end the segment group, unlike the segments a relative redirect led to
+    const urlAttempts = attemptsOfGroup.find(a => endsWithSegments(segmentGroup.segments, a.segments));
+    const redirect = urlAttempts && urlAttempts !== attempts ?
+        `, to which '${urlAttempts.segments.join('/')}' was redirected` :
+        '';
+    let description = `\n${indent}Routes tried for '${path}'${redirect}:`;
+    for (const [route, failedGroup] of attempts.failures) {
+        const { reason, childGroup } = getNoMatchReason(segmentGroup, segments, outlet, allowRedirects, route, failedGroup);
+        description += `\n${indent}  - ${describeRoute(route)}: ${reason}`;
+        if (childGroup !== null) {
+            description += describeNoMatch(attemptsBySegmentGroup, childGroup, indent + '    ');
+        }
+    }
+    const closestPaths = findClosestPaths(segments, [...attempts.failures.keys()]);
+    if (closestPaths.length > 0) {
+        description +=
+            `\n${indent}  Did you mean ${closestPaths.map(path => `'${path}'`).join(' or ')}?`;
+    }
+    return description;
+}
+function endsWithSegments(segments, suffix) {
+    const start = segments.length - suffix.length;
+    return start >= 0 && suffix.every((segment, i) => segment.path === segments[start + i].path);
+}
+function describeRoute(route) {
+    const outlet = getOutlet(route);
+    const path = route.matcher ? 'the route with a custom matcher' : `'${route.path}'`;
+    return outlet === PRIMARY_OUTLET ? path : `${path} (outlet '${outlet}')`;
+}
+/**
+ * Returns why `route` did not match the `segments` of `segmentGroup`. `failedGroup` is the segment
+ * group whose matching failed, which is a child segment group when the route itself matched.
+ */
+function getNoMatchReason(segmentGroup, segments, outlet, allowRedirects, route, failedGroup) {
+    const result = (reason, childGroup = null) => ({ reason, childGroup });
+    if (getOutlet(route) !== outlet && !isImmediateMatch(route, segmentGroup, segments, outlet)) {
+        return result(`it is for the '${getOutlet(route)}' outlet, not the '${outlet}' outlet`);
+    }
+    const { matched, remainingSegments } = route.path === '**' ?
+        { matched: true, remainingSegments: [] } :
+        match(segmentGroup, route, segments);
+    if (!matched) {
+        if (route.matcher) {
+            return result('its matcher returned null');
+        }
+        if (route.pathMatch === 'full') {
+            const prefixMatch = match(segmentGroup, { ...route, pathMatch: 'prefix' }, segments);
+            if (prefixMatch.matched) {
+                const leftover = new UrlSegmentGroup(prefixMatch.remainingSegments, segmentGroup.children);
+                return result(`its pathMatch is 'full' but '${leftover}' is left over`);
             }
-            throw e;
-        }));
-    }
-    processSegmentAgainstRoute(injector, route, rawSegment, segments, outlet) {
-        if (route.redirectTo || !isImmediateMatch(route, rawSegment, segments, outlet))
-            return of(null);
-        let matchResult;
-        if (route.path === '**') {
-            const params = segments.length > 0 ? last(segments).parameters : {};
-            const pathIndexShift = getPathIndexShift(rawSegment) + segments.length;
-            const snapshot = new ActivatedRouteSnapshot(segments, params, Object.freeze({ ...this.urlTree.queryParams }), this.urlTree.fragment, getData(route), getOutlet(route), route.component ?? route._loadedComponent ?? null, route, getSourceSegmentGroup(rawSegment), pathIndexShift, getResolve(route));
-            matchResult = of({
-                snapshot,
-                consumedSegments: [],
-                remainingSegments: [],
-            });
         }
-        else {
-            matchResult =
-                matchWithChecks(rawSegment, route, segments, injector, this.urlSerializer)
-                    .pipe(map(({ matched, consumedSegments, remainingSegments, parameters }) => {
-                    if (!matched) {
-                        return null;
-                    }
-                    const pathIndexShift = getPathIndexShift(rawSegment) + consumedSegments.length;
-                    const snapshot = new ActivatedRouteSnapshot(consumedSegments, parameters, Object.freeze({ ...this.urlTree.queryParams }), this.urlTree.fragment, getData(route), getOutlet(route), route.component ?? route._loadedComponent ?? null, route, getSourceSegmentGroup(rawSegment), pathIndexShift, getResolve(route));
-                    return { snapshot, consumedSegments, remainingSegments };
-                }));
+        return result('its path does not match');
+    }
+    if (route.redirectTo !== undefined) {
+        if (!allowRedirects) {
+            return result('it redirects, but the URL was already redirected');
         }
-        return matchResult.pipe(switchMap((result) => {
-            if (result === null) {
-                return of(null);
-            }
-            const { snapshot, consumedSegments, remainingSegments } = result;
-            // If the route has an injector created from providers, we should start using that.
-            injector = route._injector ?? injector;
-            const childInjector = route._loadedInjector ?? injector;
-            const childConfig = getChildConfig(route);
-            const { segmentGroup, slicedSegments } = split(rawSegment, consumedSegments, remainingSegments, 
-            // Filter out routes with redirectTo because we are trying to create activated route
-            // snapshots and don't handle redirects here. That should have been done in
-            // `applyRedirects`.
-            childConfig.filter(c => c.redirectTo === undefined));
-            if (slicedSegments.length === 0 && segmentGroup.hasChildren()) {
-                return this.processChildren(childInjector, childConfig, segmentGroup).pipe(map(children => {
-                    if (children === null) {
-                        return null;
-                    }
-                    return [new TreeNode(snapshot, children)];
-                }));
-            }
-            if (childConfig.length === 0 && slicedSegments.length === 0) {
-                return of([new TreeNode(snapshot, [])]);
-            }
-            const matchedOnOutlet = getOutlet(route) === outlet;
-            // If we matched a config due to empty path match on a different outlet, we need to
-            // continue passing the current outlet for the segment rather than switch to PRIMARY.
-            // Note that we switch to primary when we have a match because outlet configs look like
-            // this: {path: 'a', outlet: 'a', children: [
-            //  {path: 'b', component: B},
-            //  {path: 'c', component: C},
-            // ]}
-            // Notice that the children of the named outlet are configured with the primary outlet
-            return this
-                .processSegment(childInjector, childConfig, segmentGroup, slicedSegments, matchedOnOutlet ? PRIMARY_OUTLET : outlet)
-                .pipe(map(children => {
-                if (children === null) {
-                    return null;
-                }
-                return [new TreeNode(snapshot, children)];
-            }));
-        }));
+        return result(typeof route.redirectTo === 'string' ?
+            `its redirectTo '${route.redirectTo}' does not lead to a matching route` :
+            'its redirectTo function returned a URL that does not match any route');
     }
-}
-function sortActivatedRouteSnapshots(nodes) {
-    nodes.sort((a, b) => {
-        if (a.value.outlet === PRIMARY_OUTLET)
-            return -1;
-        if (b.value.outlet === PRIMARY_OUTLET)
-            return 1;
-        return a.value.outlet.localeCompare(b.value.outlet);
-    });
-}
-function getChildConfig(route) {
-    if (route.children) {
-        return route.children;
+    if (failedGroup === segmentGroup) {
+        return result('a canMatch guard rejected it');
     }
-    if (route.loadChildren) {
-        return route._loadedRoutes;
+    if (!route.children && !route.loadChildren && !route._loadedRoutes) {
+        return result(`it has no children to match the remaining '${remainingSegments.join('/')}'`);
     }
-    return [];
-}
-function hasEmptyPathConfig(node) {
-    const config = node.value.routeConfig;
-    return config && config.path === '' && config.redirectTo === undefined;
+    return result(`none of its children matched the remaining '${remainingSegments.join('/')}'`, failedGroup);
 }
 /**
- * Finds `TreeNode`s with matching empty path route configs and merges them into `TreeNode` with
- * the children from each duplicate. This is necessary because different outlets can match a
- * single empty path route config and the results need to then be merged.
+ * Returns the static paths of `routes` that differ from the corresponding `segments` by a few
+ * characters, closest first. Parameters of the paths take the value of the segment they match.
  */
-function mergeEmptyPathMatches(nodes) {
-    const result = [];
-    // The set of nodes which contain children that were merged from two duplicate empty path nodes.
-    const mergedNodes = new Set();
-    for (const node of nodes) {
-        if (!hasEmptyPathConfig(node)) {
-            result.push(node);
+function findClosestPaths(segments, routes) {
+    const candidates = [];
+    for (const route of routes) {
+        if (route.matcher || !route.path || route.path === '**') {
             continue;
         }
-        const duplicateEmptyPathNode = result.find(resultNode => node.value.routeConfig === resultNode.value.routeConfig);
-        if (duplicateEmptyPathNode !== undefined) {
-            duplicateEmptyPathNode.children.push(...node.children);
-            mergedNodes.add(duplicateEmptyPathNode);
+        const parts = route.path.split('/');
+        if (parts.length > segments.length || parts.every(part => part.startsWith(':'))) {
+            continue;
         }
-        else {
-            result.push(node);
+        const path = parts.map((part, i) => part.startsWith(':') ? segments[i].path : part).join('/');
+        const url = segments.slice(0, parts.length).map(s => s.path).join('/');
+        const distance = getEditDistance(path, url);
+        // A short path would otherwise be suggested for any segment of about the same length
+        if (distance > 0 && distance < path.length &&
+            distance <= Math.max(1, Math.floor(path.length / 3))) {
+            candidates.push({ path: route.path, distance });
         }
     }
-    // For each node which has children from multiple sources, we need to recompute a new `TreeNode`
-    // by also merging those children. This is necessary when there are multiple empty path configs
-    // in a row. Put another way: whenever we combine children of two nodes, we need to also check
-    // if any of those children can be combined into a single node as well.
-    for (const mergedNode of mergedNodes) {
-        const mergedChildren = mergeEmptyPathMatches(mergedNode.children);
-        result.push(new TreeNode(mergedNode.value, mergedChildren));
-    }
-    return result.filter(n => !mergedNodes.has(n));
+    return candidates.sort((a, b) => a.distance - b.distance)
+        .slice(0, MAX_CLOSEST_PATHS)
+        .map(c => c.path);
 }
-function checkOutletNameUniqueness(nodes) {
-    const names = {};
-    nodes.forEach(n => {
-        const routeWithSameOutletName = names[n.value.outlet];
-        if (routeWithSameOutletName) {
-            const p = routeWithSameOutletName.url.map(s => s.toString()).join('/');
-            const c = n.value.url.map(s => s.toString()).join('/');
-            throw new ɵRuntimeError(4006 /* RuntimeErrorCode.TWO_SEGMENTS_WITH_SAME_OUTLET */, NG_DEV_MODE$6 && `Two segments cannot have the same outlet name: '${p}' and '${c}'.`);
+const MAX_CLOSEST_PATHS = 3;
+/** The Levenshtein distance between `a` and `b`. */
+function getEditDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
         }
-        names[n.value.outlet] = n.value;
-    });
-}
-function getSourceSegmentGroup(segmentGroup) {
-    let s = segmentGroup;
-    while (s._sourceSegment) {
-        s = s._sourceSegment;
-    }
-    return s;
-}
-function getPathIndexShift(segmentGroup) {
-    let s = segmentGroup;
-    let res = s._segmentIndexShift ?? 0;
-    while (s._sourceSegment) {
-        s = s._sourceSegment;
-        res += s._segmentIndexShift ?? 0;
-    }
-    return res - 1;
-}
-function getCorrectedPathIndexShift(segmentGroup) {
-    let s = segmentGroup;
-    let res = s._segmentIndexShiftCorrected ?? s._segmentIndexShift ?? 0;
-    while (s._sourceSegment) {
-        s = s._sourceSegment;
-        res += s._segmentIndexShiftCorrected ?? s._segmentIndexShift ?? 0;
+        previous = current;
     }
-    return res - 1;
-}
-function getData(route) {
-    return route.data || {};
-}
-function getResolve(route) {
-    return route.resolve || {};
+    return previous[b.length];
 }
 
 /**
@@ -4231,68 +4936,46 @@ function getResolve(route) {
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
-function recognize(injector, rootComponentType, config, serializer, paramsInheritanceStrategy) {
-    return mergeMap(t => recognize$1(injector, rootComponentType, config, t.urlAfterRedirects, serializer.serialize(t.urlAfterRedirects), serializer, paramsInheritanceStrategy)
-        .pipe(map(targetSnapshot => ({ ...t, targetSnapshot }))));
+function createRouterState(routeReuseStrategy, curr, prevState) {
+    const root = createNode(routeReuseStrategy, curr._root, prevState ? prevState._root : undefined);
+    return new RouterState(root, curr);
 }
-
-/**
- * @license
- * Copyright Google LLC All Rights Reserved.
- *
- * Use of this source code is governed by an MIT-style license that can be
- * found in the LICENSE file at https://angular.io/license
- */
-function resolveData(paramsInheritanceStrategy, injector) {
-    return mergeMap(t => {
-        const { targetSnapshot, guards: { canActivateChecks } } = t;
-        if (!canActivateChecks.length) {
-            return of(t);
-        }
-        let canActivateChecksResolved = 0;
-        return from(canActivateChecks)
-            .pipe(concatMap(check => runResolve(check.route, targetSnapshot, paramsInheritanceStrategy, injector)), tap(() => canActivateChecksResolved++), takeLast(1), mergeMap(_ => canActivateChecksResolved === canActivateChecks.length ? of(t) : EMPTY));
-    });
-}
-function runResolve(futureARS, futureRSS, paramsInheritanceStrategy, injector) {
-    const config = futureARS.routeConfig;
-    const resolve = futureARS._resolve;
-    if (config?.title !== undefined && !hasStaticTitle(config)) {
-        resolve[RouteTitleKey] = config.title;
+function createNode(routeReuseStrategy, curr, prevState) {
+    // reuse an activated route that is currently displayed on the screen
+    if (prevState && routeReuseStrategy.shouldReuseRoute(curr.value, prevState.value.snapshot)) {
+        const value = prevState.value;
+        value._futureSnapshot = curr.value;
+        const children = createOrReuseChildren(routeReuseStrategy, curr, prevState);
+        return new TreeNode(value, children);
     }
-    return resolveNode(resolve, futureARS, futureRSS, injector).pipe(map((resolvedData) => {
-        futureARS._resolvedData = resolvedData;
-        futureARS.data = inheritedParamsDataResolve(futureARS, paramsInheritanceStrategy).resolve;
-        if (config && hasStaticTitle(config)) {
-            futureARS.data[RouteTitleKey] = config.title;
+    else {
+        if (routeReuseStrategy.shouldAttach(curr.value)) {
+            // retrieve an activated route that is used to be displayed, but is not currently displayed
+            const detachedRouteHandle = routeReuseStrategy.retrieve(curr.value);
+            if (detachedRouteHandle !== null) {
+                const tree = detachedRouteHandle.route;
+                tree.value._futureSnapshot = curr.value;
+                tree.children = curr.children.map(c => createNode(routeReuseStrategy, c));
+                return tree;
+            }
         }
-        return null;
-    }));
-}
-function resolveNode(resolve, futureARS, futureRSS, injector) {
-    const keys = getDataKeys(resolve);
-    if (keys.length === 0) {
-        return of({});
+        const value = createActivatedRoute(curr.value);
+        const children = curr.children.map(c => createNode(routeReuseStrategy, c));
+        return new TreeNode(value, children);
     }
-    const data = {};
-    return from(keys).pipe(mergeMap(key => getResolver(resolve[key], futureARS, futureRSS, injector)
-        .pipe(first(), tap((value) => {
-        data[key] = value;
-    }))), takeLast(1), mapTo(data), catchError((e) => isEmptyError(e) ? EMPTY : throwError(e)));
-}
-function getDataKeys(obj) {
-    return [...Object.keys(obj), ...Object.getOwnPropertySymbols(obj)];
 }
-function getResolver(injectionToken, futureARS, futureRSS, injector) {
-    const closestInjector = getClosestRouteInjector(futureARS) ?? injector;
-    const resolver = getTokenOrFunctionIdentity(injectionToken, closestInjector);
-    const resolverValue = resolver.resolve ?
-        resolver.resolve(futureARS, futureRSS) :
-        closestInjector.runInContext(() => resolver(futureARS, futureRSS));
-    return wrapIntoObservable(resolverValue);
+function createOrReuseChildren(routeReuseStrategy, curr, prevState) {
+    return curr.children.map(child => {
+        for (const p of prevState.children) {
+            if (routeReuseStrategy.shouldReuseRoute(child.value, p.value.snapshot)) {
+                return createNode(routeReuseStrategy, child, p);
+            }
+        }
+        return createNode(routeReuseStrategy, child);
+    });
 }
-function hasStaticTitle(config) {
-    return typeof config.title === 'string' || config.title === null;
+function createActivatedRoute(c) {
+    return new ActivatedRoute(new BehaviorSubject(c.url), new BehaviorSubject(c.params), new BehaviorSubject(c.queryParams), new BehaviorSubject(c.fragment), new BehaviorSubject(c.data), c.outlet, c.component, c);
 }
 
 /**
@@ -4303,18 +4986,26 @@ function hasStaticTitle(config) {
  * found in the LICENSE file at https://angular.io/license
  */
 /**
- * Perform a side effect through a switchMap for every emission on the source Observable,
- * but return an Observable that is identical to the source. It's essentially the same as
- * the `tap` operator, but if the side effectful `next` function returns an ObservableInput,
- * it will wait before continuing with the original value.
+ * Errors with a `NavigationCancelingError` when the navigation is aborted, either through the
+ * `AbortSignal` passed in its extras or when `aborts` emits its id. Erroring unsubscribes from the
+ * steps of the navigation that are still running, such as guards and resolvers.
  */
-function switchTap(next) {
-    return switchMap(v => {
-        const nextResult = next(v);
-        if (nextResult) {
-            return from(nextResult).pipe(map(() => v));
+function abortNavigation(transition, aborts) {
+    return source => new Observable(subscriber => {
+        const abort = () => {
+            subscriber.error(navigationCancelingError(ngDevMode && `Navigation ID ${transition.id} was aborted`, 4 /* NavigationCancellationCode.Aborted */));
+        };
+        const subscription = source.subscribe(subscriber);
+        const signal = transition.extras.signal;
+        if (signal?.aborted) {
+            abort();
+            return subscription;
         }
-        return of(v);
+        subscription.add(aborts.pipe(filter(id => id === transition.id)).subscribe(abort));
+        if (signal) {
+            subscription.add(fromEvent(signal, 'abort').subscribe(abort));
+        }
+        return subscription;
     });
 }
 
@@ -4325,1429 +5016,3059 @@ function switchTap(next) {
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
-const NG_DEV_MODE$5 = typeof ngDevMode === 'undefined' || !!ngDevMode;
-class NavigationTransitions {
-    constructor(router) {
-        this.router = router;
-        this.currentNavigation = null;
+const activateRoutes = (rootContexts, routeReuseStrategy, forwardEvent) => map(t => {
+    new ActivateRoutes(routeReuseStrategy, t.targetRouterState, t.currentRouterState, forwardEvent)
+        .activate(rootContexts);
+    return t;
+});
+class ActivateRoutes {
+    constructor(routeReuseStrategy, futureState, currState, forwardEvent) {
+        this.routeReuseStrategy = routeReuseStrategy;
+        this.futureState = futureState;
+        this.currState = currState;
+        this.forwardEvent = forwardEvent;
     }
-    setupNavigations(transitions) {
-        const eventsSubject = this.router.events;
-        return transitions.pipe(filter(t => t.id !== 0), 
-        // Extract URL
-        map(t => ({ ...t, extractedUrl: this.router.urlHandlingStrategy.extract(t.rawUrl) })), 
-        // Using switchMap so we cancel executing navigations when a new one comes in
-        switchMap(overallTransitionState => {
-            let completed = false;
-            let errored = false;
-            return of(overallTransitionState)
-                .pipe(
-            // Store the Navigation object
-            tap(t => {
-                this.currentNavigation = {
-                    id: t.id,
-                    initialUrl: t.rawUrl,
-                    extractedUrl: t.extractedUrl,
-                    trigger: t.source,
-                    extras: t.extras,
-                    previousNavigation: !this.router.lastSuccessfulNavigation ? null : {
-                        ...this.router.lastSuccessfulNavigation,
-                        previousNavigation: null,
-                    },
-                };
-            }), switchMap(t => {
-                const browserUrlTree = this.router.browserUrlTree.toString();
-                const urlTransition = !this.router.navigated ||
-                    t.extractedUrl.toString() !== browserUrlTree ||
-                    // Navigations which succeed or ones which fail and are cleaned up
-                    // correctly should result in `browserUrlTree` and `currentUrlTree`
-                    // matching. If this is not the case, assume something went wrong and
-                    // try processing the URL again.
-                    browserUrlTree !== this.router.currentUrlTree.toString();
-                const onSameUrlNavigation = t.extras.onSameUrlNavigation ?? this.router.onSameUrlNavigation;
-                if (!urlTransition && onSameUrlNavigation !== 'reload') {
-                    const reason = NG_DEV_MODE$5 ?
-                        `Navigation to ${t.rawUrl} was ignored because it is the same as the current Router URL.` :
-                        '';
-                    this.router.triggerEvent(new NavigationSkipped(t.id, this.router.serializeUrl(overallTransitionState.rawUrl), reason, 0 /* NavigationSkippedCode.IgnoredSameUrlNavigation */));
-                    this.router.rawUrlTree = t.rawUrl;
-                    t.resolve(null);
-                    return EMPTY;
-                }
-                if (this.router.urlHandlingStrategy.shouldProcessUrl(t.rawUrl)) {
-                    // If the source of the navigation is from a browser event, the URL is
-                    // already updated. We already need to sync the internal state.
-                    if (isBrowserTriggeredNavigation(t.source)) {
-                        this.router.browserUrlTree = t.extractedUrl;
-                    }
-                    return of(t).pipe(
-                    // Fire NavigationStart event
-                    switchMap(t => {
-                        const transition = this.router.transitions.getValue();
-                        eventsSubject.next(new NavigationStart(t.id, this.router.serializeUrl(t.extractedUrl), t.source, t.restoredState));
-                        if (transition !== this.router.transitions.getValue()) {
-                            return EMPTY;
-                        }
-                        // This delay is required to match old behavior that forced
-                        // navigation to always be async
-                        return Promise.resolve(t);
-                    }), 
-                    // ApplyRedirects
-                    applyRedirects(this.router.ngModule.injector, this.router.configLoader, this.router.urlSerializer, this.router.config), 
-                    // Update the currentNavigation
-                    // `urlAfterRedirects` is guaranteed to be set after this point
-                    tap(t => {
-                        this.currentNavigation = {
-                            ...this.currentNavigation,
-                            finalUrl: t.urlAfterRedirects
-                        };
-                        overallTransitionState.urlAfterRedirects = t.urlAfterRedirects;
-                    }), 
-                    // Recognize
-                    recognize(this.router.ngModule.injector, this.router.rootComponentType, this.router.config, this.router.urlSerializer, this.router.paramsInheritanceStrategy), 
-                    // Update URL if in `eager` update mode
-                    tap(t => {
-                        overallTransitionState.targetSnapshot = t.targetSnapshot;
-                        if (this.router.urlUpdateStrategy === 'eager') {
-                            if (!t.extras.skipLocationChange) {
-                                const rawUrl = this.router.urlHandlingStrategy.merge(t.urlAfterRedirects, t.rawUrl);
-                                this.router.setBrowserUrl(rawUrl, t);
-                            }
-                            this.router.browserUrlTree = t.urlAfterRedirects;
-                        }
-                        // Fire RoutesRecognized
-                        const routesRecognized = new RoutesRecognized(t.id, this.router.serializeUrl(t.extractedUrl), this.router.serializeUrl(t.urlAfterRedirects), t.targetSnapshot);
-                        eventsSubject.next(routesRecognized);
-                    }));
-                }
-                else if (urlTransition &&
-                    this.router.urlHandlingStrategy.shouldProcessUrl(this.router.rawUrlTree)) {
-                    // When the current URL shouldn't be processed, but the previous one
-                    // was, we handle this by navigating from the current URL to an empty
-                    // state so deactivate guards can run.
-                    const { id, extractedUrl, source, restoredState, extras } = t;
-                    const navStart = new NavigationStart(id, this.router.serializeUrl(extractedUrl), source, restoredState);
-                    eventsSubject.next(navStart);
-                    const targetSnapshot = createEmptyState(extractedUrl, this.router.rootComponentType)
-                        .snapshot;
-                    overallTransitionState = {
-                        ...t,
-                        targetSnapshot,
-                        urlAfterRedirects: extractedUrl,
-                        extras: { ...extras, skipLocationChange: false, replaceUrl: false },
-                    };
-                    return of(overallTransitionState);
-                }
-                else {
-                    /* When neither the current or previous URL can be processed, do
-                     * nothing other than update router's internal reference to the
-                     * current "settled" URL. This way the next navigation will be coming
-                     * from the current URL in the browser.
-                     */
-                    const reason = NG_DEV_MODE$5 ?
-                        `Navigation was ignored because the UrlHandlingStrategy` +
-                            ` indicated neither the current URL ${this.router.rawUrlTree} nor target URL ${t.rawUrl} should be processed.` :
-                        '';
-                    this.router.triggerEvent(new NavigationSkipped(t.id, this.router.serializeUrl(overallTransitionState.extractedUrl), reason, 1 /* NavigationSkippedCode.IgnoredByUrlHandlingStrategy */));
-                    this.router.rawUrlTree = t.rawUrl;
-                    t.resolve(null);
-                    return EMPTY;
+    activate(parentContexts) {
+        const futureRoot = this.futureState._root;
+        const currRoot = this.currState ? this.currState._root : null;
+        this.deactivateChildRoutes(futureRoot, currRoot, parentContexts);
+        advanceActivatedRoute(this.futureState.root);
+        this.activateChildRoutes(futureRoot, currRoot, parentContexts);
+    }
+    // De-activate the child route that are not re-used for the future state
+    deactivateChildRoutes(futureNode, currNode, contexts) {
+        const children = nodeChildrenAsMap(currNode);
+        // Recurse on the routes active in the future state to de-activate deeper children
+        futureNode.children.forEach(futureChild => {
+            const childOutletName = futureChild.value.outlet;
+            this.deactivateRoutes(futureChild, children[childOutletName], contexts);
+            delete children[childOutletName];
+        });
+        // De-activate the routes that will not be re-used
+        forEach(children, (v, childName) => {
+            this.deactivateRouteAndItsChildren(v, contexts);
+        });
+    }
+    deactivateRoutes(futureNode, currNode, parentContext) {
+        const future = futureNode.value;
+        const curr = currNode ? currNode.value : null;
+        if (future === curr) {
+            // Reusing the node, check to see if the children need to be de-activated
+            if (future.component) {
+                // If we have a normal route, we need to go through an outlet.
+                const context = parentContext.getContext(future.outlet);
+                if (context) {
+                    this.deactivateChildRoutes(futureNode, currNode, context.children);
                 }
-            }), 
-            // --- GUARDS ---
-            tap(t => {
-                const guardsStart = new GuardsCheckStart(t.id, this.router.serializeUrl(t.extractedUrl), this.router.serializeUrl(t.urlAfterRedirects), t.targetSnapshot);
-                this.router.triggerEvent(guardsStart);
-            }), map(t => {
-                overallTransitionState = {
-                    ...t,
-                    guards: getAllRouteGuards(t.targetSnapshot, t.currentSnapshot, this.router.rootContexts)
-                };
-                return overallTransitionState;
-            }), checkGuards(this.router.ngModule.injector, (evt) => this.router.triggerEvent(evt)), tap(t => {
-                overallTransitionState.guardsResult = t.guardsResult;
-                if (isUrlTree(t.guardsResult)) {
-                    throw redirectingNavigationError(this.router.urlSerializer, t.guardsResult);
-                }
-                const guardsEnd = new GuardsCheckEnd(t.id, this.router.serializeUrl(t.extractedUrl), this.router.serializeUrl(t.urlAfterRedirects), t.targetSnapshot, !!t.guardsResult);
-                this.router.triggerEvent(guardsEnd);
-            }), filter(t => {
-                if (!t.guardsResult) {
-                    this.router.restoreHistory(t);
-                    this.router.cancelNavigationTransition(t, '', 3 /* NavigationCancellationCode.GuardRejected */);
-                    return false;
-                }
-                return true;
-            }), 
-            // --- RESOLVE ---
-            switchTap(t => {
-                if (t.guards.canActivateChecks.length) {
-                    return of(t).pipe(tap(t => {
-                        const resolveStart = new ResolveStart(t.id, this.router.serializeUrl(t.extractedUrl), this.router.serializeUrl(t.urlAfterRedirects), t.targetSnapshot);
-                        this.router.triggerEvent(resolveStart);
-                    }), switchMap(t => {
-                        let dataResolved = false;
-                        return of(t).pipe(resolveData(this.router.paramsInheritanceStrategy, this.router.ngModule.injector), tap({
-                            next: () => dataResolved = true,
-                            complete: () => {
-                                if (!dataResolved) {
-                                    this.router.restoreHistory(t);
-                                    this.router.cancelNavigationTransition(t, NG_DEV_MODE$5 ?
-                                        `At least one route resolver didn't emit any value.` :
-                                        '', 2 /* NavigationCancellationCode.NoDataFromResolver */);
-                                }
-                            }
-                        }));
-                    }), tap(t => {
-                        const resolveEnd = new ResolveEnd(t.id, this.router.serializeUrl(t.extractedUrl), this.router.serializeUrl(t.urlAfterRedirects), t.targetSnapshot);
-                        this.router.triggerEvent(resolveEnd);
-                    }));
-                }
-                return undefined;
-            }), 
-            // --- LOAD COMPONENTS ---
-            switchTap((t) => {
-                const loadComponents = (route) => {
-                    const loaders = [];
-                    if (route.routeConfig?.loadComponent &&
-                        !route.routeConfig._loadedComponent) {
-                        loaders.push(this.router.configLoader.loadComponent(route.routeConfig)
-                            .pipe(tap(loadedComponent => {
-                            route.component = loadedComponent;
-                        }), map(() => void 0)));
-                    }
-                    for (const child of route.children) {
-                        loaders.push(...loadComponents(child));
-                    }
-                    return loaders;
-                };
-                return combineLatest(loadComponents(t.targetSnapshot.root))
-                    .pipe(defaultIfEmpty(), take(1));
-            }), switchTap(() => this.router.afterPreactivation()), map((t) => {
-                const targetRouterState = createRouterState(this.router.routeReuseStrategy, t.targetSnapshot, t.currentRouterState);
-                overallTransitionState = { ...t, targetRouterState };
-                return (overallTransitionState);
-            }), 
-            /* Once here, we are about to activate synchronously. The assumption is
-               this will succeed, and user code may read from the Router service.
-               Therefore before activation, we need to update router properties storing
-               the current URL and the RouterState, as well as updated the browser URL.
-               All this should happen *before* activating. */
-            tap((t) => {
-                this.router.currentUrlTree = t.urlAfterRedirects;
-                this.router.rawUrlTree = this.router.urlHandlingStrategy.merge(t.urlAfterRedirects, t.rawUrl);
-                this.router.routerState =
-                    t.targetRouterState;
-                if (this.router.urlUpdateStrategy === 'deferred') {
-                    if (!t.extras.skipLocationChange) {
-                        this.router.setBrowserUrl(this.router.rawUrlTree, t);
-                    }
-                    this.router.browserUrlTree = t.urlAfterRedirects;
-                }
-            }), activateRoutes(this.router.rootContexts, this.router.routeReuseStrategy, (evt) => this.router.triggerEvent(evt)), tap({
-                next() {
-                    completed = true;
-                },
-                complete() {
-                    completed = true;
-                }
-            }), finalize(() => {
-                /* When the navigation stream finishes either through error or success,
-                 * we set the `completed` or `errored` flag. However, there are some
-                 * situations where we could get here without either of those being set.
-                 * For instance, a redirect during NavigationStart. Therefore, this is a
-                 * catch-all to make sure the NavigationCancel event is fired when a
-                 * navigation gets cancelled but not caught by other means. */
-                if (!completed && !errored) {
-                    const cancelationReason = NG_DEV_MODE$5 ?
-                        `Navigation ID ${overallTransitionState
-                            .id} is not equal to the current navigation id ${this.router.navigationId}` :
-                        '';
-                    this.router.cancelNavigationTransition(overallTransitionState, cancelationReason, 1 /* NavigationCancellationCode.SupersededByNewNavigation */);
-                }
-                // Only clear current navigation if it is still set to the one that
-                // finalized.
-                if (this.currentNavigation?.id === overallTransitionState.id) {
-                    this.currentNavigation = null;
-                }
-            }), catchError((e) => {
-                errored = true;
-                /* This error type is issued during Redirect, and is handled as a
-                 * cancellation rather than an error. */
-                if (isNavigationCancelingError$1(e)) {
-                    if (!isRedirectingNavigationCancelingError$1(e)) {
-                        // Set property only if we're not redirecting. If we landed on a page
-                        // and redirect to `/` route, the new navigation is going to see the
-                        // `/` isn't a change from the default currentUrlTree and won't
-                        // navigate. This is only applicable with initial navigation, so
-                        // setting `navigated` only when not redirecting resolves this
-                        // scenario.
-                        this.router.navigated = true;
-                        this.router.restoreHistory(overallTransitionState, true);
-                    }
-                    const navCancel = new NavigationCancel(overallTransitionState.id, this.router.serializeUrl(overallTransitionState.extractedUrl), e.message, e.cancellationCode);
-                    eventsSubject.next(navCancel);
-                    // When redirecting, we need to delay resolving the navigation
-                    // promise and push it to the redirect navigation
-                    if (!isRedirectingNavigationCancelingError$1(e)) {
-                        overallTransitionState.resolve(false);
-                    }
-                    else {
-                        const mergedTree = this.router.urlHandlingStrategy.merge(e.url, this.router.rawUrlTree);
-                        const extras = {
-                            skipLocationChange: overallTransitionState.extras.skipLocationChange,
-                            // The URL is already updated at this point if we have 'eager' URL
-                            // updates or if the navigation was triggered by the browser (back
-                            // button, URL bar, etc). We want to replace that item in history
-                            // if the navigation is rejected.
-                            replaceUrl: this.router.urlUpdateStrategy === 'eager' ||
-                                isBrowserTriggeredNavigation(overallTransitionState.source)
-                        };
-                        this.router.scheduleNavigation(mergedTree, 'imperative', null, extras, {
-                            resolve: overallTransitionState.resolve,
-                            reject: overallTransitionState.reject,
-                            promise: overallTransitionState.promise
-                        });
+            }
+            else {
+                // if we have a componentless route, we recurse but keep the same outlet map.
+                this.deactivateChildRoutes(futureNode, currNode, parentContext);
+            }
+        }
+        else {
+            if (curr) {
+                // Deactivate the current route which will not be re-used
+                this.deactivateRouteAndItsChildren(currNode, parentContext);
+            }
+        }
+    }
+    deactivateRouteAndItsChildren(route, parentContexts) {
+        // If there is no component, the Route is never attached to an outlet (because there is no
+        // component to attach).
+        if (route.value.component && this.routeReuseStrategy.shouldDetach(route.value.snapshot)) {
+            this.detachAndStoreRouteSubtree(route, parentContexts);
+        }
+        else {
+            this.deactivateRouteAndOutlet(route, parentContexts);
+        }
+    }
+    detachAndStoreRouteSubtree(route, parentContexts) {
+        const context = parentContexts.getContext(route.value.outlet);
+        const contexts = context && route.value.component ? context.children : parentContexts;
+        const children = nodeChildrenAsMap(route);
+        for (const childOutlet of Object.keys(children)) {
+            this.deactivateRouteAndItsChildren(children[childOutlet], contexts);
+        }
+        if (context && context.outlet) {
+            const componentRef = context.outlet.detach();
+            const contexts = context.children.onOutletDeactivated();
+            this.routeReuseStrategy.store(route.value.snapshot, { componentRef, route, contexts });
+        }
+    }
+    deactivateRouteAndOutlet(route, parentContexts) {
+        const context = parentContexts.getContext(route.value.outlet);
+        // The context could be `null` if we are on a componentless route but there may still be
+        // children that need deactivating.
+        const contexts = context && route.value.component ? context.children : parentContexts;
+        const children = nodeChildrenAsMap(route);
+        for (const childOutlet of Object.keys(children)) {
+            this.deactivateRouteAndItsChildren(children[childOutlet], contexts);
+        }
+        if (context && context.outlet) {
+            // Destroy the component
+            context.outlet.deactivate();
+            // Destroy the contexts for all the outlets that were in the component
+            context.children.onOutletDeactivated();
+            // Clear the information about the attached component on the context but keep the reference to
+            // the outlet.
+            context.attachRef = null;
+            context.resolver = null;
+            context.route = null;
+        }
+    }
+    activateChildRoutes(futureNode, currNode, contexts) {
+        const children = nodeChildrenAsMap(currNode);
+        futureNode.children.forEach(c => {
+            this.activateRoutes(c, children[c.value.outlet], contexts);
+            this.forwardEvent(new ActivationEnd(c.value.snapshot));
+        });
+        if (futureNode.children.length) {
+            this.forwardEvent(new ChildActivationEnd(futureNode.value.snapshot));
+        }
+    }
+    activateRoutes(futureNode, currNode, parentContexts) {
+        const future = futureNode.value;
+        const curr = currNode ? currNode.value : null;
+        advanceActivatedRoute(future);
+        // reusing the node
+        if (future === curr) {
+            if (future.component) {
+                // If we have a normal route, we need to go through an outlet.
+                const context = parentContexts.getOrCreateContext(future.outlet);
+                this.activateChildRoutes(futureNode, currNode, context.children);
+            }
+            else {
+                // if we have a componentless route, we recurse but keep the same outlet map.
+                this.activateChildRoutes(futureNode, currNode, parentContexts);
+            }
+        }
+        else {
+            if (future.component) {
+                // if we have a normal route, we need to place the component into the outlet and recurse.
+                const context = parentContexts.getOrCreateContext(future.outlet);
+                if (this.routeReuseStrategy.shouldAttach(future.snapshot)) {
+                    const stored = this.routeReuseStrategy.retrieve(future.snapshot);
+                    this.routeReuseStrategy.store(future.snapshot, null);
+                    context.children.onOutletReAttached(stored.contexts);
+                    context.attachRef = stored.componentRef;
+                    context.route = stored.route.value;
+                    if (context.outlet) {
+                        // Attach right away when the outlet has already been instantiated
+                        // Otherwise attach from `RouterOutlet.ngOnInit` when it is instantiated
+                        context.outlet.attach(stored.componentRef, stored.route.value);
                     }
-                    /* All other errors should reset to the router's internal URL reference
-                     * to the pre-error state. */
+                    advanceActivatedRoute(stored.route.value);
+                    this.activateChildRoutes(futureNode, null, context.children);
                 }
                 else {
-                    this.router.restoreHistory(overallTransitionState, true);
-                    const navError = new NavigationError(overallTransitionState.id, this.router.serializeUrl(overallTransitionState.extractedUrl), e, overallTransitionState.targetSnapshot ?? undefined);
-                    eventsSubject.next(navError);
-                    try {
-                        overallTransitionState.resolve(this.router.errorHandler(e));
+                    const injector = getClosestRouteInjector(future.snapshot);
+                    const cmpFactoryResolver = injector?.get(ComponentFactoryResolver) ?? null;
+                    context.attachRef = null;
+                    context.route = future;
+                    context.resolver = cmpFactoryResolver;
+                    context.injector = injector;
+                    if (context.outlet) {
+                        // Activate the outlet when it has already been instantiated
+                        // Otherwise it will get activated from its `ngOnInit` when instantiated
+                        context.outlet.activateWith(future, context.injector);
                     }
-                    catch (ee) {
-                        overallTransitionState.reject(ee);
+                    this.activateChildRoutes(futureNode, null, context.children);
+                }
+            }
+            else {
+                // if we have a componentless route, we recurse but keep the same outlet map.
+                this.activateChildRoutes(futureNode, null, parentContexts);
+            }
+        }
+    }
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+function applyRedirects(environmentInjector, configLoader, urlSerializer, config, routeMatchingStrategy, maxRedirects, getRedirectChain) {
+    return switchMap(t => applyRedirects$1(environmentInjector, configLoader, urlSerializer, t.extractedUrl, config, routeMatchingStrategy, maxRedirects, getRedirectChain(t))
+        .pipe(map(urlAfterRedirects => ({ ...t, urlAfterRedirects }))));
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const NG_DEV_MODE$8 = typeof ngDevMode === 'undefined' || !!ngDevMode;
+class NoMatch {
+}
+function newObservableError(e) {
+    // TODO(atscott): This pattern is used throughout the router code and can be `throwError` instead.
+    return new Observable((obs) => obs.error(e));
+}
+function recognize$1(injector, rootComponentType, config, urlTree, url, urlSerializer, paramsInheritanceStrategy = 'emptyOnly', routeMatchingStrategy = 'firstMatch') {
+    return new Recognizer(injector, rootComponentType, config, urlTree, url, paramsInheritanceStrategy, urlSerializer, routeMatchingStrategy)
+        .recognize()
+        .pipe(switchMap(result => {
+        if (result === null) {
+            return newObservableError(new NoMatch());
+        }
+        else {
+            return of(result);
+        }
+    }));
+}
+class Recognizer {
+    constructor(injector, rootComponentType, config, urlTree, url, paramsInheritanceStrategy, urlSerializer, routeMatchingStrategy = 'firstMatch') {
+        this.injector = injector;
+        this.rootComponentType = rootComponentType;
+        this.config = config;
+        this.urlTree = urlTree;
+        this.url = url;
+        this.paramsInheritanceStrategy = paramsInheritanceStrategy;
+        this.urlSerializer = urlSerializer;
+        this.routeMatchingStrategy = routeMatchingStrategy;
+    }
+    recognize() {
+        const rootSegmentGroup = split(this.urlTree.root, [], [], this.config.filter(c => c.redirectTo === undefined))
+            .segmentGroup;
+        const config = sortByMatchingStrategy(this.config, this.routeMatchingStrategy);
+        return this.processSegmentGroup(this.injector, config, rootSegmentGroup, PRIMARY_OUTLET)
+            .pipe(map(children => {
+            if (children === null) {
+                return null;
+            }
+            // Use Object.freeze to prevent readers of the Router state from modifying it outside of a
+            // navigation, resulting in the router being out of sync with the browser.
+            const root = new ActivatedRouteSnapshot([], Object.freeze({}), Object.freeze({ ...this.urlTree.queryParams }), this.urlTree.fragment, {}, PRIMARY_OUTLET, this.rootComponentType, null, this.urlTree.root, -1, {});
+            const rootNode = new TreeNode(root, children);
+            const routeState = new RouterStateSnapshot(this.url, rootNode);
+            this.inheritParamsAndData(routeState._root);
+            return routeState;
+        }));
+    }
+    inheritParamsAndData(routeNode) {
+        const route = routeNode.value;
+        const i = inheritedParamsDataResolve(route, this.paramsInheritanceStrategy);
+        route.params = Object.freeze(i.params);
+        route.data = Object.freeze(i.data);
+        routeNode.children.forEach(n => this.inheritParamsAndData(n));
+    }
+    processSegmentGroup(injector, config, segmentGroup, outlet) {
+        if (segmentGroup.segments.length === 0 && segmentGroup.hasChildren()) {
+            return this.processChildren(injector, config, segmentGroup);
+        }
+        return this.processSegment(injector, config, segmentGroup, segmentGroup.segments, outlet);
+    }
+    /**
+     * Matches every child outlet in the `segmentGroup` to a `Route` in the config. Returns `null` if
+     * we cannot find a match for _any_ of the children.
+     *
+     * @param config - The `Routes` to match against
+     * @param segmentGroup - The `UrlSegmentGroup` whose children need to be matched against the
+     *     config.
+     */
+    processChildren(injector, config, segmentGroup) {
+        return from(Object.keys(segmentGroup.children))
+            .pipe(concatMap(childOutlet => {
+            const child = segmentGroup.children[childOutlet];
+            // Sort the config so that routes with outlets that match the one being activated
+            // appear first, followed by routes for other outlets, which might match if they have
+            // an empty path.
+            const sortedConfig = sortByMatchingOutlets(config, childOutlet);
+            return this.processSegmentGroup(injector, sortedConfig, child, childOutlet);
+        }), scan((children, outletChildren) => {
+            if (!children || !outletChildren)
+                return null;
+            children.push(...outletChildren);
+            return children;
+        }), takeWhile(children => children !== null), defaultIfEmpty(null), last$1(), map(children => {
+            if (children === null)
+                return null;
+            // Because we may have matched two outlets to the same empty path segment, we can have
+            // multiple activated results for the same outlet. We should merge the children of
+            // these results so the final return value is only one `TreeNode` per outlet.
+            const mergedChildren = mergeEmptyPathMatches(children);
+            if (NG_DEV_MODE$8) {
+                // This should really never happen - we are only taking the first match for each
+                // outlet and merge the empty path matches.
+                checkOutletNameUniqueness(mergedChildren);
+            }
+            sortActivatedRouteSnapshots(mergedChildren);
+            return mergedChildren;
+        }));
+    }
+    processSegment(injector, routes, segmentGroup, segments, outlet) {
+        return from(routes).pipe(concatMap(r => {
+            return this.processSegmentAgainstRoute(r._injector ?? injector, r, segmentGroup, segments, outlet);
+        }), first((x) => !!x), catchError(e => {
+            if (isEmptyError(e)) {
+                if (noLeftoversInUrl(segmentGroup, segments, outlet)) {
+                    return of([]);
+                }
+                return of(null);
+            }
+            throw e;
+        }));
+    }
+    processSegmentAgainstRoute(injector, route, rawSegment, segments, outlet) {
+        if (route.redirectTo || !isImmediateMatch(route, rawSegment, segments, outlet))
+            return of(null);
+        let matchResult;
+        if (route.path === '**') {
+            const params = segments.length > 0 ? last(segments).parameters : {};
+            const pathIndexShift = getPathIndexShift(rawSegment) + segments.length;
+            const snapshot = new ActivatedRouteSnapshot(segments, params, Object.freeze({ ...this.urlTree.queryParams }), this.urlTree.fragment, getData(route), getOutlet(route), route.component ?? route._loadedComponent ?? null, route, getSourceSegmentGroup(rawSegment), pathIndexShift, getResolve(route));
+            matchResult = of({
+                snapshot,
+                consumedSegments: [],
+                remainingSegments: [],
+            });
+        }
+        else {
+            matchResult =
+                matchWithChecks(rawSegment, route, segments, injector, this.urlSerializer)
+                    .pipe(map(({ matched, consumedSegments, remainingSegments, parameters }) => {
+                    if (!matched) {
+                        return null;
+                    }
+                    const pathIndexShift = getPathIndexShift(rawSegment) + consumedSegments.length;
+                    const snapshot = new ActivatedRouteSnapshot(consumedSegments, parameters, Object.freeze({ ...this.urlTree.queryParams }), this.urlTree.fragment, getData(route), getOutlet(route), route.component ?? route._loadedComponent ?? null, route, getSourceSegmentGroup(rawSegment), pathIndexShift, getResolve(route));
+                    return { snapshot, consumedSegments, remainingSegments };
+                }));
+        }
+        return matchResult.pipe(switchMap((result) => {
+            if (result === null) {
+                return of(null);
+            }
+            const { snapshot, consumedSegments, remainingSegments } = result;
+            // If the route has an injector created from providers, we should start using that.
+            injector = route._injector ?? injector;
+            const childInjector = route._loadedInjector ?? injector;
+            const childConfig = sortByMatchingStrategy(getChildConfig(route), route.childrenMatchingStrategy ?? this.routeMatchingStrategy);
+            const { segmentGroup, slicedSegments } = split(rawSegment, consumedSegments, remainingSegments, 
+            // Filter out routes with redirectTo because we are trying to create activated route
+            // snapshots and don't handle redirects here. That should have been done in
+            // `applyRedirects`.
+            childConfig.filter(c => c.redirectTo === undefined));
+            if (slicedSegments.length === 0 && segmentGroup.hasChildren()) {
+                return this.processChildren(childInjector, childConfig, segmentGroup).pipe(map(children => {
+                    if (children === null) {
+                        return null;
                     }
+                    return [new TreeNode(snapshot, children)];
+                }));
+            }
+            if (childConfig.length === 0 && slicedSegments.length === 0) {
+                return of([new TreeNode(snapshot, [])]);
+            }
+            const matchedOnOutlet = getOutlet(route) === outlet;
+            // If we matched a config due to empty path match on a different outlet, we need to
+            // continue passing the current outlet for the segment rather than switch to PRIMARY.
+            // Note that we switch to primary when we have a match because outlet configs look like
+            // this: {path: 'a', outlet: 'a', children: [
+            //  {path: 'b', component: B},
+            //  {path: 'c', component: C},
+            // ]}
+            // Notice that the children of the named outlet are configured with the primary outlet
+            return this
+                .processSegment(childInjector, childConfig, segmentGroup, slicedSegments, matchedOnOutlet ? PRIMARY_OUTLET : outlet)
+                .pipe(map(children => {
+                if (children === null) {
+                    return null;
                 }
-                return EMPTY;
+                return [new TreeNode(snapshot, children)];
             }));
-            // TODO(jasonaden): remove cast once g3 is on updated TypeScript
         }));
     }
-}
-function isBrowserTriggeredNavigation(source) {
-    return source !== 'imperative';
-}
-
-/**
- * @license
- * Copyright Google LLC All Rights Reserved.
- *
- * Use of this source code is governed by an MIT-style license that can be
- * found in the LICENSE file at https://angular.io/license
- */
-/**
- * Provides a strategy for setting the page title after a router navigation.
- *
- * The built-in implementation traverses the router state snapshot and finds the deepest primary
- * outlet with `title` property. Given the `Routes` below, navigating to
- * `/base/child(popup:aux)` would result in the document title being set to "child".
- * ```
- * [
- *   {path: 'base', title: 'base', children: [
- *     {path: 'child', title: 'child'},
- *   ],
- *   {path: 'aux', outlet: 'popup', title: 'popupTitle'}
- * ]
- * ```
- *
- * This class can be used as a base class for custom title strategies. That is, you can create your
- * own class that extends the `TitleStrategy`. Note that in the above example, the `title`
- * from the named outlet is never used. However, a custom strategy might be implemented to
- * incorporate titles in named outlets.
- *
- * @publicApi
- * @see [Page title guide](guide/router#setting-the-page-title)
- */
-class TitleStrategy {
+}
+function sortActivatedRouteSnapshots(nodes) {
+    nodes.sort((a, b) => {
+        if (a.value.outlet === PRIMARY_OUTLET)
+            return -1;
+        if (b.value.outlet === PRIMARY_OUTLET)
+            return 1;
+        return a.value.outlet.localeCompare(b.value.outlet);
+    });
+}
+function getChildConfig(route) {
+    if (route.children) {
+        return route.children;
+    }
+    if (route.loadChildren) {
+        return route._loadedRoutes;
+    }
+    return [];
+}
+function hasEmptyPathConfig(node) {
+    const config = node.value.routeConfig;
+    return config && node.value.url.length === 0 && matchesEmptyPath(config.path) &&
+        config.redirectTo === undefined;
+}
+/**
+ * Finds `TreeNode`s with matching empty path route configs and merges them into `TreeNode` with
+ * the children from each duplicate. This is necessary because different outlets can match a
+ * single empty path route config and the results need to then be merged.
+ */
+function mergeEmptyPathMatches(nodes) {
+    const result = [];
+    // The set of nodes which contain children that were merged from two duplicate empty path nodes.
+    const mergedNodes = new Set();
+    for (const node of nodes) {
+        if (!hasEmptyPathConfig(node)) {
+            result.push(node);
+            continue;
+        }
+        const duplicateEmptyPathNode = result.find(resultNode => node.value.routeConfig === resultNode.value.routeConfig);
+        if (duplicateEmptyPathNode !== undefined) {
+            duplicateEmptyPathNode.children.push(...node.children);
+            mergedNodes.add(duplicateEmptyPathNode);
+        }
+        else {
+            result.push(node);
+        }
+    }
+    // For each node which has children from multiple sources, we need to recompute a new `TreeNode`
+    // by also merging those children. This is necessary when there are multiple empty path configs
+    // in a row. Put another way: whenever we combine children of two nodes, we need to also check
+    // if any of those children can be combined into a single node as well.
+    for (const mergedNode of mergedNodes) {
+        const mergedChildren = mergeEmptyPathMatches(mergedNode.children);
+        result.push(new TreeNode(mergedNode.value, mergedChildren));
+    }
+    return result.filter(n => !mergedNodes.has(n));
+}
+function checkOutletNameUniqueness(nodes) {
+    const names = {};
+    nodes.forEach(n => {
+        const routeWithSameOutletName = names[n.value.outlet];
+        if (routeWithSameOutletName) {
+            const p = routeWithSameOutletName.url.map(s => s.toString()).join('/');
+            const c = n.value.url.map(s => s.toString()).join('/');
+            throw new ɵRuntimeError(4006 /* RuntimeErrorCode.TWO_SEGMENTS_WITH_SAME_OUTLET */, NG_DEV_MODE$8 && `Two segments cannot have the same outlet name: '${p}' and '${c}'.`);
+        }
+        names[n.value.outlet] = n.value;
+    });
+}
+function getSourceSegmentGroup(segmentGroup) {
+    let s = segmentGroup;
+    while (s._sourceSegment) {
+        s = s._sourceSegment;
+    }
+    return s;
+}
+function getPathIndexShift(segmentGroup) {
+    let s = segmentGroup;
+    let res = s._segmentIndexShift ?? 0;
+    while (s._sourceSegment) {
+        s = s._sourceSegment;
+        res += s._segmentIndexShift ?? 0;
+    }
+    return res - 1;
+}
+function getCorrectedPathIndexShift(segmentGroup) {
+    let s = segmentGroup;
+    let res = s._segmentIndexShiftCorrected ?? s._segmentIndexShift ?? 0;
+    while (s._sourceSegment) {
+        s = s._sourceSegment;
+        res += s._segmentIndexShiftCorrected ?? s._segmentIndexShift ?? 0;
+    }
+    return res - 1;
+}
+function getData(route) {
+    return route.data || {};
+}
+function getResolve(route) {
+    return route.resolve || {};
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+function recognize(injector, rootComponentType, config, serializer, paramsInheritanceStrategy, routeMatchingStrategy) {
+    return mergeMap(t => recognize$1(injector, rootComponentType, config, t.urlAfterRedirects, serializer.serialize(t.urlAfterRedirects), serializer, paramsInheritanceStrategy, routeMatchingStrategy)
+        .pipe(map(targetSnapshot => ({ ...t, targetSnapshot }))));
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+function resolveData(paramsInheritanceStrategy, injector) {
+    return mergeMap(t => {
+        const { targetSnapshot, guards: { canActivateChecks } } = t;
+        if (!canActivateChecks.length) {
+            return of(t);
+        }
+        let canActivateChecksResolved = 0;
+        return from(canActivateChecks)
+            .pipe(concatMap(check => runResolve(check.route, targetSnapshot, paramsInheritanceStrategy, injector)), tap(() => canActivateChecksResolved++), takeLast(1), mergeMap(_ => canActivateChecksResolved === canActivateChecks.length ? of(t) : EMPTY));
+    });
+}
+function runResolve(futureARS, futureRSS, paramsInheritanceStrategy, injector) {
+    const config = futureARS.routeConfig;
+    const resolve = futureARS._resolve;
+    if (config?.title !== undefined && !hasStaticTitle(config)) {
+        resolve[RouteTitleKey] = config.title;
+    }
+    return resolveNode(resolve, futureARS, futureRSS, injector).pipe(map((resolvedData) => {
+        futureARS._resolvedData = resolvedData;
+        futureARS.data = inheritedParamsDataResolve(futureARS, paramsInheritanceStrategy).resolve;
+        if (config && hasStaticTitle(config)) {
+            futureARS.data[RouteTitleKey] = config.title;
+        }
+        return null;
+    }));
+}
+function resolveNode(resolve, futureARS, futureRSS, injector) {
+    const keys = getDataKeys(resolve);
+    if (keys.length === 0) {
+        return of({});
+    }
+    const data = {};
+    return from(keys).pipe(mergeMap(key => getResolver(resolve[key], futureARS, futureRSS, injector)
+        .pipe(first(), tap((value) => {
+        data[key] = value;
+    }))), takeLast(1), mapTo(data), catchError((e) => isEmptyError(e) ? EMPTY : throwError(e)));
+}
+function getDataKeys(obj) {
+    return [...Object.keys(obj), ...Object.getOwnPropertySymbols(obj)];
+}
+function getResolver(injectionToken, futureARS, futureRSS, injector) {
+    const closestInjector = getClosestRouteInjector(futureARS) ?? injector;
+    const resolver = getTokenOrFunctionIdentity(injectionToken, closestInjector);
+    const resolverValue = resolver.resolve ?
+        resolver.resolve(futureARS, futureRSS) :
+        closestInjector.runInContext(() => resolver(futureARS, futureRSS));
+    return wrapIntoObservable(resolverValue);
+}
+function hasStaticTitle(config) {
+    return typeof config.title === 'string' || config.title === null;
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Perform a side effect through a switchMap for every emission on the source Observable,
+ * but return an Observable that is identical to the source. It's essentially the same as
+ * the `tap` operator, but if the side effectful `next` function returns an ObservableInput,
+ * it will wait before continuing with the original value.
+ */
+function switchTap(next) {
+    return switchMap(v => {
+        const nextResult = next(v);
+        if (nextResult) {
+            return from(nextResult).pipe(map(() => v));
+        }
+        return of(v);
+    });
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const NG_DEV_MODE$7 = typeof ngDevMode === 'undefined' || !!ngDevMode;
+const CREATE_VIEW_TRANSITION = new InjectionToken(NG_DEV_MODE$7 ? 'view transition helper' : '');
+const VIEW_TRANSITION_OPTIONS = new InjectionToken(NG_DEV_MODE$7 ? 'view transition options' : '');
+/**
+ * A helper function for using browser view transitions. This function skips the call to
+ * `startViewTransition` if the browser does not support it.
+ *
+ * @returns A Promise that resolves when the view transition callback begins.
+ */
+function createViewTransition(injector, from, to) {
+    const transitionOptions = injector.get(VIEW_TRANSITION_OPTIONS);
+    const document = injector.get(DOCUMENT);
+    // Create promises outside the Angular zone to avoid causing extra change detections
+    return injector.get(NgZone).runOutsideAngular(() => {
+        if (!document.startViewTransition || transitionOptions.skipNextTransition) {
+            transitionOptions.skipNextTransition = false;
+            return Promise.resolve();
+        }
+        let resolveViewTransitionStarted;
+        const viewTransitionStarted = new Promise((resolve) => {
+            resolveViewTransitionStarted = resolve;
+        });
+        const transition = document.startViewTransition(() => {
+            resolveViewTransitionStarted();
+            // We don't actually update the DOM within the transition callback. The resolving of the
+            // above promise unblocks the Router navigation, which synchronously activates and
+            // deactivates routes (the DOM update). This view transition waits for the next change
+            // detection to complete (below), which includes the update phase of the routed components.
+            return createRenderPromise(injector);
+        });
+        const { onViewTransitionCreated } = transitionOptions;
+        if (onViewTransitionCreated) {
+            injector.runInContext(() => onViewTransitionCreated({ transition, from, to }));
+        }
+        return viewTransitionStarted;
+    });
+}
+/**
+ * Resolves once the Angular zone becomes stable again, which happens after the change detection
+ * that follows route activation.
+ */
+function createRenderPromise(injector) {
+    const zone = injector.get(NgZone);
+    return new Promise(resolve => {
+        if (!(zone instanceof NgZone)) {
+            // Without zone.js there is no signal for the end of change detection, so fall back to the
+            // next macrotask.
+            setTimeout(resolve);
+            return;
+        }
+        zone.onStable.pipe(take(1)).subscribe(() => resolve());
+    });
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const NG_DEV_MODE$6 = typeof ngDevMode === 'undefined' || !!ngDevMode;
+/**
+ * A DI token for the function that handles errors thrown during a navigation, configured with
+ * `withNavigationErrorHandler`.
+ */
+const NAVIGATION_ERROR_HANDLER = new InjectionToken(NG_DEV_MODE$6 ? 'navigation error handler' : '');
+class NavigationTransitions {
+    constructor(router) {
+        this.router = router;
+        this.currentNavigation = null;
+        this.navigationErrorHandler = inject(NAVIGATION_ERROR_HANDLER, { optional: true });
+        this.createViewTransition = inject(CREATE_VIEW_TRANSITION, { optional: true });
+        this.navigationAborts = new Subject();
+        /**
+         * The URLs visited by the navigations that settle the same navigation promise, that is, a
+         * navigation and the navigations it was redirected to.
+         */
+        this.redirectChains = new WeakMap();
+    }
+    /** Aborts the navigation with the given id if it has not been activated yet. */
+    abortNavigation(id) {
+        this.navigationAborts.next(id);
+    }
+    /**
+     * Returns the redirect chain of the promise of the navigation `t`, after appending the URL of `t`
+     * to it. The `redirectTo` of routes, applied by `applyRedirects`, and the redirects of guards and
+     * of the navigation error handler all add to this chain, so they share the `maxRedirects` of the
+     * router.
+     */
+    getRedirectChain(t) {
+        const chain = this.redirectChains.get(t.promise) ?? [];
+        const url = this.router.serializeUrl(t.extractedUrl);
+        if (url !== chain[chain.length - 1]) {
+            chain.push(url);
+        }
+        this.redirectChains.set(t.promise, chain);
+        return chain;
+    }
+    /**
+     * Appends the redirect of the navigation `t` to `redirectUrl` to the redirect chain of its
+     * promise. Returns the error to fail the navigation with when the chain exceeds the
+     * `maxRedirects` of the router, or `null`.
+     */
+    trackRedirect(t, redirectUrl) {
+        const chain = this.redirectChains.get(t.promise) ?? this.getRedirectChain(t);
+        chain.push(this.router.serializeUrl(redirectUrl));
+        return chain.length - 1 > this.router.maxRedirects ?
+            redirectLoopError(chain, this.router.maxRedirects) :
+            null;
+    }
+    setupNavigations(transitions) {
+        const eventsSubject = this.router.events;
+        return transitions.pipe(filter(t => t.id !== 0), 
+        // Extract URL
+        map(t => ({ ...t, extractedUrl: this.router.urlHandlingStrategy.extract(t.rawUrl) })), 
+        // Using switchMap so we cancel executing navigations when a new one comes in
+        switchMap(overallTransitionState => {
+            let completed = false;
+            let errored = false;
+            return of(overallTransitionState)
+                .pipe(
+            // Store the Navigation object
+            tap(t => {
+                this.currentNavigation = {
+                    id: t.id,
+                    initialUrl: t.rawUrl,
+                    extractedUrl: t.extractedUrl,
+                    trigger: t.source,
+                    extras: t.extras,
+                    previousNavigation: !this.router.lastSuccessfulNavigation ? null : {
+                        ...this.router.lastSuccessfulNavigation,
+                        previousNavigation: null,
+                    },
+                };
+            }), switchMap(t => {
+                const browserUrlTree = this.router.browserUrlTree.toString();
+                const urlTransition = !this.router.navigated ||
+                    t.extractedUrl.toString() !== browserUrlTree ||
+                    // Navigations which succeed or ones which fail and are cleaned up
+                    // correctly should result in `browserUrlTree` and `currentUrlTree`
+                    // matching. If this is not the case, assume something went wrong and
+                    // try processing the URL again.
+                    browserUrlTree !== this.router.currentUrlTree.toString();
+                const onSameUrlNavigation = t.extras.onSameUrlNavigation ?? this.router.onSameUrlNavigation;
+                if (!urlTransition && onSameUrlNavigation !== 'reload') {
+                    const reason = NG_DEV_MODE$6 ?
+                        `Navigation to ${t.rawUrl} was ignored because it is the same as the current Router URL.` :
+                        '';
+                    this.router.triggerEvent(new NavigationSkipped(t.id, this.router.serializeUrl(overallTransitionState.rawUrl), reason, 0 /* NavigationSkippedCode.IgnoredSameUrlNavigation */));
+                    this.router.rawUrlTree = t.rawUrl;
+                    t.resolve(null);
+                    return EMPTY;
+                }
+                if (this.router.urlHandlingStrategy.shouldProcessUrl(t.rawUrl)) {
+                    // If the source of the navigation is from a browser event, the URL is
+                    // already updated. We already need to sync the internal state.
+                    if (isBrowserTriggeredNavigation(t.source)) {
+                        this.router.browserUrlTree = t.extractedUrl;
+                    }
+                    return of(t).pipe(
+                    // Fire NavigationStart event
+                    switchMap(t => {
+                        const transition = this.router.transitions.getValue();
+                        eventsSubject.next(new NavigationStart(t.id, this.router.serializeUrl(t.extractedUrl), t.source, t.restoredState));
+                        if (transition !== this.router.transitions.getValue()) {
+                            return EMPTY;
+                        }
+                        // This delay is required to match old behavior that forced
+                        // navigation to always be async
+                        return Promise.resolve(t);
+                    }), 
+                    // ApplyRedirects
+                    applyRedirects(this.router.ngModule.injector, this.router.configLoader, this.router.urlSerializer, this.router.config, this.router.routeMatchingStrategy, this.router.maxRedirects, t => this.getRedirectChain(t)), 
+                    // Update the currentNavigation
+                    // `urlAfterRedirects` is guaranteed to be set after this point
+                    tap(t => {
+                        this.currentNavigation = {
+                            ...this.currentNavigation,
+                            finalUrl: t.urlAfterRedirects
+                        };
+                        overallTransitionState.urlAfterRedirects = t.urlAfterRedirects;
+                    }), 
+                    // Recognize
+                    recognize(this.router.ngModule.injector, this.router.rootComponentType, this.router.config, this.router.urlSerializer, this.router.paramsInheritanceStrategy, this.router.routeMatchingStrategy), 
+                    // Decode the query parameters with the schemas of the recognized routes
+                    tap(t => {
+                        const canceledBy = findCancelingQueryParam(t.targetSnapshot.root);
+                        if (canceledBy !== null) {
+                            const reason = NG_DEV_MODE$6 ?
+                                `The query parameter '${canceledBy}' has an invalid value.` :
+                                '';
+                            throw navigationCancelingError(reason, 5 /* NavigationCancellationCode.InvalidQueryParams */);
+                        }
+                    }), 
+                    // Update URL if in `eager` update mode
+                    tap(t => {
+                        overallTransitionState.targetSnapshot = t.targetSnapshot;
+                        if (this.router.urlUpdateStrategy === 'eager') {
+                            if (!t.extras.skipLocationChange) {
+                                const rawUrl = this.router.urlHandlingStrategy.merge(t.urlAfterRedirects, t.rawUrl);
+                                this.router.setBrowserUrl(rawUrl, t);
+                            }
+                            this.router.browserUrlTree = t.urlAfterRedirects;
+                        }
+                        // Fire RoutesRecognized
+                        const routesRecognized = new RoutesRecognized(t.id, this.router.serializeUrl(t.extractedUrl), this.router.serializeUrl(t.urlAfterRedirects), t.targetSnapshot);
+                        eventsSubject.next(routesRecognized);
+                    }));
+                }
+                else if (urlTransition &&
+                    this.router.urlHandlingStrategy.shouldProcessUrl(this.router.rawUrlTree)) {
+                    // When the current URL shouldn't be processed, but the previous one
+                    // was, we handle this by navigating from the current URL to an empty
+                    // state so deactivate guards can run.
+                    const { id, extractedUrl, source, restoredState, extras } = t;
+                    const navStart = new NavigationStart(id, this.router.serializeUrl(extractedUrl), source, restoredState);
+                    eventsSubject.next(navStart);
+                    const targetSnapshot = createEmptyState(extractedUrl, this.router.rootComponentType)
+                        .snapshot;
+                    overallTransitionState = {
+                        ...t,
+                        targetSnapshot,
+                        urlAfterRedirects: extractedUrl,
+                        extras: { ...extras, skipLocationChange: false, replaceUrl: false },
+                    };
+                    return of(overallTransitionState);
+                }
+                else {
+                    /* When neither the current or previous URL can be processed, do
+                     * nothing other than update router's internal reference to the
+                     * current "settled" URL. This way the next navigation will be coming
+                     * from the current URL in the browser.
+                     */
+                    const reason = NG_DEV_MODE$6 ?
+                        `Navigation was ignored because the UrlHandlingStrategy` +
+                            ` indicated neither the current URL ${this.router.rawUrlTree} nor target URL ${t.rawUrl} should be processed.` :
+                        '';
+                    this.router.triggerEvent(new NavigationSkipped(t.id, this.router.serializeUrl(overallTransitionState.extractedUrl), reason, 1 /* NavigationSkippedCode.IgnoredByUrlHandlingStrategy */));
+                    this.router.rawUrlTree = t.rawUrl;
+                    t.resolve(null);
+                    return EMPTY;
+                }
+            }), 
+            // --- GUARDS ---
+            tap(t => {
+                const guardsStart = new GuardsCheckStart(t.id, this.router.serializeUrl(t.extractedUrl), this.router.serializeUrl(t.urlAfterRedirects), t.targetSnapshot);
+                this.router.triggerEvent(guardsStart);
+            }), map(t => {
+                overallTransitionState = {
+                    ...t,
+                    guards: getAllRouteGuards(t.targetSnapshot, t.currentSnapshot, this.router.rootContexts)
+                };
+                return overallTransitionState;
+            }), checkGuards(this.router.ngModule.injector, (evt) => this.router.triggerEvent(evt)), tap(t => {
+                overallTransitionState.guardsResult = t.guardsResult;
+                if (isUrlTree(t.guardsResult)) {
+                    throw redirectingNavigationError(this.router.urlSerializer, t.guardsResult);
+                }
+                const guardsEnd = new GuardsCheckEnd(t.id, this.router.serializeUrl(t.extractedUrl), this.router.serializeUrl(t.urlAfterRedirects), t.targetSnapshot, !!t.guardsResult);
+                this.router.triggerEvent(guardsEnd);
+            }), filter(t => {
+                if (!t.guardsResult) {
+                    this.router.restoreHistory(t);
+                    this.router.cancelNavigationTransition(t, '', 3 /* NavigationCancellationCode.GuardRejected */);
+                    return false;
+                }
+                return true;
+            }), 
+            // --- RESOLVE ---
+            switchTap(t => {
+                if (t.guards.canActivateChecks.length) {
+                    return of(t).pipe(tap(t => {
+                        const resolveStart = new ResolveStart(t.id, this.router.serializeUrl(t.extractedUrl), this.router.serializeUrl(t.urlAfterRedirects), t.targetSnapshot);
+                        this.router.triggerEvent(resolveStart);
+                    }), switchMap(t => {
+                        let dataResolved = false;
+                        return of(t).pipe(resolveData(this.router.paramsInheritanceStrategy, this.router.ngModule.injector), tap({
+                            next: () => dataResolved = true,
+                            complete: () => {
+                                if (!dataResolved) {
+                                    this.router.restoreHistory(t);
+                                    this.router.cancelNavigationTransition(t, NG_DEV_MODE$6 ?
+                                        `At least one route resolver didn't emit any value.` :
+                                        '', 2 /* NavigationCancellationCode.NoDataFromResolver */);
+                                }
+                            }
+                        }));
+                    }), tap(t => {
+                        const resolveEnd = new ResolveEnd(t.id, this.router.serializeUrl(t.extractedUrl), this.router.serializeUrl(t.urlAfterRedirects), t.targetSnapshot);
+                        this.router.triggerEvent(resolveEnd);
+                    }));
+                }
+                return undefined;
+            }), 
+            // --- LOAD COMPONENTS ---
+            switchTap((t) => {
+                const loadComponents = (route) => {
+                    const loaders = [];
+                    if (route.routeConfig?.loadComponent &&
+                        !route.routeConfig._loadedComponent) {
+                        loaders.push(this.router.configLoader.loadComponent(route.routeConfig)
+                            .pipe(tap(loadedComponent => {
+                            route.component = loadedComponent;
+                        }), map(() => void 0)));
+                    }
+                    for (const child of route.children) {
+                        loaders.push(...loadComponents(child));
+                    }
+                    return loaders;
+                };
+                return combineLatest(loadComponents(t.targetSnapshot.root))
+                    .pipe(defaultIfEmpty(), take(1));
+            }), switchTap(() => this.router.afterPreactivation()), switchMap(t => {
+                // When view transitions are enabled, wait until the transition has captured the
+                // current view before the routes are activated.
+                const viewTransitionStarted = this.createViewTransition?.(this.router.ngModule.injector, t.currentSnapshot.root, t.targetSnapshot.root);
+                return viewTransitionStarted ? from(viewTransitionStarted).pipe(map(() => t)) : of(t);
+            }), abortNavigation(overallTransitionState, this.navigationAborts), map((t) => {
+                const targetRouterState = createRouterState(this.router.routeReuseStrategy, t.targetSnapshot, t.currentRouterState);
+                overallTransitionState = { ...t, targetRouterState };
+                return (overallTransitionState);
+            }), 
+            /* Once here, we are about to activate synchronously. The assumption is
+               this will succeed, and user code may read from the Router service.
+               Therefore before activation, we need to update router properties storing
+               the current URL and the RouterState, as well as updated the browser URL.
+               All this should happen *before* activating. */
+            tap((t) => {
+                this.router.currentUrlTree = t.urlAfterRedirects;
+                this.router.rawUrlTree = this.router.urlHandlingStrategy.merge(t.urlAfterRedirects, t.rawUrl);
+                this.router.routerState =
+                    t.targetRouterState;
+                if (this.router.urlUpdateStrategy === 'deferred') {
+                    if (!t.extras.skipLocationChange) {
+                        this.router.setBrowserUrl(this.router.rawUrlTree, t);
+                    }
+                    this.router.browserUrlTree = t.urlAfterRedirects;
+                }
+            }), activateRoutes(this.router.rootContexts, this.router.routeReuseStrategy, (evt) => this.router.triggerEvent(evt)), tap({
+                next() {
+                    completed = true;
+                },
+                complete() {
+                    completed = true;
+                }
+            }), finalize(() => {
+                /* When the navigation stream finishes either through error or success,
+                 * we set the `completed` or `errored` flag. However, there are some
+                 * situations where we could get here without either of those being set.
+                 * For instance, a redirect during NavigationStart. Therefore, this is a
+                 * catch-all to make sure the NavigationCancel event is fired when a
+                 * navigation gets cancelled but not caught by other means. */
+                if (!completed && !errored) {
+                    const cancelationReason = NG_DEV_MODE$6 ?
+                        `Navigation ID ${overallTransitionState
+                            .id} is not equal to the current navigation id ${this.router.navigationId}` :
+                        '';
+                    this.router.cancelNavigationTransition(overallTransitionState, cancelationReason, 1 /* NavigationCancellationCode.SupersededByNewNavigation */);
+                }
+                // Only clear current navigation if it is still set to the one that
+                // finalized.
+                if (this.currentNavigation?.id === overallTransitionState.id) {
+                    this.currentNavigation = null;
+                    this.router.startQueuedNavigation();
+                }
+            }), catchError((e) => {
+                errored = true;
+                if (isRedirectingNavigationCancelingError$1(e)) {
+                    // A redirect past the limit fails the navigation instead of starting another one.
+                    e = this.trackRedirect(overallTransitionState, e.url) ?? e;
+                }
+                /* This error type is issued during Redirect, and is handled as a
+                 * cancellation rather than an error. */
+                if (isNavigationCancelingError$1(e)) {
+                    if (!isRedirectingNavigationCancelingError$1(e)) {
+                        // Set property only if we're not redirecting. If we landed on a page
+                        // and redirect to `/` route, the new navigation is going to see the
+                        // `/` isn't a change from the default currentUrlTree and won't
+                        // navigate. This is only applicable with initial navigation, so
+                        // setting `navigated` only when not redirecting resolves this
+                        // scenario.
+                        this.router.navigated = true;
+                        this.router.restoreHistory(overallTransitionState, true);
+                    }
+                    const navCancel = new NavigationCancel(overallTransitionState.id, this.router.serializeUrl(overallTransitionState.extractedUrl), e.message, e.cancellationCode);
+                    eventsSubject.next(navCancel);
+                    // When redirecting, we need to delay resolving the navigation
+                    // promise and push it to the redirect navigation
+                    if (!isRedirectingNavigationCancelingError$1(e)) {
+                        overallTransitionState.resolve(false);
+                    }
+                    else {
+                        const mergedTree = this.router.urlHandlingStrategy.merge(e.url, this.router.rawUrlTree);
+                        const extras = {
+                            skipLocationChange: overallTransitionState.extras.skipLocationChange,
+                            // The URL is already updated at this point if we have 'eager' URL
+                            // updates or if the navigation was triggered by the browser (back
+                            // button, URL bar, etc). We want to replace that item in history
+                            // if the navigation is rejected.
+                            replaceUrl: this.router.urlUpdateStrategy === 'eager' ||
+                                isBrowserTriggeredNavigation(overallTransitionState.source)
+                        };
+                        this.router.scheduleNavigation(mergedTree, 'imperative', null, extras, {
+                            resolve: overallTransitionState.resolve,
+                            reject: overallTransitionState.reject,
+                            promise: overallTransitionState.promise
+                        });
+                    }
+                    /* All other errors should reset to the router's internal URL reference
+                     * to the pre-error state. */
+                }
+                else {
+                    this.router.restoreHistory(overallTransitionState, true);
+                    const navError = new NavigationError(overallTransitionState.id, this.router.serializeUrl(overallTransitionState.extractedUrl), e, overallTransitionState.targetSnapshot ?? undefined);
+                    eventsSubject.next(navError);
+                    try {
+                        const navigationErrorHandler = this.navigationErrorHandler;
+                        const navigationErrorHandlerResult = navigationErrorHandler ?
+                            this.router.ngModule.injector.runInContext(() => navigationErrorHandler(navError)) :
+                            undefined;
+                        const redirectError = isUrlTree(navigationErrorHandlerResult) ?
+                            this.trackRedirect(overallTransitionState, navigationErrorHandlerResult) :
+                            null;
+                        if (isUrlTree(navigationErrorHandlerResult) && redirectError === null) {
+                            // The error handler asked for a redirect. The new navigation takes over the
+                            // promise of the failed one, the same way guard redirects do.
+                            const mergedTree = this.router.urlHandlingStrategy.merge(navigationErrorHandlerResult, this.router.rawUrlTree);
+                            const extras = {
+                                skipLocationChange: overallTransitionState.extras.skipLocationChange,
+                                replaceUrl: this.router.urlUpdateStrategy === 'eager' ||
+                                    isBrowserTriggeredNavigation(overallTransitionState.source)
+                            };
+                            this.router.scheduleNavigation(mergedTree, 'imperative', null, extras, {
+                                resolve: overallTransitionState.resolve,
+                                reject: overallTransitionState.reject,
+                                promise: overallTransitionState.promise
+                            });
+                        }
+                        else {
+                            overallTransitionState.resolve(this.router.errorHandler(redirectError ?? e));
+                        }
+                    }
+                    catch (ee) {
+                        overallTransitionState.reject(ee);
+                    }
+                }
+                return EMPTY;
+            }));
+            // TODO(jasonaden): remove cast once g3 is on updated TypeScript
+        }));
+    }
+}
+function isBrowserTriggeredNavigation(source) {
+    return source !== 'imperative';
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Provides a strategy for setting the page title after a router navigation.
+ *
+ * The built-in implementation traverses the router state snapshot and finds the deepest primary
+ * outlet with `title` property. Given the `Routes` below, navigating to
+ * `/base/child(popup:aux)` would result in the document title being set to "child".
+ * ```
+ * [
+ *   {path: 'base', title: 'base', children: [
+ *     {path: 'child', title: 'child'},
+ *   ],
+ *   {path: 'aux', outlet: 'popup', title: 'popupTitle'}
+ * ]
+ * ```
+ *
+ * This class can be used as a base class for custom title strategies. That is, you can create your
+ * own class that extends the `TitleStrategy`. Note that in the above example, the `title`
+ * from the named outlet is never used. However, a custom strategy might be implemented to
+ * incorporate titles in named outlets.
+ *
+ * @publicApi
+ * @see [Page title guide](guide/router#setting-the-page-title)
+ */
+class TitleStrategy {
+    /**
+     * @returns The `title` of the deepest primary route.
+     */
+    buildTitle(snapshot) {
+        let pageTitle;
+        let route = snapshot.root;
+        while (route !== undefined) {
+            pageTitle = this.getResolvedTitleForRoute(route) ?? pageTitle;
+            route = route.children.find(child => child.outlet === PRIMARY_OUTLET);
+        }
+        return pageTitle;
+    }
+    /**
+     * Given an `ActivatedRouteSnapshot`, returns the final value of the
+     * `Route.title` property, which can either be a static string or a resolved value.
+     */
+    getResolvedTitleForRoute(snapshot) {
+        return snapshot.data[RouteTitleKey];
+    }
+}
+TitleStrategy.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: TitleStrategy, deps: [], target: i0.ɵɵFactoryTarget.Injectable });
+TitleStrategy.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: TitleStrategy, providedIn: 'root', useFactory: () => inject(DefaultTitleStrategy) });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: TitleStrategy, decorators: [{
+            type: Injectable,
+            args: [{ providedIn: 'root', useFactory: () => inject(DefaultTitleStrategy) }]
+        }] });
+/**
+ * The default `TitleStrategy` used by the router that updates the title using the `Title` service.
+ */
+class DefaultTitleStrategy extends TitleStrategy {
+    constructor(title) {
+        super();
+        this.title = title;
+    }
+    /**
+     * Sets the title of the browser to the given value.
+     *
+     * @param title The `pageTitle` from the deepest primary route.
+     */
+    updateTitle(snapshot) {
+        const title = this.buildTitle(snapshot);
+        if (title !== undefined) {
+            this.title.setTitle(title);
+        }
+    }
+}
+DefaultTitleStrategy.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultTitleStrategy, deps: [{ token: i1.Title }], target: i0.ɵɵFactoryTarget.Injectable });
+DefaultTitleStrategy.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultTitleStrategy, providedIn: 'root' });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultTitleStrategy, decorators: [{
+            type: Injectable,
+            args: [{ providedIn: 'root' }]
+        }], ctorParameters: function () { return [{ type: i1.Title }]; } });
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * @description
+ *
+ * Provides a way to customize when activated routes get reused.
+ *
+ * @publicApi
+ */
+class RouteReuseStrategy {
+}
+RouteReuseStrategy.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouteReuseStrategy, deps: [], target: i0.ɵɵFactoryTarget.Injectable });
+RouteReuseStrategy.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouteReuseStrategy, providedIn: 'root', useFactory: () => inject(DefaultRouteReuseStrategy) });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouteReuseStrategy, decorators: [{
+            type: Injectable,
+            args: [{ providedIn: 'root', useFactory: () => inject(DefaultRouteReuseStrategy) }]
+        }] });
+/**
+ * @description
+ *
+ * This base route reuse strategy only reuses routes when the matched router configs are
+ * identical. This prevents components from being destroyed and recreated
+ * when just the route parameters, query parameters or fragment change
+ * (that is, the existing component is _reused_).
+ *
+ * This strategy does not store any routes for later reuse.
+ *
+ * Angular uses this strategy by default.
+ *
+ *
+ * It can be used as a base class for custom route reuse strategies, i.e. you can create your own
+ * class that extends the `BaseRouteReuseStrategy` one.
+ * @publicApi
+ */
+class BaseRouteReuseStrategy {
+    /**
+     * Whether the given route should detach for later reuse.
+     * Always returns false for `BaseRouteReuseStrategy`.
+     * */
+    shouldDetach(route) {
+        return false;
+    }
+    /**
+     * A no-op; the route is never stored since this strategy never detaches routes for later re-use.
+     */
+    store(route, detachedTree) { }
+    /** Returns `false`, meaning the route (and its subtree) is never reattached */
+    shouldAttach(route) {
+        return false;
+    }
+    /** Returns `null` because this strategy does not store routes for later re-use. */
+    retrieve(route) {
+        return null;
+    }
+    /**
+     * Determines if a route should be reused.
+     * This strategy returns `true` when the future route config and current route config are
+     * identical.
+     */
+    shouldReuseRoute(future, curr) {
+        return future.routeConfig === curr.routeConfig;
+    }
+}
+class DefaultRouteReuseStrategy extends BaseRouteReuseStrategy {
+}
+DefaultRouteReuseStrategy.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultRouteReuseStrategy, deps: null, target: i0.ɵɵFactoryTarget.Injectable });
+DefaultRouteReuseStrategy.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultRouteReuseStrategy, providedIn: 'root' });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultRouteReuseStrategy, decorators: [{
+            type: Injectable,
+            args: [{ providedIn: 'root' }]
+        }] });
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const NG_DEV_MODE$5 = typeof ngDevMode === 'undefined' || !!ngDevMode;
+/**
+ * A [DI token](guide/glossary/#di-token) for the router service.
+ *
+ * @publicApi
+ */
+const ROUTER_CONFIGURATION = new InjectionToken(NG_DEV_MODE$5 ? 'router config' : '', {
+    providedIn: 'root',
+    factory: () => ({}),
+});
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+function deprecatedLoadChildrenString(injector, loadChildren) {
+    return null;
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const NG_DEV_MODE$4 = typeof ngDevMode === 'undefined' || !!ngDevMode;
+/**
+ * The [DI token](guide/glossary/#di-token) for a router configuration.
+ *
+ * `ROUTES` is a low level API for router configuration via dependency injection.
+ *
+ * We recommend that in almost all cases to use higher level APIs such as `RouterModule.forRoot()`,
+ * `RouterModule.forChild()`, `provideRoutes`, or `Router.resetConfig()`.
+ *
+ * @publicApi
+ */
+const ROUTES = new InjectionToken('ROUTES');
+const LAZY_LOADING_RETRY_OPTIONS = new InjectionToken(NG_DEV_MODE$4 ? 'lazy loading retry options' : '');
+class RouterConfigLoader {
+    constructor(injector, compiler) {
+        this.injector = injector;
+        this.compiler = compiler;
+        this.componentLoaders = new WeakMap();
+        this.childrenLoaders = new WeakMap();
+        this.retryOptions = inject(LAZY_LOADING_RETRY_OPTIONS, { optional: true });
+        this.routerConfig = inject(ROUTER_CONFIGURATION);
+    }
+    loadComponent(route) {
+        if (this.componentLoaders.get(route)) {
+            return this.componentLoaders.get(route);
+        }
+        else if (route._loadedComponent) {
+            return of(route._loadedComponent);
+        }
+        if (this.onLoadStartListener) {
+            this.onLoadStartListener(route);
+        }
+        const loadRunner = this.loadWithRetry(route, () => wrapIntoObservable(route.loadComponent()))
+            .pipe(map(maybeUnwrapDefaultExport), tap(component => {
+            if (this.onLoadEndListener) {
+                this.onLoadEndListener(route);
+            }
+            NG_DEV_MODE$4 && assertStandalone(route.path ?? '', component);
+            route._loadedComponent = component;
+        }), finalize(() => {
+            this.componentLoaders.delete(route);
+        }));
+        // Use custom ConnectableObservable as share in runners pipe increasing the bundle size too much
+        const loader = new ConnectableObservable(loadRunner, () => new Subject()).pipe(refCount());
+        this.componentLoaders.set(route, loader);
+        return loader;
+    }
+    loadChildren(parentInjector, route) {
+        if (this.childrenLoaders.get(route)) {
+            return this.childrenLoaders.get(route);
+        }
+        else if (route._loadedRoutes) {
+            return of({ routes: route._loadedRoutes, injector: route._loadedInjector });
+        }
+        if (this.onLoadStartListener) {
+            this.onLoadStartListener(route);
+        }
+        const moduleFactoryOrRoutes$ = this.loadWithRetry(route, () => this.loadModuleFactoryOrRoutes(route.loadChildren));
+        const loadRunner = moduleFactoryOrRoutes$.pipe(map((factoryOrRoutes) => {
+            if (this.onLoadEndListener) {
+                this.onLoadEndListener(route);
+            }
+            // This injector comes from the `NgModuleRef` when lazy loading an `NgModule`. There is no
+            // injector associated with lazy loading a `Route` array.
+            let injector;
+            let rawRoutes;
+            let requireStandaloneComponents = false;
+            if (Array.isArray(factoryOrRoutes)) {
+                rawRoutes = factoryOrRoutes;
+                requireStandaloneComponents = true;
+            }
+            else {
+                injector = factoryOrRoutes.create(parentInjector).injector;
+                // When loading a module that doesn't provide `RouterModule.forChild()` preloader
+                // will get stuck in an infinite loop. The child module's Injector will look to
+                // its parent `Injector` when it doesn't find any ROUTES so it will return routes
+                // for it's parent module instead.
+                rawRoutes = flatten(injector.get(ROUTES, [], InjectFlags.Self | InjectFlags.Optional));
+            }
+            const routes = rawRoutes.map(standardizeConfig);
+            if (NG_DEV_MODE$4) {
+                // Names must be unique across the whole config, not only within the loaded children
+                const routeNames = this.registeredRouteNamesGetter?.() ?? new Map();
+                validateConfig(routes, route.path, requireStandaloneComponents, routeNames);
+                lintLoadedConfig(routes, route, this.routerConfig.routeMatchingStrategy);
+            }
+            route._loadedRoutes = routes;
+            route._loadedInjector = injector;
+            clearMatchingStrategyCache();
+            return { routes, injector };
+        }), finalize(() => {
+            this.childrenLoaders.delete(route);
+        }));
+        // Use custom ConnectableObservable as share in runners pipe increasing the bundle size too much
+        const loader = new ConnectableObservable(loadRunner, () => new Subject())
+            .pipe(refCount());
+        this.childrenLoaders.set(route, loader);
+        return loader;
+    }
+    loadModuleFactoryOrRoutes(loadChildren) {
+        const deprecatedResult = deprecatedLoadChildrenString(this.injector, loadChildren);
+        if (deprecatedResult) {
+            return deprecatedResult;
+        }
+        return wrapIntoObservable(loadChildren())
+            .pipe(map(maybeUnwrapDefaultExport), mergeMap((t) => {
+            if (t instanceof NgModuleFactory || Array.isArray(t)) {
+                return of(t);
+            }
+            else {
+                return from(this.compiler.compileModuleAsync(t));
+            }
+        }));
+    }
+    /**
+     * Runs `load` and, when it fails, runs it again according to the `LazyLoadingRetryOptions`.
+     * Without options, a load is attempted once.
+     */
+    loadWithRetry(route, load) {
+        const { attempts = 1, backoff = 0, timeout: loadTimeout } = this.retryOptions ?? {};
+        const attempt = (n) => {
+            let load$ = defer(load);
+            if (loadTimeout !== undefined) {
+                load$ = load$.pipe(timeout(loadTimeout));
+            }
+            return load$.pipe(catchError(error => {
+                const willRetry = n < attempts;
+                if (this.onLoadErrorListener) {
+                    this.onLoadErrorListener(route, error, n, willRetry);
+                }
+                if (!willRetry) {
+                    return throwError(error);
+                }
+                const delay = typeof backoff === 'function' ? backoff(n) : backoff * 2 ** (n - 1);
+                return timer(delay).pipe(mergeMap(() => attempt(n + 1)));
+            }));
+        };
+        return attempt(1);
+    }
+}
+RouterConfigLoader.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouterConfigLoader, deps: [{ token: i0.Injector }, { token: i0.Compiler }], target: i0.ɵɵFactoryTarget.Injectable });
+RouterConfigLoader.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouterConfigLoader, providedIn: 'root' });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouterConfigLoader, decorators: [{
+            type: Injectable,
+            args: [{ providedIn: 'root' }]
+        }], ctorParameters: function () { return [{ type: i0.Injector }, { type: i0.Compiler }]; } });
+function isWrappedDefaultExport(value) {
+    // We use `in` here with a string key `'default'`, because we expect `DefaultExport` objects to be
+    // dynamically imported ES modules with a spec-mandated `default` key. Thus we don't expect that
+    // `default` will be a renamed property.
+    return value && typeof value === 'object' && 'default' in value;
+}
+function maybeUnwrapDefaultExport(input) {
+    // As per `isWrappedDefaultExport`, the `default` key here is generated by the browser and not
+    // subject to property renaming, so we reference it with bracket access.
+    return isWrappedDefaultExport(input) ? input['default'] : input;
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * @description
+ *
+ * Provides a way to migrate AngularJS applications to Angular.
+ *
+ * @publicApi
+ */
+class UrlHandlingStrategy {
+}
+UrlHandlingStrategy.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: UrlHandlingStrategy, deps: [], target: i0.ɵɵFactoryTarget.Injectable });
+UrlHandlingStrategy.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: UrlHandlingStrategy, providedIn: 'root', useFactory: () => inject(DefaultUrlHandlingStrategy) });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: UrlHandlingStrategy, decorators: [{
+            type: Injectable,
+            args: [{ providedIn: 'root', useFactory: () => inject(DefaultUrlHandlingStrategy) }]
+        }] });
+/**
+ * @publicApi
+ */
+class DefaultUrlHandlingStrategy {
+    shouldProcessUrl(url) {
+        return true;
+    }
+    extract(url) {
+        return url;
+    }
+    merge(newUrlPart, wholeUrl) {
+        return newUrlPart;
+    }
+}
+DefaultUrlHandlingStrategy.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultUrlHandlingStrategy, deps: [], target: i0.ɵɵFactoryTarget.Injectable });
+DefaultUrlHandlingStrategy.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultUrlHandlingStrategy, providedIn: 'root' });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultUrlHandlingStrategy, decorators: [{
+            type: Injectable,
+            args: [{ providedIn: 'root' }]
+        }] });
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const NG_DEV_MODE$3 = typeof ngDevMode === 'undefined' || !!ngDevMode;
+function defaultErrorHandler(error) {
+    throw error;
+}
+function defaultMalformedUriErrorHandler(error, urlSerializer, url) {
+    return urlSerializer.parse('/');
+}
+/**
+ * The equivalent `IsActiveMatchOptions` options for `Router.isActive` is called with `true`
+ * (exact = true).
+ */
+const exactMatchOptions = {
+    paths: 'exact',
+    fragment: 'ignored',
+    matrixParams: 'ignored',
+    queryParams: 'exact'
+};
+/**
+ * The equivalent `IsActiveMatchOptions` options for `Router.isActive` is called with `false`
+ * (exact = false).
+ */
+const subsetMatchOptions = {
+    paths: 'subset',
+    fragment: 'ignored',
+    matrixParams: 'ignored',
+    queryParams: 'subset'
+};
+function assignExtraOptionsToRouter(opts, router) {
+    if (opts.errorHandler) {
+        router.errorHandler = opts.errorHandler;
+    }
+    if (opts.malformedUriErrorHandler) {
+        router.malformedUriErrorHandler = opts.malformedUriErrorHandler;
+    }
+    if (opts.onSameUrlNavigation) {
+        router.onSameUrlNavigation = opts.onSameUrlNavigation;
+    }
+    if (opts.paramsInheritanceStrategy) {
+        router.paramsInheritanceStrategy = opts.paramsInheritanceStrategy;
+    }
+    if (opts.urlUpdateStrategy) {
+        router.urlUpdateStrategy = opts.urlUpdateStrategy;
+    }
+    if (opts.canceledNavigationResolution) {
+        router.canceledNavigationResolution = opts.canceledNavigationResolution;
+    }
+    if (opts.concurrentNavigation) {
+        router.concurrentNavigation = opts.concurrentNavigation;
+    }
+    if (opts.routeMatchingStrategy) {
+        router.routeMatchingStrategy = opts.routeMatchingStrategy;
+    }
+    if (opts.maxRedirects !== undefined) {
+        router.maxRedirects = opts.maxRedirects;
+    }
+}
+function setupRouter() {
+    const urlSerializer = inject(UrlSerializer);
+    const contexts = inject(ChildrenOutletContexts);
+    const location = inject(Location);
+    const injector = inject(Injector);
+    const compiler = inject(Compiler);
+    const config = inject(ROUTES, { optional: true }) ?? [];
+    const opts = inject(ROUTER_CONFIGURATION, { optional: true }) ?? {};
+    const router = new Router(null, urlSerializer, contexts, location, injector, compiler, flatten(config));
+    assignExtraOptionsToRouter(opts, router);
+    return router;
+}
+/**
+ * @description
+ *
+ * A service that provides navigation among views and URL manipulation capabilities.
+ *
+ * @see `Route`.
+ * @see [Routing and Navigation Guide](guide/router).
+ *
+ * @ngModule RouterModule
+ *
+ * @publicApi
+ */
+class Router {
+    /**
+     * Creates the router service.
+     */
+    // TODO: vsavkin make internal after the final is out.
+    constructor(
+    /** @internal */
+    rootComponentType, 
+    /** @internal */
+    urlSerializer, 
+    /** @internal */
+    rootContexts, 
+    /** @internal */
+    location, injector, compiler, config) {
+        this.rootComponentType = rootComponentType;
+        this.urlSerializer = urlSerializer;
+        this.rootContexts = rootContexts;
+        this.location = location;
+        this.config = config;
+        /** @internal */
+        this.lastSuccessfulNavigation = null;
+        this.disposed = false;
+        /**
+         * Injectors of routes that are no longer part of the `config`. They are destroyed once the
+         * activated routes do not use them anymore.
+         */
+        this.staleRouteInjectors = new Set();
+        /** @internal */
+        this.navigationId = 0;
+        /**
+         * The id of the currently active page in the router.
+         * Updated to the transition's target id on a successful navigation.
+         *
+         * This is used to track what page the router last activated. When an attempted navigation fails,
+         * the router can then use this to compute how to restore the state back to the previously active
+         * page.
+         */
+        this.currentPageId = 0;
+        this.isNgZoneEnabled = false;
+        /**
+         * An event stream for routing events in this NgModule.
+         */
+        this.events = new Subject();
+        /**
+         * A handler for navigation errors in this NgModule.
+         *
+         * @deprecated Subscribe to the `Router` events and watch for `NavigationError` instead.
+         */
+        this.errorHandler = defaultErrorHandler;
+        /**
+         * A handler for errors thrown by `Router.parseUrl(url)`
+         * when `url` contains an invalid character.
+         * The most common case is a `%` sign
+         * that's not encoded and is not part of a percent encoded sequence.
+         *
+         * @deprecated Configure this through `RouterModule.forRoot` instead:
+         *   `RouterModule.forRoot(routes, {malformedUriErrorHandler: myHandler})`
+         * @see `RouterModule`
+         */
+        this.malformedUriErrorHandler = defaultMalformedUriErrorHandler;
+        /**
+         * True if at least one navigation event has occurred,
+         * false otherwise.
+         */
+        this.navigated = false;
+        this.lastSuccessfulId = -1;
+        /**
+         * Hook that enables you to pause navigation after the preactivation phase.
+         * Used by `RouterModule`.
+         *
+         * @internal
+         */
+        this.afterPreactivation = () => of(void 0);
+        /**
+         * A strategy for extracting and merging URLs.
+         * Used for AngularJS to Angular migrations.
+         *
+         * @deprecated Configure using `providers` instead:
+         *   `{provide: UrlHandlingStrategy, useClass: MyStrategy}`.
+         */
+        this.urlHandlingStrategy = inject(UrlHandlingStrategy);
+        /**
+         * A strategy for re-using routes.
+         *
+         * @deprecated Configure using `providers` instead:
+         *   `{provide: RouteReuseStrategy, useClass: MyStrategy}`.
+         */
+        this.routeReuseStrategy = inject(RouteReuseStrategy);
+        /**
+         * A strategy for setting the title based on the `routerState`.
+         *
+         * @deprecated Configure using `providers` instead:
+         *   `{provide: TitleStrategy, useClass: MyStrategy}`.
+         */
+        this.titleStrategy = inject(TitleStrategy);
+        /**
+         * How to handle a navigation request to the current URL.
+         *
+         *
+         * @deprecated Configure this through `provideRouter` or `RouterModule.forRoot` instead.
+         * @see `withRouterConfig`
+         * @see `provideRouter`
+         * @see `RouterModule`
+         */
+        this.onSameUrlNavigation = 'ignore';
+        /**
+         * How to handle a navigation request while another navigation is in progress.
+         *
+         * @internal
+         */
+        this.concurrentNavigation = 'supersede';
+        /**
+         * How to order the routes of a `children` array that does not set `childrenMatchingStrategy`
+         * when matching a URL.
+         *
+         * @internal
+         */
+        this.routeMatchingStrategy = 'firstMatch';
+        /**
+         * The maximum number of redirects of a navigation before it fails with a redirect loop error.
+         *
+         * @internal
+         */
+        this.maxRedirects = 20;
+        /** Navigation requests that wait for the current navigation to finish. */
+        this.queuedNavigations = [];
+        /**
+         * The ids of the navigations that were started for a navigation request, keyed by the promise
+         * returned for the request. Redirects and queued navigations add ids to the same request.
+         */
+        this.navigationIds = new WeakMap();
+        /**
+         * How to merge parameters, data, resolved data, and title from parent to child
+         * routes. One of:
+         *
+         * - `'emptyOnly'` : Inherit parent parameters, data, and resolved data
+         * for path-less or component-less routes.
+         * - `'always'` : Inherit parent parameters, data, and resolved data
+         * for all child routes.
+         *
+         * @deprecated Configure this through `provideRouter` or `RouterModule.forRoot` instead.
+         * @see `withRouterConfig`
+         * @see `provideRouter`
+         * @see `RouterModule`
+         */
+        this.paramsInheritanceStrategy = 'emptyOnly';
+        /**
+         * Determines when the router updates the browser URL.
+         * By default (`"deferred"`), updates the browser URL after navigation has finished.
+         * Set to `'eager'` to update the browser URL at the beginning of navigation.
+         * You can choose to update early so that, if navigation fails,
+         * you can show an error message with the URL that failed.
+         *
+         * @deprecated Configure this through `provideRouter` or `RouterModule.forRoot` instead.
+         * @see `withRouterConfig`
+         * @see `provideRouter`
+         * @see `RouterModule`
+         */
+        this.urlUpdateStrategy = 'deferred';
+        /**
+         * Configures how the Router attempts to restore state when a navigation is cancelled.
+         *
+         * 'replace' - Always uses `location.replaceState` to set the browser state to the state of the
+         * router before the navigation started. This means that if the URL of the browser is updated
+         * _before_ the navigation is canceled, the Router will simply replace the item in history rather
+         * than trying to restore to the previous location in the session history. This happens most
+         * frequently with `urlUpdateStrategy: 'eager'` and navigations with the browser back/forward
+         * buttons.
+         *
+         * 'computed' - Will attempt to return to the same index in the session history that corresponds
+         * to the Angular route when the navigation gets cancelled. For example, if the browser back
+         * button is clicked and the navigation is cancelled, the Router will trigger a forward navigation
+         * and vice versa.
+         *
+         * Note: the 'computed' option is incompatible with any `UrlHandlingStrategy` which only
+         * handles a portion of the URL because the history restoration navigates to the previous place in
+         * the browser history rather than simply resetting a portion of the URL.
+         *
+         * The default value is `replace`.
+         *
+         * @deprecated Configure this through `provideRouter` or `RouterModule.forRoot` instead.
+         * @see `withRouterConfig`
+         * @see `provideRouter`
+         * @see `RouterModule`
+         */
+        this.canceledNavigationResolution = 'replace';
+        this.navigationTransitions = new NavigationTransitions(this);
+        const onLoadStart = (r) => this.triggerEvent(new RouteConfigLoadStart(r));
+        const onLoadEnd = (r) => this.triggerEvent(new RouteConfigLoadEnd(r));
+        const onPermanentFailure = injector.get(LAZY_LOADING_RETRY_OPTIONS, null)?.onPermanentFailure;
+        const onLoadError = (r, error, attempt, willRetry) => {
+            this.triggerEvent(new RouteConfigLoadError(r, error, attempt, willRetry));
+            if (!willRetry && onPermanentFailure) {
+                // The preloader may load routes while a navigation is in progress, so the URL is not
+                // necessarily the one that needed the route.
+                const url = this.getCurrentNavigation()?.initialUrl ?? null;
+                injector.get(EnvironmentInjector).runInContext(() => onPermanentFailure(error, r, url));
+            }
+        };
+        this.configLoader = injector.get(RouterConfigLoader);
+        this.configLoader.onLoadEndListener = onLoadEnd;
+        this.configLoader.onLoadStartListener = onLoadStart;
+        this.configLoader.onLoadErrorListener = onLoadError;
+        this.configLoader.registeredRouteNamesGetter = () => collectRouteNames(this.config);
+        this.ngModule = injector.get(NgModuleRef);
+        this.console = injector.get(ɵConsole);
+        const ngZone = injector.get(NgZone);
+        this.isNgZoneEnabled = ngZone instanceof NgZone && NgZone.isInAngularZone();
+        this.resetConfig(config);
+        this.currentUrlTree = new UrlTree();
+        this.rawUrlTree = this.currentUrlTree;
+        this.browserUrlTree = this.currentUrlTree;
+        this.routerState = createEmptyState(this.currentUrlTree, this.rootComponentType);
+        this.transitions = new BehaviorSubject({
+            id: 0,
+            targetPageId: 0,
+            currentUrlTree: this.currentUrlTree,
+            extractedUrl: this.urlHandlingStrategy.extract(this.currentUrlTree),
+            urlAfterRedirects: this.urlHandlingStrategy.extract(this.currentUrlTree),
+            rawUrl: this.currentUrlTree,
+            extras: {},
+            resolve: null,
+            reject: null,
+            promise: Promise.resolve(true),
+            source: 'imperative',
+            restoredState: null,
+            currentSnapshot: this.routerState.snapshot,
+            targetSnapshot: null,
+            currentRouterState: this.routerState,
+            targetRouterState: null,
+            guards: { canActivateChecks: [], canDeactivateChecks: [] },
+            guardsResult: null,
+        });
+        this.navigations = this.navigationTransitions.setupNavigations(this.transitions);
+        this.processNavigations();
+    }
     /**
-     * @returns The `title` of the deepest primary route.
+     * The ɵrouterPageId of whatever page is currently active in the browser history. This is
+     * important for computing the target page id for new navigations because we need to ensure each
+     * page id in the browser history is 1 more than the previous entry.
      */
-    buildTitle(snapshot) {
-        let pageTitle;
-        let route = snapshot.root;
-        while (route !== undefined) {
-            pageTitle = this.getResolvedTitleForRoute(route) ?? pageTitle;
-            route = route.children.find(child => child.outlet === PRIMARY_OUTLET);
-        }
-        return pageTitle;
+    get browserPageId() {
+        return this.location.getState()?.ɵrouterPageId;
     }
     /**
-     * Given an `ActivatedRouteSnapshot`, returns the final value of the
-     * `Route.title` property, which can either be a static string or a resolved value.
+     * @internal
+     * TODO: this should be removed once the constructor of the router made internal
      */
-    getResolvedTitleForRoute(snapshot) {
-        return snapshot.data[RouteTitleKey];
+    resetRootComponentType(rootComponentType) {
+        this.rootComponentType = rootComponentType;
+        // TODO: vsavkin router 4.0 should make the root component set to null
+        // this will simplify the lifecycle of the router.
+        this.routerState.root.component = this.rootComponentType;
     }
-}
-TitleStrategy.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: TitleStrategy, deps: [], target: i0.ɵɵFactoryTarget.Injectable });
-TitleStrategy.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: TitleStrategy, providedIn: 'root', useFactory: () => inject(DefaultTitleStrategy) });
-i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: TitleStrategy, decorators: [{
-            type: Injectable,
-            args: [{ providedIn: 'root', useFactory: () => inject(DefaultTitleStrategy) }]
-        }] });
-/**
- * The default `TitleStrategy` used by the router that updates the title using the `Title` service.
- */
-class DefaultTitleStrategy extends TitleStrategy {
-    constructor(title) {
-        super();
-        this.title = title;
+    setTransition(t) {
+        this.transitions.next({ ...this.transitions.value, ...t });
     }
     /**
-     * Sets the title of the browser to the given value.
-     *
-     * @param title The `pageTitle` from the deepest primary route.
+     * Sets up the location change listener and performs the initial navigation.
      */
-    updateTitle(snapshot) {
-        const title = this.buildTitle(snapshot);
-        if (title !== undefined) {
-            this.title.setTitle(title);
+    initialNavigation() {
+        this.setUpLocationChangeListener();
+        if (this.navigationId === 0) {
+            this.navigateByUrl(this.location.path(true), { replaceUrl: true });
         }
     }
-}
-DefaultTitleStrategy.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultTitleStrategy, deps: [{ token: i1.Title }], target: i0.ɵɵFactoryTarget.Injectable });
-DefaultTitleStrategy.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultTitleStrategy, providedIn: 'root' });
-i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultTitleStrategy, decorators: [{
-            type: Injectable,
-            args: [{ providedIn: 'root' }]
-        }], ctorParameters: function () { return [{ type: i1.Title }]; } });
-
-/**
- * @license
- * Copyright Google LLC All Rights Reserved.
- *
- * Use of this source code is governed by an MIT-style license that can be
- * found in the LICENSE file at https://angular.io/license
- */
-/**
- * @description
- *
- * Provides a way to customize when activated routes get reused.
- *
- * @publicApi
- */
-class RouteReuseStrategy {
-}
-RouteReuseStrategy.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouteReuseStrategy, deps: [], target: i0.ɵɵFactoryTarget.Injectable });
-RouteReuseStrategy.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouteReuseStrategy, providedIn: 'root', useFactory: () => inject(DefaultRouteReuseStrategy) });
-i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouteReuseStrategy, decorators: [{
-            type: Injectable,
-            args: [{ providedIn: 'root', useFactory: () => inject(DefaultRouteReuseStrategy) }]
-        }] });
-/**
- * @description
- *
- * This base route reuse strategy only reuses routes when the matched router configs are
- * identical. This prevents components from being destroyed and recreated
- * when just the route parameters, query parameters or fragment change
- * (that is, the existing component is _reused_).
- *
- * This strategy does not store any routes for later reuse.
- *
- * Angular uses this strategy by default.
- *
- *
- * It can be used as a base class for custom route reuse strategies, i.e. you can create your own
- * class that extends the `BaseRouteReuseStrategy` one.
- * @publicApi
- */
-class BaseRouteReuseStrategy {
     /**
-     * Whether the given route should detach for later reuse.
-     * Always returns false for `BaseRouteReuseStrategy`.
-     * */
-    shouldDetach(route) {
-        return false;
+     * Sets up the location change listener. This listener detects navigations triggered from outside
+     * the Router (the browser back/forward buttons, for example) and schedules a corresponding Router
+     * navigation so that the correct events, guards, etc. are triggered.
+     */
+    setUpLocationChangeListener() {
+        // Don't need to use Zone.wrap any more, because zone.js
+        // already patch onPopState, so location change callback will
+        // run into ngZone
+        if (!this.locationSubscription) {
+            this.locationSubscription = this.location.subscribe(event => {
+                const source = event['type'] === 'popstate' ? 'popstate' : 'hashchange';
+                if (source === 'popstate') {
+                    // The `setTimeout` was added in #12160 and is likely to support Angular/AngularJS
+                    // hybrid apps.
+                    setTimeout(() => {
+                        const extras = { replaceUrl: true };
+                        // TODO: restoredState should always include the entire state, regardless
+                        // of navigationId. This requires a breaking change to update the type on
+                        // NavigationStart’s restoredState, which currently requires navigationId
+                        // to always be present. The Router used to only restore history state if
+                        // a navigationId was present.
+                        // The stored navigationId is used by the RouterScroller to retrieve the scroll
+                        // position for the page.
+                        const restoredState = event.state?.navigationId ? event.state : null;
+                        // Separate to NavigationStart.restoredState, we must also restore the state to
+                        // history.state and generate a new navigationId, since it will be overwritten
+                        if (event.state) {
+                            const stateCopy = { ...event.state };
+                            delete stateCopy.navigationId;
+                            delete stateCopy.ɵrouterPageId;
+                            delete stateCopy.ɵrouterScrollState;
+                            if (Object.keys(stateCopy).length !== 0) {
+                                extras.state = stateCopy;
+                            }
+                        }
+                        const urlTree = this.parseUrl(event['url']);
+                        this.scheduleNavigation(urlTree, source, restoredState, extras);
+                    }, 0);
+                }
+            });
+        }
+    }
+    /** The current URL. */
+    get url() {
+        return this.serializeUrl(this.currentUrlTree);
+    }
+    /**
+     * Returns the current `Navigation` object when the router is navigating,
+     * and `null` when idle.
+     */
+    getCurrentNavigation() {
+        return this.navigationTransitions.currentNavigation;
     }
     /**
-     * A no-op; the route is never stored since this strategy never detaches routes for later re-use.
+     * Aborts the navigation that is in progress, if any.
+     *
+     * The navigation stops running guards and resolvers and is canceled with the
+     * `NavigationCancellationCode.Aborted` code. The promise of the navigation resolves to `false`
+     * and the browser URL is restored according to `canceledNavigationResolution`.
+     *
+     * A single navigation can also be aborted with the `signal` navigation option.
      */
-    store(route, detachedTree) { }
-    /** Returns `false`, meaning the route (and its subtree) is never reattached */
-    shouldAttach(route) {
-        return false;
+    abortNavigation() {
+        const currentNavigation = this.navigationTransitions.currentNavigation;
+        if (currentNavigation !== null) {
+            this.navigationTransitions.abortNavigation(currentNavigation.id);
+        }
     }
-    /** Returns `null` because this strategy does not store routes for later re-use. */
-    retrieve(route) {
-        return null;
+    /** @internal */
+    triggerEvent(event) {
+        this.events.next(event);
     }
     /**
-     * Determines if a route should be reused.
-     * This strategy returns `true` when the future route config and current route config are
-     * identical.
+     * Resets the route configuration used for navigation and generating links.
+     *
+     * @param config The route array for the new configuration.
+     *
+     * @usageNotes
+     *
+     * ```
+     * router.resetConfig([
+     *  { path: 'team/:id', component: TeamCmp, children: [
+     *    { path: 'simple', component: SimpleCmp },
+     *    { path: 'user/:name', component: UserCmp }
+     *  ]}
+     * ]);
+     * ```
      */
-    shouldReuseRoute(future, curr) {
-        return future.routeConfig === curr.routeConfig;
-    }
-}
-class DefaultRouteReuseStrategy extends BaseRouteReuseStrategy {
-}
-DefaultRouteReuseStrategy.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultRouteReuseStrategy, deps: null, target: i0.ɵɵFactoryTarget.Injectable });
-DefaultRouteReuseStrategy.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultRouteReuseStrategy, providedIn: 'root' });
-i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultRouteReuseStrategy, decorators: [{
-            type: Injectable,
-            args: [{ providedIn: 'root' }]
-        }] });
-
-/**
- * @license
- * Copyright Google LLC All Rights Reserved.
- *
- * Use of this source code is governed by an MIT-style license that can be
- * found in the LICENSE file at https://angular.io/license
- */
-const NG_DEV_MODE$4 = typeof ngDevMode === 'undefined' || !!ngDevMode;
-/**
- * A [DI token](guide/glossary/#di-token) for the router service.
- *
- * @publicApi
- */
-const ROUTER_CONFIGURATION = new InjectionToken(NG_DEV_MODE$4 ? 'router config' : '', {
-    providedIn: 'root',
-    factory: () => ({}),
-});
-
-/**
- * @license
- * Copyright Google LLC All Rights Reserved.
- *
- * Use of this source code is governed by an MIT-style license that can be
- * found in the LICENSE file at https://angular.io/license
- */
-function deprecatedLoadChildrenString(injector, loadChildren) {
-    return null;
-}
-
-/**
- * @license
- * Copyright Google LLC All Rights Reserved.
- *
- * Use of this source code is governed by an MIT-style license that can be
- * found in the LICENSE file at https://angular.io/license
- */
-const NG_DEV_MODE$3 = typeof ngDevMode === 'undefined' || !!ngDevMode;
-/**
- * The [DI token](guide/glossary/#di-token) for a router configuration.
- *
- * `ROUTES` is a low level API for router configuration via dependency injection.
- *
- * We recommend that in almost all cases to use higher level APIs such as `RouterModule.forRoot()`,
- * `RouterModule.forChild()`, `provideRoutes`, or `Router.resetConfig()`.
- *
- * @publicApi
- */
-const ROUTES = new InjectionToken('ROUTES');
-class RouterConfigLoader {
-    constructor(injector, compiler) {
-        this.injector = injector;
-        this.compiler = compiler;
-        this.componentLoaders = new WeakMap();
-        this.childrenLoaders = new WeakMap();
+    resetConfig(config) {
+        NG_DEV_MODE$3 && validateConfig(config);
+        collectRouteInjectors(this.config, this.staleRouteInjectors);
+        this.config = config.map(standardizeConfig);
+        clearMatchingStrategyCache();
+        this.navigated = false;
+        this.lastSuccessfulId = -1;
+        this.destroyStaleRouteInjectors();
     }
-    loadComponent(route) {
-        if (this.componentLoaders.get(route)) {
-            return this.componentLoaders.get(route);
+    /**
+     * Discards the routes, injector and component that were lazily loaded for a route, so that they
+     * are loaded again the next time the route is needed.
+     *
+     * The injectors that the router created for the discarded routes are destroyed, or, when the
+     * currently activated routes still use them, after the next successful navigation that
+     * deactivates them.
+     *
+     * @param route A route in the `config` with `loadChildren` or `loadComponent`.
+     */
+    unloadRoute(route) {
+        if (route._loadedInjector) {
+            this.staleRouteInjectors.add(route._loadedInjector);
+        }
+        collectRouteInjectors(route._loadedRoutes ?? [], this.staleRouteInjectors);
+        route._loadedRoutes = undefined;
+        route._loadedInjector = undefined;
+        route._loadedComponent = undefined;
+        clearMatchingStrategyCache();
+        this.destroyStaleRouteInjectors();
+    }
+    destroyStaleRouteInjectors() {
+        if (this.staleRouteInjectors.size === 0) {
+            return;
         }
-        else if (route._loadedComponent) {
-            return of(route._loadedComponent);
+        // The same `Route` objects, and thereby injectors, may be part of the new config, for example
+        // when it is created from the previous one.
+        for (const injector of collectRouteInjectors(this.config)) {
+            this.staleRouteInjectors.delete(injector);
         }
-        if (this.onLoadStartListener) {
-            this.onLoadStartListener(route);
+        if (this.staleRouteInjectors.size === 0) {
+            return;
         }
-        const loadRunner = wrapIntoObservable(route.loadComponent())
-            .pipe(map(maybeUnwrapDefaultExport), tap(component => {
-            if (this.onLoadEndListener) {
-                this.onLoadEndListener(route);
+        const activatedInjectors = collectActivatedRouteInjectors(this.routerState.snapshot.root);
+        // Children are destroyed before the injectors they were created from.
+        for (const injector of [...this.staleRouteInjectors].reverse()) {
+            if (!activatedInjectors.has(injector)) {
+                this.staleRouteInjectors.delete(injector);
+                injector.destroy();
             }
-            NG_DEV_MODE$3 && assertStandalone(route.path ?? '', component);
-            route._loadedComponent = component;
-        }), finalize(() => {
-            this.componentLoaders.delete(route);
-        }));
-        // Use custom ConnectableObservable as share in runners pipe increasing the bundle size too much
-        const loader = new ConnectableObservable(loadRunner, () => new Subject()).pipe(refCount());
-        this.componentLoaders.set(route, loader);
-        return loader;
+        }
     }
-    loadChildren(parentInjector, route) {
-        if (this.childrenLoaders.get(route)) {
-            return this.childrenLoaders.get(route);
+    /** @nodoc */
+    ngOnDestroy() {
+        this.dispose();
+    }
+    /** Disposes of the router. */
+    dispose() {
+        this.transitions.complete();
+        if (this.locationSubscription) {
+            this.locationSubscription.unsubscribe();
+            this.locationSubscription = undefined;
         }
-        else if (route._loadedRoutes) {
-            return of({ routes: route._loadedRoutes, injector: route._loadedInjector });
+        for (const { resolve } of this.queuedNavigations.splice(0)) {
+            resolve(false);
         }
-        if (this.onLoadStartListener) {
-            this.onLoadStartListener(route);
+        this.disposed = true;
+    }
+    /**
+     * Appends URL segments to the current URL tree to create a new URL tree.
+     *
+     * @param commands An array of URL fragments with which to construct the new URL tree.
+     * If the path is static, can be the literal URL string. For a dynamic path, pass an array of path
+     * segments, followed by the parameters for each segment.
+     * The fragments are applied to the current URL tree or the one provided  in the `relativeTo`
+     * property of the options object, if supplied.
+     * @param navigationExtras Options that control the navigation strategy.
+     * @returns The new URL tree.
+     *
+     * @usageNotes
+     *
+     * ```
+     * // create /team/33/user/11
+     * router.createUrlTree(['/team', 33, 'user', 11]);
+     *
+     * // create /team/33;expand=true/user/11
+     * router.createUrlTree(['/team', 33, {expand: true}, 'user', 11]);
+     *
+     * // you can collapse static segments like this (this works only with the first passed-in value):
+     * router.createUrlTree(['/team/33/user', userId]);
+     *
+     * // If the first segment can contain slashes, and you do not want the router to split it,
+     * // you can do the following:
+     * router.createUrlTree([{segmentPath: '/one/two'}]);
+     *
+     * // create /team/33/(user/11//right:chat)
+     * router.createUrlTree(['/team', 33, {outlets: {primary: 'user/11', right: 'chat'}}]);
+     *
+     * // remove the right secondary node
+     * router.createUrlTree(['/team', 33, {outlets: {primary: 'user/11', right: null}}]);
+     *
+     * // assuming the current url is `/team/33/user/11` and the route points to `user/11`
+     *
+     * // navigate to /team/33/user/11/details
+     * router.createUrlTree(['details'], {relativeTo: route});
+     *
+     * // navigate to /team/33/user/22
+     * router.createUrlTree(['../22'], {relativeTo: route});
+     *
+     * // navigate to /team/44/user/22
+     * router.createUrlTree(['../../team/44/user/22'], {relativeTo: route});
+     *
+     * Note that a value of `null` or `undefined` for `relativeTo` indicates that the
+     * tree should be created relative to the root.
+     * ```
+     */
+    createUrlTree(commands, navigationExtras = {}) {
+        const { relativeTo, queryParams, fragment, queryParamsHandling, preserveFragment } = navigationExtras;
+        const a = relativeTo || this.routerState.root;
+        const f = preserveFragment ? this.currentUrlTree.fragment : fragment;
+        let q = null;
+        switch (queryParamsHandling) {
+            case 'merge':
+                q = { ...this.currentUrlTree.queryParams, ...queryParams };
+                break;
+            case 'preserve':
+                q = this.currentUrlTree.queryParams;
+                break;
+            default:
+                q = queryParams || null;
         }
-        const moduleFactoryOrRoutes$ = this.loadModuleFactoryOrRoutes(route.loadChildren);
-        const loadRunner = moduleFactoryOrRoutes$.pipe(map((factoryOrRoutes) => {
-            if (this.onLoadEndListener) {
-                this.onLoadEndListener(route);
-            }
-            // This injector comes from the `NgModuleRef` when lazy loading an `NgModule`. There is no
-            // injector associated with lazy loading a `Route` array.
-            let injector;
-            let rawRoutes;
-            let requireStandaloneComponents = false;
-            if (Array.isArray(factoryOrRoutes)) {
-                rawRoutes = factoryOrRoutes;
-                requireStandaloneComponents = true;
-            }
-            else {
-                injector = factoryOrRoutes.create(parentInjector).injector;
-                // When loading a module that doesn't provide `RouterModule.forChild()` preloader
-                // will get stuck in an infinite loop. The child module's Injector will look to
-                // its parent `Injector` when it doesn't find any ROUTES so it will return routes
-                // for it's parent module instead.
-                rawRoutes = flatten(injector.get(ROUTES, [], InjectFlags.Self | InjectFlags.Optional));
-            }
-            const routes = rawRoutes.map(standardizeConfig);
-            NG_DEV_MODE$3 && validateConfig(routes, route.path, requireStandaloneComponents);
-            return { routes, injector };
-        }), finalize(() => {
-            this.childrenLoaders.delete(route);
-        }));
-        // Use custom ConnectableObservable as share in runners pipe increasing the bundle size too much
-        const loader = new ConnectableObservable(loadRunner, () => new Subject())
-            .pipe(refCount());
-        this.childrenLoaders.set(route, loader);
-        return loader;
+        const urlTree = createUrlTree(a, this.currentUrlTree, commands, null, f ?? null);
+        if (q === null) {
+            return urlTree;
+        }
+        // The query params are encoded with the definitions of the routes that the new URL leads to
+        const schema = Object.assign({}, ...matchRoutesStatically(this.config, urlTree, this.routeMatchingStrategy)
+            .map(route => route.queryParamsSchema));
+        return new UrlTree(urlTree.root, encodeQueryParams(this.removeEmptyProps(q), schema), urlTree.fragment);
     }
-    loadModuleFactoryOrRoutes(loadChildren) {
-        const deprecatedResult = deprecatedLoadChildrenString(this.injector, loadChildren);
-        if (deprecatedResult) {
-            return deprecatedResult;
+    /**
+     * Creates a `UrlTree` for the route with the given `name`.
+     *
+     * The path of the named route and its ancestors is filled in with `params`, which must provide
+     * a value for every `:param` segment. Routes in lazily loaded children can be found by name once
+     * they are loaded.
+     *
+     * @param name The `name` of a route in the router configuration.
+     * @param params The values of the route parameters in the path.
+     * @param extras Options that control how the query parameters and the fragment are created.
+     * @returns The new URL tree.
+     *
+     * @usageNotes
+     *
+     * ```
+     * // with the route {path: 'team/:id/user/:name', name: 'teamUser', component: UserCmp}
+     *
+     * // create /team/33/user/victor
+     * router.createUrlTreeByName('teamUser', {id: 33, name: 'victor'});
+     *
+     * // create /team/33/user/victor?debug=true
+     * router.createUrlTreeByName('teamUser', {id: 33, name: 'victor'}, {queryParams: {debug: true}});
+     * ```
+     */
+    createUrlTreeByName(name, params = {}, extras = {}) {
+        const matches = findNamedRoutes(this.config, name);
+        if (matches.length === 0) {
+            throw new ɵRuntimeError(4016 /* RuntimeErrorCode.UNKNOWN_ROUTE_NAME */, NG_DEV_MODE$3 &&
+                `No route is named '${name}'. Routes of lazily loaded children can only be found after they are loaded.`);
         }
-        return wrapIntoObservable(loadChildren())
-            .pipe(map(maybeUnwrapDefaultExport), mergeMap((t) => {
-            if (t instanceof NgModuleFactory || Array.isArray(t)) {
-                return of(t);
-            }
-            else {
-                return from(this.compiler.compileModuleAsync(t));
-            }
-        }));
+        if (NG_DEV_MODE$3 && matches.length > 1) {
+            throw new ɵRuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, `The route name '${name}' is used by more than one route.`);
+        }
+        const commands = ['/', ...createRouteCommands(matches[0], params, `the route named '${name}'`)];
+        return this.createUrlTree(commands, { ...extras, relativeTo: null });
     }
-}
-RouterConfigLoader.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouterConfigLoader, deps: [{ token: i0.Injector }, { token: i0.Compiler }], target: i0.ɵɵFactoryTarget.Injectable });
-RouterConfigLoader.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouterConfigLoader, providedIn: 'root' });
-i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouterConfigLoader, decorators: [{
-            type: Injectable,
-            args: [{ providedIn: 'root' }]
-        }], ctorParameters: function () { return [{ type: i0.Injector }, { type: i0.Compiler }]; } });
-function isWrappedDefaultExport(value) {
-    // We use `in` here with a string key `'default'`, because we expect `DefaultExport` objects to be
-    // dynamically imported ES modules with a spec-mandated `default` key. Thus we don't expect that
-    // `default` will be a renamed property.
-    return value && typeof value === 'object' && 'default' in value;
-}
-function maybeUnwrapDefaultExport(input) {
-    // As per `isWrappedDefaultExport`, the `default` key here is generated by the browser and not
-    // subject to property renaming, so we reference it with bracket access.
-    return isWrappedDefaultExport(input) ? input['default'] : input;
-}
-
-/**
- * @license
- * Copyright Google LLC All Rights Reserved.
- *
- * Use of this source code is governed by an MIT-style license that can be
- * found in the LICENSE file at https://angular.io/license
- */
-/**
- * @description
- *
- * Provides a way to migrate AngularJS applications to Angular.
- *
- * @publicApi
- */
-class UrlHandlingStrategy {
-}
-UrlHandlingStrategy.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: UrlHandlingStrategy, deps: [], target: i0.ɵɵFactoryTarget.Injectable });
-UrlHandlingStrategy.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: UrlHandlingStrategy, providedIn: 'root', useFactory: () => inject(DefaultUrlHandlingStrategy) });
-i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: UrlHandlingStrategy, decorators: [{
-            type: Injectable,
-            args: [{ providedIn: 'root', useFactory: () => inject(DefaultUrlHandlingStrategy) }]
-        }] });
-/**
- * @publicApi
- */
-class DefaultUrlHandlingStrategy {
-    shouldProcessUrl(url) {
-        return true;
+    /**
+     * Navigates to a view using an absolute route path.
+     *
+     * @param url An absolute path for a defined route. The function does not apply any delta to the
+     *     current URL.
+     * @param extras An object containing properties that modify the navigation strategy.
+     *
+     * @returns A Promise that resolves to 'true' when navigation succeeds,
+     * to 'false' when navigation fails, or is rejected on error.
+     *
+     * @usageNotes
+     *
+     * The following calls request navigation to an absolute path.
+     *
+     * ```
+     * router.navigateByUrl("/team/33/user/11");
+     *
+     * // Navigate without updating the URL
+     * router.navigateByUrl("/team/33/user/11", { skipLocationChange: true });
+     * ```
+     *
+     * @see [Routing and Navigation guide](guide/router)
+     *
+     */
+    navigateByUrl(url, extras = {
+        skipLocationChange: false
+    }) {
+        if (typeof ngDevMode === 'undefined' ||
+            ngDevMode && this.isNgZoneEnabled && !NgZone.isInAngularZone()) {
+            this.console.warn(`Navigation triggered outside Angular zone, did you forget to call 'ngZone.run()'?`);
+        }
+        const urlTree = isUrlTree(url) ? url : this.parseUrl(url);
+        const mergedTree = this.urlHandlingStrategy.merge(urlTree, this.rawUrlTree);
+        return this.scheduleNavigation(mergedTree, 'imperative', null, extras);
     }
-    extract(url) {
-        return url;
+    /**
+     * Navigate based on the provided array of commands and a starting point.
+     * If no starting route is provided, the navigation is absolute.
+     *
+     * @param commands An array of URL fragments with which to construct the target URL.
+     * If the path is static, can be the literal URL string. For a dynamic path, pass an array of path
+     * segments, followed by the parameters for each segment.
+     * The fragments are applied to the current URL or the one provided  in the `relativeTo` property
+     * of the options object, if supplied.
+     * @param extras An options object that determines how the URL should be constructed or
+     *     interpreted.
+     *
+     * @returns A Promise that resolves to `true` when navigation succeeds, to `false` when navigation
+     *     fails,
+     * or is rejected on error.
+     *
+     * @usageNotes
+     *
+     * The following calls request navigation to a dynamic route path relative to the current URL.
+     *
+     * ```
+     * router.navigate(['team', 33, 'user', 11], {relativeTo: route});
+     *
+     * // Navigate without updating the URL, overriding the default behavior
+     * router.navigate(['team', 33, 'user', 11], {relativeTo: route, skipLocationChange: true});
+     * ```
+     *
+     * @see [Routing and Navigation guide](guide/router)
+     *
+     */
+    navigate(commands, extras = { skipLocationChange: false }) {
+        validateCommands(commands);
+        return this.navigateByUrl(this.createUrlTree(commands, extras), extras);
     }
-    merge(newUrlPart, wholeUrl) {
-        return newUrlPart;
+    /**
+     * Navigates to a view using an absolute route path, like `navigateByUrl`, and describes how the
+     * navigation ended.
+     *
+     * @param url An absolute path for a defined route. The function does not apply any delta to the
+     *     current URL.
+     * @param extras An object containing properties that modify the navigation strategy.
+     *
+     * @returns A Promise that resolves to a `NavigationResult`. The Promise is not rejected when the
+     * navigation fails with an error.
+     *
+     * @usageNotes
+     *
+     * ```
+     * const result = await router.navigateByUrlWithResult('/checkout');
+     * if (result.status === 'canceled' &&
+     *     result.cancellationCode === NavigationCancellationCode.GuardRejected) {
+     *   showLoginHint();
+     * }
+     * ```
+     *
+     * @see `NavigationResult`
+     */
+    navigateByUrlWithResult(url, extras = {
+        skipLocationChange: false
+    }) {
+        return this.trackNavigationResult(() => this.navigateByUrl(url, extras));
     }
-}
-DefaultUrlHandlingStrategy.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultUrlHandlingStrategy, deps: [], target: i0.ɵɵFactoryTarget.Injectable });
-DefaultUrlHandlingStrategy.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultUrlHandlingStrategy, providedIn: 'root' });
-i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultUrlHandlingStrategy, decorators: [{
-            type: Injectable,
-            args: [{ providedIn: 'root' }]
-        }] });
-
-/**
- * @license
- * Copyright Google LLC All Rights Reserved.
- *
- * Use of this source code is governed by an MIT-style license that can be
- * found in the LICENSE file at https://angular.io/license
- */
-const NG_DEV_MODE$2 = typeof ngDevMode === 'undefined' || !!ngDevMode;
-function defaultErrorHandler(error) {
-    throw error;
-}
-function defaultMalformedUriErrorHandler(error, urlSerializer, url) {
-    return urlSerializer.parse('/');
-}
-/**
- * The equivalent `IsActiveMatchOptions` options for `Router.isActive` is called with `true`
- * (exact = true).
- */
-const exactMatchOptions = {
-    paths: 'exact',
-    fragment: 'ignored',
-    matrixParams: 'ignored',
-    queryParams: 'exact'
-};
-/**
- * The equivalent `IsActiveMatchOptions` options for `Router.isActive` is called with `false`
- * (exact = false).
- */
-const subsetMatchOptions = {
-    paths: 'subset',
-    fragment: 'ignored',
-    matrixParams: 'ignored',
-    queryParams: 'subset'
-};
-function assignExtraOptionsToRouter(opts, router) {
-    if (opts.errorHandler) {
-        router.errorHandler = opts.errorHandler;
+    /**
+     * Navigates based on the provided array of commands and a starting point, like `navigate`, and
+     * describes how the navigation ended.
+     *
+     * @param commands An array of URL fragments with which to construct the target URL.
+     * @param extras An options object that determines how the URL should be constructed or
+     *     interpreted.
+     *
+     * @returns A Promise that resolves to a `NavigationResult`. The Promise is not rejected when the
+     * navigation fails with an error.
+     *
+     * @see `NavigationResult`
+     */
+    navigateWithResult(commands, extras = { skipLocationChange: false }) {
+        return this.trackNavigationResult(() => this.navigate(commands, extras));
+    }
+    trackNavigationResult(navigate) {
+        const endEvents = new Map();
+        const subscription = this.events.subscribe(e => {
+            if (e instanceof NavigationEnd || e instanceof NavigationCancel ||
+                e instanceof NavigationSkipped || e instanceof NavigationError) {
+                endEvents.set(e.id, e);
+            }
+        });
+        let promise;
+        try {
+            promise = navigate();
+        }
+        catch (e) {
+            subscription.unsubscribe();
+            throw e;
+        }
+        return promise.then(() => undefined, (error) => error).then(rejection => {
+            subscription.unsubscribe();
+            return createNavigationResult((this.navigationIds.get(promise) ?? []).map(id => endEvents.get(id)), rejection);
+        });
     }
-    if (opts.malformedUriErrorHandler) {
-        router.malformedUriErrorHandler = opts.malformedUriErrorHandler;
+    /** Serializes a `UrlTree` into a string */
+    serializeUrl(url) {
+        return this.urlSerializer.serialize(url);
     }
-    if (opts.onSameUrlNavigation) {
-        router.onSameUrlNavigation = opts.onSameUrlNavigation;
+    /** Parses a string into a `UrlTree` */
+    parseUrl(url) {
+        let urlTree;
+        try {
+            urlTree = this.urlSerializer.parse(url);
+        }
+        catch (e) {
+            urlTree = this.malformedUriErrorHandler(e, this.urlSerializer, url);
+        }
+        return urlTree;
     }
-    if (opts.paramsInheritanceStrategy) {
-        router.paramsInheritanceStrategy = opts.paramsInheritanceStrategy;
+    isActive(url, matchOptions) {
+        let options;
+        if (matchOptions === true) {
+            options = { ...exactMatchOptions };
+        }
+        else if (matchOptions === false) {
+            options = { ...subsetMatchOptions };
+        }
+        else {
+            options = matchOptions;
+        }
+        if (isUrlTree(url)) {
+            return containsTree(this.currentUrlTree, url, options);
+        }
+        const urlTree = this.parseUrl(url);
+        return containsTree(this.currentUrlTree, urlTree, options);
     }
-    if (opts.urlUpdateStrategy) {
-        router.urlUpdateStrategy = opts.urlUpdateStrategy;
+    removeEmptyProps(params) {
+        return Object.keys(params).reduce((result, key) => {
+            const value = params[key];
+            if (value !== null && value !== undefined) {
+                result[key] = value;
+            }
+            return result;
+        }, {});
     }
-    if (opts.canceledNavigationResolution) {
-        router.canceledNavigationResolution = opts.canceledNavigationResolution;
+    processNavigations() {
+        this.navigations.subscribe(t => {
+            this.navigated = true;
+            this.lastSuccessfulId = t.id;
+            this.currentPageId = t.targetPageId;
+            this.events
+                .next(new NavigationEnd(t.id, this.serializeUrl(t.extractedUrl), this.serializeUrl(this.currentUrlTree)));
+            this.lastSuccessfulNavigation = this.getCurrentNavigation();
+            this.titleStrategy?.updateTitle(this.routerState.snapshot);
+            this.destroyStaleRouteInjectors();
+            t.resolve(true);
+        }, e => {
+            this.console.warn(`Unhandled Navigation Error: ${e}`);
+        });
     }
-}
-function setupRouter() {
-    const urlSerializer = inject(UrlSerializer);
-    const contexts = inject(ChildrenOutletContexts);
-    const location = inject(Location);
-    const injector = inject(Injector);
-    const compiler = inject(Compiler);
-    const config = inject(ROUTES, { optional: true }) ?? [];
-    const opts = inject(ROUTER_CONFIGURATION, { optional: true }) ?? {};
-    const router = new Router(null, urlSerializer, contexts, location, injector, compiler, flatten(config));
-    assignExtraOptionsToRouter(opts, router);
-    return router;
-}
-/**
- * @description
- *
- * A service that provides navigation among views and URL manipulation capabilities.
- *
- * @see `Route`.
- * @see [Routing and Navigation Guide](guide/router).
- *
- * @ngModule RouterModule
- *
- * @publicApi
- */
-class Router {
-    /**
-     * Creates the router service.
-     */
-    // TODO: vsavkin make internal after the final is out.
-    constructor(
     /** @internal */
-    rootComponentType, 
-    /** @internal */
-    urlSerializer, 
-    /** @internal */
-    rootContexts, 
-    /** @internal */
-    location, injector, compiler, config) {
-        this.rootComponentType = rootComponentType;
-        this.urlSerializer = urlSerializer;
-        this.rootContexts = rootContexts;
-        this.location = location;
-        this.config = config;
-        /** @internal */
-        this.lastSuccessfulNavigation = null;
-        this.disposed = false;
-        /** @internal */
-        this.navigationId = 0;
-        /**
-         * The id of the currently active page in the router.
-         * Updated to the transition's target id on a successful navigation.
-         *
-         * This is used to track what page the router last activated. When an attempted navigation fails,
-         * the router can then use this to compute how to restore the state back to the previously active
-         * page.
-         */
-        this.currentPageId = 0;
-        this.isNgZoneEnabled = false;
-        /**
-         * An event stream for routing events in this NgModule.
-         */
-        this.events = new Subject();
-        /**
-         * A handler for navigation errors in this NgModule.
-         *
-         * @deprecated Subscribe to the `Router` events and watch for `NavigationError` instead.
-         */
-        this.errorHandler = defaultErrorHandler;
-        /**
-         * A handler for errors thrown by `Router.parseUrl(url)`
-         * when `url` contains an invalid character.
-         * The most common case is a `%` sign
-         * that's not encoded and is not part of a percent encoded sequence.
-         *
-         * @deprecated Configure this through `RouterModule.forRoot` instead:
-         *   `RouterModule.forRoot(routes, {malformedUriErrorHandler: myHandler})`
-         * @see `RouterModule`
-         */
-        this.malformedUriErrorHandler = defaultMalformedUriErrorHandler;
-        /**
-         * True if at least one navigation event has occurred,
-         * false otherwise.
-         */
-        this.navigated = false;
-        this.lastSuccessfulId = -1;
-        /**
-         * Hook that enables you to pause navigation after the preactivation phase.
-         * Used by `RouterModule`.
-         *
-         * @internal
-         */
-        this.afterPreactivation = () => of(void 0);
-        /**
-         * A strategy for extracting and merging URLs.
-         * Used for AngularJS to Angular migrations.
-         *
-         * @deprecated Configure using `providers` instead:
-         *   `{provide: UrlHandlingStrategy, useClass: MyStrategy}`.
-         */
-        this.urlHandlingStrategy = inject(UrlHandlingStrategy);
-        /**
-         * A strategy for re-using routes.
-         *
-         * @deprecated Configure using `providers` instead:
-         *   `{provide: RouteReuseStrategy, useClass: MyStrategy}`.
-         */
-        this.routeReuseStrategy = inject(RouteReuseStrategy);
-        /**
-         * A strategy for setting the title based on the `routerState`.
-         *
-         * @deprecated Configure using `providers` instead:
-         *   `{provide: TitleStrategy, useClass: MyStrategy}`.
-         */
-        this.titleStrategy = inject(TitleStrategy);
-        /**
-         * How to handle a navigation request to the current URL.
-         *
-         *
-         * @deprecated Configure this through `provideRouter` or `RouterModule.forRoot` instead.
-         * @see `withRouterConfig`
-         * @see `provideRouter`
-         * @see `RouterModule`
-         */
-        this.onSameUrlNavigation = 'ignore';
-        /**
-         * How to merge parameters, data, resolved data, and title from parent to child
-         * routes. One of:
-         *
-         * - `'emptyOnly'` : Inherit parent parameters, data, and resolved data
-         * for path-less or component-less routes.
-         * - `'always'` : Inherit parent parameters, data, and resolved data
-         * for all child routes.
-         *
-         * @deprecated Configure this through `provideRouter` or `RouterModule.forRoot` instead.
-         * @see `withRouterConfig`
-         * @see `provideRouter`
-         * @see `RouterModule`
-         */
-        this.paramsInheritanceStrategy = 'emptyOnly';
-        /**
-         * Determines when the router updates the browser URL.
-         * By default (`"deferred"`), updates the browser URL after navigation has finished.
-         * Set to `'eager'` to update the browser URL at the beginning of navigation.
-         * You can choose to update early so that, if navigation fails,
-         * you can show an error message with the URL that failed.
-         *
-         * @deprecated Configure this through `provideRouter` or `RouterModule.forRoot` instead.
-         * @see `withRouterConfig`
-         * @see `provideRouter`
-         * @see `RouterModule`
-         */
-        this.urlUpdateStrategy = 'deferred';
-        /**
-         * Configures how the Router attempts to restore state when a navigation is cancelled.
-         *
-         * 'replace' - Always uses `location.replaceState` to set the browser state to the state of the
-         * router before the navigation started. This means that if the URL of the browser is updated
-         * _before_ the navigation is canceled, the Router will simply replace the item in history rather
-         * than trying to restore to the previous location in the session history. This happens most
-         * frequently with `urlUpdateStrategy: 'eager'` and navigations with the browser back/forward
-         * buttons.
-         *
-         * 'computed' - Will attempt to return to the same index in the session history that corresponds
-         * to the Angular route when the navigation gets cancelled. For example, if the browser back
-         * button is clicked and the navigation is cancelled, the Router will trigger a forward navigation
-         * and vice versa.
-         *
-         * Note: the 'computed' option is incompatible with any `UrlHandlingStrategy` which only
-         * handles a portion of the URL because the history restoration navigates to the previous place in
-         * the browser history rather than simply resetting a portion of the URL.
-         *
-         * The default value is `replace`.
-         *
-         * @deprecated Configure this through `provideRouter` or `RouterModule.forRoot` instead.
-         * @see `withRouterConfig`
-         * @see `provideRouter`
-         * @see `RouterModule`
-         */
-        this.canceledNavigationResolution = 'replace';
-        this.navigationTransitions = new NavigationTransitions(this);
-        const onLoadStart = (r) => this.triggerEvent(new RouteConfigLoadStart(r));
-        const onLoadEnd = (r) => this.triggerEvent(new RouteConfigLoadEnd(r));
-        this.configLoader = injector.get(RouterConfigLoader);
-        this.configLoader.onLoadEndListener = onLoadEnd;
-        this.configLoader.onLoadStartListener = onLoadStart;
-        this.ngModule = injector.get(NgModuleRef);
-        this.console = injector.get(ɵConsole);
-        const ngZone = injector.get(NgZone);
-        this.isNgZoneEnabled = ngZone instanceof NgZone && NgZone.isInAngularZone();
-        this.resetConfig(config);
-        this.currentUrlTree = new UrlTree();
-        this.rawUrlTree = this.currentUrlTree;
-        this.browserUrlTree = this.currentUrlTree;
-        this.routerState = createEmptyState(this.currentUrlTree, this.rootComponentType);
-        this.transitions = new BehaviorSubject({
-            id: 0,
-            targetPageId: 0,
+    scheduleNavigation(rawUrl, source, restoredState, extras, priorPromise) {
+        if (this.disposed) {
+            return Promise.resolve(false);
+        }
+        let resolve;
+        let reject;
+        let promise;
+        if (priorPromise) {
+            resolve = priorPromise.resolve;
+            reject = priorPromise.reject;
+            promise = priorPromise.promise;
+        }
+        else {
+            promise = new Promise((res, rej) => {
+                resolve = res;
+                reject = rej;
+            });
+        }
+        // Redirects and queued navigations continue a navigation request that was already accepted.
+        // Navigations triggered by the browser always take over, because the URL has already changed.
+        if (!priorPromise) {
+            const concurrentNavigation = source === 'imperative' ?
+                extras.concurrentNavigation ?? this.concurrentNavigation :
+                'supersede';
+            const isBusy = this.navigationTransitions.currentNavigation !== null ||
+                this.queuedNavigations.length > 0;
+            if (concurrentNavigation === 'supersede') {
+                // The new navigation replaces the ones that are waiting as well.
+                for (const queued of this.queuedNavigations.splice(0)) {
+                    queued.resolve(false);
+                }
+            }
+            else if (isBusy) {
+                if (concurrentNavigation === 'queue') {
+                    this.queuedNavigations.push({
+                        resolve,
+                        start: () => this.scheduleNavigation(rawUrl, source, restoredState, extras, { resolve, reject, promise }),
+                    });
+                }
+                else {
+                    const url = this.serializeUrl(rawUrl);
+                    const reason = NG_DEV_MODE$3 ?
+                        `Navigation to ${url} was ignored because another navigation is in progress.` :
+                        '';
+                    const id = ++this.navigationId;
+                    this.recordNavigationId(promise, id);
+                    this.triggerEvent(new NavigationSkipped(id, url, reason, 2 /* NavigationSkippedCode.IgnoredWhileNavigating */));
+                    resolve(null);
+                }
+                return promise;
+            }
+        }
+        const id = ++this.navigationId;
+        this.recordNavigationId(promise, id);
+        let targetPageId;
+        if (this.canceledNavigationResolution === 'computed') {
+            const isInitialPage = this.currentPageId === 0;
+            if (isInitialPage) {
+                restoredState = this.location.getState();
+            }
+            // If the `ɵrouterPageId` exist in the state then `targetpageId` should have the value of
+            // `ɵrouterPageId`. This is the case for something like a page refresh where we assign the
+            // target id to the previously set value for that page.
+            if (restoredState && restoredState.ɵrouterPageId) {
+                targetPageId = restoredState.ɵrouterPageId;
+            }
+            else {
+                // If we're replacing the URL or doing a silent navigation, we do not want to increment the
+                // page id because we aren't pushing a new entry to history.
+                if (extras.replaceUrl || extras.skipLocationChange) {
+                    targetPageId = this.browserPageId ?? 0;
+                }
+                else {
+                    targetPageId = (this.browserPageId ?? 0) + 1;
+                }
+            }
+        }
+        else {
+            // This is unused when `canceledNavigationResolution` is not computed.
+            targetPageId = 0;
+        }
+        this.setTransition({
+            id,
+            targetPageId,
+            source,
+            restoredState,
             currentUrlTree: this.currentUrlTree,
-            extractedUrl: this.urlHandlingStrategy.extract(this.currentUrlTree),
-            urlAfterRedirects: this.urlHandlingStrategy.extract(this.currentUrlTree),
-            rawUrl: this.currentUrlTree,
-            extras: {},
-            resolve: null,
-            reject: null,
-            promise: Promise.resolve(true),
-            source: 'imperative',
-            restoredState: null,
+            rawUrl,
+            extras,
+            resolve,
+            reject,
+            promise,
             currentSnapshot: this.routerState.snapshot,
-            targetSnapshot: null,
-            currentRouterState: this.routerState,
-            targetRouterState: null,
-            guards: { canActivateChecks: [], canDeactivateChecks: [] },
-            guardsResult: null,
+            currentRouterState: this.routerState
         });
-        this.navigations = this.navigationTransitions.setupNavigations(this.transitions);
-        this.processNavigations();
+        // Make sure that the error is propagated even though `processNavigations` catch
+        // handler does not rethrow
+        const requestPromise = promise.catch((e) => {
+            return Promise.reject(e);
+        });
+        // The caller identifies the request by the returned promise. Both promises share the ids.
+        this.navigationIds.set(requestPromise, this.navigationIds.get(promise));
+        return requestPromise;
     }
     /**
-     * The ɵrouterPageId of whatever page is currently active in the browser history. This is
-     * important for computing the target page id for new navigations because we need to ensure each
-     * page id in the browser history is 1 more than the previous entry.
+     * Starts the next queued navigation request once the current navigation, including any
+     * redirect it triggered, has finished.
+     *
+     * @internal
      */
-    get browserPageId() {
-        return this.location.getState()?.ɵrouterPageId;
+    startQueuedNavigation() {
+        if (this.queuedNavigations.length === 0) {
+            return;
+        }
+        Promise.resolve().then(() => {
+            if (this.navigationTransitions.currentNavigation === null) {
+                this.queuedNavigations.shift()?.start();
+            }
+        });
+    }
+    /** @internal */
+    setBrowserUrl(url, transition) {
+        const path = this.urlSerializer.serialize(url);
+        const state = {
+            ...transition.extras.state,
+            ...this.generateNgRouterState(transition.id, transition.targetPageId)
+        };
+        if (this.location.isCurrentPathEqualTo(path) || !!transition.extras.replaceUrl) {
+            this.location.replaceState(path, '', state);
+        }
+        else {
+            this.location.go(path, '', state);
+        }
     }
     /**
+     * Performs the necessary rollback action to restore the browser URL to the
+     * state before the transition.
      * @internal
-     * TODO: this should be removed once the constructor of the router made internal
      */
-    resetRootComponentType(rootComponentType) {
-        this.rootComponentType = rootComponentType;
-        // TODO: vsavkin router 4.0 should make the root component set to null
-        // this will simplify the lifecycle of the router.
-        this.routerState.root.component = this.rootComponentType;
+    restoreHistory(transition, restoringFromCaughtError = false) {
+        if (this.canceledNavigationResolution === 'computed') {
+            const targetPagePosition = this.currentPageId - transition.targetPageId;
+            // The navigator change the location before triggered the browser event,
+            // so we need to go back to the current url if the navigation is canceled.
+            // Also, when navigation gets cancelled while using url update strategy eager, then we need to
+            // go back. Because, when `urlUpdateStrategy` is `eager`; `setBrowserUrl` method is called
+            // before any verification.
+            const browserUrlUpdateOccurred = (transition.source === 'popstate' || this.urlUpdateStrategy === 'eager' ||
+                this.currentUrlTree === this.getCurrentNavigation()?.finalUrl);
+            if (browserUrlUpdateOccurred && targetPagePosition !== 0) {
+                this.location.historyGo(targetPagePosition);
+            }
+            else if (this.currentUrlTree === this.getCurrentNavigation()?.finalUrl &&
+                targetPagePosition === 0) {
+                // We got to the activation stage (where currentUrlTree is set to the navigation's
+                // finalUrl), but we weren't moving anywhere in history (skipLocationChange or replaceUrl).
+                // We still need to reset the router state back to what it was when the navigation started.
+                this.resetState(transition);
+                // TODO(atscott): resetting the `browserUrlTree` should really be done in `resetState`.
+                // Investigate if this can be done by running TGP.
+                this.browserUrlTree = transition.currentUrlTree;
+                this.resetUrlToCurrentUrlTree();
+            }
+            else {
+                // The browser URL and router state was not updated before the navigation cancelled so
+                // there's no restoration needed.
+            }
+        }
+        else if (this.canceledNavigationResolution === 'replace') {
+            // TODO(atscott): It seems like we should _always_ reset the state here. It would be a no-op
+            // for `deferred` navigations that haven't change the internal state yet because guards
+            // reject. For 'eager' navigations, it seems like we also really should reset the state
+            // because the navigation was cancelled. Investigate if this can be done by running TGP.
+            if (restoringFromCaughtError) {
+                this.resetState(transition);
+            }
+            this.resetUrlToCurrentUrlTree();
+        }
     }
-    setTransition(t) {
-        this.transitions.next({ ...this.transitions.value, ...t });
+    resetState(t) {
+        this.routerState = t.currentRouterState;
+        this.currentUrlTree = t.currentUrlTree;
+        // Note here that we use the urlHandlingStrategy to get the reset `rawUrlTree` because it may be
+        // configured to handle only part of the navigation URL. This means we would only want to reset
+        // the part of the navigation handled by the Angular router rather than the whole URL. In
+        // addition, the URLHandlingStrategy may be configured to specifically preserve parts of the URL
+        // when merging, such as the query params so they are not lost on a refresh.
+        this.rawUrlTree = this.urlHandlingStrategy.merge(this.currentUrlTree, t.rawUrl);
     }
-    /**
-     * Sets up the location change listener and performs the initial navigation.
-     */
-    initialNavigation() {
-        this.setUpLocationChangeListener();
-        if (this.navigationId === 0) {
-            this.navigateByUrl(this.location.path(true), { replaceUrl: true });
+    resetUrlToCurrentUrlTree() {
+        this.location.replaceState(this.urlSerializer.serialize(this.rawUrlTree), '', this.generateNgRouterState(this.lastSuccessfulId, this.currentPageId));
+    }
+    recordNavigationId(promise, id) {
+        const ids = this.navigationIds.get(promise);
+        if (ids) {
+            ids.push(id);
+        }
+        else {
+            this.navigationIds.set(promise, [id]);
         }
     }
-    /**
-     * Sets up the location change listener. This listener detects navigations triggered from outside
-     * the Router (the browser back/forward buttons, for example) and schedules a corresponding Router
-     * navigation so that the correct events, guards, etc. are triggered.
-     */
-    setUpLocationChangeListener() {
-        // Don't need to use Zone.wrap any more, because zone.js
-        // already patch onPopState, so location change callback will
-        // run into ngZone
-        if (!this.locationSubscription) {
-            this.locationSubscription = this.location.subscribe(event => {
-                const source = event['type'] === 'popstate' ? 'popstate' : 'hashchange';
-                if (source === 'popstate') {
-                    // The `setTimeout` was added in #12160 and is likely to support Angular/AngularJS
-                    // hybrid apps.
-                    setTimeout(() => {
-                        const extras = { replaceUrl: true };
-                        // TODO: restoredState should always include the entire state, regardless
-                        // of navigationId. This requires a breaking change to update the type on
-                        // NavigationStart’s restoredState, which currently requires navigationId
-                        // to always be present. The Router used to only restore history state if
-                        // a navigationId was present.
-                        // The stored navigationId is used by the RouterScroller to retrieve the scroll
-                        // position for the page.
-                        const restoredState = event.state?.navigationId ? event.state : null;
-                        // Separate to NavigationStart.restoredState, we must also restore the state to
-                        // history.state and generate a new navigationId, since it will be overwritten
-                        if (event.state) {
-                            const stateCopy = { ...event.state };
-                            delete stateCopy.navigationId;
-                            delete stateCopy.ɵrouterPageId;
-                            if (Object.keys(stateCopy).length !== 0) {
-                                extras.state = stateCopy;
-                            }
-                        }
-                        const urlTree = this.parseUrl(event['url']);
-                        this.scheduleNavigation(urlTree, source, restoredState, extras);
-                    }, 0);
+    /** @internal */
+    cancelNavigationTransition(transition, reason, code) {
+        const navCancel = new NavigationCancel(transition.id, this.serializeUrl(transition.extractedUrl), reason, code);
+        this.triggerEvent(navCancel);
+        transition.resolve(false);
+    }
+    generateNgRouterState(navigationId, routerPageId) {
+        if (this.canceledNavigationResolution === 'computed') {
+            return { navigationId, ɵrouterPageId: routerPageId };
+        }
+        return { navigationId };
+    }
+}
+Router.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: Router, deps: "invalid", target: i0.ɵɵFactoryTarget.Injectable });
+Router.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: Router, providedIn: 'root', useFactory: setupRouter });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: Router, decorators: [{
+            type: Injectable,
+            args: [{
+                    providedIn: 'root',
+                    useFactory: setupRouter,
+                }]
+        }], ctorParameters: function () { return [{ type: i0.Type }, { type: UrlSerializer }, { type: ChildrenOutletContexts }, { type: i3.Location }, { type: i0.Injector }, { type: i0.Compiler }, { type: undefined }]; } });
+/**
+ * Builds the `NavigationResult` of a navigation request from the events that ended the navigations
+ * started for it, in the order they were started.
+ */
+function createNavigationResult(endEvents, rejection) {
+    const firstEvent = endEvents[0];
+    const finalEvent = endEvents[endEvents.length - 1];
+    // Redirects of the route config happen within a single navigation.
+    const redirected = endEvents.length > 1 ||
+        (finalEvent instanceof NavigationEnd && finalEvent.url !== finalEvent.urlAfterRedirects);
+    const redirectedFrom = redirected ? firstEvent?.url ?? null : null;
+    const result = { redirectedFrom, cancellationCode: null, error: undefined };
+    if (finalEvent instanceof NavigationEnd) {
+        return { ...result, status: 'succeeded', finalUrl: finalEvent.urlAfterRedirects };
+    }
+    if (finalEvent instanceof NavigationSkipped) {
+        return { ...result, status: 'skipped', finalUrl: finalEvent.url };
+    }
+    if (finalEvent instanceof NavigationError) {
+        return { ...result, status: 'failed', finalUrl: finalEvent.url, error: finalEvent.error };
+    }
+    if (finalEvent instanceof NavigationCancel) {
+        return {
+            ...result,
+            status: 'canceled',
+            finalUrl: finalEvent.url,
+            cancellationCode: finalEvent.code ?? null
+        };
+    }
+    // The request never started a navigation, for example because it was queued and then dropped.
+    return rejection === undefined ? { ...result, status: 'canceled', finalUrl: null } :
+        { ...result, status: 'failed', finalUrl: null, error: rejection };
+}
+/**
+ * Creates the commands for the path of `routes`, which lead from the root of the config to a
+ * route. Routes that are rendered in a named outlet continue in an `outlets` command.
+ * `routeDescription` names the route in error messages.
+ */
+function createRouteCommands(routes, params, routeDescription) {
+    const outlet = getOutlet(routes[0]);
+    const commands = [];
+    for (let i = 0; i < routes.length; i++) {
+        const route = routes[i];
+        if (i > 0 && getOutlet(route) !== PRIMARY_OUTLET) {
+            commands.push(...createRouteCommands(routes.slice(i), params, routeDescription));
+            break;
+        }
+        if (route.path === undefined) {
+            throw new ɵRuntimeError(4014 /* RuntimeErrorCode.INVALID_ROUTE_CONFIG */, NG_DEV_MODE$3 &&
+                `Cannot create a URL for ${routeDescription} because a route on its path has a matcher instead of a path.`);
+        }
+        for (const part of route.path.split('/')) {
+            if (part === '') {
+                continue;
+            }
+            const param = parseParamPart(part);
+            if (param === null) {
+                commands.push(part);
+                continue;
+            }
+            const value = params[param.name];
+            if (value === null || value === undefined) {
+                if (param.optional) {
+                    continue;
                 }
-            });
+                throw new ɵRuntimeError(4017 /* RuntimeErrorCode.MISSING_ROUTE_PARAM */, NG_DEV_MODE$3 &&
+                    `Cannot create a URL for ${routeDescription} without a value for the parameter '${param.name}'.`);
+            }
+            commands.push(String(value));
         }
     }
-    /** The current URL. */
-    get url() {
-        return this.serializeUrl(this.currentUrlTree);
+    return outlet === PRIMARY_OUTLET ? commands : [{ outlets: { [outlet]: commands } }];
+}
+function validateCommands(commands) {
+    for (let i = 0; i < commands.length; i++) {
+        const cmd = commands[i];
+        if (cmd == null) {
+            throw new ɵRuntimeError(4008 /* RuntimeErrorCode.NULLISH_COMMAND */, NG_DEV_MODE$3 && `The requested path contains ${cmd} segment at index ${i}`);
+        }
     }
-    /**
-     * Returns the current `Navigation` object when the router is navigating,
-     * and `null` when idle.
-     */
-    getCurrentNavigation() {
-        return this.navigationTransitions.currentNavigation;
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const NG_DEV_MODE$2 = typeof ngDevMode === 'undefined' || !!ngDevMode;
+/**
+ * @description
+ *
+ * Provides a preloading strategy.
+ *
+ * @publicApi
+ */
+class PreloadingStrategy {
+}
+/**
+ * @description
+ *
+ * Provides a preloading strategy that preloads all modules as quickly as possible.
+ *
+ * ```
+ * RouterModule.forRoot(ROUTES, {preloadingStrategy: PreloadAllModules})
+ * ```
+ *
+ * @publicApi
+ */
+class PreloadAllModules {
+    preload(route, fn) {
+        return fn().pipe(catchError(() => of(null)));
     }
-    /** @internal */
-    triggerEvent(event) {
-        this.events.next(event);
+}
+PreloadAllModules.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: PreloadAllModules, deps: [], target: i0.ɵɵFactoryTarget.Injectable });
+PreloadAllModules.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: PreloadAllModules, providedIn: 'root' });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: PreloadAllModules, decorators: [{
+            type: Injectable,
+            args: [{ providedIn: 'root' }]
+        }] });
+/**
+ * @description
+ *
+ * Provides a preloading strategy that does not preload any modules.
+ *
+ * This strategy is enabled by default.
+ *
+ * @publicApi
+ */
+class NoPreloading {
+    preload(route, fn) {
+        return of(null);
     }
-    /**
-     * Resets the route configuration used for navigation and generating links.
-     *
-     * @param config The route array for the new configuration.
-     *
-     * @usageNotes
-     *
-     * ```
-     * router.resetConfig([
-     *  { path: 'team/:id', component: TeamCmp, children: [
-     *    { path: 'simple', component: SimpleCmp },
-     *    { path: 'user/:name', component: UserCmp }
-     *  ]}
-     * ]);
-     * ```
-     */
-    resetConfig(config) {
-        NG_DEV_MODE$2 && validateConfig(config);
-        this.config = config.map(standardizeConfig);
-        this.navigated = false;
-        this.lastSuccessfulId = -1;
+}
+NoPreloading.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: NoPreloading, deps: [], target: i0.ɵɵFactoryTarget.Injectable });
+NoPreloading.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: NoPreloading, providedIn: 'root' });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: NoPreloading, decorators: [{
+            type: Injectable,
+            args: [{ providedIn: 'root' }]
+        }] });
+/**
+ * The preloader optimistically loads all router configurations to
+ * make navigations into lazily-loaded sections of the application faster.
+ *
+ * The preloader runs in the background. When the router bootstraps, the preloader
+ * starts listening to all navigation events. After every such event, the preloader
+ * will check if any configurations can be loaded lazily.
+ *
+ * If a route is protected by `canLoad` guards, the preloaded will not load it.
+ *
+ * @publicApi
+ */
+class RouterPreloader {
+    constructor(router, compiler, injector, preloadingStrategy, loader) {
+        this.router = router;
+        this.injector = injector;
+        this.preloadingStrategy = preloadingStrategy;
+        this.loader = loader;
+    }
+    setUpPreloading() {
+        this.subscription =
+            this.router.events
+                .pipe(filter((e) => e instanceof NavigationEnd), concatMap(() => this.preload()))
+                .subscribe(() => { });
+    }
+    preload() {
+        return this.processRoutes(this.injector, this.router.config);
     }
     /** @nodoc */
     ngOnDestroy() {
-        this.dispose();
+        if (this.subscription) {
+            this.subscription.unsubscribe();
+        }
     }
-    /** Disposes of the router. */
-    dispose() {
-        this.transitions.complete();
-        if (this.locationSubscription) {
-            this.locationSubscription.unsubscribe();
-            this.locationSubscription = undefined;
+    processRoutes(injector, routes) {
+        const res = [];
+        for (const route of routes) {
+            if (route.providers && !route._injector) {
+                route._injector =
+                    createEnvironmentInjector(route.providers, injector, `Route: ${route.path}`);
+            }
+            const injectorForCurrentRoute = route._injector ?? injector;
+            const injectorForChildren = route._loadedInjector ?? injectorForCurrentRoute;
+            // Note that `canLoad` is only checked as a condition that prevents `loadChildren` and not
+            // `loadComponent`. `canLoad` guards only block loading of child routes by design. This
+            // happens as a consequence of needing to descend into children for route matching immediately
+            // while component loading is deferred until route activation. Because `canLoad` guards can
+            // have side effects, we cannot execute them here so we instead skip preloading altogether
+            // when present. Lastly, it remains to be decided whether `canLoad` should behave this way
+            // at all. Code splitting and lazy loading is separate from client-side authorization checks
+            // and should not be used as a security measure to prevent loading of code.
+            if ((route.loadChildren && !route._loadedRoutes && route.canLoad === undefined) ||
+                (route.loadComponent && !route._loadedComponent)) {
+                res.push(this.preloadConfig(injectorForCurrentRoute, route));
+            }
+            else if (route.children || route._loadedRoutes) {
+                res.push(this.processRoutes(injectorForChildren, (route.children ?? route._loadedRoutes)));
+            }
         }
-        this.disposed = true;
+        return from(res).pipe(mergeAll());
     }
-    /**
-     * Appends URL segments to the current URL tree to create a new URL tree.
-     *
-     * @param commands An array of URL fragments with which to construct the new URL tree.
-     * If the path is static, can be the literal URL string. For a dynamic path, pass an array of path
-     * segments, followed by the parameters for each segment.
-     * The fragments are applied to the current URL tree or the one provided  in the `relativeTo`
-     * property of the options object, if supplied.
-     * @param navigationExtras Options that control the navigation strategy.
-     * @returns The new URL tree.
-     *
-     * @usageNotes
-     *
-     * ```
-     * // create /team/33/user/11
-     * router.createUrlTree(['/team', 33, 'user', 11]);
-     *
-     * // create /team/33;expand=true/user/11
-     * router.createUrlTree(['/team', 33, {expand: true}, 'user', 11]);
-     *
-     * // you can collapse static segments like this (this works only with the first passed-in value):
-     * router.createUrlTree(['/team/33/user', userId]);
-     *
-     * // If the first segment can contain slashes, and you do not want the router to split it,
-     * // you can do the following:
-     * router.createUrlTree([{segmentPath: '/one/two'}]);
-     *
-     * // create /team/33/(user/11//right:chat)
-     * router.createUrlTree(['/team', 33, {outlets: {primary: 'user/11', right: 'chat'}}]);
-     *
-     * // remove the right secondary node
-     * router.createUrlTree(['/team', 33, {outlets: {primary: 'user/11', right: null}}]);
-     *
-     * // assuming the current url is `/team/33/user/11` and the route points to `user/11`
-     *
-     * // navigate to /team/33/user/11/details
-     * router.createUrlTree(['details'], {relativeTo: route});
-     *
-     * // navigate to /team/33/user/22
-     * router.createUrlTree(['../22'], {relativeTo: route});
-     *
-     * // navigate to /team/44/user/22
-     * router.createUrlTree(['../../team/44/user/22'], {relativeTo: route});
-     *
-     * Note that a value of `null` or `undefined` for `relativeTo` indicates that the
-     * tree should be created relative to the root.
-     * ```
-     */
-    createUrlTree(commands, navigationExtras = {}) {
-        const { relativeTo, queryParams, fragment, queryParamsHandling, preserveFragment } = navigationExtras;
-        const a = relativeTo || this.routerState.root;
-        const f = preserveFragment ? this.currentUrlTree.fragment : fragment;
-        let q = null;
-        switch (queryParamsHandling) {
-            case 'merge':
-                q = { ...this.currentUrlTree.queryParams, ...queryParams };
-                break;
-            case 'preserve':
-                q = this.currentUrlTree.queryParams;
-                break;
-            default:
-                q = queryParams || null;
+    preloadConfig(injector, route) {
+        return this.preloadingStrategy.preload(route, () => {
+            let loadedChildren$;
+            if (route.loadChildren && route.canLoad === undefined) {
+                loadedChildren$ = this.loader.loadChildren(injector, route);
+            }
+            else {
+                loadedChildren$ = of(null);
+            }
+            const recursiveLoadChildren$ = loadedChildren$.pipe(mergeMap((config) => {
+                if (config === null) {
+                    return of(void 0);
+                }
+                // If the loaded config was a module, use that as the module/module injector going
+                // forward. Otherwise, continue using the current module/module injector.
+                return this.processRoutes(config.injector ?? injector, config.routes);
+            }));
+            if (route.loadComponent && !route._loadedComponent) {
+                const loadComponent$ = this.loader.loadComponent(route);
+                return from([recursiveLoadChildren$, loadComponent$]).pipe(mergeAll());
+            }
+            else {
+                return recursiveLoadChildren$;
+            }
+        });
+    }
+}
+RouterPreloader.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouterPreloader, deps: [{ token: Router }, { token: i0.Compiler }, { token: i0.EnvironmentInjector }, { token: PreloadingStrategy }, { token: RouterConfigLoader }], target: i0.ɵɵFactoryTarget.Injectable });
+RouterPreloader.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouterPreloader, providedIn: 'root' });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouterPreloader, decorators: [{
+            type: Injectable,
+            args: [{ providedIn: 'root' }]
+        }], ctorParameters: function () { return [{ type: Router }, { type: i0.Compiler }, { type: i0.EnvironmentInjector }, { type: PreloadingStrategy }, { type: RouterConfigLoader }]; } });
+/**
+ * Returns the `Route` configs, from the root down, that a navigation to `urlTree` would activate
+ * in the primary outlet. Matching stops at a lazy route whose children are not loaded yet.
+ *
+ * Guards and redirects are not taken into account, so the result is only an approximation that is
+ * good enough to decide what to preload.
+ */
+function getRoutesForUrl(config, urlTree) {
+    const segmentGroup = urlTree.root.children[PRIMARY_OUTLET] ?? urlTree.root;
+    return matchRoutes(config, segmentGroup, segmentGroup.segments) ?? [];
+}
+function matchRoutes(routes, segmentGroup, segments) {
+    for (const route of routes) {
+        if (getOutlet(route) !== PRIMARY_OUTLET || route.redirectTo !== undefined) {
+            continue;
         }
-        if (q !== null) {
-            q = this.removeEmptyProps(q);
+        const { matched, remainingSegments } = match(segmentGroup, route, segments);
+        if (!matched) {
+            continue;
         }
-        return createUrlTree(a, this.currentUrlTree, commands, q, f ?? null);
-    }
-    /**
-     * Navigates to a view using an absolute route path.
-     *
-     * @param url An absolute path for a defined route. The function does not apply any delta to the
-     *     current URL.
-     * @param extras An object containing properties that modify the navigation strategy.
-     *
-     * @returns A Promise that resolves to 'true' when navigation succeeds,
-     * to 'false' when navigation fails, or is rejected on error.
-     *
-     * @usageNotes
-     *
-     * The following calls request navigation to an absolute path.
-     *
-     * ```
-     * router.navigateByUrl("/team/33/user/11");
-     *
-     * // Navigate without updating the URL
-     * router.navigateByUrl("/team/33/user/11", { skipLocationChange: true });
-     * ```
-     *
-     * @see [Routing and Navigation guide](guide/router)
-     *
-     */
-    navigateByUrl(url, extras = {
-        skipLocationChange: false
-    }) {
-        if (typeof ngDevMode === 'undefined' ||
-            ngDevMode && this.isNgZoneEnabled && !NgZone.isInAngularZone()) {
-            this.console.warn(`Navigation triggered outside Angular zone, did you forget to call 'ngZone.run()'?`);
+        const children = route.children ?? route._loadedRoutes;
+        if (children === undefined) {
+            // The children of a lazy route may match the remaining segments once they are loaded.
+            if (remainingSegments.length === 0 || route.loadChildren) {
+                return [route];
+            }
+            continue;
         }
-        const urlTree = isUrlTree(url) ? url : this.parseUrl(url);
-        const mergedTree = this.urlHandlingStrategy.merge(urlTree, this.rawUrlTree);
-        return this.scheduleNavigation(mergedTree, 'imperative', null, extras);
+        const matchedChildren = matchRoutes(children, segmentGroup, remainingSegments);
+        if (matchedChildren !== null) {
+            return [route, ...matchedChildren];
+        }
+        if (remainingSegments.length === 0) {
+            return [route];
+        }
+    }
+    return null;
+}
+/**
+ * Base class for the strategies that preload the routes `RouterLink`s navigate to.
+ *
+ * The `RouterPreloader` hands every lazy route it reaches to `preload`, where it waits until a link
+ * that navigates to the route requests it. Requests are ignored when the user enabled data saving
+ * or is on a 2G connection.
+ */
+class LinkPreloadingStrategy {
+    constructor() {
+        this.router = inject(Router);
+        this.zone = inject(NgZone);
+        this.document = inject(DOCUMENT);
+        this.pendingLoads = new Map();
+        this.requestedLinks = new Set();
+        this.recheckScheduled = false;
+    }
+    preload(route, load) {
+        this.pendingLoads.set(route, load);
+        // A link may have requested the route before the preloader reached it, for example when the
+        // route is a child of a lazy route that has just been loaded.
+        this.scheduleRecheck();
+        return of(null);
     }
     /**
-     * Navigate based on the provided array of commands and a starting point.
-     * If no starting route is provided, the navigation is absolute.
-     *
-     * @param commands An array of URL fragments with which to construct the target URL.
-     * If the path is static, can be the literal URL string. For a dynamic path, pass an array of path
-     * segments, followed by the parameters for each segment.
-     * The fragments are applied to the current URL or the one provided  in the `relativeTo` property
-     * of the options object, if supplied.
-     * @param extras An options object that determines how the URL should be constructed or
-     *     interpreted.
-     *
-     * @returns A Promise that resolves to `true` when navigation succeeds, to `false` when navigation
-     *     fails,
-     * or is rejected on error.
-     *
-     * @usageNotes
-     *
-     * The following calls request navigation to a dynamic route path relative to the current URL.
-     *
-     * ```
-     * router.navigate(['team', 33, 'user', 11], {relativeTo: route});
-     *
-     * // Navigate without updating the URL, overriding the default behavior
-     * router.navigate(['team', 33, 'user', 11], {relativeTo: route, skipLocationChange: true});
-     * ```
-     *
-     * @see [Routing and Navigation guide](guide/router)
-     *
+     * Preloads the routes that `getUrlTree` navigates to and keeps doing so for routes that are
+     * reached later, until `cancelRequest` is called.
      */
-    navigate(commands, extras = { skipLocationChange: false }) {
-        validateCommands(commands);
-        return this.navigateByUrl(this.createUrlTree(commands, extras), extras);
+    requestPreload(getUrlTree) {
+        this.requestedLinks.add(getUrlTree);
+        this.preloadUrl(getUrlTree());
     }
-    /** Serializes a `UrlTree` into a string */
-    serializeUrl(url) {
-        return this.urlSerializer.serialize(url);
+    cancelRequest(getUrlTree) {
+        this.requestedLinks.delete(getUrlTree);
     }
-    /** Parses a string into a `UrlTree` */
-    parseUrl(url) {
-        let urlTree;
-        try {
-            urlTree = this.urlSerializer.parse(url);
+    preloadUrl(urlTree) {
+        if (urlTree === null || this.isConstrainedConnection()) {
+            return;
         }
-        catch (e) {
-            urlTree = this.malformedUriErrorHandler(e, this.urlSerializer, url);
+        for (const route of getRoutesForUrl(this.router.config, urlTree)) {
+            const load = this.pendingLoads.get(route);
+            if (load !== undefined) {
+                this.pendingLoads.delete(route);
+                this.zone.run(() => load().pipe(catchError(() => of(null))).subscribe());
+            }
         }
-        return urlTree;
     }
-    isActive(url, matchOptions) {
-        let options;
-        if (matchOptions === true) {
-            options = { ...exactMatchOptions };
-        }
-        else if (matchOptions === false) {
-            options = { ...subsetMatchOptions };
-        }
-        else {
-            options = matchOptions;
-        }
-        if (isUrlTree(url)) {
-            return containsTree(this.currentUrlTree, url, options);
+    scheduleRecheck() {
+        if (this.recheckScheduled || this.requestedLinks.size === 0) {
+            return;
         }
-        const urlTree = this.parseUrl(url);
-        return containsTree(this.currentUrlTree, urlTree, options);
+        this.recheckScheduled = true;
+        Promise.resolve().then(() => {
+            this.recheckScheduled = false;
+            this.requestedLinks.forEach(getUrlTree => this.preloadUrl(getUrlTree()));
+        });
     }
-    removeEmptyProps(params) {
-        return Object.keys(params).reduce((result, key) => {
-            const value = params[key];
-            if (value !== null && value !== undefined) {
-                result[key] = value;
-            }
-            return result;
-        }, {});
+    isConstrainedConnection() {
+        const connection = this.document.defaultView?.navigator?.connection;
+        return !!connection && (!!connection.saveData || /2g$/.test(connection.effectiveType ?? ''));
     }
-    processNavigations() {
-        this.navigations.subscribe(t => {
-            this.navigated = true;
-            this.lastSuccessfulId = t.id;
-            this.currentPageId = t.targetPageId;
-            this.events
-                .next(new NavigationEnd(t.id, this.serializeUrl(t.extractedUrl), this.serializeUrl(this.currentUrlTree)));
-            this.lastSuccessfulNavigation = this.getCurrentNavigation();
-            this.titleStrategy?.updateTitle(this.routerState.snapshot);
-            t.resolve(true);
-        }, e => {
-            this.console.warn(`Unhandled Navigation Error: ${e}`);
-        });
+}
+LinkPreloadingStrategy.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: LinkPreloadingStrategy, deps: [], target: i0.ɵɵFactoryTarget.Injectable });
+LinkPreloadingStrategy.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: LinkPreloadingStrategy });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: LinkPreloadingStrategy, decorators: [{
+            type: Injectable
+        }] });
+/**
+ * @description
+ *
+ * Provides a preloading strategy that preloads the routes of `RouterLink`s as soon as they enter
+ * the viewport.
+ *
+ * Nothing is preloaded when the user enabled data saving or is on a 2G connection, or when the
+ * browser does not support `IntersectionObserver`.
+ *
+ * ```
+ * provideRouter(appRoutes, withPreloading(PreloadVisibleLinks))
+ * ```
+ *
+ * @publicApi
+ */
+class PreloadVisibleLinks extends LinkPreloadingStrategy {
+    constructor() {
+        super(...arguments);
+        this.links = new Map();
+        this.observer = null;
     }
     /** @internal */
-    scheduleNavigation(rawUrl, source, restoredState, extras, priorPromise) {
-        if (this.disposed) {
-            return Promise.resolve(false);
-        }
-        let resolve;
-        let reject;
-        let promise;
-        if (priorPromise) {
-            resolve = priorPromise.resolve;
-            reject = priorPromise.reject;
-            promise = priorPromise.promise;
-        }
-        else {
-            promise = new Promise((res, rej) => {
-                resolve = res;
-                reject = rej;
-            });
+    registerLink(element, getUrlTree) {
+        const observer = this.getObserver();
+        if (observer !== null) {
+            this.links.set(element, getUrlTree);
+            observer.observe(element);
         }
-        const id = ++this.navigationId;
-        let targetPageId;
-        if (this.canceledNavigationResolution === 'computed') {
-            const isInitialPage = this.currentPageId === 0;
-            if (isInitialPage) {
-                restoredState = this.location.getState();
-            }
-            // If the `ɵrouterPageId` exist in the state then `targetpageId` should have the value of
-            // `ɵrouterPageId`. This is the case for something like a page refresh where we assign the
-            // target id to the previously set value for that page.
-            if (restoredState && restoredState.ɵrouterPageId) {
-                targetPageId = restoredState.ɵrouterPageId;
-            }
-            else {
-                // If we're replacing the URL or doing a silent navigation, we do not want to increment the
-                // page id because we aren't pushing a new entry to history.
-                if (extras.replaceUrl || extras.skipLocationChange) {
-                    targetPageId = this.browserPageId ?? 0;
-                }
-                else {
-                    targetPageId = (this.browserPageId ?? 0) + 1;
+    }
+    /** @internal */
+    unregisterLink(element) {
+        const getUrlTree = this.links.get(element);
+        if (getUrlTree !== undefined) {
+            this.links.delete(element);
+            this.cancelRequest(getUrlTree);
+            this.observer?.unobserve(element);
+        }
+    }
+    getObserver() {
+        const window = this.document.defaultView;
+        if (this.observer === null && window?.IntersectionObserver) {
+            this.observer = this.zone.runOutsideAngular(() => new window.IntersectionObserver(entries => {
+                for (const entry of entries) {
+                    const getUrlTree = this.links.get(entry.target);
+                    if (getUrlTree === undefined) {
+                        continue;
+                    }
+                    if (entry.isIntersecting) {
+                        this.requestPreload(getUrlTree);
+                    }
+                    else {
+                        this.cancelRequest(getUrlTree);
+                    }
                 }
-            }
-        }
-        else {
-            // This is unused when `canceledNavigationResolution` is not computed.
-            targetPageId = 0;
+            }));
         }
-        this.setTransition({
-            id,
-            targetPageId,
-            source,
-            restoredState,
-            currentUrlTree: this.currentUrlTree,
-            rawUrl,
-            extras,
-            resolve,
-            reject,
-            promise,
-            currentSnapshot: this.routerState.snapshot,
-            currentRouterState: this.routerState
+        return this.observer;
+    }
+    /** @nodoc */
+    ngOnDestroy() {
+        this.observer?.disconnect();
+    }
+}
+PreloadVisibleLinks.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: PreloadVisibleLinks, deps: null, target: i0.ɵɵFactoryTarget.Injectable });
+PreloadVisibleLinks.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: PreloadVisibleLinks, providedIn: 'root' });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: PreloadVisibleLinks, decorators: [{
+            type: Injectable,
+            args: [{ providedIn: 'root' }]
+        }] });
+/**
+ * @description
+ *
+ * Provides a preloading strategy that preloads the routes of `RouterLink`s when the pointer moves
+ * over them or they receive focus, shortly before they are likely to be clicked.
+ *
+ * Nothing is preloaded when the user enabled data saving or is on a 2G connection.
+ *
+ * ```
+ * provideRouter(appRoutes, withPreloading(PreloadHoveredLinks))
+ * ```
+ *
+ * @publicApi
+ */
+class PreloadHoveredLinks extends LinkPreloadingStrategy {
+    constructor() {
+        super(...arguments);
+        this.listenerCleanups = new Map();
+    }
+    /** @internal */
+    registerLink(element, getUrlTree) {
+        const request = () => this.requestPreload(getUrlTree);
+        this.zone.runOutsideAngular(() => {
+            element.addEventListener('mouseenter', request);
+            element.addEventListener('focusin', request);
         });
-        // Make sure that the error is propagated even though `processNavigations` catch
-        // handler does not rethrow
-        return promise.catch((e) => {
-            return Promise.reject(e);
+        this.listenerCleanups.set(element, () => {
+            element.removeEventListener('mouseenter', request);
+            element.removeEventListener('focusin', request);
+            this.cancelRequest(getUrlTree);
         });
     }
     /** @internal */
-    setBrowserUrl(url, transition) {
-        const path = this.urlSerializer.serialize(url);
-        const state = {
-            ...transition.extras.state,
-            ...this.generateNgRouterState(transition.id, transition.targetPageId)
-        };
-        if (this.location.isCurrentPathEqualTo(path) || !!transition.extras.replaceUrl) {
-            this.location.replaceState(path, '', state);
-        }
-        else {
-            this.location.go(path, '', state);
-        }
+    unregisterLink(element) {
+        this.listenerCleanups.get(element)?.();
+        this.listenerCleanups.delete(element);
+    }
+}
+PreloadHoveredLinks.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: PreloadHoveredLinks, deps: null, target: i0.ɵɵFactoryTarget.Injectable });
+PreloadHoveredLinks.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: PreloadHoveredLinks, providedIn: 'root' });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: PreloadHoveredLinks, decorators: [{
+            type: Injectable,
+            args: [{ providedIn: 'root' }]
+        }] });
+/**
+ * A DI token for the options of the `PrioritizedPreloading` strategy.
+ *
+ * @publicApi
+ */
+const PRIORITIZED_PRELOADING_OPTIONS = new InjectionToken(NG_DEV_MODE$2 ? 'prioritized preloading options' : '');
+/**
+ * @description
+ *
+ * Provides a preloading strategy that follows the `preload` hints of the routes.
+ *
+ * * `'eager'` routes are loaded as soon as the preloader reaches them.
+ * * `'idle'` routes are loaded when the browser is idle.
+ * * `'on-demand'` routes are only loaded by `loadOnDemand`.
+ * * `'never'` routes are not preloaded.
+ *
+ * Eager routes are loaded before idle routes and, within each group, routes with a higher
+ * `priority` are loaded first. At most `concurrency` routes are loaded at the same time. Routes
+ * without a hint use the `defaultMode` of the `PRIORITIZED_PRELOADING_OPTIONS`, which is `'idle'`
+ * unless configured otherwise.
+ *
+ * ```
+ * const routes: Routes = [
+ *   {path: 'dashboard', loadChildren: () => import('./dashboard'), preload: {mode: 'eager'}},
+ *   {path: 'reports', loadChildren: () => import('./reports'), preload: {priority: 10}},
+ *   {path: 'admin', loadChildren: () => import('./admin'), preload: {mode: 'never'}},
+ * ];
+ *
+ * provideRouter(routes, withPreloading(PrioritizedPreloading)),
+ * {provide: PRIORITIZED_PRELOADING_OPTIONS, useValue: {concurrency: 1}},
+ * ```
+ *
+ * @publicApi
+ */
+class PrioritizedPreloading {
+    constructor() {
+        this.router = inject(Router);
+        this.zone = inject(NgZone);
+        this.document = inject(DOCUMENT);
+        this.options = inject(PRIORITIZED_PRELOADING_OPTIONS, { optional: true }) ?? {};
+        this.queue = new Map();
+        this.onDemandLoads = new Map();
+        this.started = new WeakSet();
+        this.running = 0;
+        this.drainScheduled = false;
+    }
+    preload(route, load) {
+        const mode = route.preload?.mode ?? this.options.defaultMode ?? 'idle';
+        if (mode === 'on-demand') {
+            this.onDemandLoads.set(route, load);
+        }
+        else if (mode !== 'never') {
+            this.enqueue(route, load, mode === 'eager');
+        }
+        // The loads are scheduled by the strategy, so the preloader does not need to wait for them.
+        return of(null);
     }
     /**
-     * Performs the necessary rollback action to restore the browser URL to the
-     * state before the transition.
-     * @internal
+     * Loads the `'on-demand'` routes that a navigation to `url` would activate, as well as the
+     * routes on the way to them.
      */
-    restoreHistory(transition, restoringFromCaughtError = false) {
-        if (this.canceledNavigationResolution === 'computed') {
-            const targetPagePosition = this.currentPageId - transition.targetPageId;
-            // The navigator change the location before triggered the browser event,
-            // so we need to go back to the current url if the navigation is canceled.
-            // Also, when navigation gets cancelled while using url update strategy eager, then we need to
-            // go back. Because, when `urlUpdateStrategy` is `eager`; `setBrowserUrl` method is called
-            // before any verification.
-            const browserUrlUpdateOccurred = (transition.source === 'popstate' || this.urlUpdateStrategy === 'eager' ||
-                this.currentUrlTree === this.getCurrentNavigation()?.finalUrl);
-            if (browserUrlUpdateOccurred && targetPagePosition !== 0) {
-                this.location.historyGo(targetPagePosition);
+    loadOnDemand(url) {
+        const urlTree = typeof url === 'string' ? this.router.parseUrl(url) : url;
+        for (const route of getRoutesForUrl(this.router.config, urlTree)) {
+            const load = this.onDemandLoads.get(route);
+            if (load !== undefined) {
+                this.onDemandLoads.delete(route);
+                // The children of the route are only known once it is loaded.
+                this.enqueue(route, () => load().pipe(finalize(() => this.loadOnDemand(urlTree))), true);
             }
-            else if (this.currentUrlTree === this.getCurrentNavigation()?.finalUrl &&
-                targetPagePosition === 0) {
-                // We got to the activation stage (where currentUrlTree is set to the navigation's
-                // finalUrl), but we weren't moving anywhere in history (skipLocationChange or replaceUrl).
-                // We still need to reset the router state back to what it was when the navigation started.
-                this.resetState(transition);
-                // TODO(atscott): resetting the `browserUrlTree` should really be done in `resetState`.
-                // Investigate if this can be done by running TGP.
-                this.browserUrlTree = transition.currentUrlTree;
-                this.resetUrlToCurrentUrlTree();
-            }
-            else {
-                // The browser URL and router state was not updated before the navigation cancelled so
-                // there's no restoration needed.
-            }
-        }
-        else if (this.canceledNavigationResolution === 'replace') {
-            // TODO(atscott): It seems like we should _always_ reset the state here. It would be a no-op
-            // for `deferred` navigations that haven't change the internal state yet because guards
-            // reject. For 'eager' navigations, it seems like we also really should reset the state
-            // because the navigation was cancelled. Investigate if this can be done by running TGP.
-            if (restoringFromCaughtError) {
-                this.resetState(transition);
-            }
-            this.resetUrlToCurrentUrlTree();
         }
     }
-    resetState(t) {
-        this.routerState = t.currentRouterState;
-        this.currentUrlTree = t.currentUrlTree;
-        // Note here that we use the urlHandlingStrategy to get the reset `rawUrlTree` because it may be
-        // configured to handle only part of the navigation URL. This means we would only want to reset
-        // the part of the navigation handled by the Angular router rather than the whole URL. In
-        // addition, the URLHandlingStrategy may be configured to specifically preserve parts of the URL
-        // when merging, such as the query params so they are not lost on a refresh.
-        this.rawUrlTree = this.urlHandlingStrategy.merge(this.currentUrlTree, t.rawUrl);
-    }
-    resetUrlToCurrentUrlTree() {
-        this.location.replaceState(this.urlSerializer.serialize(this.rawUrlTree), '', this.generateNgRouterState(this.lastSuccessfulId, this.currentPageId));
+    enqueue(route, load, eager) {
+        // The preloader runs after every navigation, so a route may be handed over again while it is
+        // still loading.
+        if (this.started.has(route)) {
+            return;
+        }
+        this.queue.set(route, { load, eager, priority: route.preload?.priority ?? 0 });
+        // All the routes that the preloader reaches at once are queued before any of them starts, so
+        // that the order only depends on their hints.
+        if (!this.drainScheduled) {
+            this.drainScheduled = true;
+            Promise.resolve().then(() => {
+                this.drainScheduled = false;
+                this.drain();
+            });
+        }
     }
-    /** @internal */
-    cancelNavigationTransition(transition, reason, code) {
-        const navCancel = new NavigationCancel(transition.id, this.serializeUrl(transition.extractedUrl), reason, code);
-        this.triggerEvent(navCancel);
-        transition.resolve(false);
+    drain() {
+        const concurrency = this.options.concurrency ?? 2;
+        while (this.running < concurrency && this.queue.size > 0) {
+            const [route, next] = this.getNextInQueue();
+            this.queue.delete(route);
+            this.started.add(route);
+            this.running++;
+            const start = () => this.zone.run(() => {
+                next.load()
+                    .pipe(catchError(() => {
+                    // Allow the route to be preloaded again after the next navigation.
+                    this.started.delete(route);
+                    return of(null);
+                }), finalize(() => {
+                    this.running--;
+                    this.drain();
+                }))
+                    .subscribe();
+            });
+            next.eager ? start() : this.runWhenIdle(start);
+        }
     }
-    generateNgRouterState(navigationId, routerPageId) {
-        if (this.canceledNavigationResolution === 'computed') {
-            return { navigationId, ɵrouterPageId: routerPageId };
+    getNextInQueue() {
+        let next;
+        for (const entry of this.queue) {
+            if (next === undefined || isPreloadedBefore(entry[1], next[1])) {
+                next = entry;
+            }
         }
-        return { navigationId };
+        return next;
+    }
+    runWhenIdle(fn) {
+        const window = this.document.defaultView;
+        this.zone.runOutsideAngular(() => {
+            if (window?.requestIdleCallback) {
+                window.requestIdleCallback(fn);
+            }
+            else {
+                setTimeout(fn);
+            }
+        });
     }
 }
-Router.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: Router, deps: "invalid", target: i0.ɵɵFactoryTarget.Injectable });
-Router.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: Router, providedIn: 'root', useFactory: setupRouter });
-i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: Router, decorators: [{
+PrioritizedPreloading.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: PrioritizedPreloading, deps: [], target: i0.ɵɵFactoryTarget.Injectable });
+PrioritizedPreloading.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: PrioritizedPreloading, providedIn: 'root' });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: PrioritizedPreloading, decorators: [{
             type: Injectable,
-            args: [{
-                    providedIn: 'root',
-                    useFactory: setupRouter,
-                }]
-        }], ctorParameters: function () { return [{ type: i0.Type }, { type: UrlSerializer }, { type: ChildrenOutletContexts }, { type: i3.Location }, { type: i0.Injector }, { type: i0.Compiler }, { type: undefined }]; } });
-function validateCommands(commands) {
-    for (let i = 0; i < commands.length; i++) {
-        const cmd = commands[i];
-        if (cmd == null) {
-            throw new ɵRuntimeError(4008 /* RuntimeErrorCode.NULLISH_COMMAND */, NG_DEV_MODE$2 && `The requested path contains ${cmd} segment at index ${i}`);
-        }
+            args: [{ providedIn: 'root' }]
+        }] });
+function isPreloadedBefore(a, b) {
+    if (a.eager !== b.eager) {
+        return a.eager;
     }
+    // Ties keep the queue order, which is the order of the route configs.
+    return a.priority > b.priority;
 }
 
 /**
@@ -5871,8 +8192,13 @@ class RouterLink {
          */
         this.href = null;
         this.commands = null;
+        this.routeName = null;
         /** @internal */
         this.onChanges = new Subject();
+        const preloadingStrategy = inject(PreloadingStrategy, { optional: true });
+        this.linkPreloader =
+            preloadingStrategy instanceof LinkPreloadingStrategy ? preloadingStrategy : null;
+        this.linkPreloader?.registerLink(el.nativeElement, () => this.urlTree);
         const tagName = el.nativeElement.tagName;
         this.isAnchorElement = tagName === 'A' || tagName === 'AREA';
         if (this.isAnchorElement) {
@@ -5955,9 +8281,24 @@ class RouterLink {
         }
         else {
             this.commands = null;
-            this.setTabIndexIfNotOnNativeEl(null);
+            this.setTabIndexIfNotOnNativeEl(this.routeName !== null ? '0' : null);
         }
     }
+    /**
+     * The `name` of the route to link to, used instead of the `routerLink` commands. The URL is
+     * created by {@link Router#createUrlTreeByName Router#createUrlTreeByName} with the
+     * `routerLinkParams`.
+     *
+     * ```
+     * <a routerLinkName="teamUser" [routerLinkParams]="{id: team.id, name: user.name}">
+     * ```
+     *
+     * @see {@link Router#createUrlTreeByName Router#createUrlTreeByName}
+     */
+    set routerLinkName(name) {
+        this.routeName = name ?? null;
+        this.setTabIndexIfNotOnNativeEl(this.routeName !== null || this.commands !== null ? '0' : null);
+    }
     /** @nodoc */
     onClick(button, ctrlKey, shiftKey, altKey, metaKey) {
         if (this.urlTree === null) {
@@ -5985,6 +8326,7 @@ class RouterLink {
     /** @nodoc */
     ngOnDestroy() {
         this.subscription?.unsubscribe();
+        this.linkPreloader?.unregisterLink(this.el.nativeElement);
     }
     updateHref() {
         this.href = this.urlTree !== null && this.locationStrategy ?
@@ -6016,6 +8358,24 @@ class RouterLink {
         }
     }
     get urlTree() {
+        if (this.routeName !== null) {
+            try {
+                return this.router.createUrlTreeByName(this.routeName, this.routerLinkParams ?? {}, {
+                    queryParams: this.queryParams,
+                    fragment: this.fragment,
+                    queryParamsHandling: this.queryParamsHandling,
+                    preserveFragment: this.preserveFragment,
+                });
+            }
+            catch (e) {
+                // The named route may be declared in lazy children that are not loaded yet. The link
+                // has no URL until then.
+                if (e instanceof ɵRuntimeError && e.code === 4016 /* RuntimeErrorCode.UNKNOWN_ROUTE_NAME */) {
+                    return null;
+                }
+                throw e;
+            }
+        }
         if (this.commands === null) {
             return null;
         }
@@ -6031,11 +8391,11 @@ class RouterLink {
     }
 }
 RouterLink.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouterLink, deps: [{ token: Router }, { token: ActivatedRoute }, { token: 'tabindex', attribute: true }, { token: i0.Renderer2 }, { token: i0.ElementRef }, { token: i3.LocationStrategy }], target: i0.ɵɵFactoryTarget.Directive });
-RouterLink.ɵdir = i0.ɵɵngDeclareDirective({ minVersion: "14.0.0", version: "15.1.0-next.0+sha-332461b", type: RouterLink, isStandalone: true, selector: "[routerLink]", inputs: { target: "target", queryParams: "queryParams", fragment: "fragment", queryParamsHandling: "queryParamsHandling", state: "state", relativeTo: "relativeTo", preserveFragment: "preserveFragment", skipLocationChange: "skipLocationChange", replaceUrl: "replaceUrl", routerLink: "routerLink" }, host: { listeners: { "click": "onClick($event.button,$event.ctrlKey,$event.shiftKey,$event.altKey,$event.metaKey)" }, properties: { "attr.target": "this.target" } }, usesOnChanges: true, ngImport: i0 });
+RouterLink.ɵdir = i0.ɵɵngDeclareDirective({ minVersion: "14.0.0", version: "15.1.0-next.0+sha-332461b", type: RouterLink, isStandalone: true, selector: "[routerLink],[routerLinkName]", inputs: { target: "target", queryParams: "queryParams", fragment: "fragment", queryParamsHandling: "queryParamsHandling", state: "state", relativeTo: "relativeTo", preserveFragment: "preserveFragment", skipLocationChange: "skipLocationChange", replaceUrl: "replaceUrl", routerLink: "routerLink", routerLinkName: "routerLinkName", routerLinkParams: "routerLinkParams" }, host: { listeners: { "click": "onClick($event.button,$event.ctrlKey,$event.shiftKey,$event.altKey,$event.metaKey)" }, properties: { "attr.target": "this.target" } }, usesOnChanges: true, ngImport: i0 });
 i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouterLink, decorators: [{
             type: Directive,
             args: [{
-                    selector: '[routerLink]',
+                    selector: '[routerLink],[routerLinkName]',
                     standalone: true,
                 }]
         }], ctorParameters: function () { return [{ type: Router }, { type: ActivatedRoute }, { type: undefined, decorators: [{
@@ -6064,6 +8424,10 @@ i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sh
                 type: Input
             }], routerLink: [{
                 type: Input
+            }], routerLinkName: [{
+                type: Input
+            }], routerLinkParams: [{
+                type: Input
             }], onClick: [{
                 type: HostListener,
                 args: ['click',
@@ -6295,152 +8659,132 @@ function isActiveMatchOptions(options) {
  * found in the LICENSE file at https://angular.io/license
  */
 /**
- * @description
+ * Provides a strategy for deciding when the `Scroll` event is emitted after a navigation ends, that
+ * is, when the scroll position is restored or the page is scrolled to the anchor.
  *
- * Provides a preloading strategy.
+ * The built-in `DefaultScrollTimingStrategy` waits for a single macrotask so that the change
+ * detection that renders the activated components has run. Routes that render content
+ * asynchronously may need to wait longer, for example with the `StableScrollTimingStrategy`.
  *
- * @publicApi
- */
-class PreloadingStrategy {
-}
-/**
- * @description
+ * This class can be used as a base class for custom strategies, which are provided in place of
+ * the `ScrollTimingStrategy`.
  *
- * Provides a preloading strategy that preloads all modules as quickly as possible.
+ * @usageNotes
+ *
+ * The following strategy waits until the routed component reports that its content is rendered:
  *
  * ```
- * RouterModule.forRoot(ROUTES, {preloadingStrategy: PreloadAllModules})
+ * @Injectable({providedIn: 'root'})
+ * export class ContentReadyScrollTimingStrategy extends ScrollTimingStrategy {
+ *   readonly contentReady = new Subject<void>();
+ *
+ *   waitForScroll() {
+ *     return this.contentReady.pipe(take(1));
+ *   }
+ * }
+ *
+ * providers: [
+ *   {provide: ScrollTimingStrategy, useExisting: ContentReadyScrollTimingStrategy},
+ * ]
  * ```
  *
  * @publicApi
  */
-class PreloadAllModules {
-    preload(route, fn) {
-        return fn().pipe(catchError(() => of(null)));
-    }
+class ScrollTimingStrategy {
 }
-PreloadAllModules.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: PreloadAllModules, deps: [], target: i0.ɵɵFactoryTarget.Injectable });
-PreloadAllModules.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: PreloadAllModules, providedIn: 'root' });
-i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: PreloadAllModules, decorators: [{
+ScrollTimingStrategy.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: ScrollTimingStrategy, deps: [], target: i0.ɵɵFactoryTarget.Injectable });
+ScrollTimingStrategy.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: ScrollTimingStrategy, providedIn: 'root', useFactory: () => inject(DefaultScrollTimingStrategy) });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: ScrollTimingStrategy, decorators: [{
             type: Injectable,
-            args: [{ providedIn: 'root' }]
+            args: [{ providedIn: 'root', useFactory: () => inject(DefaultScrollTimingStrategy) }]
         }] });
 /**
- * @description
- *
- * Provides a preloading strategy that does not preload any modules.
- *
- * This strategy is enabled by default.
+ * The default `ScrollTimingStrategy`, which emits the `Scroll` event in the next macrotask.
  *
  * @publicApi
  */
-class NoPreloading {
-    preload(route, fn) {
-        return of(null);
+class DefaultScrollTimingStrategy extends ScrollTimingStrategy {
+    waitForScroll() {
+        // The scroll event needs to be delayed until after change detection. Otherwise, we may
+        // attempt to restore the scroll position before the router outlet has fully rendered the
+        // component by executing its update block of the template function.
+        return new Promise(resolve => setTimeout(resolve, 0));
     }
 }
-NoPreloading.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: NoPreloading, deps: [], target: i0.ɵɵFactoryTarget.Injectable });
-NoPreloading.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: NoPreloading, providedIn: 'root' });
-i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: NoPreloading, decorators: [{
+DefaultScrollTimingStrategy.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultScrollTimingStrategy, deps: null, target: i0.ɵɵFactoryTarget.Injectable });
+DefaultScrollTimingStrategy.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultScrollTimingStrategy, providedIn: 'root' });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: DefaultScrollTimingStrategy, decorators: [{
             type: Injectable,
             args: [{ providedIn: 'root' }]
         }] });
 /**
- * The preloader optimistically loads all router configurations to
- * make navigations into lazily-loaded sections of the application faster.
+ * A `ScrollTimingStrategy` that waits for the application to become stable, which includes
+ * pending timers and HTTP requests such as the ones made by resolvers or deferred content.
  *
- * The preloader runs in the background. When the router bootstraps, the preloader
- * starts listening to all navigation events. After every such event, the preloader
- * will check if any configurations can be loaded lazily.
+ * When a scroll position is restored, the strategy additionally waits, one animation frame at a
+ * time, until the document is large enough to be scrolled to that position. It gives up after
+ * `maxFrames` frames and restores the position anyway.
  *
- * If a route is protected by `canLoad` guards, the preloaded will not load it.
+ * Note: An application that never becomes stable, for example because it polls with
+ * `setInterval`, never emits the `Scroll` event with this strategy.
+ *
+ * @usageNotes
+ *
+ * ```
+ * providers: [
+ *   {provide: ScrollTimingStrategy, useExisting: StableScrollTimingStrategy},
+ * ]
+ * ```
  *
  * @publicApi
  */
-class RouterPreloader {
-    constructor(router, compiler, injector, preloadingStrategy, loader) {
-        this.router = router;
-        this.injector = injector;
-        this.preloadingStrategy = preloadingStrategy;
-        this.loader = loader;
-    }
-    setUpPreloading() {
-        this.subscription =
-            this.router.events
-                .pipe(filter((e) => e instanceof NavigationEnd), concatMap(() => this.preload()))
-                .subscribe(() => { });
-    }
-    preload() {
-        return this.processRoutes(this.injector, this.router.config);
-    }
-    /** @nodoc */
-    ngOnDestroy() {
-        if (this.subscription) {
-            this.subscription.unsubscribe();
-        }
-    }
-    processRoutes(injector, routes) {
-        const res = [];
-        for (const route of routes) {
-            if (route.providers && !route._injector) {
-                route._injector =
-                    createEnvironmentInjector(route.providers, injector, `Route: ${route.path}`);
-            }
-            const injectorForCurrentRoute = route._injector ?? injector;
-            const injectorForChildren = route._loadedInjector ?? injectorForCurrentRoute;
-            // Note that `canLoad` is only checked as a condition that prevents `loadChildren` and not
-            // `loadComponent`. `canLoad` guards only block loading of child routes by design. This
-            // happens as a consequence of needing to descend into children for route matching immediately
-            // while component loading is deferred until route activation. Because `canLoad` guards can
-            // have side effects, we cannot execute them here so we instead skip preloading altogether
-            // when present. Lastly, it remains to be decided whether `canLoad` should behave this way
-            // at all. Code splitting and lazy loading is separate from client-side authorization checks
-            // and should not be used as a security measure to prevent loading of code.
-            if ((route.loadChildren && !route._loadedRoutes && route.canLoad === undefined) ||
-                (route.loadComponent && !route._loadedComponent)) {
-                res.push(this.preloadConfig(injectorForCurrentRoute, route));
-            }
-            else if (route.children || route._loadedRoutes) {
-                res.push(this.processRoutes(injectorForChildren, (route.children ?? route._loadedRoutes)));
-            }
-        }
-        return from(res).pipe(mergeAll());
-    }
-    preloadConfig(injector, route) {
-        return this.preloadingStrategy.preload(route, () => {
-            let loadedChildren$;
-            if (route.loadChildren && route.canLoad === undefined) {
-                loadedChildren$ = this.loader.loadChildren(injector, route);
-            }
-            else {
-                loadedChildren$ = of(null);
-            }
-            const recursiveLoadChildren$ = loadedChildren$.pipe(mergeMap((config) => {
-                if (config === null) {
-                    return of(void 0);
+class StableScrollTimingStrategy extends ScrollTimingStrategy {
+    constructor() {
+        super(...arguments);
+        /**
+         * The maximum number of animation frames to wait for the document to grow to the restored
+         * scroll position.
+         */
+        this.maxFrames = 60;
+        this.applicationRef = inject(ApplicationRef);
+        this.document = inject(DOCUMENT);
+    }
+    waitForScroll(routerEvent, position) {
+        return this.applicationRef.isStable.pipe(first(isStable => isStable), switchMap(() => this.waitForDocumentSize(position)));
+    }
+    waitForDocumentSize(position) {
+        return new Observable(subscriber => {
+            const window = this.document.defaultView;
+            let frames = 0;
+            let frameId;
+            const check = () => {
+                if (!position || !window?.requestAnimationFrame || frames++ >= this.maxFrames ||
+                    this.canScrollTo(position)) {
+                    subscriber.next();
+                    subscriber.complete();
+                    return;
                 }
-                route._loadedRoutes = config.routes;
-                route._loadedInjector = config.injector;
-                // If the loaded config was a module, use that as the module/module injector going
-                // forward. Otherwise, continue using the current module/module injector.
-                return this.processRoutes(config.injector ?? injector, config.routes);
-            }));
-            if (route.loadComponent && !route._loadedComponent) {
-                const loadComponent$ = this.loader.loadComponent(route);
-                return from([recursiveLoadChildren$, loadComponent$]).pipe(mergeAll());
-            }
-            else {
-                return recursiveLoadChildren$;
-            }
+                frameId = window.requestAnimationFrame(check);
+            };
+            check();
+            return () => {
+                if (frameId !== undefined) {
+                    window?.cancelAnimationFrame(frameId);
+                }
+            };
         });
     }
+    canScrollTo([x, y]) {
+        const { scrollWidth, scrollHeight, clientWidth, clientHeight } = this.document.documentElement;
+        return scrollWidth - clientWidth >= x && scrollHeight - clientHeight >= y;
+    }
 }
-RouterPreloader.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouterPreloader, deps: [{ token: Router }, { token: i0.Compiler }, { token: i0.EnvironmentInjector }, { token: PreloadingStrategy }, { token: RouterConfigLoader }], target: i0.ɵɵFactoryTarget.Injectable });
-RouterPreloader.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouterPreloader, providedIn: 'root' });
-i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouterPreloader, decorators: [{
+StableScrollTimingStrategy.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: StableScrollTimingStrategy, deps: null, target: i0.ɵɵFactoryTarget.Injectable });
+StableScrollTimingStrategy.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: StableScrollTimingStrategy, providedIn: 'root' });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: StableScrollTimingStrategy, decorators: [{
             type: Injectable,
             args: [{ providedIn: 'root' }]
-        }], ctorParameters: function () { return [{ type: Router }, { type: i0.Compiler }, { type: i0.EnvironmentInjector }, { type: PreloadingStrategy }, { type: RouterConfigLoader }]; } });
+        }] });
 
 /**
  * @license
@@ -6461,9 +8805,16 @@ class RouterScroller {
         this.lastSource = 'imperative';
         this.restoredId = 0;
         this.store = {};
+        this.scrollContainerStore = {};
+        this.scrollContainers = new Map();
+        this.persistedScrollState = null;
+        this.location = inject(Location);
+        this.document = inject(DOCUMENT);
+        this.scrollTimingStrategy = inject(ScrollTimingStrategy);
         // Default both options to 'disabled'
         options.scrollPositionRestoration = options.scrollPositionRestoration || 'disabled';
         options.anchorScrolling = options.anchorScrolling || 'disabled';
+        options.scrollPositionStorage = options.scrollPositionStorage || 'memory';
     }
     init() {
         // we want to disable the automatic scrolling because having two places
@@ -6474,14 +8825,35 @@ class RouterScroller {
         }
         this.routerEventsSubscription = this.createScrollEvents();
         this.scrollEventsSubscription = this.consumeScrollEvents();
+        const window = this.document.defaultView;
+        if (this.shouldPersistScrollState() && window) {
+            // Reloading the page does not trigger a navigation away from the current page, so its
+            // scroll position is stored when the page is unloaded instead.
+            this.pageHideSubscription = this.zone.runOutsideAngular(() => fromEvent(window, 'pagehide').subscribe(() => {
+                this.persistScrollState(this.viewportScroller.getScrollPosition(), this.getScrollContainerPositions());
+            }));
+        }
     }
     createScrollEvents() {
         return this.router.events.subscribe(e => {
             if (e instanceof NavigationStart) {
                 // store the scroll position of the current stable navigations.
                 this.store[this.lastId] = this.viewportScroller.getScrollPosition();
+                this.scrollContainerStore[this.lastId] = this.getScrollContainerPositions();
+                // The browser has already moved to the target history entry for `popstate` and
+                // `hashchange` navigations, so only imperative navigations can update the state of the
+                // entry that is being left.
+                if (this.shouldPersistScrollState() && this.lastId !== 0 &&
+                    e.navigationTrigger === 'imperative') {
+                    this.persistScrollState(this.store[this.lastId], this.scrollContainerStore[this.lastId]);
+                }
                 this.lastSource = e.navigationTrigger;
                 this.restoredId = e.restoredState ? e.restoredState.navigationId : 0;
+                // Navigation ids are not unique across page reloads, so the state persisted in the
+                // history entry takes precedence over the in-memory store.
+                this.persistedScrollState = this.shouldPersistScrollState() ?
+                    e.restoredState?.ɵrouterScrollState ?? null :
+                    null;
             }
             else if (e instanceof NavigationEnd) {
                 this.lastId = e.id;
@@ -6497,9 +8869,11 @@ class RouterScroller {
             if (e.position) {
                 if (this.options.scrollPositionRestoration === 'top') {
                     this.viewportScroller.scrollToPosition([0, 0]);
+                    this.restoreScrollContainerPositions({});
                 }
                 else if (this.options.scrollPositionRestoration === 'enabled') {
                     this.viewportScroller.scrollToPosition(e.position);
+                    this.restoreScrollContainerPositions(this.persistedScrollState?.containers ?? this.scrollContainerStore[this.restoredId] ?? {});
                 }
                 // imperative navigation "forward"
             }
@@ -6509,20 +8883,70 @@ class RouterScroller {
                 }
                 else if (this.options.scrollPositionRestoration !== 'disabled') {
                     this.viewportScroller.scrollToPosition([0, 0]);
+                    this.restoreScrollContainerPositions({});
                 }
             }
         });
     }
+    shouldPersistScrollState() {
+        return this.options.scrollPositionStorage === 'history' &&
+            this.options.scrollPositionRestoration === 'enabled';
+    }
+    /**
+     * Stores the scroll positions in the state of the current history entry, so that they are
+     * still available after the page is reloaded.
+     */
+    persistScrollState(position, containers) {
+        const ɵrouterScrollState = { position, containers };
+        this.location.replaceState(this.location.path(true), '', { ...this.location.getState(), ɵrouterScrollState });
+    }
+    /**
+     * Registers an element whose scroll position is saved and restored together with the window
+     * scroll position. Elements are identified by name, so that an element recreated by a
+     * navigation gets the position of the element it replaces.
+     */
+    registerScrollContainer(name, element) {
+        this.scrollContainers.set(name, element);
+    }
+    unregisterScrollContainer(name, element) {
+        // A new element with the same name may have been registered before the old one was destroyed.
+        if (this.scrollContainers.get(name) === element) {
+            this.scrollContainers.delete(name);
+        }
+    }
+    getScrollContainerPositions() {
+        const positions = {};
+        this.scrollContainers.forEach((element, name) => {
+            positions[name] = [element.scrollLeft, element.scrollTop];
+        });
+        return positions;
+    }
+    /**
+     * Scrolls every registered container to its position in `positions`, or to the top if no
+     * position was stored for it.
+     */
+    restoreScrollContainerPositions(positions) {
+        this.scrollContainers.forEach((element, name) => {
+            const [left, top] = positions[name] ?? [0, 0];
+            element.scrollLeft = left;
+            element.scrollTop = top;
+        });
+    }
     scheduleScrollEvent(routerEvent, anchor) {
+        const position = this.persistedScrollState?.position ??
+            (this.lastSource === 'popstate' ? this.store[this.restoredId] : null);
+        this.pendingScrollEvent?.unsubscribe();
         this.zone.runOutsideAngular(() => {
-            // The scroll event needs to be delayed until after change detection. Otherwise, we may
-            // attempt to restore the scroll position before the router outlet has fully rendered the
-            // component by executing its update block of the template function.
-            setTimeout(() => {
-                this.zone.run(() => {
-                    this.router.triggerEvent(new Scroll(routerEvent, this.lastSource === 'popstate' ? this.store[this.restoredId] : null, anchor));
+            // Only the latest navigation should emit a scroll event if the timing strategy waits
+            // longer than it takes for the next navigation to end.
+            this.pendingScrollEvent =
+                from(this.scrollTimingStrategy.waitForScroll(routerEvent, position))
+                    .pipe(take(1))
+                    .subscribe(() => {
+                    this.zone.run(() => {
+                        this.router.triggerEvent(new Scroll(routerEvent, position, anchor));
+                    });
                 });
-            }, 0);
         });
     }
     /** @nodoc */
@@ -6533,6 +8957,12 @@ class RouterScroller {
         if (this.scrollEventsSubscription) {
             this.scrollEventsSubscription.unsubscribe();
         }
+        if (this.pageHideSubscription) {
+            this.pageHideSubscription.unsubscribe();
+        }
+        if (this.pendingScrollEvent) {
+            this.pendingScrollEvent.unsubscribe();
+        }
     }
 }
 RouterScroller.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouterScroller, deps: "invalid", target: i0.ɵɵFactoryTarget.Injectable });
@@ -6541,6 +8971,72 @@ i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sh
             type: Injectable
         }], ctorParameters: function () { return [{ type: Router }, { type: i3.ViewportScroller }, { type: i0.NgZone }, { type: undefined }]; } });
 
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * @description
+ *
+ * Marks an element as a scroll container whose scroll position is managed by the router in the
+ * same way as the window scroll position.
+ *
+ * When `scrollPositionRestoration` is enabled (see `withInMemoryScrolling` and
+ * `ExtraOptions`), the position of every registered container is saved when a navigation starts
+ * and restored on back/forward navigations. With `'top'`, or on forward navigations, the
+ * containers are scrolled to the top along with the window.
+ *
+ * Containers are identified by name, so an element that is destroyed and recreated by a
+ * navigation is restored to the position of the element with the same name.
+ *
+ * @usageNotes
+ *
+ * ```
+ * <mat-sidenav-content routerScrollContainer="content">
+ *   <router-outlet></router-outlet>
+ * </mat-sidenav-content>
+ * ```
+ *
+ * @publicApi
+ */
+class RouterScrollContainer {
+    constructor() {
+        this.element = inject(ElementRef).nativeElement;
+        this.scroller = inject(ROUTER_SCROLLER, { optional: true });
+        this.registeredName = null;
+    }
+    /** @nodoc */
+    ngOnChanges() {
+        this.unregister();
+        this.registeredName = this.routerScrollContainer;
+        this.scroller?.registerScrollContainer(this.registeredName, this.element);
+    }
+    /** @nodoc */
+    ngOnDestroy() {
+        this.unregister();
+    }
+    unregister() {
+        if (this.registeredName !== null) {
+            this.scroller?.unregisterScrollContainer(this.registeredName, this.element);
+            this.registeredName = null;
+        }
+    }
+}
+RouterScrollContainer.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouterScrollContainer, deps: [], target: i0.ɵɵFactoryTarget.Directive });
+RouterScrollContainer.ɵdir = i0.ɵɵngDeclareDirective({ minVersion: "14.0.0", version: "15.1.0-next.0+sha-332461b", type: RouterScrollContainer, isStandalone: true, selector: "[routerScrollContainer]", inputs: { routerScrollContainer: "routerScrollContainer" }, usesOnChanges: true, ngImport: i0 });
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "15.1.0-next.0+sha-332461b", ngImport: i0, type: RouterScrollContainer, decorators: [{
+            type: Directive,
+            args: [{
+                    selector: '[routerScrollContainer]',
+                    standalone: true,
+                }]
+        }], propDecorators: { routerScrollContainer: [{
+                type: Input
+            }] } });
+
 /**
  * @license
  * Copyright Google LLC All Rights Reserved.
@@ -6589,6 +9085,7 @@ function provideRouter(routes, ...features) {
     return makeEnvironmentProviders([
         { provide: ROUTES, multi: true, useValue: routes },
         NG_DEV_MODE$1 ? { provide: ROUTER_IS_PROVIDED, useValue: true } : [],
+        NG_DEV_MODE$1 ? routeConfigLintDevModeCheck : [],
         { provide: ActivatedRoute, useFactory: rootRoute, deps: [Router] },
         { provide: APP_BOOTSTRAP_LISTENER, multi: true, useFactory: getBootstrapListener },
         features.map(feature => feature.ɵproviders),
@@ -6624,6 +9121,20 @@ const routerIsProvidedDevModeCheck = {
         };
     }
 };
+/**
+ * Reports likely mistakes in the root route config, such as unreachable routes, once the providers
+ * of `provideRouter` or `RouterModule.forRoot` are created.
+ */
+const routeConfigLintDevModeCheck = {
+    provide: ENVIRONMENT_INITIALIZER,
+    multi: true,
+    useFactory() {
+        return () => {
+            const config = flatten(inject(ROUTES, { optional: true }) ?? []);
+            lintRootConfig(config, inject(ROUTER_CONFIGURATION).routeMatchingStrategy);
+        };
+    }
+};
 /**
  * Registers a [DI provider](guide/glossary#provider) for a set of routes.
  * @param routes The route configuration to provide.
@@ -6705,6 +9216,31 @@ function getBootstrapListener() {
         }
     };
 }
+/**
+ * Performs the given action once the router finishes its next/current navigation.
+ *
+ * If the navigation is canceled or errors without a redirect, the navigation is considered
+ * complete. If the `NavigationEnd` or `NavigationSkipped` event emits, the navigation is also
+ * considered complete.
+ */
+function afterNextNavigation(router, action) {
+    router.events
+        .pipe(filter((e) => e instanceof NavigationEnd || e instanceof NavigationCancel ||
+        e instanceof NavigationError || e instanceof NavigationSkipped), map(e => {
+        if (e instanceof NavigationEnd || e instanceof NavigationSkipped) {
+            // Navigation assumed to succeed if we get `ActivationStart`
+            return true;
+        }
+        const redirecting = e instanceof NavigationCancel ?
+            (e.code === 0 /* NavigationCancellationCode.Redirect */ ||
+                e.code === 1 /* NavigationCancellationCode.SupersededByNewNavigation */) :
+            false;
+        return redirecting ? null : false;
+    }), filter((result) => result !== null), take(1))
+        .subscribe(() => {
+        action();
+    });
+}
 /**
  * A subject used to indicate that the bootstrapping phase is done. When initial navigation is
  * `enabledBlocking`, the first navigation waits until bootstrapping is finished before continuing
@@ -6750,37 +9286,12 @@ function withEnabledBlockingInitialNavigation() {
             deps: [Injector],
             useFactory: (injector) => {
                 const locationInitialized = injector.get(LOCATION_INITIALIZED, Promise.resolve());
-                /**
-                 * Performs the given action once the router finishes its next/current navigation.
-                 *
-                 * If the navigation is canceled or errors without a redirect, the navigation is considered
-                 * complete. If the `NavigationEnd` event emits, the navigation is also considered complete.
-                 */
-                function afterNextNavigation(action) {
-                    const router = injector.get(Router);
-                    router.events
-                        .pipe(filter((e) => e instanceof NavigationEnd || e instanceof NavigationCancel ||
-                        e instanceof NavigationError), map(e => {
-                        if (e instanceof NavigationEnd) {
-                            // Navigation assumed to succeed if we get `ActivationStart`
-                            return true;
-                        }
-                        const redirecting = e instanceof NavigationCancel ?
-                            (e.code === 0 /* NavigationCancellationCode.Redirect */ ||
-                                e.code === 1 /* NavigationCancellationCode.SupersededByNewNavigation */) :
-                            false;
-                        return redirecting ? null : false;
-                    }), filter((result) => result !== null), take(1))
-                        .subscribe(() => {
-                        action();
-                    });
-                }
                 return () => {
                     return locationInitialized.then(() => {
                         return new Promise(resolve => {
                             const router = injector.get(Router);
                             const bootstrapDone = injector.get(BOOTSTRAP_DONE);
-                            afterNextNavigation(() => {
+                            afterNextNavigation(router, () => {
                                 // Unblock APP_INITIALIZER in case the initial navigation was canceled or errored
                                 // without a redirect.
                                 resolve(true);
@@ -6958,6 +9469,370 @@ function withRouterConfig(options) {
     ];
     return routerFeature(5 /* RouterFeatureKind.RouterConfigurationFeature */, providers);
 }
+/**
+ * Enables binding information from the `Router` state directly to the inputs of the component in
+ * `Route` configurations.
+ *
+ * When a component is activated by the `RouterOutlet`, any of its inputs whose name matches a key
+ * in the route's query params, path params, static data or resolved data is set to that value.
+ * Values are merged in that order, so path params win over query params and route data wins over
+ * both. The inputs are updated on every navigation that reuses the component, and inputs without a
+ * matching value are set to `undefined`.
+ *
+ * @usageNotes
+ *
+ * Basic example of how you can enable the feature:
+ * ```
+ * const appRoutes: Routes = [];
+ * bootstrapApplication(AppComponent,
+ *   {
+ *     providers: [
+ *       provideRouter(appRoutes, withComponentInputBinding())
+ *     ]
+ *   }
+ * );
+ * ```
+ *
+ * @see `provideRouter`
+ *
+ * @returns A set of providers for use with `provideRouter`.
+ *
+ * @publicApi
+ */
+function withComponentInputBinding() {
+    const providers = [
+        RoutedComponentInputBinder,
+        { provide: INPUT_BINDER, useExisting: RoutedComponentInputBinder },
+    ];
+    return routerFeature(6 /* RouterFeatureKind.ComponentInputBindingFeature */, providers);
+}
+/**
+ * Provides a function which is called when a navigation error occurs.
+ *
+ * The function receives the `NavigationError` event and runs in the application's injection
+ * context, so it can use the `inject` function. If it returns a `UrlTree`, the router navigates to
+ * that URL instead of passing the error on to `Router.errorHandler`, and the promise returned by
+ * the failed navigation settles with the result of the redirect.
+ *
+ * @usageNotes
+ *
+ * Basic example of how you can redirect failed navigations to an error page:
+ * ```
+ * const appRoutes: Routes = [];
+ * bootstrapApplication(AppComponent,
+ *   {
+ *     providers: [
+ *       provideRouter(appRoutes, withNavigationErrorHandler((e: NavigationError) => {
+ *         inject(MyErrorTracker).trackError(e.error);
+ *         return inject(Router).parseUrl('/error');
+ *       }))
+ *     ]
+ *   }
+ * );
+ * ```
+ *
+ * @see `NavigationError`
+ * @see `provideRouter`
+ *
+ * @param handler The function to call when a navigation error occurs.
+ * @returns A set of providers for use with `provideRouter`.
+ *
+ * @publicApi
+ */
+function withNavigationErrorHandler(handler) {
+    const providers = [
+        { provide: NAVIGATION_ERROR_HANDLER, useValue: handler },
+    ];
+    return routerFeature(7 /* RouterFeatureKind.NavigationErrorHandlerFeature */, providers);
+}
+/**
+ * Provides the location strategy that uses the URL fragment instead of the history API.
+ *
+ * The router URL, including its own fragment, is stored after the `#` of the browser URL, so
+ * `/#/team/33#details` activates `/team/33` with the router fragment `details`. Anchor scrolling
+ * configured with `withInMemoryScrolling` reads the router fragment, so it keeps working with
+ * this feature enabled.
+ *
+ * @usageNotes
+ *
+ * Basic example of how you can use the hash location option:
+ * ```
+ * const appRoutes: Routes = [];
+ * bootstrapApplication(AppComponent,
+ *   {
+ *     providers: [
+ *       provideRouter(appRoutes, withHashLocation())
+ *     ]
+ *   }
+ * );
+ * ```
+ *
+ * @see `provideRouter`
+ * @see `HashLocationStrategy`
+ *
+ * @returns A set of providers for use with `provideRouter`.
+ *
+ * @publicApi
+ */
+function withHashLocation() {
+    const providers = [
+        { provide: LocationStrategy, useClass: HashLocationStrategy },
+    ];
+    return routerFeature(8 /* RouterFeatureKind.RouterHashLocationFeature */, providers);
+}
+/**
+ * Enables view transitions in the Router by running the route activation and deactivation inside
+ * of `document.startViewTransition`.
+ *
+ * Note: The View Transitions API is not available in all browsers. If the browser does not
+ * support view transitions, the Router will not attempt to start a view transition and continue
+ * processing the navigation as usual.
+ *
+ * @usageNotes
+ *
+ * Basic example of how you can enable the feature:
+ * ```
+ * const appRoutes: Routes = [];
+ * bootstrapApplication(AppComponent,
+ *   {
+ *     providers: [
+ *       provideRouter(appRoutes, withViewTransitions())
+ *     ]
+ *   }
+ * );
+ * ```
+ *
+ * @see https://developer.chrome.com/docs/web-platform/view-transitions/
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/View_Transitions_API
+ *
+ * @param options Options to configure the view transitions, such as skipping the transition of
+ *     the initial navigation.
+ * @returns A set of providers for use with `provideRouter`.
+ *
+ * @publicApi
+ */
+function withViewTransitions(options) {
+    const providers = [
+        { provide: CREATE_VIEW_TRANSITION, useValue: createViewTransition },
+        {
+            provide: VIEW_TRANSITION_OPTIONS,
+            useValue: { skipNextTransition: !!options?.skipInitialTransition, ...options },
+        },
+    ];
+    return routerFeature(9 /* RouterFeatureKind.ViewTransitionsFeature */, providers);
+}
+/**
+ * Retries failed `loadChildren` and `loadComponent` calls, for example when a deployment replaced
+ * the chunks that the running application refers to.
+ *
+ * Every failed attempt emits a `RouteConfigLoadError` event. When the last attempt fails, the
+ * `onPermanentFailure` hook is called and the navigation fails with a `NavigationError`.
+ *
+ * @usageNotes
+ *
+ * Basic example of how you can reload the page when a chunk cannot be loaded:
+ * ```
+ * const appRoutes: Routes = [];
+ * bootstrapApplication(AppComponent,
+ *   {
+ *     providers: [
+ *       provideRouter(appRoutes, withLazyLoadingRetry({
+ *         attempts: 3,
+ *         backoff: 500,
+ *         timeout: 10000,
+ *         onPermanentFailure: (error, route, url) => {
+ *           if (url) {
+ *             location.assign(inject(Router).serializeUrl(url));
+ *           }
+ *         },
+ *       }))
+ *     ]
+ *   }
+ * );
+ * ```
+ *
+ * @see `LazyLoadingRetryOptions`
+ * @see `RouteConfigLoadError`
+ *
+ * @param options Options for the number of attempts, the delay between them and the timeout.
+ * @returns A set of providers for use with `provideRouter`.
+ *
+ * @publicApi
+ */
+function withLazyLoadingRetry(options) {
+    const providers = [
+        { provide: LAZY_LOADING_RETRY_OPTIONS, useValue: options },
+    ];
+    return routerFeature(10 /* RouterFeatureKind.LazyLoadingRetryFeature */, providers);
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Lists the routes of the configuration of `router` that a URL can lead to, with the URLs that
+ * lead to them, for example to prerender the pages of an application or to generate a sitemap at
+ * build time.
+ *
+ * Every route that is not a redirect and has no children gets an entry with the path from the
+ * root of the configuration, the names of its parameters, and its `name`, `title`, `data` and
+ * outlet. Redirects, wildcard routes and routes with a custom `matcher` have no entry, and
+ * neither do their children.
+ *
+ * Routes with `loadChildren` are listed once their children are loaded. With `loadLazyRoutes`,
+ * the children are loaded through the router, the same way a navigation loads them, and so are
+ * the components of routes with `loadComponent`. Guards are not run.
+ *
+ * The `urls` of a route without parameters contain its path. The `urls` of a route with
+ * parameters are created from the parameter values that `getParamValues` returns for it. Without
+ * `getParamValues`, a route whose parameters are all optional gets the URL without them.
+ *
+ * The manifest is created without navigating or rendering anything, so it can be created on the
+ * server or in a build script, with the `Router` of the application.
+ *
+ * @usageNotes
+ *
+ * ```
+ * const manifest = await getRouteManifest(router, {
+ *   loadLazyRoutes: true,
+ *   getParamValues: entry => entry.name === 'product' ?
+ *       inject(ProductService).getIds().pipe(map(ids => ids.map(id => ({id})))) :
+ *       [],
+ * });
+ * const sitemapUrls = manifest.flatMap(entry => entry.urls);
+ * ```
+ *
+ * @param router The router whose configuration is listed.
+ * @param options Options that control the lazy loading and the URLs of the routes.
+ * @returns A Promise that resolves to the entries of the routes, in the order of the configuration.
+ *
+ * @see `RouteManifestEntry`
+ * @see `RouteManifestOptions`
+ *
+ * @publicApi
+ */
+function getRouteManifest(router, options = {}) {
+    const manifest$ = collectRouteManifestEntries(router, router.config, router.ngModule.injector, [], options)
+        .pipe(toArray());
+    return new Promise((resolve, reject) => {
+        manifest$.subscribe({ next: resolve, error: reject });
+    });
+}
+function collectRouteManifestEntries(router, routes, injector, parents, options) {
+    return from(routes).pipe(concatMap(route => {
+        if (route.redirectTo !== undefined || route.matcher || route.path === '**') {
+            return EMPTY;
+        }
+        const path = [...parents, route];
+        return getChildRoutes(router, route, injector, options).pipe(concatMap(children => {
+            if (children === null) {
+                return EMPTY;
+            }
+            return children.routes.length > 0 ?
+                collectRouteManifestEntries(router, children.routes, children.injector, path, options) :
+                createRouteManifestEntry(router, path, injector, options);
+        }));
+    }));
+}
+/**
+ * Returns the child routes of `route` with the injector they use, loading them when requested, or
+ * `null` when they are lazily loaded and not loaded yet.
+ */
+function getChildRoutes(router, route, injector, options) {
+    const routeInjector = getOrCreateRouteInjectorIfNeeded(route, injector);
+    const children = route.children ?? route._loadedRoutes;
+    if (children) {
+        return of({ routes: children, injector: route._loadedInjector ?? routeInjector });
+    }
+    if (!route.loadChildren) {
+        return of({ routes: [], injector: routeInjector });
+    }
+    if (!options.loadLazyRoutes) {
+        return of(null);
+    }
+    return router.configLoader.loadChildren(routeInjector, route)
+        .pipe(map(config => ({ routes: config.routes, injector: config.injector ?? routeInjector })));
+}
+function createRouteManifestEntry(router, path, injector, options) {
+    const route = path[path.length - 1];
+    const entry = {
+        path: joinRoutePaths(path, 0),
+        params: getRouteParamNames(path),
+        name: route.name,
+        title: typeof route.title === 'string' ? route.title : undefined,
+        data: route.data ?? {},
+        outlet: getOutlet(route),
+        component: route.component ?? route._loadedComponent,
+        route,
+    };
+    const component$ = options.loadLazyRoutes && route.loadComponent ?
+        router.configLoader.loadComponent(route) :
+        of(entry.component);
+    // `getParamValues` can inject the providers of the route
+    const routeInjector = getOrCreateRouteInjectorIfNeeded(route, injector);
+    return component$.pipe(concatMap(component => {
+        const getParamValues = options.getParamValues;
+        let paramValues$;
+        if (entry.params.length === 0) {
+            paramValues$ = of([{}]);
+        }
+        else if (getParamValues) {
+            paramValues$ = wrapIntoObservable(routeInjector.runInContext(() => getParamValues(entry)));
+        }
+        else {
+            paramValues$ = of(hasRequiredParams(path) ? [] : [{}]);
+        }
+        return paramValues$.pipe(map(paramValues => {
+            const urls = paramValues.map(params => {
+                const commands = ['/', ...createRouteCommands(path, params, `the route '${entry.path}'`)];
+                return router.serializeUrl(router.createUrlTree(commands, { relativeTo: null }));
+            });
+            return { ...entry, component, urls };
+        }));
+    }));
+}
+/**
+ * Joins the paths of the routes in `path`, from the one at `start`, into the path of the last
+ * route. The routes rendered in a named outlet continue in parentheses, the way they appear in a
+ * URL.
+ */
+function joinRoutePaths(path, start) {
+    const parts = [];
+    for (let i = start; i < path.length; i++) {
+        const route = path[i];
+        if (i > start && getOutlet(route) !== PRIMARY_OUTLET) {
+            parts.push(`(${getOutlet(route)}:${joinRoutePaths(path, i)})`);
+            break;
+        }
+        parts.push(...route.path.split('/').filter(part => part !== ''));
+    }
+    const joined = parts.join('/');
+    return start === 0 && getOutlet(path[0]) !== PRIMARY_OUTLET ?
+        `(${getOutlet(path[0])}:${joined})` :
+        joined;
+}
+function hasRequiredParams(path) {
+    return path.some(route => route.path.split('/').some(part => {
+        const param = parseParamPart(part);
+        return param !== null && !param.optional;
+    }));
+}
+function getRouteParamNames(path) {
+    const names = [];
+    for (const route of path) {
+        for (const part of route.path.split('/')) {
+            const param = parseParamPart(part);
+            if (param !== null && !names.includes(param.name)) {
+                names.push(param.name);
+            }
+        }
+    }
+    return names;
+}
 
 /**
  * @license
@@ -7040,6 +9915,7 @@ class RouterModule {
             providers: [
                 ROUTER_PROVIDERS,
                 NG_DEV_MODE ? (config?.enableTracing ? withDebugTracing().ɵproviders : []) : [],
+                NG_DEV_MODE ? routeConfigLintDevModeCheck : [],
                 { provide: ROUTES, multi: true, useValue: routes },
                 {
                     provide: ROUTER_FORROOT_GUARD,
@@ -7114,7 +9990,7 @@ function provideRouterScroller() {
     };
 }
 // Note: For internal use only with `RouterModule`. Standalone setup via `provideRouter` should
-// provide hash location directly via `{provide: LocationStrategy, useClass: HashLocationStrategy}`.
+// use `withHashLocation` instead.
 function provideHashLocationStrategy() {
     return { provide: LocationStrategy, useClass: HashLocationStrategy };
 }
@@ -7206,5 +10082,5 @@ const VERSION = new Version('15.1.0-next.0+sha-332461b');
  * Generated bundle index. Do not edit.
  */
 
-export { ActivatedRoute, ActivatedRouteSnapshot, ActivationEnd, ActivationStart, BaseRouteReuseStrategy, ChildActivationEnd, ChildActivationStart, ChildrenOutletContexts, DefaultTitleStrategy, DefaultUrlSerializer, GuardsCheckEnd, GuardsCheckStart, NavigationCancel, NavigationEnd, NavigationError, NavigationSkipped, NavigationStart, NoPreloading, OutletContext, PRIMARY_OUTLET, PreloadAllModules, PreloadingStrategy, ROUTER_CONFIGURATION, ROUTER_INITIALIZER, ROUTES, ResolveEnd, ResolveStart, RouteConfigLoadEnd, RouteConfigLoadStart, RouteReuseStrategy, Router, RouterEvent, RouterLink, RouterLinkActive, RouterLink as RouterLinkWithHref, RouterModule, RouterOutlet, RouterPreloader, RouterState, RouterStateSnapshot, RoutesRecognized, Scroll, TitleStrategy, UrlHandlingStrategy, UrlSegment, UrlSegmentGroup, UrlSerializer, UrlTree, VERSION, convertToParamMap, createUrlTreeFromSnapshot, defaultUrlMatcher, provideRouter, provideRoutes, withDebugTracing, withDisabledInitialNavigation, withEnabledBlockingInitialNavigation, withInMemoryScrolling, withPreloading, withRouterConfig, ɵEmptyOutletComponent, ROUTER_PROVIDERS as ɵROUTER_PROVIDERS, assignExtraOptionsToRouter as ɵassignExtraOptionsToRouter, flatten as ɵflatten, withPreloading as ɵwithPreloading };
+export { ActivatedRoute, ActivatedRouteSnapshot, ActivationEnd, ActivationStart, BaseRouteReuseStrategy, ChildActivationEnd, ChildActivationStart, ChildrenOutletContexts, DefaultScrollTimingStrategy, DefaultTitleStrategy, DefaultUrlSerializer, GuardsCheckEnd, GuardsCheckStart, NavigationCancel, NavigationEnd, NavigationError, NavigationSkipped, NavigationStart, NoPreloading, OutletContext, PRIMARY_OUTLET, PRIORITIZED_PRELOADING_OPTIONS, PreloadAllModules, PreloadHoveredLinks, PreloadVisibleLinks, PreloadingStrategy, PrioritizedPreloading, ROUTER_CONFIGURATION, ROUTER_INITIALIZER, ROUTES, ResolveEnd, ResolveStart, RouteConfigLoadEnd, RouteConfigLoadError, RouteConfigLoadStart, RouteReuseStrategy, Router, RouterEvent, RouterLink, RouterLinkActive, RouterLink as RouterLinkWithHref, RouterModule, RouterOutlet, RouterPreloader, RouterScrollContainer, RouterState, RouterStateSnapshot, RoutesRecognized, Scroll, ScrollTimingStrategy, StableScrollTimingStrategy, TitleStrategy, UrlHandlingStrategy, UrlSegment, UrlSegmentGroup, UrlSerializer, UrlTree, VERSION, convertToParamMap, createUrlTreeFromSnapshot, defaultUrlMatcher, getRouteManifest, provideRouter, provideRoutes, withComponentInputBinding, withDebugTracing, withDisabledInitialNavigation, withEnabledBlockingInitialNavigation, withHashLocation, withInMemoryScrolling, withLazyLoadingRetry, withNavigationErrorHandler, withPreloading, withRouterConfig, withViewTransitions, ɵEmptyOutletComponent, ROUTER_PROVIDERS as ɵROUTER_PROVIDERS, afterNextNavigation as ɵafterNextNavigation, assignExtraOptionsToRouter as ɵassignExtraOptionsToRouter, flatten as ɵflatten, withPreloading as ɵwithPreloading };
 //# sourceMappingURL=router.mjs.map
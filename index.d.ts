@@ -21,6 +21,7 @@ import { Location as Location_2 } from '@angular/common';
 import { LocationStrategy } from '@angular/common';
 import { ModuleWithProviders } from '@angular/core';
 import { NgModuleFactory } from '@angular/core';
+import { NgZone } from '@angular/core';
 import { Observable } from 'rxjs';
 import { OnChanges } from '@angular/core';
 import { OnDestroy } from '@angular/core';
@@ -169,6 +170,28 @@ export declare class ActivatedRouteSnapshot {
     get pathFromRoot(): ActivatedRouteSnapshot[];
     get paramMap(): ParamMap;
     get queryParamMap(): ParamMap;
+    /**
+     * The query parameters decoded with the `queryParamsSchema` of this route and its ancestors.
+     * Query parameters that are not part of a schema are not included.
+     */
+    get decodedQueryParams(): {
+        [name: string]: unknown;
+    };
+    /**
+     * Returns the value of the query parameter `name` decoded with its definition in `schema`,
+     * typically the `queryParamsSchema` of this route or one of its ancestors. The type of the value
+     * is derived from the definition. Returns `undefined` when the query parameter has neither a
+     * valid value nor a default.
+     *
+     * @see `QueryParamValue`
+     */
+    getQueryParam<S extends QueryParamsSchema, K extends keyof S & string>(schema: S, name: K): QueryParamValue<S[K]> | undefined;
+    /**
+     * Returns the value of the query parameter `name` decoded with the `queryParamsSchema` of this
+     * route or its ancestors. Returns `undefined` when the query parameter is not part of a schema,
+     * or when it has neither a valid value nor a default.
+     */
+    getQueryParam(name: string): unknown;
     toString(): string;
 }
 
@@ -752,6 +775,36 @@ export declare class ChildrenOutletContexts {
     static ɵprov: i0.ɵɵInjectableDeclaration<ChildrenOutletContexts>;
 }
 
+/**
+ * A type alias for providers returned by `withComponentInputBinding` for use with `provideRouter`.
+ *
+ * @see `withComponentInputBinding`
+ * @see `provideRouter`
+ *
+ * @publicApi
+ */
+export declare type ComponentInputBindingFeature = RouterFeature<RouterFeatureKind.ComponentInputBindingFeature>;
+
+/**
+ * How the `Router` handles a navigation request while another navigation is in progress.
+ *
+ * - `'supersede'`: The new navigation cancels the current one with a `NavigationCancel` event, as
+ * well as any queued navigation requests. This is the default.
+ * - `'queue'`: The new navigation starts once the current navigation and the ones queued before it
+ * have finished.
+ * - `'ignore'`: The new navigation is dropped with a `NavigationSkipped` event and its promise
+ * resolves to `null`.
+ *
+ * Navigations triggered by the browser, such as with the back button, always supersede the current
+ * navigation, because the browser URL has already changed.
+ *
+ * @see `RouterConfigOptions`
+ * @see `NavigationBehaviorOptions`
+ *
+ * @publicApi
+ */
+export declare type ConcurrentNavigation = 'supersede' | 'queue' | 'ignore';
+
 /**
  * Converts a `Params` instance to a `ParamMap`.
  * @param params The instance to convert.
@@ -852,6 +905,17 @@ export declare interface DefaultExport<T> {
     default: T;
 }
 
+/**
+ * The default `ScrollTimingStrategy`, which emits the `Scroll` event in the next macrotask.
+ *
+ * @publicApi
+ */
+export declare class DefaultScrollTimingStrategy extends ScrollTimingStrategy {
+    waitForScroll(): Promise<void>;
+    static ɵfac: i0.ɵɵFactoryDeclaration<DefaultScrollTimingStrategy, never>;
+    static ɵprov: i0.ɵɵInjectableDeclaration<DefaultScrollTimingStrategy>;
+}
+
 /**
  * The default `TitleStrategy` used by the router that updates the title using the `Title` service.
  */
@@ -873,6 +937,11 @@ export declare class DefaultTitleStrategy extends TitleStrategy {
  *
  * When no matcher is defined on a `Route`, this is the matcher used by the Router by default.
  *
+ * A parameter in the path can be constrained with a regular expression that the whole segment must
+ * match, such as `:id(\\d+)` or `:kind(movie|series)`, and made optional with a trailing `?`, such
+ * as `:lang?` or `:lang(en|de)?`. A segment that does not satisfy the constraint does not match,
+ * and an optional parameter is skipped when the path cannot match otherwise.
+ *
  * @param segments The remaining unmatched segments in the current navigation
  * @param segmentGroup The current segment group being matched
  * @param route The `Route` to match against.
@@ -901,15 +970,61 @@ export declare function defaultUrlMatcher(segments: UrlSegment[], segmentGroup:
  * colon syntax to specify the outlet, and the ';parameter=value' syntax (e.g., open=true) to
  * specify route specific parameters.
  *
+ * The format of array and object query parameters can be configured with
+ * `DefaultUrlSerializerOptions`. The same format is used to parse and serialize URLs.
+ *
+ * @usageNotes
+ *
+ * ```
+ * providers: [
+ *   {provide: UrlSerializer, useValue: new DefaultUrlSerializer({arrayFormat: 'brackets'})},
+ * ]
+ * ```
+ *
  * @publicApi
  */
 export declare class DefaultUrlSerializer implements UrlSerializer {
+    private readonly options;
+    constructor(options?: DefaultUrlSerializerOptions);
     /** Parses a url into a `UrlTree` */
     parse(url: string): UrlTree;
     /** Converts a `UrlTree` into a url */
     serialize(tree: UrlTree): string;
 }
 
+/**
+ * The formats of array and object query parameters used by the `DefaultUrlSerializer`.
+ *
+ * @see `DefaultUrlSerializer`
+ * @publicApi
+ */
+export declare interface DefaultUrlSerializerOptions {
+    /**
+     * The format of query parameters with several values:
+     *
+     * - `'repeat'` (the default) repeats the key: `ids=1&ids=2`.
+     * - `'brackets'` appends brackets to the key: `ids[]=1&ids[]=2`. A key with brackets is parsed as
+     * an array even when it has a single value.
+     * - `'comma'` separates the values with commas: `ids=1,2`. An unescaped comma always separates
+     * values, so `q=a,b` is parsed as `['a', 'b']` even when a single value was meant. Commas within
+     * values, including single values, are escaped when serializing, so they are parsed back as is.
+     * A value without commas is parsed as a string, and repeated keys are still parsed as an array.
+     */
+    arrayFormat?: 'repeat' | 'brackets' | 'comma';
+    /**
+     * The format of query parameters whose value is an object:
+     *
+     * - `'none'` (the default) does not support objects; `filter[status]=x` is parsed as a query
+     * parameter named `filter[status]`.
+     * - `'brackets'` nests the keys of the object in brackets: `filter[status]=x` is parsed as
+     * `{filter: {status: 'x'}}`. Objects can be nested and hold arrays in the format of
+     * `arrayFormat`. A key keeps the kind of value it is first given, so the parameters that
+     * conflict with it are ignored: `f[s]=1&f=2&f[t]=3` is parsed as `{f: {s: '1', t: '3'}}`, and
+     * `f=1&f[s]=2` as `{f: '1'}`.
+     */
+    objectFormat?: 'none' | 'brackets';
+}
+
 /**
  * @description
  *
@@ -964,6 +1079,7 @@ declare type ErrorHandler = (error: any) => any;
  * * [RouteConfigLoadStart](api/router/RouteConfigLoadStart): Before
  * the router [lazy loads](/guide/router#lazy-loading) a route configuration.
  * * [RouteConfigLoadEnd](api/router/RouteConfigLoadEnd): After a route has been lazy loaded.
+ * * [RouteConfigLoadError](api/router/RouteConfigLoadError): When lazy loading a route fails.
  * * [RoutesRecognized](api/router/RoutesRecognized): When the router parses the URL
  * and the routes are recognized.
  * * [GuardsCheckStart](api/router/GuardsCheckStart): When the router begins the *guards*
@@ -988,7 +1104,7 @@ declare type ErrorHandler = (error: any) => any;
  *
  * @publicApi
  */
-declare type Event_2 = RouterEvent | NavigationStart | NavigationEnd | NavigationCancel | NavigationError | RoutesRecognized | GuardsCheckStart | GuardsCheckEnd | RouteConfigLoadStart | RouteConfigLoadEnd | ChildActivationStart | ChildActivationEnd | ActivationStart | ActivationEnd | Scroll | ResolveStart | ResolveEnd | NavigationSkipped;
+declare type Event_2 = RouterEvent | NavigationStart | NavigationEnd | NavigationCancel | NavigationError | RoutesRecognized | GuardsCheckStart | GuardsCheckEnd | RouteConfigLoadStart | RouteConfigLoadEnd | ChildActivationStart | ChildActivationEnd | ActivationStart | ActivationEnd | Scroll | ResolveStart | ResolveEnd | NavigationSkipped | RouteConfigLoadError;
 export { Event_2 as Event }
 
 /**
@@ -1013,7 +1129,8 @@ export declare const enum EventType {
     ActivationStart = 13,
     ActivationEnd = 14,
     Scroll = 15,
-    NavigationSkipped = 16
+    NavigationSkipped = 16,
+    RouteConfigLoadError = 17
 }
 
 /**
@@ -1082,6 +1199,50 @@ export declare interface ExtraOptions extends InMemoryScrollingOptions, RouterCo
     malformedUriErrorHandler?: (error: URIError, urlSerializer: UrlSerializer, url: string) => UrlTree;
 }
 
+/**
+ * Lists the routes of the configuration of `router` that a URL can lead to, with the URLs that
+ * lead to them, for example to prerender the pages of an application or to generate a sitemap at
+ * build time.
+ *
+ * Every route that is not a redirect and has no children gets an entry with the path from the
+ * root of the configuration, the names of its parameters, and its `name`, `title`, `data` and
+ * outlet. Redirects, wildcard routes and routes with a custom `matcher` have no entry, and
+ * neither do their children.
+ *
+ * Routes with `loadChildren` are listed once their children are loaded. With `loadLazyRoutes`,
+ * the children are loaded through the router, the same way a navigation loads them, and so are
+ * the components of routes with `loadComponent`. Guards are not run.
+ *
+ * The `urls` of a route without parameters contain its path. The `urls` of a route with
+ * parameters are created from the parameter values that `getParamValues` returns for it. Without
+ * `getParamValues`, a route whose parameters are all optional gets the URL without them.
+ *
+ * The manifest is created without navigating or rendering anything, so it can be created on the
+ * server or in a build script, with the `Router` of the application.
+ *
+ * @usageNotes
+ *
+ * ```
+ * const manifest = await getRouteManifest(router, {
+ *   loadLazyRoutes: true,
+ *   getParamValues: entry => entry.name === 'product' ?
+ *       inject(ProductService).getIds().pipe(map(ids => ids.map(id => ({id})))) :
+ *       [],
+ * });
+ * const sitemapUrls = manifest.flatMap(entry => entry.urls);
+ * ```
+ *
+ * @param router The router whose configuration is listed.
+ * @param options Options that control the lazy loading and the URLs of the routes.
+ * @returns A Promise that resolves to the entries of the routes, in the order of the configuration.
+ *
+ * @see `RouteManifestEntry`
+ * @see `RouteManifestOptions`
+ *
+ * @publicApi
+ */
+export declare function getRouteManifest(router: Router, options?: RouteManifestOptions): Promise<RouteManifestEntry[]>;
+
 /**
  * An event triggered at the end of the Guard phase of routing.
  *
@@ -1256,8 +1417,32 @@ export declare interface InMemoryScrollingOptions {
      * ```
      */
     scrollPositionRestoration?: 'disabled' | 'enabled' | 'top';
+    /**
+     * Configures where the scroll positions restored with `scrollPositionRestoration: 'enabled'`
+     * are stored.
+     *
+     * * 'memory'- (Default) Stores the positions in memory. They are lost when the page is
+     * reloaded.
+     * * 'history'- Additionally stores the positions in `history.state` of the page they belong
+     * to, so that they are restored after a reload or when navigating back into a page that was
+     * loaded in a new document.
+     */
+    scrollPositionStorage?: 'memory' | 'history';
 }
 
+/**
+ * How an invalid query parameter value is handled:
+ *
+ * - 'drop' - The query parameter is left out of the decoded query parameters.
+ * - 'default' - The `default` of the query parameter is used. Without a default, the query
+ * parameter is left out.
+ * - 'cancel' - The navigation is canceled with `NavigationCancellationCode.InvalidQueryParams`.
+ *
+ * @see `QueryParamDefinition`
+ * @publicApi
+ */
+export declare type InvalidQueryParamHandling = 'drop' | 'default' | 'cancel';
+
 /**
  * A set of options which specify how to determine if a `UrlTree` is active, given the `UrlTree`
  * for the current router state.
@@ -1306,6 +1491,77 @@ export declare interface IsActiveMatchOptions {
     fragment: 'exact' | 'ignored';
 }
 
+/**
+ * A type alias for providers returned by `withLazyLoadingRetry` for use with `provideRouter`.
+ *
+ * @see `withLazyLoadingRetry`
+ * @see `provideRouter`
+ *
+ * @publicApi
+ */
+export declare type LazyLoadingRetryFeature = RouterFeature<RouterFeatureKind.LazyLoadingRetryFeature>;
+
+/**
+ * Options for retrying failed `loadChildren` and `loadComponent` calls.
+ *
+ * @see `withLazyLoadingRetry`
+ *
+ * @publicApi
+ */
+export declare interface LazyLoadingRetryOptions {
+    /**
+     * The total number of attempts, including the first one. Defaults to `1`, which does not retry.
+     */
+    attempts?: number;
+    /**
+     * The delay in milliseconds before the next attempt. A number is the delay before the second
+     * attempt and doubles with every further attempt. A function receives the number of the failed
+     * attempt, starting at 1, and returns the delay. Defaults to `0`.
+     */
+    backoff?: number | ((attempt: number) => number);
+    /**
+     * The time in milliseconds after which an attempt that has not finished fails with a
+     * `TimeoutError`. By default, attempts do not time out.
+     */
+    timeout?: number;
+    /**
+     * A function to run when the last attempt fails. It receives the error, the route that could
+     * not be loaded and the initial URL of the navigation in progress, if any, which can be used to
+     * reload the page.
+     *
+     * This function is run in an injection context and can use `inject`.
+     */
+    onPermanentFailure?: (error: unknown, route: Route, url: UrlTree | null) => void;
+}
+
+/**
+ * Base class for the strategies that preload the routes `RouterLink`s navigate to.
+ *
+ * The `RouterPreloader` hands every lazy route it reaches to `preload`, where it waits until a link
+ * that navigates to the route requests it. Requests are ignored when the user enabled data saving
+ * or is on a 2G connection.
+ */
+declare abstract class LinkPreloadingStrategy implements PreloadingStrategy {
+    protected readonly router: Router;
+    protected readonly zone: NgZone;
+    protected readonly document: Document;
+    private pendingLoads;
+    private requestedLinks;
+    private recheckScheduled;
+    preload(route: Route, load: () => Observable<unknown>): Observable<null>;
+    /**
+     * Preloads the routes that `getUrlTree` navigates to and keeps doing so for routes that are
+     * reached later, until `cancelRequest` is called.
+     */
+    protected requestPreload(getUrlTree: () => UrlTree | null): void;
+    protected cancelRequest(getUrlTree: () => UrlTree | null): void;
+    private preloadUrl;
+    private scheduleRecheck;
+    private isConstrainedConnection;
+    static ɵfac: i0.ɵɵFactoryDeclaration<LinkPreloadingStrategy, never>;
+    static ɵprov: i0.ɵɵInjectableDeclaration<LinkPreloadingStrategy>;
+}
+
 /**
  *
  * A function that returns a set of routes to load.
@@ -1445,6 +1701,32 @@ export declare interface NavigationBehaviorOptions {
      * @see `RouterConfigOptions`
      */
     onSameUrlNavigation?: Extract<OnSameUrlNavigation, 'reload'>;
+    /**
+     * How to handle this navigation request while another navigation is in progress.
+     *
+     * This value takes precedence over the default value set for the `Router`.
+     *
+     * @see `ConcurrentNavigation`
+     * @see `RouterConfigOptions`
+     */
+    concurrentNavigation?: ConcurrentNavigation;
+    /**
+     * An `AbortSignal` that aborts this navigation when it is signaled.
+     *
+     * Aborting the navigation stops running guards and resolvers and cancels it with the
+     * `NavigationCancellationCode.Aborted` code. Once the routes are activated, the signal has no
+     * effect.
+     *
+     * ```
+     * const controller = new AbortController();
+     * this.router.navigate(['/report'], {signal: controller.signal});
+     * // Later, before the report resolvers complete
+     * controller.abort();
+     * ```
+     *
+     * @see `Router.abortNavigation`
+     */
+    signal?: AbortSignal;
     /**
      * When true, navigates without pushing a new state into history.
      *
@@ -1549,7 +1831,17 @@ export declare const enum NavigationCancellationCode {
     /**
      * A navigation failed because a guard returned `false`.
      */
-    GuardRejected = 3
+    GuardRejected = 3,
+    /**
+     * A navigation failed because it was aborted through `Router.abortNavigation` or the `signal`
+     * navigation option.
+     */
+    Aborted = 4,
+    /**
+     * A navigation failed because a query parameter has an invalid value and its definition in the
+     * `queryParamsSchema` of a route has `onInvalid: 'cancel'`.
+     */
+    InvalidQueryParams = 5
 }
 
 /**
@@ -1614,6 +1906,16 @@ export declare class NavigationError extends RouterEvent {
     toString(): string;
 }
 
+/**
+ * A type alias for providers returned by `withNavigationErrorHandler` for use with `provideRouter`.
+ *
+ * @see `withNavigationErrorHandler`
+ * @see `provideRouter`
+ *
+ * @publicApi
+ */
+export declare type NavigationErrorHandlerFeature = RouterFeature<RouterFeatureKind.NavigationErrorHandlerFeature>;
+
 /**
  * @description
  *
@@ -1633,6 +1935,53 @@ export declare class NavigationError extends RouterEvent {
 export declare interface NavigationExtras extends UrlCreationOptions, NavigationBehaviorOptions {
 }
 
+/**
+ * Describes how a navigation request made with `Router.navigateWithResult` or
+ * `Router.navigateByUrlWithResult` ended.
+ *
+ * The result is built from the `NavigationEnd`, `NavigationCancel`, `NavigationSkipped` or
+ * `NavigationError` event of the last navigation that was started for the request. When a guard
+ * or the navigation error handler redirects, the redirected navigation is part of the same
+ * request.
+ *
+ * @see `Router.navigateWithResult`
+ * @see `Router.navigateByUrlWithResult`
+ *
+ * @publicApi
+ */
+export declare interface NavigationResult {
+    /** How the navigation request ended. */
+    status: NavigationResultStatus;
+    /**
+     * The URL of the last navigation of the request. This is the URL after redirects when the
+     * navigation succeeded. `null` when the request was dropped before a navigation started, for
+     * example a queued request that was replaced by a new navigation.
+     */
+    finalUrl: string | null;
+    /** The code of the `NavigationCancel` event when the status is `'canceled'`, `null` otherwise. */
+    cancellationCode: NavigationCancellationCode | null;
+    /**
+     * The URL that was requested when the navigation was redirected, either by a `redirectTo` route
+     * or by a guard or the navigation error handler. `null` otherwise.
+     */
+    redirectedFrom: string | null;
+    /** The error of the navigation when the status is `'failed'`. */
+    error: any;
+}
+
+/**
+ * The status of a `NavigationResult`:
+ *
+ * - 'succeeded' - The navigation ended with a `NavigationEnd` event.
+ * - 'canceled' - The navigation was canceled, for example by a guard, or it was dropped before it
+ * started.
+ * - 'skipped' - The navigation ended with a `NavigationSkipped` event.
+ * - 'failed' - The navigation ended with a `NavigationError` event.
+ *
+ * @publicApi
+ */
+export declare type NavigationResultStatus = 'succeeded' | 'canceled' | 'skipped' | 'failed';
+
 /**
  * An event triggered when a navigation is skipped.
  * This can happen for a couple reasons including onSameUrlHandling
@@ -1689,7 +2038,12 @@ export declare const enum NavigationSkippedCode {
      *
      * @see UrlHandlingStrategy
      */
-    IgnoredByUrlHandlingStrategy = 1
+    IgnoredByUrlHandlingStrategy = 1,
+    /**
+     * A navigation was skipped because another navigation was in progress and the navigation was
+     * requested with the `'ignore'` `ConcurrentNavigation` mode.
+     */
+    IgnoredWhileNavigating = 2
 }
 
 /**
@@ -1891,6 +2245,47 @@ export declare class PreloadAllModules implements PreloadingStrategy {
  */
 export declare type PreloadingFeature = RouterFeature<RouterFeatureKind.PreloadingFeature>;
 
+/**
+ * Declares how and in which order the `PrioritizedPreloading` strategy preloads a route.
+ *
+ * @see `Route.preload`
+ * @see `PrioritizedPreloading`
+ *
+ * @publicApi
+ */
+export declare interface PreloadHint {
+    /**
+     * When the route is preloaded. Defaults to the `defaultMode` of the
+     * `PRIORITIZED_PRELOADING_OPTIONS`.
+     */
+    mode?: PreloadMode;
+    /**
+     * Routes with a higher priority are preloaded before routes with a lower priority that use the
+     * same mode. Defaults to `0`.
+     */
+    priority?: number;
+}
+
+/**
+ * @description
+ *
+ * Provides a preloading strategy that preloads the routes of `RouterLink`s when the pointer moves
+ * over them or they receive focus, shortly before they are likely to be clicked.
+ *
+ * Nothing is preloaded when the user enabled data saving or is on a 2G connection.
+ *
+ * ```
+ * provideRouter(appRoutes, withPreloading(PreloadHoveredLinks))
+ * ```
+ *
+ * @publicApi
+ */
+export declare class PreloadHoveredLinks extends LinkPreloadingStrategy {
+    private listenerCleanups;
+    static ɵfac: i0.ɵɵFactoryDeclaration<PreloadHoveredLinks, never>;
+    static ɵprov: i0.ɵɵInjectableDeclaration<PreloadHoveredLinks>;
+}
+
 /**
  * @description
  *
@@ -1902,6 +2297,45 @@ export declare abstract class PreloadingStrategy {
     abstract preload(route: Route, fn: () => Observable<any>): Observable<any>;
 }
 
+/**
+ * When the `PrioritizedPreloading` strategy preloads a route.
+ *
+ * * `'eager'`: As soon as possible, before any idle route.
+ * * `'idle'`: When the browser is idle.
+ * * `'on-demand'`: Only when requested with `PrioritizedPreloading.loadOnDemand`.
+ * * `'never'`: The route is not preloaded.
+ *
+ * @see `PreloadHint`
+ *
+ * @publicApi
+ */
+export declare type PreloadMode = 'eager' | 'idle' | 'on-demand' | 'never';
+
+/**
+ * @description
+ *
+ * Provides a preloading strategy that preloads the routes of `RouterLink`s as soon as they enter
+ * the viewport.
+ *
+ * Nothing is preloaded when the user enabled data saving or is on a 2G connection, or when the
+ * browser does not support `IntersectionObserver`.
+ *
+ * ```
+ * provideRouter(appRoutes, withPreloading(PreloadVisibleLinks))
+ * ```
+ *
+ * @publicApi
+ */
+export declare class PreloadVisibleLinks extends LinkPreloadingStrategy implements OnDestroy {
+    private links;
+    private observer;
+    private getObserver;
+    /** @nodoc */
+    ngOnDestroy(): void;
+    static ɵfac: i0.ɵɵFactoryDeclaration<PreloadVisibleLinks, never>;
+    static ɵprov: i0.ɵɵInjectableDeclaration<PreloadVisibleLinks>;
+}
+
 /**
  * The primary routing outlet.
  *
@@ -1909,6 +2343,83 @@ export declare abstract class PreloadingStrategy {
  */
 export declare const PRIMARY_OUTLET = "primary";
 
+/**
+ * A DI token for the options of the `PrioritizedPreloading` strategy.
+ *
+ * @publicApi
+ */
+export declare const PRIORITIZED_PRELOADING_OPTIONS: InjectionToken<PrioritizedPreloadingOptions>;
+
+/**
+ * @description
+ *
+ * Provides a preloading strategy that follows the `preload` hints of the routes.
+ *
+ * * `'eager'` routes are loaded as soon as the preloader reaches them.
+ * * `'idle'` routes are loaded when the browser is idle.
+ * * `'on-demand'` routes are only loaded by `loadOnDemand`.
+ * * `'never'` routes are not preloaded.
+ *
+ * Eager routes are loaded before idle routes and, within each group, routes with a higher
+ * `priority` are loaded first. At most `concurrency` routes are loaded at the same time. Routes
+ * without a hint use the `defaultMode` of the `PRIORITIZED_PRELOADING_OPTIONS`, which is `'idle'`
+ * unless configured otherwise.
+ *
+ * ```
+ * const routes: Routes = [
+ *   {path: 'dashboard', loadChildren: () => import('./dashboard'), preload: {mode: 'eager'}},
+ *   {path: 'reports', loadChildren: () => import('./reports'), preload: {priority: 10}},
+ *   {path: 'admin', loadChildren: () => import('./admin'), preload: {mode: 'never'}},
+ * ];
+ *
+ * provideRouter(routes, withPreloading(PrioritizedPreloading)),
+ * {provide: PRIORITIZED_PRELOADING_OPTIONS, useValue: {concurrency: 1}},
+ * ```
+ *
+ * @publicApi
+ */
+export declare class PrioritizedPreloading implements PreloadingStrategy {
+    private router;
+    private zone;
+    private document;
+    private options;
+    private queue;
+    private onDemandLoads;
+    private started;
+    private running;
+    private drainScheduled;
+    preload(route: Route, load: () => Observable<any>): Observable<any>;
+    /**
+     * Loads the `'on-demand'` routes that a navigation to `url` would activate, as well as the
+     * routes on the way to them.
+     */
+    loadOnDemand(url: string | UrlTree): void;
+    private enqueue;
+    private drain;
+    private getNextInQueue;
+    private runWhenIdle;
+    static ɵfac: i0.ɵɵFactoryDeclaration<PrioritizedPreloading, never>;
+    static ɵprov: i0.ɵɵInjectableDeclaration<PrioritizedPreloading>;
+}
+
+/**
+ * Options for the `PrioritizedPreloading` strategy.
+ *
+ * @see `PRIORITIZED_PRELOADING_OPTIONS`
+ *
+ * @publicApi
+ */
+export declare interface PrioritizedPreloadingOptions {
+    /**
+     * The maximum number of routes that are loaded at the same time. Defaults to `2`.
+     */
+    concurrency?: number;
+    /**
+     * The mode of the routes without a `preload` hint. Defaults to `'idle'`.
+     */
+    defaultMode?: PreloadMode;
+}
+
 /**
  * Sets up providers necessary to enable `Router` functionality for the application.
  * Allows to configure a set of routes as well as extra features that should be enabled.
@@ -1966,6 +2477,74 @@ export declare function provideRouter(routes: Routes, ...features: RouterFeature
  */
 export declare function provideRoutes(routes: Routes): Provider[];
 
+/**
+ * Converts the value of a query parameter between its URL string and its decoded type.
+ *
+ * @see `QueryParamDefinition`
+ * @publicApi
+ */
+export declare interface QueryParamCodec<T = any> {
+    /**
+     * Decodes a query parameter value from the URL. Returns `undefined`, or throws, when the value is
+     * invalid.
+     */
+    decode(value: string): T | undefined;
+    /** Encodes a value for the URL. */
+    encode(value: T): string;
+}
+
+/**
+ * Describes a query parameter in the `queryParamsSchema` of a `Route`.
+ *
+ * @usageNotes
+ *
+ * ```
+ * {
+ *   path: 'products',
+ *   component: ProductsCmp,
+ *   queryParamsSchema: productsQueryParams,
+ * }
+ *
+ * const productsQueryParams = {
+ *   page: {type: 'number', default: 1, validate: (page: number) => page >= 1, onInvalid: 'default'},
+ *   sort: {values: ['name', 'price'], default: 'name'},
+ *   since: {type: 'date', onInvalid: 'cancel'},
+ *   tag: {array: true},
+ * } as const;
+ *
+ * // In ProductsCmp, `page` is a `number | undefined`
+ * const page = route.snapshot.getQueryParam(productsQueryParams, 'page');
+ * ```
+ *
+ * @publicApi
+ */
+export declare interface QueryParamDefinition<T = any> {
+    /**
+     * The type of the value, or a codec for custom types. The built-in types are decoded as follows:
+     *
+     * - 'string' - The value as is. This is the default.
+     * - 'number' - A number, for any value that `Number` converts to a number other than `NaN`.
+     * - 'boolean' - `true` or `false` for the values `'true'` and `'false'`.
+     * - 'date' - A `Date` for any value that the `Date` constructor can parse. It is encoded as an
+     * ISO string.
+     */
+    type?: 'string' | 'number' | 'boolean' | 'date' | QueryParamCodec<T>;
+    /** When true, all the values of a repeated query parameter are decoded into an array. */
+    array?: boolean;
+    /** The value used when the query parameter is missing from the URL. */
+    default?: T;
+    /** The allowed decoded values. */
+    values?: readonly T[];
+    /** Returns whether a decoded value is valid. */
+    validate?: (value: T) => boolean;
+    /**
+     * How an invalid value is handled. The default is `'drop'`.
+     *
+     * @see `InvalidQueryParamHandling`
+     */
+    onInvalid?: InvalidQueryParamHandling;
+}
+
 /**
  *
  * How to handle query parameters in a router link.
@@ -1981,12 +2560,85 @@ export declare function provideRoutes(routes: Routes): Provider[];
 export declare type QueryParamsHandling = 'merge' | 'preserve' | '';
 
 /**
- * @description
+ * The definitions of the query parameters of a `Route`, keyed by the query parameter name.
  *
- * Interface that classes can implement to be a data provider.
- * A data provider class can be used with the router to resolve data during navigation.
- * The interface defines a `resolve()` method that is invoked right after the `ResolveStart`
- * router event. The router waits for the data to be resolved before the route is finally activated.
+ * When creating a `UrlTree`, the query parameter values that are not strings are encoded with the
+ * definitions of the routes that the new URL leads to. Those routes are matched without running
+ * `canMatch` guards, following redirects or loading lazy children. Values without a definition are
+ * converted to strings, and dates without a definition are encoded as ISO strings.
+ *
+ * @see `Route.queryParamsSchema`
+ * @publicApi
+ */
+export declare type QueryParamsSchema = {
+    [name: string]: QueryParamDefinition;
+};
+
+/**
+ * The type of the decoded value of a query parameter with the definition `D`: the type of its
+ * codec, `number`, `boolean` or `Date` for the built-in types, the union of its `values`, or
+ * `string`. It is an array of that type when the definition has `array: true`.
+ *
+ * @see `ActivatedRouteSnapshot.getQueryParam`
+ * @publicApi
+ */
+export declare type QueryParamValue<D extends QueryParamDefinition> = D extends {
+    array: true;
+} ? QueryParamValueType<D>[] : QueryParamValueType<D>;
+
+declare type QueryParamValueType<D extends QueryParamDefinition> = D extends {
+    type: QueryParamCodec<infer T>;
+} ? T : D extends {
+    type: 'number';
+} ? number : D extends {
+    type: 'boolean';
+} ? boolean : D extends {
+    type: 'date';
+} ? Date : D extends {
+    values: readonly (infer V)[];
+} ? V : string;
+
+/**
+ * The type for the function that can be used to handle redirects when the path matches a `Route`
+ * config.
+ *
+ * The function is run in the injection context of the matched `Route`, so it can use `inject`.
+ * It receives the parameters matched by the route path along with the query params, fragment and
+ * static data, and returns either a string (with the same semantics as a string `redirectTo`) or a
+ * `UrlTree`, which is always treated as an absolute redirect.
+ *
+ * @usageNotes
+ *
+ * ```
+ * const routes: Routes = [{
+ *   path: 'user/:id',
+ *   redirectTo: ({params, queryParams}) => {
+ *     const userService = inject(UserService);
+ *     if (userService.isLoggedIn(params['id'])) {
+ *       return `/profile/${params['id']}`;
+ *     }
+ *     return inject(Router).createUrlTree(['/login'], {queryParams});
+ *   },
+ * }];
+ * ```
+ *
+ * @see `Route#redirectTo`
+ * @publicApi
+ */
+export declare type RedirectFunction = (redirectData: {
+    params: Params;
+    queryParams: Params;
+    fragment: string | null;
+    data: Data;
+}) => string | UrlTree;
+
+/**
+ * @description
+ *
+ * Interface that classes can implement to be a data provider.
+ * A data provider class can be used with the router to resolve data during navigation.
+ * The interface defines a `resolve()` method that is invoked right after the `ResolveStart`
+ * router event. The router waits for the data to be resolved before the route is finally activated.
  *
  * The following example implements a `resolve()` method that retrieves the data
  * needed to activate the requested route.
@@ -2397,6 +3049,14 @@ export declare class ResolveStart extends RouterEvent {
  * @publicApi
  */
 export declare interface Route {
+    /**
+     * A name that identifies the route in the router configuration. A URL for the route can be
+     * created from the name with `Router.createUrlTreeByName` and the `routerLinkName` input of
+     * `RouterLink`, so that links keep working when the path of the route changes.
+     *
+     * Names must be unique across the whole configuration, including lazily loaded children.
+     */
+    name?: string;
     /**
      * Used to define a page title for the route. This can be a static string or an `Injectable` that
      * implements `Resolve`.
@@ -2410,6 +3070,23 @@ export declare interface Route {
      * Can be a wild card (`**`) that matches any URL (see Usage Notes below).
      * Default is "/" (the root path).
      *
+     * A `:param` segment can be constrained with a regular expression in parentheses, which the
+     * whole URL segment must match, and made optional with a trailing `?`:
+     *
+     * ```
+     * [
+     *   {path: 'users/:id(\\d+)', component: UserCmp},
+     *   {path: 'users/new', component: NewUserCmp},
+     *   {path: 'catalog/:kind(movie|series)', component: CatalogCmp},
+     *   {path: ':lang(en|de)?/docs', component: DocsCmp},
+     * ]
+     * ```
+     *
+     * When a segment does not satisfy a constraint, the router moves on to the next route. A path
+     * that consists of optional parameters only, such as `:lang?`, also matches when none of them
+     * is present, like an empty path does.
+     *
+     * @see `defaultUrlMatcher`
      */
     path?: string;
     /**
@@ -2446,14 +3123,20 @@ export declare interface Route {
      */
     loadComponent?: () => Type<unknown> | Observable<Type<unknown> | DefaultExport<Type<unknown>>> | Promise<Type<unknown> | DefaultExport<Type<unknown>>>;
     /**
-     * A URL to redirect to when the path matches.
+     * A URL or function that returns a URL to redirect to when the path matches.
      *
-     * Absolute if the URL begins with a slash (/), otherwise relative to the path URL.
+     * Absolute if the URL begins with a slash (/) or the function returns a `UrlTree`, otherwise
+     * relative to the path URL.
      * Note that no further redirects are evaluated after an absolute redirect.
      *
+     * The `RedirectFunction` is run in the injection context of the route and receives the matched
+     * params along with the query params, fragment and static data of the navigation.
+     *
      * When not present, router does not redirect.
+     *
+     * @see `RedirectFunction`
      */
-    redirectTo?: string;
+    redirectTo?: string | RedirectFunction;
     /**
      * Name of a `RouterOutlet` object where the component can be placed
      * when the path matches.
@@ -2522,6 +3205,14 @@ export declare interface Route {
      * An object specifying lazy-loaded child routes.
      */
     loadChildren?: LoadChildren;
+    /**
+     * How to order the `children` of this route, or the routes loaded by `loadChildren`, when
+     * matching a URL. When unset, the `routeMatchingStrategy` of the `Router` is used. The strategy
+     * is not inherited by the descendants of the children.
+     *
+     * @see `RouteMatchingStrategy`
+     */
+    childrenMatchingStrategy?: RouteMatchingStrategy;
     /**
      * A policy for when to run guards and resolvers on a route.
      *
@@ -2540,6 +3231,19 @@ export declare interface Route {
      * @see RunGuardsAndResolvers
      */
     runGuardsAndResolvers?: RunGuardsAndResolvers;
+    /**
+     * How and in which order the route is preloaded by the `PrioritizedPreloading` strategy.
+     * Other preloading strategies can read the hint as well.
+     */
+    preload?: PreloadHint;
+    /**
+     * The types, defaults and validation of the query parameters that the route reads. The decoded
+     * values are available from `ActivatedRouteSnapshot.decodedQueryParams` and
+     * `ActivatedRouteSnapshot.getQueryParam` of the route and its descendants.
+     *
+     * @see `QueryParamsSchema`
+     */
+    queryParamsSchema?: QueryParamsSchema;
     /**
      * A `Provider` array to use for this `Route` and its `children`.
      *
@@ -2568,6 +3272,40 @@ export declare class RouteConfigLoadEnd {
     toString(): string;
 }
 
+/**
+ * An event triggered when lazy loading a route configuration or component fails.
+ *
+ * The load is attempted again when `willRetry` is `true`, as configured with
+ * `withLazyLoadingRetry`. Otherwise, the failure is permanent and the navigation that triggered
+ * the load, if any, fails with a `NavigationError`.
+ *
+ * @see `RouteConfigLoadStart`
+ * @see `withLazyLoadingRetry`
+ *
+ * @publicApi
+ */
+export declare class RouteConfigLoadError {
+    /** @docsNotRequired */
+    route: Route;
+    /** @docsNotRequired */
+    error: any;
+    /** The number of the failed attempt, starting at 1. */
+    attempt: number;
+    /** Whether the load is attempted again. */
+    willRetry: boolean;
+    readonly type = EventType.RouteConfigLoadError;
+    constructor(
+    /** @docsNotRequired */
+    route: Route, 
+    /** @docsNotRequired */
+    error: any, 
+    /** The number of the failed attempt, starting at 1. */
+    attempt: number, 
+    /** Whether the load is attempted again. */
+    willRetry: boolean);
+    toString(): string;
+}
+
 /**
  * An event triggered before lazy loading a route configuration.
  *
@@ -2585,6 +3323,114 @@ export declare class RouteConfigLoadStart {
     toString(): string;
 }
 
+/**
+ * An entry of the manifest created by `getRouteManifest`, which describes a route that a URL can
+ * lead to.
+ *
+ * @see `getRouteManifest`
+ *
+ * @publicApi
+ */
+export declare interface RouteManifestEntry {
+    /**
+     * The path from the root of the configuration to the route, without a leading slash. The path
+     * of a route rendered in a named outlet continues in parentheses, as in `'team/(aux:chat)'`.
+     */
+    path: string;
+    /** The names of the parameters in the path, in the order in which they appear. */
+    params: string[];
+    /** The `name` of the route. */
+    name?: string;
+    /** The `title` of the route when it is a string, as opposed to a resolver. */
+    title?: string;
+    /** The `data` of the route. */
+    data: Data;
+    /** The name of the outlet that the route is rendered in. */
+    outlet: string;
+    /**
+     * The component of the route, including a component loaded with `loadComponent` once it is
+     * loaded.
+     */
+    component?: Type<any>;
+    /** The route in the configuration. */
+    route: Route;
+    /**
+     * The absolute URLs that lead to the route, one for each set of parameter values returned by
+     * `RouteManifestOptions.getParamValues`.
+     */
+    urls: string[];
+}
+
+/**
+ * Options that control how `getRouteManifest` lists the routes.
+ *
+ * @see `getRouteManifest`
+ *
+ * @publicApi
+ */
+export declare interface RouteManifestOptions {
+    /**
+     * Whether to load the children of routes with `loadChildren` and the components of routes with
+     * `loadComponent`. When unset, only the routes that are already loaded are listed.
+     */
+    loadLazyRoutes?: boolean;
+    /**
+     * Returns the sets of parameter values to create the URLs of a route with parameters from. A URL
+     * is created for each set, which must have a value for each parameter that is not optional. When
+     * unset, a route whose parameters are all optional gets the URL without them, and other routes
+     * with parameters have no URLs.
+     *
+     * The function runs in the injection context of the route, so it can `inject` the `providers` of
+     * the route and its parents. It is not called for routes without parameters.
+     */
+    getParamValues?: (entry: Omit<RouteManifestEntry, 'urls'>) => Params[] | Observable<Params[]> | Promise<Params[]>;
+}
+
+/**
+ * How the `Router` orders the routes of a `children` array when matching a URL.
+ *
+ * - `'firstMatch'`: The routes are tried in the order of the array, and the first route that
+ * matches wins. This is the default.
+ * - `'mostSpecific'`: The routes are ranked by the specificity of their path, and the most specific
+ * route that matches wins. The paths are compared segment by segment: static segments rank before
+ * parameters with a constraint, such as `:id(\\d+)`, then other parameters, then optional
+ * parameters. A route whose path is a prefix of another path ranks after it, so empty paths rank
+ * after the paths that consume segments, and wildcard routes rank last. A route with a custom
+ * `matcher` ranks like a single parameter. A route with `children` ranks by its path followed by the
+ * path of its most specific child, so an empty-path layout route ranks like its children. A route
+ * with `pathMatch: 'full'` ranks before the routes that match the same URLs by a prefix of their
+ * path. Routes of the same rank are tried in the order of the array.
+ *
+ * An empty-path route whose `loadChildren` has not loaded yet cannot be ranked, and neither can such
+ * a route whose path consists of optional parameters only. It keeps its place in the array, and
+ * only the routes before and after it are ranked against each other.
+ *
+ * Routes are only ranked against the other routes of the same array, including the routes of lazy
+ * loaded modules. When a route does not match, for example because a `canMatch` guard rejects it,
+ * the next route in the ranking is tried.
+ *
+ * @usageNotes
+ *
+ * With the `'mostSpecific'` strategy, `/settings` activates `SettingsComponent` even though the
+ * `:slug` route comes first:
+ *
+ * ```
+ * const routes: Routes = [
+ *   {path: ':slug', component: PageComponent},
+ *   {path: 'settings', component: SettingsComponent},
+ *   {path: '**', component: NotFoundComponent},
+ * ];
+ *
+ * provideRouter(routes, withRouterConfig({routeMatchingStrategy: 'mostSpecific'}));
+ * ```
+ *
+ * @see `RouterConfigOptions`
+ * @see `Route`
+ *
+ * @publicApi
+ */
+export declare type RouteMatchingStrategy = 'firstMatch' | 'mostSpecific';
+
 /**
  * @description
  *
@@ -2601,6 +3447,11 @@ export declare class Router {
     config: Routes;
     private navigations;
     private disposed;
+    /**
+     * Injectors of routes that are no longer part of the `config`. They are destroyed once the
+     * activated routes do not use them anymore.
+     */
+    private staleRouteInjectors;
     private locationSubscription?;
     /**
      * The id of the currently active page in the router.
@@ -2682,6 +3533,13 @@ export declare class Router {
      * @see `RouterModule`
      */
     onSameUrlNavigation: OnSameUrlNavigation;
+    /** Navigation requests that wait for the current navigation to finish. */
+    private queuedNavigations;
+    /**
+     * The ids of the navigations that were started for a navigation request, keyed by the promise
+     * returned for the request. Redirects and queued navigations add ids to the same request.
+     */
+    private navigationIds;
     /**
      * How to merge parameters, data, resolved data, and title from parent to child
      * routes. One of:
@@ -2768,6 +3626,16 @@ export declare class Router {
      * and `null` when idle.
      */
     getCurrentNavigation(): Navigation | null;
+    /**
+     * Aborts the navigation that is in progress, if any.
+     *
+     * The navigation stops running guards and resolvers and is canceled with the
+     * `NavigationCancellationCode.Aborted` code. The promise of the navigation resolves to `false`
+     * and the browser URL is restored according to `canceledNavigationResolution`.
+     *
+     * A single navigation can also be aborted with the `signal` navigation option.
+     */
+    abortNavigation(): void;
     /**
      * Resets the route configuration used for navigation and generating links.
      *
@@ -2785,6 +3653,18 @@ export declare class Router {
      * ```
      */
     resetConfig(config: Routes): void;
+    /**
+     * Discards the routes, injector and component that were lazily loaded for a route, so that they
+     * are loaded again the next time the route is needed.
+     *
+     * The injectors that the router created for the discarded routes are destroyed, or, when the
+     * currently activated routes still use them, after the next successful navigation that
+     * deactivates them.
+     *
+     * @param route A route in the `config` with `loadChildren` or `loadComponent`.
+     */
+    unloadRoute(route: Route): void;
+    private destroyStaleRouteInjectors;
     /** @nodoc */
     ngOnDestroy(): void;
     /** Disposes of the router. */
@@ -2838,6 +3718,31 @@ export declare class Router {
      * ```
      */
     createUrlTree(commands: any[], navigationExtras?: UrlCreationOptions): UrlTree;
+    /**
+     * Creates a `UrlTree` for the route with the given `name`.
+     *
+     * The path of the named route and its ancestors is filled in with `params`, which must provide
+     * a value for every `:param` segment. Routes in lazily loaded children can be found by name once
+     * they are loaded.
+     *
+     * @param name The `name` of a route in the router configuration.
+     * @param params The values of the route parameters in the path.
+     * @param extras Options that control how the query parameters and the fragment are created.
+     * @returns The new URL tree.
+     *
+     * @usageNotes
+     *
+     * ```
+     * // with the route {path: 'team/:id/user/:name', name: 'teamUser', component: UserCmp}
+     *
+     * // create /team/33/user/victor
+     * router.createUrlTreeByName('teamUser', {id: 33, name: 'victor'});
+     *
+     * // create /team/33/user/victor?debug=true
+     * router.createUrlTreeByName('teamUser', {id: 33, name: 'victor'}, {queryParams: {debug: true}});
+     * ```
+     */
+    createUrlTreeByName(name: string, params?: Params, extras?: Omit<UrlCreationOptions, 'relativeTo'>): UrlTree;
     /**
      * Navigates to a view using an absolute route path.
      *
@@ -2894,6 +3799,45 @@ export declare class Router {
      *
      */
     navigate(commands: any[], extras?: NavigationExtras): Promise<boolean>;
+    /**
+     * Navigates to a view using an absolute route path, like `navigateByUrl`, and describes how the
+     * navigation ended.
+     *
+     * @param url An absolute path for a defined route. The function does not apply any delta to the
+     *     current URL.
+     * @param extras An object containing properties that modify the navigation strategy.
+     *
+     * @returns A Promise that resolves to a `NavigationResult`. The Promise is not rejected when the
+     * navigation fails with an error.
+     *
+     * @usageNotes
+     *
+     * ```
+     * const result = await router.navigateByUrlWithResult('/checkout');
+     * if (result.status === 'canceled' &&
+     *     result.cancellationCode === NavigationCancellationCode.GuardRejected) {
+     *   showLoginHint();
+     * }
+     * ```
+     *
+     * @see `NavigationResult`
+     */
+    navigateByUrlWithResult(url: string | UrlTree, extras?: NavigationBehaviorOptions): Promise<NavigationResult>;
+    /**
+     * Navigates based on the provided array of commands and a starting point, like `navigate`, and
+     * describes how the navigation ended.
+     *
+     * @param commands An array of URL fragments with which to construct the target URL.
+     * @param extras An options object that determines how the URL should be constructed or
+     *     interpreted.
+     *
+     * @returns A Promise that resolves to a `NavigationResult`. The Promise is not rejected when the
+     * navigation fails with an error.
+     *
+     * @see `NavigationResult`
+     */
+    navigateWithResult(commands: any[], extras?: NavigationExtras): Promise<NavigationResult>;
+    private trackNavigationResult;
     /** Serializes a `UrlTree` into a string */
     serializeUrl(url: UrlTree): string;
     /** Parses a string into a `UrlTree` */
@@ -2918,6 +3862,7 @@ export declare class Router {
     private processNavigations;
     private resetState;
     private resetUrlToCurrentUrlTree;
+    private recordNavigationId;
     private generateNgRouterState;
     static ɵfac: i0.ɵɵFactoryDeclaration<Router, never>;
     static ɵprov: i0.ɵɵInjectableDeclaration<Router>;
@@ -2945,10 +3890,19 @@ declare class RouterConfigLoader {
     private childrenLoaders;
     onLoadStartListener?: (r: Route) => void;
     onLoadEndListener?: (r: Route) => void;
+    onLoadErrorListener?: (r: Route, error: unknown, attempt: number, willRetry: boolean) => void;
+    registeredRouteNamesGetter?: () => Map<string, string>;
+    private readonly retryOptions;
+    private readonly routerConfig;
     constructor(injector: Injector, compiler: Compiler);
     loadComponent(route: Route): Observable<Type<unknown>>;
     loadChildren(parentInjector: Injector, route: Route): Observable<LoadedRouterConfig>;
     private loadModuleFactoryOrRoutes;
+    /**
+     * Runs `load` and, when it fails, runs it again according to the `LazyLoadingRetryOptions`.
+     * Without options, a load is attempted once.
+     */
+    private loadWithRetry;
     static ɵfac: i0.ɵɵFactoryDeclaration<RouterConfigLoader, never>;
     static ɵprov: i0.ɵɵInjectableDeclaration<RouterConfigLoader>;
 }
@@ -2981,6 +3935,24 @@ export declare interface RouterConfigOptions {
      * The default value is `replace` when not set.
      */
     canceledNavigationResolution?: 'replace' | 'computed';
+    /**
+     * Configures the default for handling a navigation request while another navigation is in
+     * progress.
+     *
+     * If unset, the `Router` will use `'supersede'`.
+     *
+     * @see `ConcurrentNavigation`
+     */
+    concurrentNavigation?: ConcurrentNavigation;
+    /**
+     * The maximum number of redirects that a navigation follows before it fails with a
+     * `NavigationError`, which stops redirect loops. Both the `redirectTo` of routes and the
+     * `UrlTree`s returned by guards or by the `withNavigationErrorHandler` handler count as
+     * redirects, all towards the same limit. In dev mode, the error message lists the URLs that the navigation visited.
+     *
+     * If unset, the `Router` will use `20`.
+     */
+    maxRedirects?: number;
     /**
      * Configures the default for handling a navigation request to the current URL.
      *
@@ -3004,6 +3976,15 @@ export declare interface RouterConfigOptions {
      *
      */
     paramsInheritanceStrategy?: 'emptyOnly' | 'always';
+    /**
+     * Configures how the routes of a `children` array, as well as the root routes, are ordered when
+     * matching a URL. Routes can override it for their children with `childrenMatchingStrategy`.
+     *
+     * If unset, the `Router` will use `'firstMatch'`.
+     *
+     * @see `RouteMatchingStrategy`
+     */
+    routeMatchingStrategy?: RouteMatchingStrategy;
     /**
      * Defines when the router updates the browser URL. By default ('deferred'),
      * update after successful navigation.
@@ -3105,7 +4086,12 @@ declare const enum RouterFeatureKind {
     EnabledBlockingInitialNavigationFeature = 2,
     DisabledInitialNavigationFeature = 3,
     InMemoryScrollingFeature = 4,
-    RouterConfigurationFeature = 5
+    RouterConfigurationFeature = 5,
+    ComponentInputBindingFeature = 6,
+    NavigationErrorHandlerFeature = 7,
+    RouterHashLocationFeature = 8,
+    ViewTransitionsFeature = 9,
+    LazyLoadingRetryFeature = 10
 }
 
 /**
@@ -3118,7 +4104,17 @@ declare const enum RouterFeatureKind {
  *
  * @publicApi
  */
-export declare type RouterFeatures = PreloadingFeature | DebugTracingFeature | InitialNavigationFeature | InMemoryScrollingFeature | RouterConfigurationFeature;
+export declare type RouterFeatures = PreloadingFeature | DebugTracingFeature | InitialNavigationFeature | InMemoryScrollingFeature | RouterConfigurationFeature | ComponentInputBindingFeature | NavigationErrorHandlerFeature | RouterHashLocationFeature | ViewTransitionsFeature | LazyLoadingRetryFeature;
+
+/**
+ * A type alias for providers returned by `withHashLocation` for use with `provideRouter`.
+ *
+ * @see `withHashLocation`
+ * @see `provideRouter`
+ *
+ * @publicApi
+ */
+export declare type RouterHashLocationFeature = RouterFeature<RouterFeatureKind.RouterHashLocationFeature>;
 
 /**
  * @description
@@ -3277,10 +4273,17 @@ declare class RouterLink implements OnChanges, OnDestroy {
      * @see {@link Router#createUrlTree Router#createUrlTree}
      */
     relativeTo?: ActivatedRoute | null;
+    /**
+     * The values of the route parameters in the path of the route given by `routerLinkName`.
+     * @see {@link Router#createUrlTreeByName Router#createUrlTreeByName}
+     */
+    routerLinkParams?: Params | null;
     private commands;
+    private routeName;
     /** Whether a host element is an `<a>` tag. */
     private isAnchorElement;
     private subscription?;
+    private linkPreloader;
     constructor(router: Router, route: ActivatedRoute, tabIndexAttribute: string | null | undefined, renderer: Renderer2, el: ElementRef, locationStrategy?: LocationStrategy | undefined);
     /**
      * Passed to {@link Router#createUrlTree Router#createUrlTree} as part of the
@@ -3321,6 +4324,19 @@ declare class RouterLink implements OnChanges, OnDestroy {
      * @see {@link Router#createUrlTree Router#createUrlTree}
      */
     set routerLink(commands: any[] | string | null | undefined);
+    /**
+     * The `name` of the route to link to, used instead of the `routerLink` commands. The URL is
+     * created by {@link Router#createUrlTreeByName Router#createUrlTreeByName} with the
+     * `routerLinkParams`. A name declared in lazy-loaded children that are not loaded yet gives the
+     * link no `href` until they are.
+     *
+     * ```
+     * <a routerLinkName="teamUser" [routerLinkParams]="{id: team.id, name: user.name}">
+     * ```
+     *
+     * @see {@link Router#createUrlTreeByName Router#createUrlTreeByName}
+     */
+    set routerLinkName(name: string | null | undefined);
     /** @nodoc */
     onClick(button: number, ctrlKey: boolean, shiftKey: boolean, altKey: boolean, metaKey: boolean): boolean;
     /** @nodoc */
@@ -3329,7 +4345,7 @@ declare class RouterLink implements OnChanges, OnDestroy {
     private applyAttributeValue;
     get urlTree(): UrlTree | null;
     static ɵfac: i0.ɵɵFactoryDeclaration<RouterLink, [null, null, { attribute: "tabindex"; }, null, null, null]>;
-    static ɵdir: i0.ɵɵDirectiveDeclaration<RouterLink, "[routerLink]", never, { "target": "target"; "queryParams": "queryParams"; "fragment": "fragment"; "queryParamsHandling": "queryParamsHandling"; "state": "state"; "relativeTo": "relativeTo"; "preserveFragment": "preserveFragment"; "skipLocationChange": "skipLocationChange"; "replaceUrl": "replaceUrl"; "routerLink": "routerLink"; }, {}, never, never, true, never>;
+    static ɵdir: i0.ɵɵDirectiveDeclaration<RouterLink, "[routerLink],[routerLinkName]", never, { "target": "target"; "queryParams": "queryParams"; "fragment": "fragment"; "queryParamsHandling": "queryParamsHandling"; "state": "state"; "relativeTo": "relativeTo"; "preserveFragment": "preserveFragment"; "skipLocationChange": "skipLocationChange"; "replaceUrl": "replaceUrl"; "routerLink": "routerLink"; "routerLinkName": "routerLinkName"; "routerLinkParams": "routerLinkParams"; }, {}, never, never, true, never>;
 }
 export { RouterLink }
 export { RouterLink as RouterLinkWithHref }
@@ -3605,6 +4621,7 @@ export declare class RouterOutlet implements OnDestroy, OnInit, RouterOutletCont
     private location;
     private changeDetector;
     private environmentInjector;
+    private inputBinder;
     /** @nodoc */
     ngOnChanges(changes: SimpleChanges): void;
     /** @nodoc */
@@ -3743,6 +4760,47 @@ export declare class RouterPreloader implements OnDestroy {
     static ɵprov: i0.ɵɵInjectableDeclaration<RouterPreloader>;
 }
 
+/**
+ * @description
+ *
+ * Marks an element as a scroll container whose scroll position is managed by the router in the
+ * same way as the window scroll position.
+ *
+ * When `scrollPositionRestoration` is enabled (see `withInMemoryScrolling` and
+ * `ExtraOptions`), the position of every registered container is saved when a navigation starts
+ * and restored on back/forward navigations. With `'top'`, or on forward navigations, the
+ * containers are scrolled to the top along with the window.
+ *
+ * Containers are identified by name, so an element that is destroyed and recreated by a
+ * navigation is restored to the position of the element with the same name.
+ *
+ * @usageNotes
+ *
+ * ```
+ * <mat-sidenav-content routerScrollContainer="content">
+ *   <router-outlet></router-outlet>
+ * </mat-sidenav-content>
+ * ```
+ *
+ * @publicApi
+ */
+export declare class RouterScrollContainer implements OnChanges, OnDestroy {
+    /**
+     * The name under which the scroll position of this element is stored.
+     */
+    routerScrollContainer: string;
+    private element;
+    private scroller;
+    private registeredName;
+    /** @nodoc */
+    ngOnChanges(): void;
+    /** @nodoc */
+    ngOnDestroy(): void;
+    private unregister;
+    static ɵfac: i0.ɵɵFactoryDeclaration<RouterScrollContainer, never>;
+    static ɵdir: i0.ɵɵDirectiveDeclaration<RouterScrollContainer, "[routerScrollContainer]", never, { "routerScrollContainer": "routerScrollContainer"; }, {}, never, never, true, never>;
+}
+
 /**
  * Represents the state of the router as a tree of activated routes.
  *
@@ -3904,6 +4962,88 @@ export declare class Scroll {
     toString(): string;
 }
 
+/**
+ * Provides a strategy for deciding when the `Scroll` event is emitted after a navigation ends, that
+ * is, when the scroll position is restored or the page is scrolled to the anchor.
+ *
+ * The built-in `DefaultScrollTimingStrategy` waits for a single macrotask so that the change
+ * detection that renders the activated components has run. Routes that render content
+ * asynchronously may need to wait longer, for example with the `StableScrollTimingStrategy`.
+ *
+ * This class can be used as a base class for custom strategies, which are provided in place of
+ * the `ScrollTimingStrategy`.
+ *
+ * @usageNotes
+ *
+ * The following strategy waits until the routed component reports that its content is rendered:
+ *
+ * ```
+ * @Injectable({providedIn: 'root'})
+ * export class ContentReadyScrollTimingStrategy extends ScrollTimingStrategy {
+ *   readonly contentReady = new Subject<void>();
+ *
+ *   waitForScroll() {
+ *     return this.contentReady.pipe(take(1));
+ *   }
+ * }
+ *
+ * providers: [
+ *   {provide: ScrollTimingStrategy, useExisting: ContentReadyScrollTimingStrategy},
+ * ]
+ * ```
+ *
+ * @publicApi
+ */
+export declare abstract class ScrollTimingStrategy {
+    /**
+     * Returns an `Observable` or `Promise` that emits or resolves when the `Scroll` event for the
+     * navigation should be emitted. The `Scroll` event is not emitted if the `Observable` completes
+     * without emitting.
+     *
+     * @param routerEvent The `NavigationEnd` event of the navigation.
+     * @param position The scroll position that is restored, or `null` when no position is restored.
+     */
+    abstract waitForScroll(routerEvent: NavigationEnd, position: [number, number] | null): Observable<unknown> | Promise<unknown>;
+    static ɵfac: i0.ɵɵFactoryDeclaration<ScrollTimingStrategy, never>;
+    static ɵprov: i0.ɵɵInjectableDeclaration<ScrollTimingStrategy>;
+}
+
+/**
+ * A `ScrollTimingStrategy` that waits for the application to become stable, which includes
+ * pending timers and HTTP requests such as the ones made by resolvers or deferred content.
+ *
+ * When a scroll position is restored, the strategy additionally waits, one animation frame at a
+ * time, until the document is large enough to be scrolled to that position. It gives up after
+ * `maxFrames` frames and restores the position anyway.
+ *
+ * Note: An application that never becomes stable, for example because it polls with
+ * `setInterval`, never emits the `Scroll` event with this strategy.
+ *
+ * @usageNotes
+ *
+ * ```
+ * providers: [
+ *   {provide: ScrollTimingStrategy, useExisting: StableScrollTimingStrategy},
+ * ]
+ * ```
+ *
+ * @publicApi
+ */
+export declare class StableScrollTimingStrategy extends ScrollTimingStrategy {
+    /**
+     * The maximum number of animation frames to wait for the document to grow to the restored
+     * scroll position.
+     */
+    maxFrames: number;
+    private applicationRef;
+    private document;
+    waitForScroll(routerEvent: NavigationEnd, position: [number, number] | null): Observable<void>;
+    private waitForDocumentSize;
+    private canScrollTo;
+    static ɵfac: i0.ɵɵFactoryDeclaration<StableScrollTimingStrategy, never>;
+    static ɵprov: i0.ɵɵInjectableDeclaration<StableScrollTimingStrategy>;
+}
+
 /**
  * Provides a strategy for setting the page title after a router navigation.
  *
@@ -4283,6 +5423,108 @@ export declare class UrlTree {
  */
 export declare const VERSION: Version;
 
+/**
+ * The information passed to the `onViewTransitionCreated` function provided in the
+ * `withViewTransitions` feature options.
+ *
+ * @publicApi
+ */
+export declare interface ViewTransitionInfo {
+    /**
+     * The `ViewTransition` returned by the call to `startViewTransition`.
+     * @see https://developer.mozilla.org/en-US/docs/Web/API/ViewTransition
+     */
+    transition: {
+        /**
+         * @see https://developer.mozilla.org/en-US/docs/Web/API/ViewTransition/finished
+         */
+        finished: Promise<void>;
+        /**
+         * @see https://developer.mozilla.org/en-US/docs/Web/API/ViewTransition/ready
+         */
+        ready: Promise<void>;
+        /**
+         * @see https://developer.mozilla.org/en-US/docs/Web/API/ViewTransition/updateCallbackDone
+         */
+        updateCallbackDone: Promise<void>;
+        /**
+         * @see https://developer.mozilla.org/en-US/docs/Web/API/ViewTransition/skipTransition
+         */
+        skipTransition(): void;
+    };
+    /**
+     * The `ActivatedRouteSnapshot` that the navigation is transitioning from.
+     */
+    from: ActivatedRouteSnapshot;
+    /**
+     * The `ActivatedRouteSnapshot` that the navigation is transitioning to.
+     */
+    to: ActivatedRouteSnapshot;
+}
+
+/**
+ * A type alias for providers returned by `withViewTransitions` for use with `provideRouter`.
+ *
+ * @see `withViewTransitions`
+ * @see `provideRouter`
+ *
+ * @publicApi
+ */
+export declare type ViewTransitionsFeature = RouterFeature<RouterFeatureKind.ViewTransitionsFeature>;
+
+/**
+ * Options to configure the View Transitions integration in the Router.
+ *
+ * @see withViewTransitions
+ *
+ * @publicApi
+ */
+export declare interface ViewTransitionsFeatureOptions {
+    /**
+     * Skips the very first call to `startViewTransition`. This can be useful for disabling the
+     * animation during the application's initial loading phase.
+     */
+    skipInitialTransition?: boolean;
+    /**
+     * A function to run after the `ViewTransition` is created.
+     *
+     * This function is run in an injection context and can use `inject`.
+     */
+    onViewTransitionCreated?: (transitionInfo: ViewTransitionInfo) => void;
+}
+
+/**
+ * Enables binding information from the `Router` state directly to the inputs of the component in
+ * `Route` configurations.
+ *
+ * When a component is activated by the `RouterOutlet`, any of its inputs whose name matches a key
+ * in the route's query params, path params, static data or resolved data is set to that value.
+ * Values are merged in that order, so path params win over query params and route data wins over
+ * both. The inputs are updated on every navigation that reuses the component, and inputs without a
+ * matching value are set to `undefined`.
+ *
+ * @usageNotes
+ *
+ * Basic example of how you can enable the feature:
+ * ```
+ * const appRoutes: Routes = [];
+ * bootstrapApplication(AppComponent,
+ *   {
+ *     providers: [
+ *       provideRouter(appRoutes, withComponentInputBinding())
+ *     ]
+ *   }
+ * );
+ * ```
+ *
+ * @see `provideRouter`
+ *
+ * @returns A set of providers for use with `provideRouter`.
+ *
+ * @publicApi
+ */
+export declare function withComponentInputBinding(): ComponentInputBindingFeature;
+
 /**
  * Enables logging of all internal navigation events to the console.
  * Extra logging might be useful for debugging purposes to inspect Router event sequence.
@@ -4364,6 +5606,37 @@ export declare function withDisabledInitialNavigation(): DisabledInitialNavigati
  */
 export declare function withEnabledBlockingInitialNavigation(): EnabledBlockingInitialNavigationFeature;
 
+/**
+ * Provides the location strategy that uses the URL fragment instead of the history API.
+ *
+ * The router URL, including its own fragment, is stored after the `#` of the browser URL, so
+ * `/#/team/33#details` activates `/team/33` with the router fragment `details`. Anchor scrolling
+ * configured with `withInMemoryScrolling` reads the router fragment, so it keeps working with
+ * this feature enabled.
+ *
+ * @usageNotes
+ *
+ * Basic example of how you can use the hash location option:
+ * ```
+ * const appRoutes: Routes = [];
+ * bootstrapApplication(AppComponent,
+ *   {
+ *     providers: [
+ *       provideRouter(appRoutes, withHashLocation())
+ *     ]
+ *   }
+ * );
+ * ```
+ *
+ * @see `provideRouter`
+ * @see `HashLocationStrategy`
+ *
+ * @returns A set of providers for use with `provideRouter`.
+ *
+ * @publicApi
+ */
+export declare function withHashLocation(): RouterHashLocationFeature;
+
 /**
  * Enables customizable scrolling behavior for router navigations.
  *
@@ -4391,6 +5664,81 @@ export declare function withEnabledBlockingInitialNavigation(): EnabledBlockingI
  */
 export declare function withInMemoryScrolling(options?: InMemoryScrollingOptions): InMemoryScrollingFeature;
 
+/**
+ * Retries failed `loadChildren` and `loadComponent` calls, for example when a deployment replaced
+ * the chunks that the running application refers to.
+ *
+ * Every failed attempt emits a `RouteConfigLoadError` event. When the last attempt fails, the
+ * `onPermanentFailure` hook is called and the navigation fails with a `NavigationError`.
+ *
+ * @usageNotes
+ *
+ * Basic example of how you can reload the page when a chunk cannot be loaded:
+ * ```
+ * const appRoutes: Routes = [];
+ * bootstrapApplication(AppComponent,
+ *   {
+ *     providers: [
+ *       provideRouter(appRoutes, withLazyLoadingRetry({
+ *         attempts: 3,
+ *         backoff: 500,
+ *         timeout: 10000,
+ *         onPermanentFailure: (error, route, url) => {
+ *           if (url) {
+ *             location.assign(inject(Router).serializeUrl(url));
+ *           }
+ *         },
+ *       }))
+ *     ]
+ *   }
+ * );
+ * ```
+ *
+ * @see `LazyLoadingRetryOptions`
+ * @see `RouteConfigLoadError`
+ *
+ * @param options Options for the number of attempts, the delay between them and the timeout.
+ * @returns A set of providers for use with `provideRouter`.
+ *
+ * @publicApi
+ */
+export declare function withLazyLoadingRetry(options: LazyLoadingRetryOptions): LazyLoadingRetryFeature;
+
+/**
+ * Provides a function which is called when a navigation error occurs.
+ *
+ * The function receives the `NavigationError` event and runs in the application's injection
+ * context, so it can use the `inject` function. If it returns a `UrlTree`, the router navigates to
+ * that URL instead of passing the error on to `Router.errorHandler`, and the promise returned by
+ * the failed navigation settles with the result of the redirect.
+ *
+ * @usageNotes
+ *
+ * Basic example of how you can redirect failed navigations to an error page:
+ * ```
+ * const appRoutes: Routes = [];
+ * bootstrapApplication(AppComponent,
+ *   {
+ *     providers: [
+ *       provideRouter(appRoutes, withNavigationErrorHandler((e: NavigationError) => {
+ *         inject(MyErrorTracker).trackError(e.error);
+ *         return inject(Router).parseUrl('/error');
+ *       }))
+ *     ]
+ *   }
+ * );
+ * ```
+ *
+ * @see `NavigationError`
+ * @see `provideRouter`
+ *
+ * @param handler The function to call when a navigation error occurs.
+ * @returns A set of providers for use with `provideRouter`.
+ *
+ * @publicApi
+ */
+export declare function withNavigationErrorHandler(handler: (error: NavigationError) => UrlTree | void): NavigationErrorHandlerFeature;
+
 /**
  * Allows to configure a preloading strategy to use. The strategy is configured by providing a
  * reference to a class that implements a `PreloadingStrategy`.
@@ -4450,6 +5798,48 @@ export { withPreloading as ɵwithPreloading }
  */
 export declare function withRouterConfig(options: RouterConfigOptions): RouterConfigurationFeature;
 
+/**
+ * Enables view transitions in the Router by running the route activation and deactivation inside
+ * of `document.startViewTransition`.
+ *
+ * Note: The View Transitions API is not available in all browsers. If the browser does not
+ * support view transitions, the Router will not attempt to start a view transition and continue
+ * processing the navigation as usual.
+ *
+ * @usageNotes
+ *
+ * Basic example of how you can enable the feature:
+ * ```
+ * const appRoutes: Routes = [];
+ * bootstrapApplication(AppComponent,
+ *   {
+ *     providers: [
+ *       provideRouter(appRoutes, withViewTransitions())
+ *     ]
+ *   }
+ * );
+ * ```
+ *
+ * @see https://developer.chrome.com/docs/web-platform/view-transitions/
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/View_Transitions_API
+ *
+ * @param options Options to configure the view transitions, such as skipping the transition of
+ *     the initial navigation.
+ * @returns A set of providers for use with `provideRouter`.
+ *
+ * @publicApi
+ */
+export declare function withViewTransitions(options?: ViewTransitionsFeatureOptions): ViewTransitionsFeature;
+
+/**
+ * Performs the given action once the router finishes its next/current navigation.
+ *
+ * If the navigation is canceled or errors without a redirect, the navigation is considered
+ * complete. If the `NavigationEnd` or `NavigationSkipped` event emits, the navigation is also
+ * considered complete.
+ */
+export declare function ɵafterNextNavigation(router: Router, action: () => void): void;
+
 export declare function ɵassignExtraOptionsToRouter(opts: ExtraOptions, router: Router): void;
 
 /**
@@ -7,6 +7,7 @@
 
 import { ChildrenOutletContexts } from '@angular/router';
 import { Compiler } from '@angular/core';
+import { DebugElement } from '@angular/core';
 import { ExtraOptions } from '@angular/router';
 import * as i0 from '@angular/core';
 import * as i1 from '@angular/router';
@@ -18,9 +19,82 @@ import { Router } from '@angular/router';
 import { RouteReuseStrategy } from '@angular/router';
 import { Routes } from '@angular/router';
 import { TitleStrategy } from '@angular/router';
+import { Type } from '@angular/core';
 import { UrlHandlingStrategy } from '@angular/router';
 import { UrlSerializer } from '@angular/router';
 
+/**
+ * A testing harness for the `Router` to reduce the boilerplate needed to test routes and routed
+ * components.
+ *
+ * The harness renders a root component with a single `RouterOutlet`. Navigations performed through
+ * the harness wait for the router to settle and run change detection before they resolve.
+ *
+ * @usageNotes
+ *
+ * ```
+ * TestBed.configureTestingModule({
+ *   providers: [provideRouter([{path: 'user/:id', component: UserCmp}])],
+ * });
+ * const harness = await RouterTestingHarness.create();
+ * const user = await harness.navigateByUrl('/user/1', UserCmp);
+ * expect(harness.routeNativeElement?.textContent).toContain(user.name);
+ * ```
+ *
+ * @publicApi
+ */
+export declare class RouterTestingHarness {
+    /**
+     * Creates a `RouterTestingHarness` instance.
+     *
+     * The `RouterTestingHarness` also creates its own root component with a `RouterOutlet` for the
+     * purposes of rendering route components.
+     *
+     * Throws an error if an instance has already been created.
+     * Use of this harness also requires `destroyAfterEach: true` in the `ModuleTeardownOptions`
+     *
+     * @param initialUrl The target of navigation to trigger before returning the harness.
+     */
+    static create(initialUrl?: string): Promise<RouterTestingHarness>;
+    private readonly fixture;
+    /** Instructs the root fixture to run change detection. */
+    detectChanges(): void;
+    /** The `DebugElement` of the `RouterOutlet` component. `null` if the outlet is not activated. */
+    get routeDebugElement(): DebugElement | null;
+    /** The native element of the `RouterOutlet` component. `null` if the outlet is not activated. */
+    get routeNativeElement(): HTMLElement | null;
+    /**
+     * Triggers a `Router` navigation and waits for it to complete.
+     *
+     * The root component with a `RouterOutlet` created for the harness is used to render `Route`
+     * components. The root component is reused within the same test in subsequent calls to
+     * `navigateByUrl`.
+     *
+     * When testing `Routes` with a guard that rejects the navigation, the `RouterOutlet` might not be
+     * activated and the activated component may be `null`.
+     *
+     * @param url The target of the navigation. Passed to `Router.navigateByUrl`.
+     * @returns The activated component instance of the `RouterOutlet` after navigation completes
+     *     (`null` if the outlet does not get activated).
+     */
+    navigateByUrl(url: string): Promise<null | {}>;
+    /**
+     * Triggers a router navigation and waits for it to complete.
+     *
+     * The root component with a `RouterOutlet` created for the harness is used to render `Route`
+     * components.
+     *
+     * Throws an error if the activated component is not an instance of
+     * `requiredRoutedComponentType`, or if the navigation does not activate a component.
+     *
+     * @param url The target of the navigation. Passed to `Router.navigateByUrl`.
+     * @param requiredRoutedComponentType After navigation completes, the required type for the
+     *     activated component of the `RouterOutlet`.
+     * @returns The activated component instance of the `RouterOutlet` after navigation completes.
+     */
+    navigateByUrl<T>(url: string, requiredRoutedComponentType: Type<T>): Promise<T>;
+}
+
 /**
  * @description
  *